@@ -2,16 +2,45 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, StatusBar, Animated, Dimensions, Image, Alert } from 'react-native';
 import WebRTCCall from './components/WebRTCCall';
 import Contact from './components/Contact';
-import { defaultContact } from './components/ContactData';
+import { useKioskContacts, findContactByDeviceId } from './components/KioskContacts';
+import VoicemailTile from './components/VoicemailTile';
+import MessagePlayer from './components/MessagePlayer';
+import { useVoicemails } from './components/Voicemails';
+import { useVideoMessages } from './components/VideoMessages';
+import { useSignalingSocket } from './components/SignalingSocket';
 import * as ScreenOrientation from 'expo-screen-orientation';
 
+// Bill's phone, as registered with the signaling server (which enforces its call quota)
+const DEVICE_ID = 'bills-iphone';
+// Most family members in one group call (GROUP_CALL_MAX_FAMILY on the server)
+const GROUP_CALL_MAX_FAMILY = 4;
+
+// Bill's household zone (HOUSEHOLD_TIMEZONE on the server); his calling hours are read in it
+// whatever zone the phone itself is set to
+const HOUSEHOLD_TIMEZONE = 'America/New_York';
+const householdClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: HOUSEHOLD_TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Minutes since midnight in the household zone
+const getHouseholdMinutes = (date) => {
+  const parts = Object.fromEntries(householdClock.formatToParts(date).map(part => [part.type, part.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+};
+
 /**
  * Bill's Phone App - Kiosk Mode
  * 
  * A minimal, accessibility-focused interface that allows Bill to:
- * - Make calls during specific hours (initially just to one contact)
- * - Limited to one call attempt per hour
- * - Receive incoming calls
+ * - Make calls during specific hours to the contacts the server lists for him
+ * - Limited to each contact's availability and the call quota the server sets
+ * - Call everyone who is available at once, in a group call
+ * - Receive incoming calls, and join group calls the server sets up when family are free
+ * - Play messages left by family members he missed, from a "new message" tile
+ * - Watch video messages family members sent him, from a badge on their photo (at any hour)
  * - Clearly see when calling is available
  * - Displays a timeline showing time of day with animation
  * - Optimized for landscape orientation
@@ -20,9 +49,34 @@ const App = () => {
   // State management
   const [currentTime, setCurrentTime] = useState(new Date());
   const [isCallTime, setIsCallTime] = useState(false);
-  const [canCall, setCanCall] = useState(false); // Based on hourly limit
-  const [lastCallAttempt, setLastCallAttempt] = useState(null);
-  const [callStatus, setCallStatus] = useState('idle'); // idle, calling, incoming, connected
+  const [callStatus, setCallStatus] = useState('idle'); // idle, calling, incoming, connected, group
+  const [activeContact, setActiveContact] = useState(null); // Who Bill is calling or talking to
+  const [incomingCall, setIncomingCall] = useState(null); // The offer of a call ringing while idle
+  const [invitedRoomId, setInvitedRoomId] = useState(null); // Group call the server started for Bill
+  
+  // Connected and registered for as long as the app runs, so family can reach Bill and the
+  // server can invite him to group calls
+  const { socket, isRegistered } = useSignalingSocket(DEVICE_ID);
+  
+  // Contacts and whether each can be called now (availability, call quota, presence).
+  // Refreshed every minute and whenever the call status changes.
+  const { contacts, isStale } = useKioskContacts(DEVICE_ID, callStatus);
+  const trustedDeviceIds = contacts.flatMap(contact => contact.deviceIds);
+  
+  // Unheard voicemails, newest first; the newest is offered as a tile while no call is on
+  const { unheard: unheardVoicemails, markHeard } = useVoicemails(DEVICE_ID, callStatus);
+  const [playingVoicemail, setPlayingVoicemail] = useState(null);
+  
+  // Unwatched video messages by sender, oldest first, and the ones being played in turn
+  const { waiting: waitingMessages, markWatched } = useVideoMessages(DEVICE_ID, callStatus);
+  const [playingMessages, setPlayingMessages] = useState([]);
+  const messagesFrom = (contact) => waitingMessages.get(contact.id) || [];
+  
+  // Family members who sent messages but have no phone linked, so aren't among the contacts;
+  // they are shown only so Bill can watch what they sent
+  const messageOnlyContacts = [...waitingMessages.values()]
+    .map(messages => messages[0].familyUser)
+    .filter(sender => !contacts.some(contact => contact.id === sender.id));
   
   // Animation values
   const timelinePosition = useState(new Animated.Value(0))[0];
@@ -40,28 +94,19 @@ const App = () => {
   }, []);
 
   // Check if current time is within allowed calling hours and update timeline position
-  // Currently set to 5PM-10PM EST as per requirements
+  // Currently set to 5PM-10PM household time as per requirements
   useEffect(() => {
     const checkCallAvailability = () => {
       const now = new Date();
       setCurrentTime(now);
       
       // Check if current hour is between 5PM-10PM (17-22)
-      const hour = now.getHours();
+      const minutes = getHouseholdMinutes(now);
+      const hour = Math.floor(minutes / 60);
       const isWithinCallHours = hour >= 17 && hour <= 22;
       setIsCallTime(isWithinCallHours);
       
-      // Check if an hour has passed since last call attempt
-      if (lastCallAttempt) {
-        const timeSinceLastCall = now.getTime() - lastCallAttempt.getTime();
-        const oneHourInMs = 60 * 60 * 1000;
-        setCanCall(timeSinceLastCall > oneHourInMs);
-      } else {
-        setCanCall(true);
-      }
-      
       // Calculate position on timeline (9AM-9PM span)
-      const minutes = now.getHours() * 60 + now.getMinutes();
       const dayStart = 9 * 60; // 9AM in minutes
       const dayEnd = 21 * 60; // 9PM in minutes
       const totalDayMinutes = dayEnd - dayStart;
@@ -107,30 +152,88 @@ const App = () => {
     const interval = setInterval(checkCallAvailability, 60000);
     
     return () => clearInterval(interval);
-  }, [lastCallAttempt, timelinePosition, dotOpacity]);
+  }, [timelinePosition, dotOpacity]);
   
-  // Handle call button press
-  const handleCallPress = () => {
-    // Record the call attempt time to enforce the hourly limit
-    setLastCallAttempt(new Date());
-    setCanCall(false);
+  // While no call is on, the kiosk picks up calls from its contacts and group calls the server
+  // started from an invitation; WebRTCCall takes the call over from there
+  useEffect(() => {
+    if (!socket || callStatus !== 'idle') return undefined;
+    
+    const handleIncomingCall = (call) => {
+      if (!trustedDeviceIds.includes(call.from)) {
+        console.log(`Ignoring call from ${call.from}, who isn't one of Bill's contacts`);
+        return;
+      }
+      setIncomingCall(call);
+      handleCallStatusChange('incoming', call.from);
+    };
+    // Rooms Bill creates himself are handled by WebRTCCall
+    const handleRoomCreated = ({ callId, inviteId }) => {
+      if (!inviteId) return;
+      console.log(`Joining group call ${callId} from invitation ${inviteId}`);
+      setInvitedRoomId(callId);
+      handleCallStatusChange('group');
+    };
     
+    socket.on('incomingCall', handleIncomingCall);
+    socket.on('roomCreated', handleRoomCreated);
+    return () => {
+      socket.off('incomingCall', handleIncomingCall);
+      socket.off('roomCreated', handleRoomCreated);
+    };
+  }, [socket, callStatus, contacts]);
+  
+  // Handle call button press
+  const handleCallPress = (contact) => {
     // Log the call attempt
-    console.log('Call initiated at', new Date().toLocaleTimeString());
+    console.log(`Calling ${contact.name} at`, new Date().toLocaleTimeString());
     
-    // Update call status to initiate WebRTC call
+    // Update call status to initiate WebRTC call; the contacts (and their quota) are
+    // refetched once the call is over
+    setActiveContact(contact);
     setCallStatus('calling');
   };
   
+  // Call every family member who can take a call right now, together
+  const handleCallEveryonePress = () => {
+    console.log(`Calling ${groupContacts.map(contact => contact.name).join(', ')} at`, new Date().toLocaleTimeString());
+    setCallStatus('group');
+  };
+  
+  // A message is heard once it has played to the end or Bill closes it
+  const handleVoicemailFinished = () => {
+    markHeard(playingVoicemail.id);
+    setPlayingVoicemail(null);
+  };
+  
+  // Play everything a contact sent, oldest first
+  const handleWatchPress = (contact) => {
+    console.log(`Playing video messages from ${contact.name}`);
+    setPlayingMessages(messagesFrom(contact));
+  };
+  
+  // Each video message counts as watched once it has played or Bill taps past it
+  const handleVideoMessageFinished = () => {
+    markWatched(playingMessages[0].id);
+    setPlayingMessages(current => current.slice(1));
+  };
+  
   // Handle call status changes from WebRTCCall component
-  const handleCallStatusChange = (status) => {
+  const handleCallStatusChange = (status, peerDeviceId) => {
     console.log('Call status changed to:', status);
-    setCallStatus(status);
-    
-    // If call ends, reset UI state as needed
-    if (status === 'idle') {
-      // Do nothing with canCall - it's still on cooldown
+    if (status !== 'idle') {
+      // A call interrupts a message; it stays unheard and is offered again afterwards
+      setPlayingVoicemail(null);
+      setPlayingMessages([]);
     }
+    if (status === 'incoming' && peerDeviceId) {
+      setActiveContact(findContactByDeviceId(contacts, peerDeviceId) || null);
+    } else if (status === 'idle') {
+      setActiveContact(null);
+      setIncomingCall(null);
+      setInvitedRoomId(null);
+    }
+    setCallStatus(status);
   };
   
   // Format time for display (12-hour format with AM/PM)
@@ -142,6 +245,57 @@ const App = () => {
     const formattedMinutes = minutes < 10 ? `0${minutes}` : minutes;
     return `${formattedHours}:${formattedMinutes} ${ampm}`;
   };
+  
+  // A time later today, or the weekday and time if it's further off
+  const formatWhen = (date) => {
+    const isToday = date.toDateString() === new Date().toDateString();
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getDay()];
+    return isToday ? formatTime(date) : `${weekday} ${formatTime(date)}`;
+  };
+  
+  // While offline the cached states may be out of date, so every contact is offered
+  // and the server refuses the call if it isn't allowed
+  const canCallContact = (contact) => isStale || contact.callable;
+  
+  // A group call needs at least two family members who can take a call (the server allows four).
+  // Cached states can't be trusted for this, so it isn't offered while offline
+  const groupContacts = isStale ? [] : contacts.filter(contact => contact.callable).slice(0, GROUP_CALL_MAX_FAMILY);
+  // The server picks who joins a group call it started, so any contact may get a tile
+  const groupMembers = (invitedRoomId ? contacts : groupContacts)
+    .map(contact => ({ deviceId: contact.deviceId, name: contact.name }));
+  
+  // Why a contact can't be called right now
+  const describeUnavailable = (contact) => {
+    switch (contact.reason) {
+      case 'CALL_QUOTA_EXCEEDED':
+        return contact.nextAllowedAt
+          ? `You can call again at ${formatWhen(new Date(contact.nextAllowedAt))}`
+          : 'No more calls today';
+      case 'OUTSIDE_AVAILABILITY':
+        return contact.nextWindow ? `Available ${formatWhen(new Date(contact.nextWindow.start))}` : 'Not available';
+      case 'BUSY':
+        return 'On another call';
+      case 'OFFLINE':
+        return 'Not connected';
+      default:
+        return null;
+    }
+  };
+
+  // A contact Bill can't call from here but whose video messages he can watch with one tap
+  const renderWatchOnlyContact = (contact, shownCount) => (
+    <Contact
+      key={contact.id}
+      name={contact.name}
+      imageSource={contact.pictureUrl ? { uri: contact.pictureUrl } : null}
+      onPress={() => handleWatchPress(contact)}
+      animationEnabled={false}
+      statusText="Tap to watch"
+      badgeCount={messagesFrom(contact).length}
+      onBadgePress={() => handleWatchPress(contact)}
+      size={shownCount > 2 ? 150 : 200}
+    />
+  );
 
   // Calculate dot positions based on timeline position
   const topDotPosition = timelinePosition.interpolate({
@@ -179,40 +333,99 @@ const App = () => {
         <Text style={styles.timeText}>{formatTime(currentTime)}</Text>
         
         {/* WebRTC integration - Only render when needed to avoid black box showing in UI */}
-        {callStatus !== 'idle' && (
+        {callStatus !== 'idle' && socket && (
           <WebRTCCall 
-            isCallEnabled={isCallTime && canCall && callStatus === 'idle'}
+            socket={socket}
+            isRegistered={isRegistered}
+            isCallEnabled={isCallTime && callStatus === 'idle'}
             onCallStatusChange={handleCallStatusChange}
             callStatus={callStatus}
+            targetDeviceId={activeContact ? activeContact.deviceId : null}
+            incomingCall={incomingCall}
+            invitedRoomId={invitedRoomId}
+            groupMembers={groupMembers}
           />
         )}
         
-        {/* Call button with contact profile - only shown when calls are allowed and not in a call */}
-        {isCallTime && canCall && callStatus === 'idle' && (
-          <Contact 
-            name={defaultContact.name}
-            imageSource={defaultContact.imageSource}
-            onPress={handleCallPress}
-            animationEnabled={true}
-            size={200}
+        {/* Newest unheard message, at any hour, when not in a call */}
+        {callStatus === 'idle' && !playingVoicemail && playingMessages.length === 0 && unheardVoicemails.length > 0 && (
+          <VoicemailTile
+            voicemail={unheardVoicemails[0]}
+            count={unheardVoicemails.length}
+            onPress={() => setPlayingVoicemail(unheardVoicemails[0])}
           />
         )}
         
-        {/* Show message when call is on cooldown */}
-        {isCallTime && !canCall && callStatus === 'idle' && (
-          <Text style={styles.cooldownText}>You can call again in 1 hour</Text>
+        {/* One button per contact - only shown during calling hours and when not in a call.
+            Contacts that can't be called right now are dimmed with the reason below.
+            A badge shows their waiting video messages. */}
+        {isCallTime && callStatus === 'idle' && (
+          <View style={styles.contactRow}>
+            {contacts.map(contact => (
+              <Contact 
+                key={contact.id}
+                name={contact.name}
+                imageSource={contact.pictureUrl ? { uri: contact.pictureUrl } : null}
+                onPress={() => handleCallPress(contact)}
+                disabled={!canCallContact(contact)}
+                animationEnabled={canCallContact(contact)}
+                statusText={canCallContact(contact) ? null : describeUnavailable(contact)}
+                badgeCount={messagesFrom(contact).length}
+                onBadgePress={() => handleWatchPress(contact)}
+                size={contacts.length + messageOnlyContacts.length > 2 ? 150 : 200}
+              />
+            ))}
+            {messageOnlyContacts.map(contact => renderWatchOnlyContact(contact, contacts.length + messageOnlyContacts.length))}
+          </View>
+        )}
+        
+        {isCallTime && callStatus === 'idle' && groupContacts.length >= 2 && (
+          <TouchableOpacity style={styles.callEveryoneButton} onPress={handleCallEveryonePress}>
+            <Text style={styles.callEveryoneText}>Call everyone</Text>
+          </TouchableOpacity>
+        )}
+        
+        {/* Outside calling hours, only contacts with video messages waiting are shown, and a
+            tap plays them */}
+        {!isCallTime && callStatus === 'idle' && waitingMessages.size > 0 && (
+          <View style={styles.contactRow}>
+            {[...contacts.filter(contact => messagesFrom(contact).length > 0), ...messageOnlyContacts]
+              .map((contact, index, shown) => renderWatchOnlyContact(contact, shown.length))}
+          </View>
+        )}
+        
+        {/* Show message when the server has no contacts for Bill (nor a cached list) */}
+        {isCallTime && callStatus === 'idle' && contacts.length === 0 && (
+          <Text style={styles.cooldownText}>No contacts yet</Text>
         )}
         
         {/* Show status messages during calls */}
         {callStatus === 'calling' && (
-          <Text style={styles.statusText}>Calling {defaultContact.name}...</Text>
+          <Text style={styles.statusText}>Calling {activeContact ? activeContact.name : 'family'}...</Text>
         )}
         
         {callStatus === 'incoming' && (
-          <Text style={styles.statusText}>Incoming call from {defaultContact.name}</Text>
+          <Text style={styles.statusText}>Incoming call from {activeContact ? activeContact.name : 'family'}</Text>
         )}
       </View>
       
+      {/* Playing a message covers the whole screen */}
+      {playingVoicemail && (
+        <MessagePlayer
+          deviceId={DEVICE_ID}
+          message={playingVoicemail}
+          onFinished={handleVoicemailFinished}
+        />
+      )}
+      {playingMessages.length > 0 && (
+        <MessagePlayer
+          deviceId={DEVICE_ID}
+          message={playingMessages[0]}
+          caption={`Video from ${playingMessages[0].familyUser.name}${playingMessages.length > 1 ? ` (${playingMessages.length - 1} more)` : ''}`}
+          onFinished={handleVideoMessageFinished}
+        />
+      )}
+      
       {/* Bottom timeline (mirror of top) */}
       <View style={styles.timelineContainer}>
         <View style={styles.timeline} />
@@ -280,6 +493,12 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     width: '100%'
   },
+  contactRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'flex-start',
+    gap: 40,
+  },
   timeText: {
     fontSize: 32,
     fontWeight: 'bold',
@@ -316,6 +535,20 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginVertical: 10,
   },
+  callEveryoneButton: {
+    marginTop: 30,
+    paddingVertical: 20,
+    paddingHorizontal: 50,
+    borderRadius: 50,
+    borderWidth: 3,
+    borderColor: 'white',
+    backgroundColor: '#27AE60',
+  },
+  callEveryoneText: {
+    color: 'white',
+    fontSize: 32,
+    fontWeight: 'bold',
+  },
   cooldownText: {
     color: '#F39C12',
     fontSize: 24,
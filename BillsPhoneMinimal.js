@@ -16,6 +16,7 @@ import {
   RTCView,
 } from 'react-native-webrtc';
 import io from 'socket.io-client';
+import { getDeviceSecret } from './WebRTCHelper';
 
 /**
  * BillsPhoneMinimal
@@ -40,6 +41,7 @@ const BillsPhoneMinimal = () => {
 
   // Refs
   const socketRef = useRef(null);
+  const callIdRef = useRef(null); // Server-assigned ID of the current call
   const peerConnectionRef = useRef(null);
   const logsRef = useRef([]);
 
@@ -114,16 +116,26 @@ const BillsPhoneMinimal = () => {
       setConnectionStatus('Connected');
 
       // Register device ID
-      socket.emit('register', { deviceId: MY_ID });
+      socket.emit('register', { deviceId: MY_ID, deviceSecret: getDeviceSecret(MY_ID) });
       log(`Registered as: ${MY_ID}`);
 
       // Send a second registration after a delay (helps with stability)
       setTimeout(() => {
-        socket.emit('register', { deviceId: MY_ID });
+        socket.emit('register', { deviceId: MY_ID, deviceSecret: getDeviceSecret(MY_ID) });
         log('Re-registered to ensure connection');
       }, 1000);
     });
 
+    socket.on('registrationFailed', (data) => {
+      log(`Registration failed: ${data.message} (${data.code})`);
+      setConnectionStatus('Registration Failed');
+    });
+
+    socket.on('registrationReplaced', () => {
+      log('This device connected from somewhere else; this session was closed');
+      setConnectionStatus('Replaced by another session');
+    });
+
     socket.on('connect_error', (error) => {
       log(`Connection error: ${error.message || 'Unknown error'}`);
       setConnectionStatus('Connection Failed');
@@ -138,6 +150,7 @@ const BillsPhoneMinimal = () => {
     });
 
     socket.on('incomingCall', async (data) => {
+      callIdRef.current = data.callId || null;
       log(`Incoming call from: ${data.from}`);
       
       if (data.from === TARGET_ID) {
@@ -157,7 +170,7 @@ const BillsPhoneMinimal = () => {
               {
                 text: 'Decline',
                 onPress: () => {
-                  socket.emit('callRejected', { to: data.from });
+                  socket.emit('callRejected', { to: data.from, callId: data.callId, reason: 'DECLINED' });
                   setCallStatus('idle');
                 },
                 style: 'cancel',
@@ -201,14 +214,19 @@ const BillsPhoneMinimal = () => {
       }
     });
 
+    socket.on('callProgress', (data) => {
+      log(`Call progress: ${data.status} (call ${data.callId})`);
+      callIdRef.current = data.callId || null;
+    });
+
     socket.on('callEnded', (data) => {
-      log(`Call ended by: ${data.from}`);
+      log(`Call ended by: ${data.from || 'server'} (${data.reason || 'unknown reason'})`);
       endCall();
     });
 
     socket.on('callRejected', (data) => {
-      log(`Call rejected by: ${data.from}`);
-      Alert.alert('Call Rejected', 'Family member rejected the call');
+      log(`Call rejected by: ${data.from} (${data.reason || 'DECLINED'})`);
+      Alert.alert('Call Rejected', data.message || 'Family member rejected the call');
       endCall();
     });
   };
@@ -258,6 +276,7 @@ const BillsPhoneMinimal = () => {
           log('Sending ICE candidate');
           socketRef.current.emit('iceCandidate', {
             to: TARGET_ID,
+            callId: callIdRef.current,
             candidate: event.candidate
           });
         }
@@ -338,6 +357,7 @@ const BillsPhoneMinimal = () => {
       // Send answer to signaling server
       socketRef.current.emit('answerCall', {
         to: data.from,
+        callId: data.callId,
         answer,
       });
       
@@ -356,8 +376,10 @@ const BillsPhoneMinimal = () => {
     if (socketRef.current && callStatus !== 'idle') {
       socketRef.current.emit('endCall', {
         to: TARGET_ID,
+        callId: callIdRef.current,
       });
     }
+    callIdRef.current = null;
     
     cleanupWebRTC();
     setCallStatus('idle');
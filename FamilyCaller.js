@@ -16,12 +16,29 @@ import {
   RTCView,
 } from 'react-native-webrtc';
 import io from 'socket.io-client';
+import { Audio } from 'expo-av';
+import * as ImagePicker from 'expo-image-picker';
+import { getDeviceSecret, uploadVoicemail, uploadVideoMessage } from './WebRTCHelper';
+
+// Longest video message the server accepts (MESSAGE_MAX_SECONDS)
+const VIDEO_MESSAGE_MAX_SECONDS = 60;
+
+// How long Bill has to watch a video message before it is deleted
+const VIDEO_MESSAGE_EXPIRY_CHOICES = [
+  { text: '1 day', hours: 24 },
+  { text: '3 days', hours: 72 },
+  { text: '1 week', hours: 168 },
+];
 
 /**
  * FamilyCaller
  * 
  * A minimal app for family members to call Bill's phone.
  * This app uses the 'family-caller' device ID to match the expected ID in Bill's phone.
+ * When Bill doesn't answer (or his phone is offline) it offers to record an audio message,
+ * which his kiosk shows as a "new message" tile.
+ * Outside his calling hours it can send him a short video message instead, shown as a badge
+ * on this family member's photo; the app says when Bill has watched it.
  */
 const FamilyCaller = () => {
   // State
@@ -30,6 +47,9 @@ const FamilyCaller = () => {
   const [localStream, setLocalStream] = useState(null);
   const [remoteStream, setRemoteStream] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [messageStatus, setMessageStatus] = useState('idle'); // idle, recording, sending
+  const [videoMessageStatus, setVideoMessageStatus] = useState(null); // Last video message sent, e.g. "Waiting for Bill"
+  const [isRecording, setIsRecording] = useState(false); // Both sides agreed to record the current call
 
   // Constants
   const SERVER_URL = 'https://api.justinmolds.com';
@@ -38,8 +58,12 @@ const FamilyCaller = () => {
 
   // Refs
   const socketRef = useRef(null);
+  const callIdRef = useRef(null); // Server-assigned ID of the current call
+  const roomIdRef = useRef(null); // Set instead while in one of Bill's group calls
+  const acceptedInvitesRef = useRef(new Set()); // Group call invitations accepted; their room is joined straight away
   const peerConnectionRef = useRef(null);
   const logsRef = useRef([]);
+  const recordingRef = useRef(null); // Voicemail being recorded: { recording, offer, timer }
 
   // Logging function
   const log = (message) => {
@@ -113,16 +137,26 @@ const FamilyCaller = () => {
       setConnectionStatus('Connected');
 
       // Register device ID
-      socket.emit('register', { deviceId: MY_ID });
+      socket.emit('register', { deviceId: MY_ID, deviceSecret: getDeviceSecret(MY_ID) });
       log(`Registered as: ${MY_ID}`);
 
       // Send a second registration after a delay (helps with stability)
       setTimeout(() => {
-        socket.emit('register', { deviceId: MY_ID });
+        socket.emit('register', { deviceId: MY_ID, deviceSecret: getDeviceSecret(MY_ID) });
         log('Re-registered to ensure connection');
       }, 1000);
     });
 
+    socket.on('registrationFailed', (data) => {
+      log(`Registration failed: ${data.message} (${data.code})`);
+      setConnectionStatus('Registration Failed');
+    });
+
+    socket.on('registrationReplaced', () => {
+      log('This device connected from somewhere else; this session was closed');
+      setConnectionStatus('Replaced by another session');
+    });
+
     socket.on('connect_error', (error) => {
       log(`Connection error: ${error.message || 'Unknown error'}`);
       setConnectionStatus('Connection Failed');
@@ -137,6 +171,7 @@ const FamilyCaller = () => {
     });
 
     socket.on('incomingCall', async (data) => {
+      callIdRef.current = data.callId || null;
       log(`Incoming call from: ${data.from}`);
       
       if (data.from === TARGET_ID) {
@@ -149,7 +184,7 @@ const FamilyCaller = () => {
             {
               text: 'Decline',
               onPress: () => {
-                socket.emit('callRejected', { to: data.from });
+                socket.emit('callRejected', { to: data.from, callId: data.callId, reason: 'DECLINED' });
                 setCallStatus('idle');
               },
               style: 'cancel',
@@ -191,16 +226,184 @@ const FamilyCaller = () => {
       }
     });
 
+    socket.on('callProgress', (data) => {
+      log(`Call progress: ${data.status} (call ${data.callId})`);
+      callIdRef.current = data.callId || null;
+    });
+
     socket.on('callEnded', (data) => {
-      log(`Call ended by: ${data.from}`);
+      log(`Call ended by: ${data.from || 'server'} (${data.reason || 'unknown reason'})`);
       endCall();
+      if (data.voicemail) {
+        offerVoicemail(data.voicemail);
+      }
+    });
+
+    socket.on('callError', (data) => {
+      log(`Call error: ${data.message} (${data.code}, request ${data.requestId})`);
+      endCall();
+      if (data.voicemail) {
+        offerVoicemail(data.voicemail);
+      } else {
+        Alert.alert('Call Failed', data.message);
+      }
+    });
+
+    // Bill's kiosk played a video message this device's family member sent
+    socket.on('messageWatched', ({ message }) => {
+      const watchedAt = new Date(message.firstWatchedAt).toLocaleString();
+      log(`Bill watched video message ${message.id} at ${watchedAt}`);
+      setVideoMessageStatus(`Bill watched your message at ${watchedAt}`);
+    });
+
+    // Recording needs everyone's consent; this app can agree to it and stop it, and the
+    // side that asked (the web tester) records and uploads the call
+    socket.on('recordingRequested', (data) => {
+      log(`${data.from} asked to record call ${data.callId}`);
+      const answer = (accepted) => socket.emit('recordingConsent', { callId: data.callId, accepted });
+      Alert.alert(
+        'Record This Call?',
+        'The call will be saved for later review. Everyone in the call will see that it is being recorded.',
+        [
+          { text: 'Don\'t Record', style: 'cancel', onPress: () => answer(false) },
+          { text: 'Allow', onPress: () => answer(true) }
+        ],
+        { cancelable: false }
+      );
+    });
+
+    socket.on('recordingStarted', (data) => {
+      log(`Recording started by ${data.recordedBy}`);
+      setIsRecording(true);
+    });
+
+    socket.on('recordingStopped', (data) => {
+      log(`Recording stopped by ${data.by}`);
+      setIsRecording(false);
+    });
+
+    socket.on('recordingError', (data) => {
+      log(`Recording error: ${data.message} (${data.code})`);
     });
 
     socket.on('callRejected', (data) => {
-      log(`Call rejected by: ${data.from}`);
-      Alert.alert('Call Rejected', 'Bill\'s phone rejected the call');
+      log(`Call rejected by: ${data.from} (${data.reason || 'DECLINED'})`);
+      Alert.alert('Call Rejected', data.message || 'Bill\'s phone rejected the call');
       endCall();
     });
+
+    // Group calls: Bill's phone invites everyone available and sends each member an offer
+    // once they join. This device only ever connects to Bill's phone, never to the others.
+    socket.on('roomInvite', async (data) => {
+      log(`Invited to group call ${data.callId} by ${data.from}`);
+      const decline = () => socket.emit('leaveRoom', { callId: data.callId });
+      if (callStatus !== 'idle') {
+        decline();
+        return;
+      }
+      const join = async () => {
+        if (!await setupPeerConnection()) {
+          decline();
+          return;
+        }
+        roomIdRef.current = data.callId;
+        setCallStatus('calling');
+        socket.emit('joinRoom', { callId: data.callId });
+      };
+      // Accepted already, when the server asked who was free (groupCallInvite)
+      if (acceptedInvitesRef.current.delete(data.inviteId)) {
+        await join();
+        return;
+      }
+      Alert.alert(
+        'Group Call',
+        'Bill is calling the family together. Join?',
+        [
+          { text: 'Decline', style: 'cancel', onPress: decline },
+          { text: 'Join', onPress: join },
+        ],
+        { cancelable: false }
+      );
+    });
+
+    // The server asks everyone free at the same time as Bill; the call starts once enough accept
+    socket.on('groupCallInvite', (data) => {
+      log(`Group call invitation ${data.inviteId}, open until ${new Date(data.expiresAt).toLocaleTimeString()}`);
+      const answer = (accepted) => {
+        if (accepted) acceptedInvitesRef.current.add(data.inviteId);
+        socket.emit('groupCallInviteResponse', { inviteId: data.inviteId, accepted });
+      };
+      if (callStatus !== 'idle') {
+        answer(false);
+        return;
+      }
+      Alert.alert(
+        'Group Call with Bill',
+        'Bill and the family are free to talk now. Join a group call?',
+        [
+          { text: 'Not Now', style: 'cancel', onPress: () => answer(false) },
+          { text: 'Join', onPress: () => answer(true) },
+        ],
+        { cancelable: false }
+      );
+    });
+
+    socket.on('groupCallInviteAnswered', (data) => {
+      log(`Group call invitation ${data.accepted ? 'accepted' : 'declined'} (${data.state})`);
+    });
+
+    socket.on('groupCallInviteCancelled', (data) => {
+      log(`Group call invitation cancelled (${data.reason})`);
+      acceptedInvitesRef.current.delete(data.inviteId);
+    });
+
+    socket.on('groupCallInviteError', (data) => {
+      log(`Group call invitation error: ${data.message} (${data.code})`);
+    });
+
+    socket.on('roomJoined', (data) => {
+      log(`Joined group call ${data.callId}, waiting for Bill's phone`);
+    });
+
+    socket.on('roomOffer', async (data) => {
+      try {
+        await peerConnectionRef.current.setRemoteDescription(new RTCSessionDescription(data.offer));
+        const answer = await peerConnectionRef.current.createAnswer();
+        await peerConnectionRef.current.setLocalDescription(answer);
+        socket.emit('roomAnswer', { callId: data.callId, to: data.from, answer });
+        setCallStatus('connected');
+      } catch (error) {
+        log(`Error answering group call: ${error.message}`);
+        endCall();
+      }
+    });
+
+    socket.on('roomIceCandidate', async (data) => {
+      try {
+        if (peerConnectionRef.current) {
+          await peerConnectionRef.current.addIceCandidate(new RTCIceCandidate(data.candidate));
+        }
+      } catch (error) {
+        log(`Error adding ICE candidate: ${error.message}`);
+      }
+    });
+
+    socket.on('roomClosed', (data) => {
+      log(`Group call closed (${data.reason})`);
+      // Nothing to tell the server, the room is already gone
+      roomIdRef.current = null;
+      cleanupWebRTC();
+      setCallStatus('idle');
+    });
+
+    socket.on('roomError', (data) => {
+      log(`Group call error: ${data.message} (${data.code}, request ${data.requestId})`);
+      // Couldn't join (e.g. the call is already full); a joined call carries on
+      if (roomIdRef.current && !(peerConnectionRef.current && peerConnectionRef.current.remoteDescription)) {
+        endCall();
+        Alert.alert('Group Call', data.message);
+      }
+    });
   };
 
   // Set up WebRTC peer connection
@@ -244,10 +447,17 @@ const FamilyCaller = () => {
       
       // Handle ICE candidates
       pc.onicecandidate = (event) => {
-        if (event.candidate) {
+        if (event.candidate && roomIdRef.current) {
+          socketRef.current.emit('roomIceCandidate', {
+            callId: roomIdRef.current,
+            to: TARGET_ID,
+            candidate: event.candidate
+          });
+        } else if (event.candidate) {
           log('Sending ICE candidate');
           socketRef.current.emit('iceCandidate', {
             to: TARGET_ID,
+            callId: callIdRef.current,
             candidate: event.candidate
           });
         }
@@ -328,6 +538,7 @@ const FamilyCaller = () => {
       // Send answer to signaling server
       socketRef.current.emit('answerCall', {
         to: data.from,
+        callId: data.callId,
         answer,
       });
       
@@ -343,18 +554,146 @@ const FamilyCaller = () => {
   const endCall = () => {
     log('Ending call');
     
-    if (socketRef.current && callStatus !== 'idle') {
+    if (socketRef.current && roomIdRef.current) {
+      socketRef.current.emit('leaveRoom', { callId: roomIdRef.current });
+    } else if (socketRef.current && callStatus !== 'idle') {
       socketRef.current.emit('endCall', {
         to: TARGET_ID,
+        callId: callIdRef.current,
       });
     }
+    callIdRef.current = null;
+    roomIdRef.current = null;
     
     cleanupWebRTC();
     setCallStatus('idle');
   };
 
+  // The server offers a voicemail ({ callId, maxSeconds, maxBytes }) when a call isn't answered
+  const offerVoicemail = (offer) => {
+    Alert.alert(
+      'Bill didn\'t answer',
+      'Leave him a message?',
+      [
+        { text: 'No Thanks', style: 'cancel' },
+        { text: 'Record Message', onPress: () => startRecording(offer) },
+      ]
+    );
+  };
+
+  // Record an audio message, stopped and sent automatically at the server's time limit
+  const startRecording = async (offer) => {
+    try {
+      const permission = await Audio.requestPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Error', 'Could not access the microphone');
+        return;
+      }
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+      const { recording } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+      recordingRef.current = {
+        recording,
+        offer,
+        timer: setTimeout(() => finishRecording(true), offer.maxSeconds * 1000)
+      };
+      setMessageStatus('recording');
+      log(`Recording a message for call ${offer.callId} (up to ${offer.maxSeconds}s)`);
+    } catch (error) {
+      log(`Recording error: ${error.message}`);
+      Alert.alert('Error', 'Could not start recording');
+    }
+  };
+
+  // Stop recording, then upload the message (send) or throw it away
+  const finishRecording = async (send) => {
+    const current = recordingRef.current;
+    if (!current) return;
+    recordingRef.current = null;
+    clearTimeout(current.timer);
+
+    try {
+      const { durationMillis } = await current.recording.getStatusAsync();
+      await current.recording.stopAndUnloadAsync();
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+      if (!send) {
+        log('Message discarded');
+        setMessageStatus('idle');
+        return;
+      }
+
+      setMessageStatus('sending');
+      const voicemail = await uploadVoicemail(MY_ID, current.offer.callId, {
+        uri: current.recording.getURI(),
+        type: 'audio/mp4',
+        name: 'message.m4a'
+      }, (durationMillis || 0) / 1000);
+      log(`Message sent (${voicemail.id})`);
+      Alert.alert('Message Sent', 'Bill will see your message on his phone');
+    } catch (error) {
+      log(`Message error: ${error.message}`);
+      Alert.alert('Message Not Sent', error.message);
+    }
+    setMessageStatus('idle');
+  };
+
+  // Record a video with the camera app, then ask how long Bill has to watch it
+  const recordVideoMessage = async () => {
+    try {
+      const permission = await ImagePicker.requestCameraPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Error', 'Could not access the camera');
+        return;
+      }
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ['videos'],
+        videoMaxDuration: VIDEO_MESSAGE_MAX_SECONDS,
+        quality: ImagePicker.UIImagePickerControllerQualityType.Medium,
+      });
+      if (result.canceled || !result.assets || !result.assets.length) return;
+
+      const video = result.assets[0];
+      Alert.alert(
+        'Send to Bill',
+        'How long should it wait for him?',
+        [
+          ...VIDEO_MESSAGE_EXPIRY_CHOICES.map(choice => ({
+            text: choice.text,
+            onPress: () => sendVideoMessage(video, choice.hours)
+          })),
+          { text: 'Discard', style: 'cancel', onPress: () => log('Video message discarded') },
+        ]
+      );
+    } catch (error) {
+      log(`Video recording error: ${error.message}`);
+      Alert.alert('Error', 'Could not record a video');
+    }
+  };
+
+  const sendVideoMessage = async (video, expiresInHours) => {
+    setMessageStatus('sending');
+    try {
+      const message = await uploadVideoMessage(MY_ID, {
+        uri: video.uri,
+        type: video.mimeType || 'video/quicktime',
+        name: video.fileName || 'message.mov'
+      }, {
+        durationSeconds: video.duration ? video.duration / 1000 : undefined,
+        expiresInHours
+      });
+      log(`Video message sent (${message.id}), expires ${new Date(message.expiresAt).toLocaleString()}`);
+      setVideoMessageStatus('Video message waiting for Bill');
+      Alert.alert('Message Sent', 'Bill will see it next to your photo on his phone');
+    } catch (error) {
+      log(`Video message error: ${error.message} (${error.code}, request ${error.requestId})`);
+      Alert.alert('Message Not Sent', error.message);
+    }
+    setMessageStatus('idle');
+  };
+
   // Clean up WebRTC resources
   const cleanupWebRTC = () => {
+    setIsRecording(false);
+
     // Stop local stream tracks
     if (localStream) {
       localStream.getTracks().forEach(track => track.stop());
@@ -407,7 +746,23 @@ const FamilyCaller = () => {
     socket.off('callAccepted');
     socket.off('iceCandidate');
     socket.off('callEnded');
+    socket.off('callError');
     socket.off('callRejected');
+    socket.off('messageWatched');
+    socket.off('recordingRequested');
+    socket.off('recordingStarted');
+    socket.off('recordingStopped');
+    socket.off('recordingError');
+    socket.off('roomInvite');
+    socket.off('groupCallInvite');
+    socket.off('groupCallInviteAnswered');
+    socket.off('groupCallInviteCancelled');
+    socket.off('groupCallInviteError');
+    socket.off('roomJoined');
+    socket.off('roomOffer');
+    socket.off('roomIceCandidate');
+    socket.off('roomClosed');
+    socket.off('roomError');
   };
 
   return (
@@ -461,10 +816,22 @@ const FamilyCaller = () => {
           />
         )}
         
+        {isRecording && (
+          <View style={styles.recordingBanner}>
+            <Text style={styles.recordingText}>● REC</Text>
+            <TouchableOpacity
+              onPress={() => socketRef.current.emit('stopRecording', { callId: callIdRef.current })}
+            >
+              <Text style={styles.recordingStop}>Stop</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        
         {!remoteStream && !localStream && (
           <View style={styles.noVideoPlaceholder}>
             <Text style={styles.placeholderText}>
-              {callStatus === 'idle' ? 'Start a call to connect with Bill' : 
+              {messageStatus === 'recording' ? 'Recording a message for Bill...' :
+               callStatus === 'idle' ? 'Start a call to connect with Bill' : 
                callStatus === 'calling' ? 'Calling Bill...' : 'Connecting...'}
             </Text>
           </View>
@@ -472,14 +839,39 @@ const FamilyCaller = () => {
       </View>
       
       <View style={styles.controlsContainer}>
-        {callStatus === 'idle' ? (
-          <TouchableOpacity
-            style={[styles.button, styles.callButton]}
-            onPress={startCall}
-            disabled={connectionStatus !== 'Connected'}
-          >
-            <Text style={styles.buttonText}>Call Bill</Text>
-          </TouchableOpacity>
+        {messageStatus === 'recording' ? (
+          <>
+            <TouchableOpacity
+              style={[styles.button, styles.callButton]}
+              onPress={() => finishRecording(true)}
+            >
+              <Text style={styles.buttonText}>Send Message</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.endButton]}
+              onPress={() => finishRecording(false)}
+            >
+              <Text style={styles.buttonText}>Discard</Text>
+            </TouchableOpacity>
+          </>
+        ) : messageStatus === 'sending' ? (
+          <Text style={styles.placeholderText}>Sending message...</Text>
+        ) : callStatus === 'idle' ? (
+          <>
+            <TouchableOpacity
+              style={[styles.button, styles.callButton]}
+              onPress={startCall}
+              disabled={connectionStatus !== 'Connected'}
+            >
+              <Text style={styles.buttonText}>Call Bill</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.messageButton]}
+              onPress={recordVideoMessage}
+            >
+              <Text style={styles.buttonText}>Video Message</Text>
+            </TouchableOpacity>
+          </>
         ) : (
           <TouchableOpacity
             style={[styles.button, styles.endButton]}
@@ -497,6 +889,10 @@ const FamilyCaller = () => {
         </TouchableOpacity>
       </View>
       
+      {videoMessageStatus && (
+        <Text style={styles.videoMessageStatus}>{videoMessageStatus}</Text>
+      )}
+      
       <View style={styles.logContainer}>
         {logs.slice(-5).map((entry, index) => (
           <Text key={index} style={styles.logEntry}>{entry}</Text>
@@ -572,6 +968,26 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: 'white',
   },
+  recordingBanner: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F44336',
+    borderRadius: 5,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  recordingText: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginRight: 12,
+  },
+  recordingStop: {
+    color: 'white',
+    textDecorationLine: 'underline',
+  },
   noVideoPlaceholder: {
     flex: 1,
     justifyContent: 'center',
@@ -602,6 +1018,15 @@ const styles = StyleSheet.create({
   reconnectButton: {
     backgroundColor: '#2196F3',
   },
+  messageButton: {
+    backgroundColor: '#8E44AD',
+  },
+  videoMessageStatus: {
+    color: '#4CAF50',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
@@ -1,9 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, StatusBar, Animated, Dimensions, Image, Alert } from 'react-native';
 import Contact from './components/Contact';
-import { defaultContact } from './components/ContactData';
+import { createPlaceholderImage } from './components/temp-image-solution';
 import * as ScreenOrientation from 'expo-screen-orientation';
 
+// Stand-in for the contact list the real app fetches from the server
+const defaultContact = {
+  id: 'family-caller',
+  name: 'Family',
+  imageSource: createPlaceholderImage('Family', '#27AE60'),
+  deviceId: 'family-caller',
+};
+
 // Simulation component to replace WebRTCCall
 const SimulatedWebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus }) => {
   const [connectedTime, setConnectedTime] = useState(0);
@@ -6,6 +6,30 @@
 
 const SERVER_URL = 'https://api.justinmolds.com';
 
+// Per-device secrets used to authenticate with the signaling server.
+// Supplied at build time through EXPO_PUBLIC_* environment variables, never committed.
+const DEVICE_SECRETS = {
+  'bills-iphone': process.env.EXPO_PUBLIC_BILLS_IPHONE_SECRET,
+  'family-caller': process.env.EXPO_PUBLIC_FAMILY_CALLER_SECRET
+};
+
+/**
+ * Returns the secret a device presents when it registers with the signaling server
+ * @param {string} deviceId - Device ID being registered
+ * @returns {string|null} Device secret, or null if none was configured for this build
+ */
+export const getDeviceSecret = (deviceId) => DEVICE_SECRETS[deviceId] || null;
+
+/**
+ * Headers that authenticate a device on the REST routes meant for devices
+ * @param {string} deviceId - Device making the request
+ * @returns {Object} X-Device-Id and X-Device-Secret headers
+ */
+export const getDeviceHeaders = (deviceId) => ({
+  'X-Device-Id': deviceId,
+  'X-Device-Secret': getDeviceSecret(deviceId) || ''
+});
+
 // Basic STUN-only fallback (no secrets)
 const STUN_ONLY_FALLBACK = {
   iceServers: [
@@ -19,12 +43,62 @@ const STUN_ONLY_FALLBACK = {
   rtcpMuxPolicy: 'require'
 };
 
+// Refresh ephemeral TURN credentials this long before they expire (or at 90% of a short TTL)
+const TURN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+// Last configuration served per device, reused until its TURN credentials near expiry
+const configCache = new Map();
+
+/**
+ * Returns how long until a configuration's TURN credentials should be refreshed
+ * @param {Object} config - Configuration returned by the server
+ * @returns {number|null} Milliseconds until refresh, or null for credentials that never expire
+ */
+const getRefreshDelay = (config) => {
+  if (!config?.expiresAt) return null;
+  const remaining = new Date(config.expiresAt).getTime() - Date.now();
+  const margin = Math.min(TURN_REFRESH_MARGIN_MS, (config.ttl || 0) * 1000 * 0.1);
+  return Math.max(remaining - margin, 0);
+};
+
+/**
+ * Turns a failed server response into an Error carrying the server's error envelope
+ * ({ code, message, fields, requestId }), falling back to the HTTP status
+ * @param {Response} response - Non-OK fetch response
+ * @returns {Promise<Error>} Error with code, fields and requestId when the server sent them
+ */
+const toServerError = async (response) => {
+  let envelope = null;
+  try {
+    envelope = await response.json();
+  } catch (err) {
+    // Not JSON (e.g. a proxy error page)
+  }
+  if (!envelope?.message) {
+    return new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const error = new Error(`${envelope.code}: ${envelope.message}${envelope.requestId ? ` (request ${envelope.requestId})` : ''}`);
+  error.code = envelope.code;
+  error.fields = envelope.fields || [];
+  error.requestId = envelope.requestId;
+  return error;
+};
+
 /**
  * Fetches WebRTC configuration from the signaling server
  * @param {Function} logger - Logging function (defaults to console.log)
+ * @param {Object} options - Request options
+ * @param {string} options.deviceId - Device requesting TURN credentials (they are scoped to it)
+ * @param {boolean} options.forceRefresh - Skip the cache and fetch fresh credentials
  * @returns {Promise<Object>} WebRTC configuration object
  */
-export const getWebRTCConfiguration = async (logger = console.log) => {
+export const getWebRTCConfiguration = async (logger = console.log, { deviceId, forceRefresh = false } = {}) => {
+  const cached = configCache.get(deviceId);
+  if (cached && !forceRefresh && getRefreshDelay(cached) > 0) {
+    logger(`♻️  Using cached WebRTC configuration (TURN credentials valid until ${cached.expiresAt})`);
+    return cached;
+  }
+
   try {
     logger('🔧 Fetching WebRTC configuration from server...');
     
@@ -38,7 +112,11 @@ export const getWebRTCConfiguration = async (logger = console.log) => {
         'Content-Type': 'application/json',
         'User-Agent': 'BillPhone-iOS/1.0.0',
         'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
+        'Pragma': 'no-cache',
+        ...(deviceId && {
+          'X-Device-Id': deviceId,
+          'X-Device-Secret': getDeviceSecret(deviceId) || ''
+        })
       },
       signal: controller.signal
     });
@@ -46,7 +124,7 @@ export const getWebRTCConfiguration = async (logger = console.log) => {
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw await toServerError(response);
     }
 
     const config = await response.json();
@@ -74,6 +152,11 @@ export const getWebRTCConfiguration = async (logger = console.log) => {
       rtcpMuxPolicy: 'require'
     };
 
+    if (config.expiresAt) {
+      logger(`🔐 TURN credentials for ${deviceId} expire at ${config.expiresAt}`);
+      configCache.set(deviceId, enhancedConfig);
+    }
+
     logger('✅ WebRTC configuration ready with iOS optimizations');
     return enhancedConfig;
 
@@ -92,6 +175,263 @@ export const getWebRTCConfiguration = async (logger = console.log) => {
   }
 };
 
+/**
+ * Keeps a device's TURN credentials fresh for long-running sessions (e.g. the kiosk)
+ * by refetching the configuration shortly before the current credentials expire
+ * @param {Object} options - Refresh options
+ * @param {string} options.deviceId - Device the credentials are scoped to
+ * @param {Function} options.onRefresh - Called with each new configuration
+ * @param {Function} options.logger - Logging function
+ * @returns {Function} Stops the refresh loop
+ */
+export const startWebRTCConfigRefresh = ({ deviceId, onRefresh, logger = console.log }) => {
+  let timeoutId = null;
+  let stopped = false;
+
+  const schedule = (delay) => {
+    if (stopped || delay === null) return;
+    timeoutId = setTimeout(refresh, delay);
+  };
+
+  const refresh = async () => {
+    const config = await getWebRTCConfiguration(logger, { deviceId, forceRefresh: true });
+    if (stopped) return;
+    if (config === STUN_ONLY_FALLBACK) {
+      // Keep the current credentials (they have some margin left) and try again shortly
+      schedule(60 * 1000);
+      return;
+    }
+    onRefresh?.(config);
+    schedule(getRefreshDelay(config));
+  };
+
+  getWebRTCConfiguration(logger, { deviceId }).then((config) => schedule(getRefreshDelay(config)));
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeoutId);
+  };
+};
+
+/**
+ * Fetches how many calls a device has left and when it may call again
+ * @param {string} deviceId - Calling device (the quota is looked up for it)
+ * @param {string} contactId - Contact about to be called, for per-contact limits
+ * @returns {Promise<Object|null>} { allowed, remaining: { hour, day }, nextAllowedAt }, or null if unreachable
+ */
+export const fetchCallQuota = async (deviceId, contactId) => {
+  try {
+    const query = contactId ? `?contact=${encodeURIComponent(contactId)}` : '';
+    const response = await fetch(`${SERVER_URL}/call-quota${query}`, {
+      headers: {
+        'Accept': 'application/json',
+        'Cache-Control': 'no-cache',
+        ...getDeviceHeaders(deviceId)
+      }
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.log(`❌ Failed to fetch call quota: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Fetches Bill's contact list with each contact's current callable state
+ * @param {string} deviceId - Requesting device (only Bill's phone has a contact list)
+ * @returns {Promise<Array|null>} Contacts with absolute picture URLs, or null if unreachable
+ */
+export const fetchKioskContacts = async (deviceId) => {
+  try {
+    const response = await fetch(`${SERVER_URL}/kiosk/contacts`, {
+      headers: {
+        'Accept': 'application/json',
+        'Cache-Control': 'no-cache',
+        ...getDeviceHeaders(deviceId)
+      }
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    const { contacts } = await response.json();
+    return contacts.map(contact => ({ ...contact, pictureUrl: `${SERVER_URL}${contact.pictureUrl}` }));
+  } catch (error) {
+    console.log(`❌ Failed to fetch contacts: ${error.message}`);
+    return null;
+  }
+};
+
+// A voicemail or video message with its media and sender picture URLs made absolute
+const withAbsoluteUrls = (item) => ({
+  ...item,
+  mediaUrl: `${SERVER_URL}${item.mediaUrl}`,
+  familyUser: item.familyUser && {
+    ...item.familyUser,
+    pictureUrl: `${SERVER_URL}${item.familyUser.pictureUrl}`
+  }
+});
+
+/**
+ * Fetches the voicemails left for a device, newest first
+ * @param {string} deviceId - Recipient device
+ * @returns {Promise<Object|null>} { voicemails, unheardCount } with absolute media and picture
+ *   URLs, or null if unreachable
+ */
+export const fetchVoicemails = async (deviceId) => {
+  try {
+    const response = await fetch(`${SERVER_URL}/voicemails`, {
+      headers: {
+        'Accept': 'application/json',
+        'Cache-Control': 'no-cache',
+        ...getDeviceHeaders(deviceId)
+      }
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    const { voicemails, unheardCount } = await response.json();
+    return { voicemails: voicemails.map(withAbsoluteUrls), unheardCount };
+  } catch (error) {
+    console.log(`❌ Failed to fetch voicemails: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Where a player can stream a voicemail or video message from (the media routes need the
+ * device headers)
+ * @param {string} deviceId - Device playing it
+ * @param {Object} item - Voicemail from fetchVoicemails or message from fetchVideoMessages
+ * @returns {Object} { uri, headers } for a media player source
+ */
+export const getMediaSource = (deviceId, item) => ({
+  uri: item.mediaUrl,
+  headers: getDeviceHeaders(deviceId)
+});
+
+/**
+ * Marks a voicemail as heard, so the kiosk stops showing it as new
+ * @param {string} deviceId - Recipient device
+ * @param {string} voicemailId - Voicemail that was played
+ * @returns {Promise<boolean>} True if the server recorded it
+ */
+export const markVoicemailHeard = async (deviceId, voicemailId) => {
+  try {
+    const response = await fetch(`${SERVER_URL}/voicemails/${voicemailId}/heard`, {
+      method: 'POST',
+      headers: getDeviceHeaders(deviceId)
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    return true;
+  } catch (error) {
+    console.log(`❌ Failed to mark voicemail heard: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Uploads a recorded message for a call that wasn't answered. The server offers one in the
+ * callEnded or callError event for the call (voicemail: { callId, maxSeconds, maxBytes }).
+ * @param {string} deviceId - Device that placed the call
+ * @param {string} callId - Call the message is for
+ * @param {Object} recording - { uri, type, name } of the recorded file
+ * @param {number} durationSeconds - Length of the recording
+ * @returns {Promise<Object>} The saved voicemail
+ */
+export const uploadVoicemail = async (deviceId, callId, recording, durationSeconds) => {
+  const body = new FormData();
+  body.append('message', recording);
+  const query = `callId=${encodeURIComponent(callId)}&durationSeconds=${Math.round(durationSeconds)}`;
+  const response = await fetch(`${SERVER_URL}/voicemails?${query}`, {
+    method: 'POST',
+    headers: getDeviceHeaders(deviceId),
+    body
+  });
+  if (!response.ok) {
+    throw await toServerError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Fetches video messages: on Bill's phone, the ones waiting for him; on a family device, the
+ * ones its family member sent (with firstWatchedAt once Bill has seen them). Newest first.
+ * @param {string} deviceId - Device asking
+ * @param {Object} options - { unwatched: only messages Bill hasn't seen yet }
+ * @returns {Promise<Object|null>} { messages, unwatchedCount } with absolute media and picture
+ *   URLs, or null if they couldn't be fetched
+ */
+export const fetchVideoMessages = async (deviceId, { unwatched = false } = {}) => {
+  try {
+    const response = await fetch(`${SERVER_URL}/messages${unwatched ? '?unwatched=true' : ''}`, {
+      headers: {
+        'Accept': 'application/json',
+        'Cache-Control': 'no-cache',
+        ...getDeviceHeaders(deviceId)
+      }
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    const { messages, unwatchedCount } = await response.json();
+    return { messages: messages.map(withAbsoluteUrls), unwatchedCount };
+  } catch (error) {
+    console.log(`❌ Failed to fetch video messages: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Tells the server Bill has watched a video message; the first time is shown to its sender
+ * @param {string} deviceId - Bill's device
+ * @param {string} messageId - Message that was played
+ * @returns {Promise<boolean>} True if the server recorded it
+ */
+export const markVideoMessageWatched = async (deviceId, messageId) => {
+  try {
+    const response = await fetch(`${SERVER_URL}/messages/${messageId}/watched`, {
+      method: 'POST',
+      headers: getDeviceHeaders(deviceId)
+    });
+    if (!response.ok) {
+      throw await toServerError(response);
+    }
+    return true;
+  } catch (error) {
+    console.log(`❌ Failed to mark video message watched: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Sends Bill a video message from the family member the device is linked to
+ * @param {string} deviceId - Family device sending it
+ * @param {Object} video - { uri, type, name } of the recorded file
+ * @param {Object} options - { durationSeconds, expiresInHours (server default 72) }
+ * @returns {Promise<Object>} The saved message
+ */
+export const uploadVideoMessage = async (deviceId, video, { durationSeconds, expiresInHours } = {}) => {
+  const body = new FormData();
+  body.append('video', video);
+  const query = new URLSearchParams();
+  if (Number.isFinite(durationSeconds)) query.set('durationSeconds', String(Math.round(durationSeconds)));
+  if (expiresInHours) query.set('expiresInHours', String(expiresInHours));
+  const response = await fetch(`${SERVER_URL}/messages?${query.toString()}`, {
+    method: 'POST',
+    headers: getDeviceHeaders(deviceId),
+    body
+  });
+  if (!response.ok) {
+    throw await toServerError(response);
+  }
+  return response.json();
+};
+
 /**
  * Tests connectivity to the signaling server
  * @param {Function} logger - Logging function
@@ -128,13 +468,14 @@ export const testServerConnectivity = async (logger = console.log) => {
 /**
  * Tests WebRTC ICE gathering (validates TURN connectivity)
  * @param {Function} logger - Logging function
+ * @param {Object} options - Test options ({ deviceId } to request TURN credentials)
  * @returns {Promise<Object>} Test results object
  */
-export const testICEGathering = async (logger = console.log) => {
+export const testICEGathering = async (logger = console.log, { deviceId } = {}) => {
   try {
     logger('🧪 Testing ICE candidate gathering...');
     
-    const config = await getWebRTCConfiguration(logger);
+    const config = await getWebRTCConfiguration(logger, { deviceId });
     
     // Import WebRTC components
     const { RTCPeerConnection, MediaStream } = require('react-native-webrtc');
@@ -247,9 +588,10 @@ export const testICEGathering = async (logger = console.log) => {
 /**
  * Comprehensive connectivity test
  * @param {Function} logger - Logging function
+ * @param {Object} options - Test options ({ deviceId } to request TURN credentials)
  * @returns {Promise<Object>} Comprehensive test results
  */
-export const runConnectivityTests = async (logger = console.log) => {
+export const runConnectivityTests = async (logger = console.log, { deviceId } = {}) => {
   logger('🚀 Starting comprehensive connectivity tests...');
   
   const results = {
@@ -269,7 +611,7 @@ export const runConnectivityTests = async (logger = console.log) => {
   
   // Test 2: Config fetching
   try {
-    await getWebRTCConfiguration(logger);
+    await getWebRTCConfiguration(logger, { deviceId });
     results.configFetched = true;
   } catch (error) {
     logger(`❌ Config fetch failed: ${error.message}`);
@@ -278,7 +620,7 @@ export const runConnectivityTests = async (logger = console.log) => {
   
   // Test 3: ICE gathering
   if (results.configFetched) {
-    results.iceGathering = await testICEGathering(logger);
+    results.iceGathering = await testICEGathering(logger, { deviceId });
     results.overall = results.iceGathering.success;
   }
   
@@ -25,7 +25,7 @@ import InCallManager from 'react-native-incall-manager';
 import io from 'socket.io-client';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 // Import WebRTC helper functions
-import { getWebRTCConfiguration, testServerConnectivity, runConnectivityTests } from './WebRTCHelper';
+import { getWebRTCConfiguration, startWebRTCConfigRefresh, testServerConnectivity, runConnectivityTests, getDeviceSecret } from './WebRTCHelper';
 
 /**
  * WebRTCRoleTester
@@ -46,6 +46,7 @@ const WebRTCRoleTester = () => {
   // State - Connection and call
   const [callStatus, setCallStatus] = useState('idle'); // idle, connecting, calling, connected
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
+  const [targetPresence, setTargetPresence] = useState(null); // Presence of the device we call
   const [localStream, setLocalStream] = useState(null);
   const [remoteStream, setRemoteStream] = useState(null);
   const [logs, setLogs] = useState([]);
@@ -60,8 +61,15 @@ const WebRTCRoleTester = () => {
 
   // Refs
   const socketRef = useRef(null);
+  const callIdRef = useRef(null); // Server-assigned ID of the current call
   const peerConnectionRef = useRef(null);
   const logsRef = useRef([]);
+  const targetIdRef = useRef(targetId); // Read by socket listeners, which outlive renders
+
+  useEffect(() => {
+    targetIdRef.current = targetId;
+    setTargetPresence(null);
+  }, [targetId]);
 
   // Check for updates on startup
   useEffect(() => {
@@ -120,6 +128,24 @@ const WebRTCRoleTester = () => {
     };
   }, [role]);
 
+  // Keep TURN credentials fresh while the app stays open (they expire server-side)
+  useEffect(() => {
+    if (!role) return;
+
+    const stopRefresh = startWebRTCConfigRefresh({
+      deviceId: role,
+      logger: log,
+      onRefresh: (configuration) => {
+        if (peerConnectionRef.current) {
+          peerConnectionRef.current.setConfiguration(configuration);
+          log('🔐 Applied refreshed TURN credentials to active connection');
+        }
+      }
+    });
+
+    return stopRefresh;
+  }, [role]);
+
   // Enhanced logging function
   const log = (message) => {
     const timestamp = new Date().toLocaleTimeString();
@@ -386,6 +412,7 @@ const WebRTCRoleTester = () => {
       // Register device with additional iOS metadata
       const registrationData = {
         deviceId: role,
+        deviceSecret: getDeviceSecret(role),
         platform: 'ios',
         version: Constants.expoConfig?.version || '1.0.0',
         buildNumber: Constants.expoConfig?.ios?.buildNumber || '7',
@@ -434,12 +461,33 @@ const WebRTCRoleTester = () => {
       log(`Connection health check: ${Date.now() - data.timestamp}ms`);
     });
 
+    socket.on('registrationFailed', (data) => {
+      log(`❌ Registration failed for ${data.deviceId}: ${data.message} (${data.code}, request ${data.requestId})`);
+      setConnectionStatus('Registration Failed');
+    });
+
+    socket.on('registrationReplaced', (data) => {
+      log(`⚠️ ${data.deviceId} connected from another session; this one was closed`);
+      setConnectionStatus('Replaced by another session');
+    });
+
     // Enhanced registration confirmation
     socket.on('registered', (data) => {
       log(`✅ Registration confirmed for ${data.deviceId} at ${data.timestamp}`);
+      const presence = (data.presence || []).find(device => device.deviceId === targetIdRef.current);
+      setTargetPresence(presence || null);
+    });
+
+    // Presence updates for devices we are allowed to see
+    socket.on('presenceChanged', (data) => {
+      log(`👀 ${data.deviceId} is ${data.state}`);
+      if (data.deviceId === targetIdRef.current) {
+        setTargetPresence(data);
+      }
     });
 
     socket.on('incomingCall', async (data) => {
+      callIdRef.current = data.callId || null;
       log(`Incoming call from: ${data.from} (Platform: ${data.callerPlatform || 'unknown'})`);
       
       // Only accept calls from our target or the other role
@@ -460,7 +508,7 @@ const WebRTCRoleTester = () => {
               {
                 text: 'Decline',
                 onPress: () => {
-                  socket.emit('callRejected', { to: data.from });
+                  socket.emit('callRejected', { to: data.from, callId: data.callId, reason: 'DECLINED' });
                   setCallStatus('idle');
                 },
                 style: 'cancel',
@@ -505,29 +553,27 @@ const WebRTCRoleTester = () => {
     });
 
     socket.on('callEnded', (data) => {
-      log(`Call ended by: ${data.from}`);
+      log(`Call ended by: ${data.from || 'server'} (${data.reason || 'unknown reason'})`);
       endCall();
     });
 
     socket.on('callRejected', (data) => {
-      log(`Call rejected by: ${data.from}`);
-      Alert.alert('Call Rejected', 'The other party rejected the call');
+      log(`Call rejected by: ${data.from} (${data.reason || 'DECLINED'})`);
+      Alert.alert('Call Rejected', data.message || 'The other party rejected the call');
       endCall();
     });
 
     socket.on('callProgress', (data) => {
+      callIdRef.current = data.callId || null;
       log(`Call progress: ${data.status} to ${data.target}`);
     });
 
     socket.on('callError', (data) => {
-      log(`Call error: ${data.message} (${data.code})`);
+      log(`Call error: ${data.message} (${data.code}, request ${data.requestId})`);
       Alert.alert('Call Error', data.message);
       setCallStatus('idle');
     });
 
-    socket.on('userDisconnected', (data) => {
-      log(`User disconnected: ${data.socketId} (${data.platform || 'unknown'}) - ${data.reason}`);
-    });
   };
 
   // Set up WebRTC peer connection with enhanced TURN configuration
@@ -571,7 +617,7 @@ const WebRTCRoleTester = () => {
       
       // Get WebRTC configuration from server (NO HARDCODED SECRETS)
       log('🔧 Fetching WebRTC configuration from server...');
-      const configuration = await getWebRTCConfiguration(log);
+      const configuration = await getWebRTCConfiguration(log, { deviceId: role });
       
       // Log configuration summary
       const turnServers = configuration.iceServers.filter(server => 
@@ -648,6 +694,7 @@ const WebRTCRoleTester = () => {
           
           socketRef.current.emit('iceCandidate', {
             to: targetId,
+            callId: callIdRef.current,
             candidate: event.candidate
           });
         } else {
@@ -747,7 +794,7 @@ const WebRTCRoleTester = () => {
     setCallStatus('testing');
     
     try {
-      const results = await runConnectivityTests(log);
+      const results = await runConnectivityTests(log, { deviceId: role });
       
       if (results.overall) {
         Alert.alert(
@@ -841,6 +888,7 @@ const WebRTCRoleTester = () => {
       log(`Sending answer to: ${data.from}`);
       socketRef.current.emit('answerCall', {
         to: data.from,
+        callId: data.callId,
         answer,
       });
       
@@ -858,8 +906,9 @@ const WebRTCRoleTester = () => {
     setCallStatus('idle');
     
     if (socketRef.current) {
-      socketRef.current.emit('endCall', { to: targetId });
+      socketRef.current.emit('endCall', { to: targetId, callId: callIdRef.current });
     }
+    callIdRef.current = null;
     
     // Stop the InCallManager when call ends
     InCallManager.stop();
@@ -935,7 +984,7 @@ const WebRTCRoleTester = () => {
     socket.off('registered');
     socket.off('callProgress');
     socket.off('callError');
-    socket.off('userDisconnected');
+    socket.off('presenceChanged');
     socket.off('pong');
   };
 
@@ -1022,6 +1071,18 @@ const WebRTCRoleTester = () => {
           </Text>
         </View>
         
+        <View style={styles.statusRow}>
+          <Text style={styles.statusLabel}>{targetId}:</Text>
+          <Text style={[
+            styles.statusValue,
+            targetPresence?.state === 'online' ? styles.connectedStatus :
+            targetPresence?.state === 'in-call' ? styles.callingStatus :
+            targetPresence?.state === 'idle' ? styles.idleStatus : styles.disconnectedStatus
+          ]}>
+            {targetPresence ? targetPresence.state : 'unknown'}
+          </Text>
+        </View>
+        
         <View style={styles.statusRow}>
           <Text style={styles.statusLabel}>Call Status:</Text>
           <Text style={[
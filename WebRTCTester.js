@@ -104,7 +104,7 @@ const WebRTCTester = () => {
           {
             text: 'Decline',
             onPress: () => {
-              socket.emit('callRejected', { to: data.from });
+              socket.emit('callRejected', { to: data.from, callId: data.callId, reason: 'DECLINED' });
             },
             style: 'cancel',
           },
@@ -150,7 +150,7 @@ const WebRTCTester = () => {
     });
 
     socket.on('callRejected', (data) => {
-      log(`Call rejected by: ${data.from}`);
+      log(`Call rejected by: ${data.from} (${data.reason || 'DECLINED'})`);
       endCall();
       Alert.alert('Call Rejected', 'The call was rejected');
     });
@@ -7,11 +7,13 @@ import {
   Text,
   Animated
 } from 'react-native';
-import { PlaceholderImage } from './temp-image-solution';
+import { PlaceholderImage, createPlaceholderImage } from './temp-image-solution';
 
 /**
  * Contact component with animated white outline effect
  * Replaces the generic call button with contact-specific profile images
+ * badgeCount shows how many video messages from the contact are waiting; tapping the badge
+ * calls onBadgePress
  */
 const Contact = ({ 
   name, 
@@ -19,10 +21,20 @@ const Contact = ({
   onPress, 
   disabled = false, 
   size = 220,
-  animationEnabled = true
+  animationEnabled = true,
+  statusText = null,
+  badgeCount = 0,
+  onBadgePress = null
 }) => {
   // Animation for the pulsing white outline effect
   const [pulseAnim] = useState(new Animated.Value(1));
+  // Picture URLs can't load while offline; fall back to the name placeholder
+  const [imageFailed, setImageFailed] = useState(false);
+  const shownImage = imageSource && !imageFailed ? imageSource : createPlaceholderImage(name);
+  
+  useEffect(() => {
+    setImageFailed(false);
+  }, [imageSource && imageSource.uri]);
   
   // Set up the pulsing animation when component mounts
   useEffect(() => {
@@ -89,9 +101,9 @@ const Contact = ({
       />
       
       {/* Profile image - handle both real images and placeholders */}
-      {imageSource && imageSource.__isPlaceholder ? (
+      {shownImage.__isPlaceholder ? (
         <PlaceholderImage 
-          source={imageSource} 
+          source={shownImage} 
           style={[
             styles.image,
             dimensions.image,
@@ -100,16 +112,29 @@ const Contact = ({
         />
       ) : (
         <Image 
-          source={imageSource} 
+          source={shownImage} 
           style={[
             styles.image,
             dimensions.image,
             disabled && styles.disabledImage
           ]}
           resizeMode="cover"
+          onError={() => setImageFailed(true)}
         />
       )}
       
+      {/* Waiting video messages; the badge can be tapped even when calling is disabled */}
+      {badgeCount > 0 && (
+        <TouchableOpacity
+          style={[styles.badge, { right: size * 0.02, top: size * 0.02 }]}
+          onPress={onBadgePress}
+          disabled={!onBadgePress}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.badgeText}>{badgeCount}</Text>
+        </TouchableOpacity>
+      )}
+      
       {/* Name label */}
       <Text style={[
         styles.nameText,
@@ -117,6 +142,11 @@ const Contact = ({
       ]}>
         {name}
       </Text>
+      
+      {/* Why the contact can't be called right now, e.g. "Available at 5:00 PM" */}
+      {statusText && (
+        <Text style={styles.statusText}>{statusText}</Text>
+      )}
     </TouchableOpacity>
   );
 };
@@ -152,6 +182,31 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 1, height: 1 },
     textShadowRadius: 3,
   },
+  statusText: {
+    color: '#F39C12',
+    fontSize: 18,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  badge: {
+    position: 'absolute',
+    minWidth: 56,
+    height: 56,
+    borderRadius: 28,
+    paddingHorizontal: 12,
+    backgroundColor: '#E74C3C',
+    borderColor: 'white',
+    borderWidth: 3,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 2,
+    elevation: 10,
+  },
+  badgeText: {
+    color: 'white',
+    fontSize: 26,
+    fontWeight: 'bold',
+  },
   disabledContainer: {
     opacity: 0.6,
   },
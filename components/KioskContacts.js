@@ -0,0 +1,75 @@
+/**
+ * Bill's contact list, served by the signaling server (GET /kiosk/contacts)
+ * Each contact is a family member with their linked device IDs, picture URL and whether
+ * Bill can call them right now. The last list fetched is kept in AsyncStorage so the
+ * kiosk still shows its contacts when it starts without a connection.
+ */
+import { useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fetchKioskContacts } from '../WebRTCHelper';
+
+const CACHE_KEY = 'kioskContacts';
+const REFRESH_INTERVAL_MS = 60000;
+
+// Last list saved by useKioskContacts, or an empty list
+export const loadCachedContacts = async () => {
+  try {
+    const cached = await AsyncStorage.getItem(CACHE_KEY);
+    return cached ? JSON.parse(cached) : [];
+  } catch (error) {
+    console.log(`❌ Failed to read cached contacts: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Keeps the contact list up to date: the cached copy first, then the server's every minute
+ * and whenever refreshKey changes (e.g. when a call finishes).
+ * @returns {{ contacts: Array, isStale: boolean }} isStale is true while only the cached
+ *   copy is available, so callable states may be out of date
+ */
+export const useKioskContacts = (deviceId, refreshKey) => {
+  const [contacts, setContacts] = useState([]);
+  const [isStale, setIsStale] = useState(true);
+
+  // Show the cached list straight away on start
+  useEffect(() => {
+    let isMounted = true;
+    loadCachedContacts().then((cached) => {
+      if (isMounted) setContacts(current => (current.length ? current : cached));
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    let isMounted = true;
+    const refresh = async () => {
+      const fresh = await fetchKioskContacts(deviceId);
+      if (!isMounted) return;
+      if (!fresh) {
+        setIsStale(true);
+        return;
+      }
+      setContacts(fresh);
+      setIsStale(false);
+      AsyncStorage.setItem(CACHE_KEY, JSON.stringify(fresh)).catch((error) => {
+        console.log(`❌ Failed to cache contacts: ${error.message}`);
+      });
+    };
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [deviceId, refreshKey]);
+
+  return { contacts, isStale };
+};
+
+// The contact a device belongs to, if any
+export const findContactByDeviceId = (contacts, deviceId) =>
+  contacts.find(contact => contact.deviceIds.includes(deviceId));
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Image, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Video, ResizeMode } from 'expo-av';
+import { PlaceholderImage, createPlaceholderImage } from './temp-image-solution';
+import { getMediaSource } from '../WebRTCHelper';
+
+// Sender's photo, or the name placeholder when there is none or it can't load (offline)
+export const SenderPhoto = ({ message, style }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+  const name = message.familyUser ? message.familyUser.name : 'Family';
+  if (!message.familyUser || imageFailed) {
+    return <PlaceholderImage source={createPlaceholderImage(name)} style={style} />;
+  }
+  return (
+    <Image
+      source={{ uri: message.familyUser.pictureUrl }}
+      style={style}
+      resizeMode="cover"
+      onError={() => setImageFailed(true)}
+    />
+  );
+};
+
+/**
+ * Full-screen playback of a voicemail or video message, streamed from the server. Video fills
+ * the screen; audio shows the sender's photo. onFinished is called when it has played to the
+ * end or Bill taps the screen.
+ */
+const MessagePlayer = ({ deviceId, message, caption, onFinished }) => {
+  const [failed, setFailed] = useState(false);
+  const isVideo = message.mediaKind !== 'audio';
+
+  return (
+    <TouchableOpacity style={styles.player} onPress={onFinished} activeOpacity={1}>
+      {!isVideo && <SenderPhoto message={message} style={styles.playerPhoto} />}
+      <Video
+        key={message.id}
+        source={getMediaSource(deviceId, message)}
+        style={isVideo ? styles.playerVideo : styles.hiddenVideo}
+        resizeMode={ResizeMode.CONTAIN}
+        shouldPlay
+        onPlaybackStatusUpdate={(status) => {
+          if (status.isLoaded && status.didJustFinish) onFinished();
+        }}
+        onError={(error) => {
+          console.log(`❌ Message playback failed: ${error}`);
+          setFailed(true);
+        }}
+      />
+      <Text style={styles.playerCaption}>
+        {failed ? 'This message can\'t be played right now' : caption || `Message from ${message.familyUser ? message.familyUser.name : 'family'}`}
+      </Text>
+      <Text style={styles.playerHint}>Tap to close</Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  player: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'black',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10,
+  },
+  playerPhoto: {
+    width: 260,
+    height: 260,
+    borderRadius: 130,
+    backgroundColor: '#27AE60',
+  },
+  playerVideo: {
+    width: '100%',
+    flex: 1,
+  },
+  hiddenVideo: {
+    width: 0,
+    height: 0,
+  },
+  playerCaption: {
+    color: 'white',
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  playerHint: {
+    color: '#D6EAF8',
+    fontSize: 20,
+    marginTop: 8,
+  },
+});
+
+export default MessagePlayer;
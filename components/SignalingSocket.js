@@ -0,0 +1,79 @@
+/**
+ * The kiosk's connection to the signaling server. It stays open and registered for as long
+ * as the app runs, not just during calls, so family can reach Bill and the server knows he is
+ * there (it only sends group call invitations while his phone is connected and free).
+ */
+import { useState, useEffect } from 'react';
+import io from 'socket.io-client';
+import { getDeviceSecret } from '../WebRTCHelper';
+
+// Signaling server URL as specified in requirements
+const SIGNALING_SERVER_URL = 'https://api.justinmolds.com';
+// The server marks a device idle after 90 seconds without a heartbeat
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Connects as deviceId, registers on every (re)connection and sends a heartbeat every 30
+ * seconds. The socket is disconnected when the app unmounts.
+ * @returns {{ socket: Object|null, isRegistered: boolean }} the socket (null until created)
+ *   and whether the server has accepted the registration on the current connection
+ */
+export const useSignalingSocket = (deviceId) => {
+  const [socket, setSocket] = useState(null);
+  const [isRegistered, setIsRegistered] = useState(false);
+
+  useEffect(() => {
+    console.log('Initializing socket connection to:', SIGNALING_SERVER_URL);
+    // No limit on reconnection attempts: the kiosk should come back however long the server was away
+    const connection = io(SIGNALING_SERVER_URL, {
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 10000,
+      // Add explicit transport options to avoid WebSocket issues on iOS
+      transports: ['websocket', 'polling'],
+    });
+
+    const register = () => {
+      connection.emit('register', { deviceId, deviceSecret: getDeviceSecret(deviceId) });
+    };
+
+    // Register device ID when connected, and again after every reconnection
+    connection.on('connect', () => {
+      console.log('Connected to signaling server');
+      register();
+    });
+    connection.on('reconnect', () => {
+      console.log('Reconnected to signaling server');
+      register();
+    });
+    connection.on('registered', () => setIsRegistered(true));
+    connection.on('registrationFailed', ({ code, message, requestId }) => {
+      console.error(`Registration failed (${code}): ${message} [request ${requestId}]`);
+    });
+    connection.on('disconnect', () => {
+      console.log('Disconnected from signaling server');
+      setIsRegistered(false);
+    });
+    connection.on('error', (error) => {
+      console.error('Socket error:', error);
+      // Don't crash on socket errors
+    });
+
+    const heartbeat = setInterval(() => {
+      if (connection.connected) {
+        connection.emit('ping', { timestamp: Date.now() });
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    setSocket(connection);
+    return () => {
+      clearInterval(heartbeat);
+      connection.disconnect();
+      setSocket(null);
+      setIsRegistered(false);
+    };
+  }, [deviceId]);
+
+  return { socket, isRegistered };
+};
@@ -0,0 +1,57 @@
+/**
+ * Video messages family members left for Bill (GET /messages). The kiosk shows how many are
+ * waiting from each contact as a badge on their photo; playing one tells the server it was
+ * watched, which its sender can see.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { fetchVideoMessages, markVideoMessageWatched } from '../WebRTCHelper';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+/**
+ * Keeps the waiting messages up to date: fetched every 30 seconds and whenever refreshKey
+ * changes (e.g. when a call finishes). The last list fetched is kept while offline; messages
+ * that expire in the meantime are dropped.
+ * @returns {{ waiting: Map, markWatched: Function }} unwatched messages by family user ID,
+ *   oldest first, and a function that marks one watched
+ */
+export const useVideoMessages = (deviceId, refreshKey) => {
+  const [messages, setMessages] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const fresh = await fetchVideoMessages(deviceId, { unwatched: true });
+    if (fresh) {
+      setMessages(fresh.messages);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    let isMounted = true;
+    const refreshIfMounted = () => {
+      if (isMounted) refresh();
+    };
+    refreshIfMounted();
+    const interval = setInterval(refreshIfMounted, REFRESH_INTERVAL_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [refresh, refreshKey]);
+
+  // Hidden straight away; the server copy is updated in the background
+  const markWatched = useCallback(async (messageId) => {
+    setMessages(current => current.filter(message => message.id !== messageId));
+    await markVideoMessageWatched(deviceId, messageId);
+  }, [deviceId]);
+
+  const waiting = new Map();
+  const now = Date.now();
+  // The server lists newest first; Bill watches them in the order they were sent
+  [...messages].reverse().forEach(message => {
+    if (new Date(message.expiresAt).getTime() <= now) return;
+    const senderId = message.familyUser.id;
+    waiting.set(senderId, [...(waiting.get(senderId) || []), message]);
+  });
+
+  return { waiting, markWatched };
+};
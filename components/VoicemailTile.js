@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { SenderPhoto } from './MessagePlayer';
+
+/**
+ * Large "new message" tile with the caller's photo; one tap plays the message
+ */
+const VoicemailTile = ({ voicemail, count = 1, onPress }) => (
+  <TouchableOpacity style={styles.tile} onPress={onPress} activeOpacity={0.7}>
+    <SenderPhoto message={voicemail} style={styles.tilePhoto} />
+    <View style={styles.tileText}>
+      <Text style={styles.tileTitle}>New message</Text>
+      <Text style={styles.tileName}>from {voicemail.familyUser ? voicemail.familyUser.name : 'family'}</Text>
+      {count > 1 && <Text style={styles.tileMore}>{count - 1} more after this</Text>}
+      <Text style={styles.tileHint}>Tap to play</Text>
+    </View>
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  tile: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2471A3',
+    borderColor: 'white',
+    borderWidth: 3,
+    borderRadius: 24,
+    paddingVertical: 16,
+    paddingHorizontal: 24,
+    marginBottom: 24,
+  },
+  tilePhoto: {
+    width: 140,
+    height: 140,
+    borderRadius: 70,
+    backgroundColor: '#27AE60',
+  },
+  tileText: {
+    marginLeft: 24,
+  },
+  tileTitle: {
+    color: 'white',
+    fontSize: 36,
+    fontWeight: 'bold',
+  },
+  tileName: {
+    color: 'white',
+    fontSize: 28,
+  },
+  tileMore: {
+    color: '#D6EAF8',
+    fontSize: 20,
+    marginTop: 4,
+  },
+  tileHint: {
+    color: '#D6EAF8',
+    fontSize: 20,
+    marginTop: 8,
+  },
+});
+
+export default VoicemailTile;
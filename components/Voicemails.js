@@ -0,0 +1,52 @@
+/**
+ * Voicemails left for the kiosk by family members whose calls weren't answered
+ * (GET /voicemails). The newest unheard message is shown as a "new message" tile; playing
+ * it marks it heard on the server.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { fetchVoicemails, markVoicemailHeard } from '../WebRTCHelper';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+/**
+ * Keeps the voicemail list up to date: fetched every 30 seconds and whenever refreshKey
+ * changes (e.g. when a call finishes). The last list fetched is kept while offline.
+ * @returns {{ unheard: Array, markHeard: Function }} unheard messages, newest first, and a
+ *   function that marks one heard
+ */
+export const useVoicemails = (deviceId, refreshKey) => {
+  const [voicemails, setVoicemails] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const fresh = await fetchVoicemails(deviceId);
+    if (fresh) {
+      setVoicemails(fresh.voicemails);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    let isMounted = true;
+    const refreshIfMounted = () => {
+      if (isMounted) refresh();
+    };
+    refreshIfMounted();
+    const interval = setInterval(refreshIfMounted, REFRESH_INTERVAL_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [refresh, refreshKey]);
+
+  // Hidden straight away; the server copy is updated in the background
+  const markHeard = useCallback(async (voicemailId) => {
+    setVoicemails(current => current.map(voicemail => (
+      voicemail.id === voicemailId ? { ...voicemail, heardAt: new Date().toISOString() } : voicemail
+    )));
+    await markVoicemailHeard(deviceId, voicemailId);
+  }, [deviceId]);
+
+  return {
+    unheard: voicemails.filter(voicemail => !voicemail.heardAt),
+    markHeard
+  };
+};
@@ -14,28 +14,64 @@ import {
   mediaDevices,
   RTCView,
 } from 'react-native-webrtc';
-import io from 'socket.io-client';
 
 const { width, height } = Dimensions.get('window');
 
-// Signaling server URL as specified in requirements
-const SIGNALING_SERVER_URL = 'https://api.justinmolds.com';
-// Specific device IDs for production use
-// Bill's phone has a fixed ID so it can be consistently reached
-const DEVICE_ID = 'bills-iphone';
-// The trusted contact's ID that Bill can call
-const TRUSTED_CONTACT_ID = 'family-caller';
+// Same ICE servers as a one-to-one call; a group call has one peer connection per family member
+const ICE_CONFIGURATION = {
+  iceServers: [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+    { urls: 'stun:stun2.l.google.com:19302' },
+    { urls: 'stun:stun3.l.google.com:19302' },
+    { urls: 'stun:stun4.l.google.com:19302' }
+  ]
+};
 
-const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCallStatus }) => {
+/**
+ * @param {Object} socket - The kiosk's registered signaling socket (see useSignalingSocket)
+ * @param {boolean} isRegistered - Whether the server has accepted the socket's registration
+ * @param {string} targetDeviceId - Device Bill is calling (from his contact list)
+ * @param {{from: string, offer: Object, callId: string}} incomingCall - The call App.js picked
+ *   up while idle, when mounted as 'incoming'
+ * @param {string} invitedRoomId - Group call the server already started from an invitation,
+ *   when mounted as 'group'; without it a 'group' call creates a room
+ * @param {Array<{deviceId: string, name: string}>} groupMembers - Who a 'group' call invites (up to 4),
+ *   and the names on its tiles
+ */
+const WebRTCCall = ({
+  socket: signalingSocket,
+  isRegistered: isSocketRegistered,
+  isCallEnabled,
+  onCallStatusChange,
+  callStatus: externalCallStatus,
+  targetDeviceId,
+  incomingCall = null,
+  invitedRoomId = null,
+  groupMembers = []
+}) => {
   const [localStream, setLocalStream] = useState(null);
   const [remoteStream, setRemoteStream] = useState(null);
   // Internal call status is synchronized with external status from App.js
   const [callStatus, setCallStatus] = useState(externalCallStatus || 'idle'); // idle, calling, incoming, connected
   const [isMuted, setIsMuted] = useState(false);
   const [isSpeakerOn, setIsSpeakerOn] = useState(true);
+  const [isRecording, setIsRecording] = useState(false); // Both sides agreed to record this call
+  const [groupStreams, setGroupStreams] = useState({}); // Family device ID -> their stream, one tile each
   
   const peerConnection = useRef(null);
-  const socket = useRef(null);
+  // The socket listeners are set up once, so they read the socket and its registration
+  // through refs
+  const socket = useRef(signalingSocket);
+  socket.current = signalingSocket;
+  const isRegistered = useRef(isSocketRegistered);
+  isRegistered.current = isSocketRegistered;
+  const callId = useRef(null); // Server-assigned ID of the current call
+  const peerDeviceId = useRef(targetDeviceId || null); // The other end of the current call
+  // Group call: Bill's phone offers to each family member as they join the room
+  const roomId = useRef(null);
+  const roomPeers = useRef(new Map()); // Family device ID -> peer connection
+  const groupLocalStream = useRef(null);
 
   // Update internal state when external callStatus changes
   useEffect(() => {
@@ -46,146 +82,203 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
       // If external status is 'calling', initiate the call
       if (externalCallStatus === 'calling') {
         makeCall();
+      } else if (externalCallStatus === 'group') {
+        startGroupCall();
       }
     }
   }, [externalCallStatus]);
   
-  // Initialize WebRTC and socket connection - with deferred socket initialization
-  // and proper error handling for TestFlight builds
+  // Listen on the kiosk's socket (App.js keeps it connected) while this call is on screen,
+  // and start the call App.js mounted this component for. Only the listeners are removed on
+  // unmount; the socket stays connected.
   useEffect(() => {
     let isMounted = true;
+    const listeners = [];
+    const listen = (event, handler) => {
+      socket.current.on(event, handler);
+      listeners.push([event, handler]);
+    };
     
-    // Function to safely initialize socket connection
-    const initializeSocket = async () => {
+    // Handle ICE candidates safely
+    listen('iceCandidate', async ({ candidate }) => {
       try {
-        // Only create the socket if it doesn't already exist
-        if (!socket.current) {
-          console.log('Initializing socket connection to:', SIGNALING_SERVER_URL);
-          
-          // Setup socket connection with reconnection options
-          socket.current = io(SIGNALING_SERVER_URL, {
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 10000,
-            // Add explicit transport options to avoid WebSocket issues on iOS
-            transports: ['websocket', 'polling'],
-          });
-          
-          // Register device ID when connected
-          socket.current.on('connect', () => {
-            console.log('Connected to signaling server');
-            if (socket.current) {
-              socket.current.emit('register', { deviceId: DEVICE_ID });
-            }
-          });
-          
-          // Handle reconnection events
-          socket.current.on('reconnect', () => {
-            console.log('Reconnected to signaling server');
-            if (socket.current) {
-              socket.current.emit('register', { deviceId: DEVICE_ID });
-            }
-          });
-          
-          socket.current.on('disconnect', () => {
-            console.log('Disconnected from signaling server');
-          });
-          
-          socket.current.on('error', (error) => {
-            console.error('Socket error:', error);
-            // Don't crash on socket errors
-          });
-          
-          // Listen for incoming calls with safe error handling
-          socket.current.on('incomingCall', async ({ from, offer }) => {
-            try {
-              // Only accept calls from trusted contact
-              if (from === TRUSTED_CONTACT_ID && isMounted) {
-                setCallStatus('incoming');
-                onCallStatusChange('incoming');
-                
-                // Create peer connection when receiving a call
-                const success = await setupPeerConnection();
-                
-                // Only proceed if peer connection was successfully created
-                if (success && peerConnection.current && isMounted) {
-                  // Set the remote description with the offer
-                  const remoteDesc = new RTCSessionDescription(offer);
-                  await peerConnection.current.setRemoteDescription(remoteDesc);
-                }
-              }
-            } catch (error) {
-              console.error('Error handling incoming call:', error);
-              // Don't crash on errors handling incoming calls
-            }
-          });
-          
-          // Handle ICE candidates safely
-          socket.current.on('iceCandidate', async ({ candidate }) => {
-            try {
-              if (peerConnection.current && isMounted) {
-                await peerConnection.current.addIceCandidate(
-                  new RTCIceCandidate(candidate)
-                );
-              }
-            } catch (error) {
-              console.error('Error adding ICE candidate:', error);
-              // Don't crash on ICE candidate errors
-            }
-          });
-          
-          // Handle call accepted
-          socket.current.on('callAccepted', async ({ answer }) => {
-            try {
-              if (callStatus === 'calling' && peerConnection.current && isMounted) {
-                const remoteDesc = new RTCSessionDescription(answer);
-                await peerConnection.current.setRemoteDescription(remoteDesc);
-              }
-            } catch (error) {
-              console.error('Error handling accepted call:', error);
-              // Don't crash on errors when handling accepted calls
-            }
-          });
-          
-          // Handle call ended
-          socket.current.on('callEnded', () => {
-            if (isMounted) {
-              endCall();
-            }
-          });
+        if (peerConnection.current && isMounted) {
+          await peerConnection.current.addIceCandidate(
+            new RTCIceCandidate(candidate)
+          );
         }
       } catch (error) {
-        console.error('Socket initialization error:', error);
-        // Don't crash on socket initialization errors
+        console.error('Error adding ICE candidate:', error);
+        // Don't crash on ICE candidate errors
       }
-    };
+    });
     
-    // Don't initialize socket immediately on component mount
-    // Only initialize when needed (when call status changes)
-    if (externalCallStatus === 'calling' || externalCallStatus === 'incoming') {
-      initializeSocket();
-    }
+    // Track the call ID the server assigned to our outgoing call
+    listen('callProgress', ({ callId: outgoingCallId }) => {
+      callId.current = outgoingCallId || null;
+    });
     
-    // Cleanup function
-    return () => {
-      isMounted = false;
-      // Clean up socket connection if component unmounts
-      if (socket.current) {
-        socket.current.disconnect();
+    // Handle call accepted
+    listen('callAccepted', async ({ answer }) => {
+      try {
+        if (callStatus === 'calling' && peerConnection.current && isMounted) {
+          const remoteDesc = new RTCSessionDescription(answer);
+          await peerConnection.current.setRemoteDescription(remoteDesc);
+        }
+      } catch (error) {
+        console.error('Error handling accepted call:', error);
+        // Don't crash on errors when handling accepted calls
       }
-    };
-  }, [externalCallStatus, callStatus]);
+    });
+    
+    // Handle the server refusing our call (outside calling hours, call limit reached, recipient offline)
+    listen('callError', ({ code, message, fields = [], requestId }) => {
+      const fieldErrors = fields.map(f => `${f.field}: ${f.message}`).join('; ');
+      console.log(`Call error (${code}): ${message}${fieldErrors ? ` (${fieldErrors})` : ''} [request ${requestId}]`);
+      if (isMounted) {
+        callId.current = null;
+        cleanupWebRTC();
+        setCallStatus('idle');
+        onCallStatusChange('idle');
+      }
+    });
+
+    // Handle the other side declining our call (or being busy)
+    listen('callRejected', ({ reason }) => {
+      console.log('Call rejected:', reason);
+      if (isMounted) {
+        callId.current = null;
+        cleanupWebRTC();
+        setCallStatus('idle');
+        onCallStatusChange('idle');
+      }
+    });
+    
+    // Family can ask to record a call for later review; nothing is recorded unless Bill agrees
+    listen('recordingRequested', ({ callId: recordingCallId }) => {
+      if (!isMounted) return;
+      const answer = (accepted) => {
+        if (socket.current) {
+          socket.current.emit('recordingConsent', { callId: recordingCallId, accepted });
+        }
+      };
+      Alert.alert(
+        'Record this call?',
+        'Your family would like to record this call so they can watch it again later.',
+        [
+          { text: 'No', style: 'cancel', onPress: () => answer(false) },
+          { text: 'Yes, record', onPress: () => answer(true) },
+        ],
+        { cancelable: false }
+      );
+    });
+
+    listen('recordingStarted', () => {
+      if (isMounted) setIsRecording(true);
+    });
+
+    listen('recordingStopped', () => {
+      if (isMounted) setIsRecording(false);
+    });
+
+    listen('recordingError', ({ code, message }) => {
+      console.log(`Recording error (${code}): ${message}`);
+    });
+    
+    // Group call: the room is created once the server has checked the invitees
+    listen('roomCreated', ({ callId: newRoomId, offline = [] }) => {
+      roomId.current = newRoomId;
+      if (offline.length > 0) {
+        console.log('Not connected, so not invited:', offline.join(', '));
+      }
+    });
+
+    // Each family member gets their own peer connection, and a tile. Offers wait for Bill's
+    // camera; anyone who joined before then is offered to from the roomJoined list
+    listen('peerJoined', ({ peerId }) => {
+      if (isMounted && groupLocalStream.current && !roomPeers.current.has(peerId)) {
+        offerToRoomPeer(peerId);
+      }
+    });
+
+    // Rejoining a room the server started for Bill lists who is already in it
+    listen('roomJoined', ({ callId: joinedRoomId, hub, participants = [] }) => {
+      if (isMounted && joinedRoomId === roomId.current) {
+        participants
+          .filter(peerId => peerId !== hub && !roomPeers.current.has(peerId))
+          .forEach(peerId => offerToRoomPeer(peerId));
+      }
+    });
+
+    listen('roomAnswer', async ({ from, answer }) => {
+      try {
+        const pc = roomPeers.current.get(from);
+        if (pc) {
+          await pc.setRemoteDescription(new RTCSessionDescription(answer));
+        }
+      } catch (error) {
+        console.error('Error handling group call answer:', error);
+      }
+    });
+
+    listen('roomIceCandidate', async ({ from, candidate }) => {
+      try {
+        const pc = roomPeers.current.get(from);
+        if (pc) {
+          await pc.addIceCandidate(new RTCIceCandidate(candidate));
+        }
+      } catch (error) {
+        console.error('Error adding group call ICE candidate:', error);
+      }
+    });
+
+    listen('peerLeft', ({ peerId, reason }) => {
+      console.log(`${peerId} left the group call (${reason})`);
+      removeRoomPeer(peerId);
+    });
+
+    listen('roomInviteDeclined', ({ peerId }) => {
+      console.log(`${peerId} declined the group call`);
+    });
+
+    // Everyone left or declined
+    listen('roomClosed', ({ reason }) => {
+      console.log('Group call closed:', reason);
+      if (isMounted) {
+        endGroupCall(false);
+      }
+    });
+
+    listen('roomError', ({ code, message, requestId }) => {
+      console.log(`Group call error (${code}): ${message} [request ${requestId}]`);
+      // Only a group call that never got going is given up on
+      if (isMounted && roomPeers.current.size === 0) {
+        endGroupCall(false);
+      }
+    });
+    
+    // Handle call ended
+    listen('callEnded', () => {
+      if (isMounted) {
+        endCall();
+      }
+    });
+    
+    if (externalCallStatus === 'calling') {
+      makeCall();
+    } else if (externalCallStatus === 'incoming' && incomingCall) {
+      receiveCall(incomingCall);
+    } else if (externalCallStatus === 'group') {
+      startGroupCall();
+    }
     
     // Clean up resources when component unmounts
     return () => {
-      if (socket.current) {
-        socket.current.disconnect();
-      }
+      isMounted = false;
+      listeners.forEach(([event, handler]) => socket.current.off(event, handler));
       cleanupWebRTC();
     };
-  }, [externalCallStatus, callStatus]);
+  }, []);
 
   // Set up WebRTC peer connection with safer media permission handling
   const setupPeerConnection = async () => {
@@ -194,18 +287,7 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
       
       // Create peer connection first with minimal STUN servers
       // This allows us to separate connection errors from permission errors
-      const configuration = {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' },
-          { urls: 'stun:stun2.l.google.com:19302' },
-          { urls: 'stun:stun3.l.google.com:19302' },
-          { urls: 'stun:stun4.l.google.com:19302' }
-        ]
-      };
-      
-      // Create peer connection before requesting media to separate errors
-      peerConnection.current = new RTCPeerConnection(configuration);
+      peerConnection.current = new RTCPeerConnection(ICE_CONFIGURATION);
       
       // Set up event handlers for connection before adding media
       // Handle incoming stream
@@ -227,7 +309,8 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
           if (event.candidate && socket.current) {
             console.log('ICE candidate generated');
             socket.current.emit('iceCandidate', {
-              to: TRUSTED_CONTACT_ID,
+              to: peerDeviceId.current,
+              callId: callId.current,
               candidate: event.candidate,
             });
           }
@@ -257,37 +340,8 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
       };
       
       // Now that the peer connection is set up, request media permissions
-      console.log('Requesting media permissions...');
-      const mediaConstraints = {
-        audio: true,
-        video: {
-          width: 640,
-          height: 480,
-          frameRate: 30,
-          facingMode: 'user',
-        },
-      };
-      
-      // Use a timeout to prevent hanging if permissions dialog is stuck
-      let mediaPermissionTimeout;
-      const mediaPromise = new Promise(async (resolve, reject) => {
-        // Set a timeout to handle potential permission dialog hanging
-        mediaPermissionTimeout = setTimeout(() => {
-          reject(new Error('Media permission request timed out'));
-        }, 10000); // 10 second timeout
-        
-        try {
-          const stream = await mediaDevices.getUserMedia(mediaConstraints);
-          clearTimeout(mediaPermissionTimeout);
-          resolve(stream);
-        } catch (err) {
-          clearTimeout(mediaPermissionTimeout);
-          reject(err);
-        }
-      });
-      
       try {
-        const stream = await mediaPromise;
+        const stream = await requestMedia();
         console.log('Media permissions granted');
         setLocalStream(stream);
         
@@ -319,6 +373,132 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
     }
   };
 
+  // Ask for the camera and microphone
+  const requestMedia = () => {
+    console.log('Requesting media permissions...');
+    const mediaConstraints = {
+      audio: true,
+      video: {
+        width: 640,
+        height: 480,
+        frameRate: 30,
+        facingMode: 'user',
+      },
+    };
+    
+    // Use a timeout to prevent hanging if permissions dialog is stuck
+    let mediaPermissionTimeout;
+    return new Promise(async (resolve, reject) => {
+      // Set a timeout to handle potential permission dialog hanging
+      mediaPermissionTimeout = setTimeout(() => {
+        reject(new Error('Media permission request timed out'));
+      }, 10000); // 10 second timeout
+      
+      try {
+        const stream = await mediaDevices.getUserMedia(mediaConstraints);
+        clearTimeout(mediaPermissionTimeout);
+        resolve(stream);
+      } catch (err) {
+        clearTimeout(mediaPermissionTimeout);
+        reject(err);
+      }
+    });
+  };
+
+  // Start a group call: the server invites the family members and tells us as each one joins
+  const startGroupCall = async () => {
+    try {
+      const stream = await requestMedia();
+      groupLocalStream.current = stream;
+      setLocalStream(stream);
+      if (invitedRoomId) {
+        // Bill's phone is already in the room; rejoining it lists who to offer to
+        roomId.current = invitedRoomId;
+        socket.current.emit('joinRoom', { callId: invitedRoomId });
+        return;
+      }
+      // Only a registered device can create a room, and the socket may still be connecting
+      const createRoom = () => socket.current.emit('createRoom', {
+        invite: groupMembers.map(member => member.deviceId),
+      });
+      if (isRegistered.current) {
+        createRoom();
+      } else {
+        socket.current.once('registered', createRoom);
+      }
+    } catch (error) {
+      console.error('Error starting group call:', error);
+      Alert.alert(
+        'Camera/Microphone Access',
+        'Please allow access to your camera and microphone to make calls.'
+      );
+      endGroupCall(false);
+    }
+  };
+
+  // Bill's phone sends the offer for every peer connection in a group call
+  const offerToRoomPeer = async (peerId) => {
+    try {
+      removeRoomPeer(peerId);
+      const pc = new RTCPeerConnection(ICE_CONFIGURATION);
+      roomPeers.current.set(peerId, pc);
+      
+      pc.ontrack = (event) => {
+        if (event.streams && event.streams[0]) {
+          setGroupStreams(current => ({ ...current, [peerId]: event.streams[0] }));
+        }
+      };
+      pc.onicecandidate = (event) => {
+        if (event.candidate && socket.current && roomId.current) {
+          socket.current.emit('roomIceCandidate', {
+            callId: roomId.current,
+            to: peerId,
+            candidate: event.candidate,
+          });
+        }
+      };
+      
+      if (groupLocalStream.current) {
+        groupLocalStream.current.getTracks().forEach(track => pc.addTrack(track, groupLocalStream.current));
+      }
+      const offer = await pc.createOffer({
+        offerToReceiveAudio: true,
+        offerToReceiveVideo: true,
+      });
+      await pc.setLocalDescription(offer);
+      socket.current.emit('roomOffer', { callId: roomId.current, to: peerId, offer });
+    } catch (error) {
+      console.error(`Error connecting to ${peerId}:`, error);
+    }
+  };
+
+  const removeRoomPeer = (peerId) => {
+    const pc = roomPeers.current.get(peerId);
+    if (pc) {
+      pc.close();
+      roomPeers.current.delete(peerId);
+    }
+    setGroupStreams(({ [peerId]: removed, ...rest }) => rest);
+  };
+
+  // Leave the group call; the server closes the room for everyone when Bill leaves
+  const endGroupCall = (notify = true) => {
+    if (notify && socket.current && roomId.current) {
+      socket.current.emit('leaveRoom', { callId: roomId.current });
+    }
+    roomId.current = null;
+    roomPeers.current.forEach(pc => pc.close());
+    roomPeers.current.clear();
+    setGroupStreams({});
+    if (groupLocalStream.current) {
+      groupLocalStream.current.getTracks().forEach(track => track.stop());
+      groupLocalStream.current = null;
+    }
+    setLocalStream(null);
+    setCallStatus('idle');
+    onCallStatusChange('idle');
+  };
+
   // Make an outgoing call
   const makeCall = async () => {
     if (!isCallEnabled && callStatus !== 'calling') return;
@@ -330,6 +510,7 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
         onCallStatusChange('calling');
       }
       
+      peerDeviceId.current = targetDeviceId;
       const success = await setupPeerConnection();
       if (!success) return;
       
@@ -343,7 +524,7 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
       
       // Send offer to signaling server
       socket.current.emit('makeCall', {
-        to: TRUSTED_CONTACT_ID,
+        to: peerDeviceId.current,
         offer,
       });
     } catch (error) {
@@ -354,6 +535,23 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
     }
   };
 
+  // Ready the call App.js picked up while the kiosk was idle, for Bill to answer
+  const receiveCall = async ({ from, offer, callId: incomingCallId }) => {
+    try {
+      callId.current = incomingCallId || null;
+      peerDeviceId.current = from;
+      
+      // Only proceed if peer connection was successfully created
+      const success = await setupPeerConnection();
+      if (success && peerConnection.current) {
+        await peerConnection.current.setRemoteDescription(new RTCSessionDescription(offer));
+      }
+    } catch (error) {
+      console.error('Error handling incoming call:', error);
+      // Don't crash on errors handling incoming calls
+    }
+  };
+
   // Auto-answer if call is from trusted contact - this is optional and can be enabled/disabled
   const autoAnswerCall = () => {
     // Implementation can be added here to automatically answer calls from trusted contacts
@@ -370,7 +568,8 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
       
       // Send answer to signaling server
       socket.current.emit('answerCall', {
-        to: TRUSTED_CONTACT_ID,
+        to: peerDeviceId.current,
+        callId: callId.current,
         answer,
       });
       
@@ -384,15 +583,33 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
     }
   };
 
+  // Decline an incoming call
+  const declineCall = () => {
+    if (socket.current) {
+      socket.current.emit('callRejected', {
+        to: peerDeviceId.current,
+        callId: callId.current,
+        reason: 'DECLINED',
+      });
+    }
+    callId.current = null;
+    
+    cleanupWebRTC();
+    setCallStatus('idle');
+    onCallStatusChange('idle');
+  };
+
   // End the current call
   const endCall = () => {
     if (callStatus !== 'idle') {
       // Send end call signal
       if (socket.current) {
         socket.current.emit('endCall', {
-          to: TRUSTED_CONTACT_ID,
+          to: peerDeviceId.current,
+          callId: callId.current,
         });
       }
+      callId.current = null;
       
       cleanupWebRTC();
       setCallStatus('idle');
@@ -400,8 +617,17 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
     }
   };
 
+  // Stop recording without ending the call
+  const stopRecording = () => {
+    if (socket.current && callId.current) {
+      socket.current.emit('stopRecording', { callId: callId.current });
+    }
+  };
+
   // Clean up WebRTC resources
   const cleanupWebRTC = () => {
+    setIsRecording(false);
+
     // Stop local tracks
     if (localStream) {
       localStream.getTracks().forEach(track => track.stop());
@@ -471,7 +697,7 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
               <TouchableOpacity style={styles.answerButton} onPress={answerCall}>
                 <Text style={styles.buttonText}>Answer</Text>
               </TouchableOpacity>
-              <TouchableOpacity style={styles.endCallButton} onPress={endCall}>
+              <TouchableOpacity style={styles.endCallButton} onPress={declineCall}>
                 <Text style={styles.buttonText}>Decline</Text>
               </TouchableOpacity>
             </View>
@@ -497,6 +723,14 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
                 zOrder={2}
               />
             )}
+            {isRecording && (
+              <View style={styles.recordingBanner}>
+                <Text style={styles.recordingText}>● Recording</Text>
+                <TouchableOpacity style={styles.stopRecordingButton} onPress={stopRecording}>
+                  <Text style={styles.controlButtonText}>Stop</Text>
+                </TouchableOpacity>
+              </View>
+            )}
             <View style={styles.callControls}>
               <TouchableOpacity 
                 style={[styles.controlButton, isMuted && styles.activeControlButton]} 
@@ -521,6 +755,48 @@ const WebRTCCall = ({ isCallEnabled, onCallStatusChange, callStatus: externalCal
           </View>
         );
       
+      // Up to four family members in a 2x2 grid, Bill's own camera in the corner
+      case 'group': {
+        const joined = Object.keys(groupStreams);
+        return (
+          <View style={styles.connectedCallContainer}>
+            {joined.length === 0 ? (
+              <Text style={styles.callStatusText}>Calling everyone...</Text>
+            ) : (
+              <View style={styles.groupGrid}>
+                {joined.map(peerId => {
+                  const member = groupMembers.find(m => m.deviceId === peerId);
+                  return (
+                    <View key={peerId} style={joined.length > 1 ? styles.groupTile : styles.groupTileFull}>
+                      <RTCView
+                        streamURL={groupStreams[peerId].toURL()}
+                        style={styles.remoteVideo}
+                        objectFit="cover"
+                        zOrder={1}
+                      />
+                      {member && <Text style={styles.groupTileName}>{member.name}</Text>}
+                    </View>
+                  );
+                })}
+              </View>
+            )}
+            {localStream && (
+              <RTCView
+                streamURL={localStream.toURL()}
+                style={styles.localVideo}
+                objectFit="cover"
+                zOrder={2}
+              />
+            )}
+            <View style={styles.callControls}>
+              <TouchableOpacity style={styles.endCallButton} onPress={() => endGroupCall()}>
+                <Text style={styles.buttonText}>End Call</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+      }
+      
       default:
         return null;
     }
@@ -643,6 +919,57 @@ const styles = StyleSheet.create({
     fontSize: 22, // Increased font size for better accessibility
     fontWeight: 'bold',
   },
+  recordingBanner: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E74C3C',
+    borderRadius: 30,
+    paddingVertical: 8,
+    paddingLeft: 20,
+    paddingRight: 8,
+  },
+  recordingText: {
+    color: 'white',
+    fontSize: 26,
+    fontWeight: 'bold',
+    marginRight: 16,
+  },
+  groupGrid: {
+    width: '100%',
+    height: '100%',
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  groupTile: {
+    width: '50%',
+    height: '50%',
+  },
+  groupTileFull: {
+    width: '100%',
+    height: '100%',
+  },
+  groupTileName: {
+    position: 'absolute',
+    bottom: 12,
+    left: 12,
+    color: 'white',
+    fontSize: 26,
+    fontWeight: 'bold',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    paddingHorizontal: 10,
+    borderRadius: 8,
+  },
+  stopRecordingButton: {
+    height: 50,
+    paddingHorizontal: 20,
+    borderRadius: 25,
+    backgroundColor: '#922B21',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
 });
 
 export default WebRTCCall;
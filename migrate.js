@@ -0,0 +1,265 @@
+/**
+ * Database migrations for the signaling server
+ * Applies the numbered SQL scripts in migrations/ in order and records each one in
+ * schema_migrations, so every database (fresh or created by older releases) ends up
+ * with the same schema.
+ *
+ * Each migration is a pair of files:
+ * - NNN_description.up.sql: applies the change
+ * - NNN_description.down.sql: reverts it
+ *
+ * Every script runs in its own transaction, under an advisory lock so that several
+ * instances starting together apply each migration once. Never edit a migration that
+ * has shipped; add a new one instead (status reports edited files as "changed").
+ *
+ * The server applies pending migrations at startup. From the command line:
+ *   node migrate.js status            list migrations and whether they are applied
+ *   node migrate.js up [--dry-run]    apply pending migrations
+ *   node migrate.js down [--steps=N] [--dry-run]
+ *                                     revert the last N applied migrations (default 1)
+ * A dry run executes the scripts inside one transaction that is rolled back, so SQL
+ * errors surface without changing anything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key shared by every instance, for pg_advisory_lock
+const MIGRATION_LOCK_KEY = 7423001;
+
+// Read migrations/ into [{ version, name, up, down, checksum }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, versionText, name, direction] = match;
+    const version = Number(versionText);
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${versionText} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      if (migration.up === null) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql script`);
+      }
+      return {
+        ...migration,
+        checksum: crypto.createHash('sha256').update(migration.up).digest('hex')
+      };
+    });
+}
+
+const describeMigration = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Run each step in its own transaction. A dry run puts every step in one transaction and
+// rolls it back at the end, so later scripts still see the changes of earlier ones.
+async function runSteps(client, steps, dryRun) {
+  if (dryRun) {
+    await client.query('BEGIN;');
+    try {
+      for (const step of steps) {
+        await step();
+      }
+    } finally {
+      await client.query('ROLLBACK;');
+    }
+    return;
+  }
+  for (const step of steps) {
+    await client.query('BEGIN;');
+    try {
+      await step();
+      await client.query('COMMIT;');
+    } catch (err) {
+      await client.query('ROLLBACK;');
+      throw err;
+    }
+  }
+}
+
+/**
+ * Lists every migration on disk or in the database
+ * @returns {Promise<Array>} [{ version, name, applied, appliedAt, changed, missing }]
+ */
+async function getMigrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const status = migrations.map((migration) => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(record),
+        appliedAt: record ? record.applied_at : null,
+        changed: Boolean(record && record.checksum !== migration.checksum),
+        missing: false
+      };
+    });
+    // Applied in the database but no longer on disk (e.g. a newer release was rolled back)
+    for (const record of applied.values()) {
+      if (!migrations.some(migration => migration.version === record.version)) {
+        status.push({ version: record.version, name: record.name, applied: true, appliedAt: record.applied_at, changed: false, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+/**
+ * Applies every pending migration in order
+ * @returns {Promise<Array>} Names of the migrations applied (or that would be, on a dry run)
+ */
+async function migrateUp(pool, { logger = console, dryRun = false, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of migrations) {
+      const record = applied.get(migration.version);
+      if (record && record.checksum !== migration.checksum) {
+        logger.warn(`Migration ${describeMigration(migration)} was edited after it was applied`);
+      }
+    }
+    if (pending.length === 0) {
+      logger.info(`Database schema is up to date (${applied.size} migrations applied)`);
+      return [];
+    }
+
+    await runSteps(client, pending.map(migration => async () => {
+      logger.info(`${dryRun ? 'Dry run: ' : ''}Applying migration ${describeMigration(migration)}`);
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }), dryRun);
+    if (dryRun) {
+      logger.info(`Dry run: ${pending.length} migration(s) would apply cleanly; nothing was changed`);
+    } else {
+      logger.info(`Applied ${pending.length} migration(s)`);
+    }
+    return pending.map(describeMigration);
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @returns {Promise<Array>} Names of the migrations reverted (or that would be, on a dry run)
+ */
+async function migrateDown(pool, { logger = console, dryRun = false, steps = 1, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+    const reverting = toRevert.map((version) => {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration || migration.down === null) {
+        throw new Error(`No down script for migration ${String(version).padStart(3, '0')}_${applied.get(version).name}`);
+      }
+      return migration;
+    });
+
+    await runSteps(client, reverting.map(migration => async () => {
+      logger.info(`${dryRun ? 'Dry run: ' : ''}Reverting migration ${describeMigration(migration)}`);
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1;', [migration.version]);
+    }), dryRun);
+    if (dryRun) {
+      logger.info(`Dry run: ${reverting.length} migration(s) would revert cleanly; nothing was changed`);
+    }
+    return reverting.map(describeMigration);
+  });
+}
+
+module.exports = { loadMigrations, getMigrationStatus, migrateUp, migrateDown };
+
+// Command line: node migrate.js status|up|down [--dry-run] [--steps=N]
+if (require.main === module) {
+  const { Pool } = require('pg');
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  const dryRun = flags.includes('--dry-run');
+  const stepsFlag = flags.find(flag => flag.startsWith('--steps='));
+  const steps = stepsFlag ? Number(stepsFlag.split('=')[1]) : 1;
+
+  const pool = new Pool({
+    host: process.env.POSTGRES_HOST,
+    port: process.env.POSTGRES_PORT || 5432,
+    database: process.env.POSTGRES_DB,
+    user: process.env.POSTGRES_USER,
+    password: process.env.POSTGRES_PASSWORD,
+    max: 1,
+  });
+
+  const commands = {
+    status: async () => {
+      const status = await getMigrationStatus(pool);
+      for (const migration of status) {
+        const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        const notes = [migration.changed && 'changed since applied', migration.missing && 'file missing'].filter(Boolean);
+        console.log(`${describeMigration(migration)}  ${state}${notes.length ? `  (${notes.join(', ')})` : ''}`);
+      }
+    },
+    up: () => migrateUp(pool, { dryRun }),
+    down: () => {
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      return migrateDown(pool, { dryRun, steps });
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Usage: node migrate.js status|up|down [--dry-run] [--steps=N]`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error(`Migration failed: ${err.message}`);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,38 @@
+-- Family member profiles. Also reconciles tables created by the old initdb script
+-- (VARCHAR columns, nullable timestamps) and the server's old ensure function
+-- (no picture_url, no id default).
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+CREATE TABLE IF NOT EXISTS family_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    picture_url TEXT,
+    picture_data BYTEA,
+    email TEXT,
+    availability JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE family_users ADD COLUMN IF NOT EXISTS picture_url TEXT;
+ALTER TABLE family_users ALTER COLUMN id SET DEFAULT gen_random_uuid();
+ALTER TABLE family_users ALTER COLUMN name TYPE TEXT;
+ALTER TABLE family_users ALTER COLUMN email TYPE TEXT;
+ALTER TABLE family_users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE family_users DROP CONSTRAINT IF EXISTS family_users_email_key;
+
+UPDATE family_users SET created_at = CURRENT_TIMESTAMP WHERE created_at IS NULL;
+UPDATE family_users SET updated_at = created_at WHERE updated_at IS NULL;
+ALTER TABLE family_users ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE family_users ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE family_users ALTER COLUMN updated_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE family_users ALTER COLUMN updated_at SET NOT NULL;
+
+-- Names are unique (the API upserts on name); older tables may also carry family_users_name_key
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'unique_name') THEN
+    ALTER TABLE family_users ADD CONSTRAINT unique_name UNIQUE (name);
+  END IF;
+END
+$$;
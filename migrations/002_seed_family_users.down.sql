@@ -0,0 +1,2 @@
+-- The seeded profiles are left in place: they may have been edited since, and
+-- default_user backs every missing picture.
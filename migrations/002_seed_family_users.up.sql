@@ -0,0 +1,9 @@
+-- default_user is the fallback whose picture is served for users without one;
+-- Justin is the first family member, available 5-10PM every day
+INSERT INTO family_users (name, availability)
+SELECT 'default_user', '{}'
+WHERE NOT EXISTS (SELECT 1 FROM family_users WHERE name = 'default_user');
+
+INSERT INTO family_users (name, availability)
+SELECT 'Justin', '{"Sun": [17,18,19,20,21], "Mon": [17,18,19,20,21], "Tue": [17,18,19,20,21], "Wed": [17,18,19,20,21], "Thu": [17,18,19,20,21], "Fri": [17,18,19,20,21], "Sat": [17,18,19,20,21]}'
+WHERE NOT EXISTS (SELECT 1 FROM family_users WHERE name = 'Justin');
@@ -0,0 +1,33 @@
+-- Structured event log (see GET /events). Older installs kept details as TEXT and
+-- timestamp without a time zone; those are converted in place, and details that are
+-- not valid JSON are kept as JSON strings.
+CREATE TABLE IF NOT EXISTS event_log (
+    id SERIAL PRIMARY KEY,
+    timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    event_type VARCHAR(64) NOT NULL,
+    details JSONB
+);
+
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'event_log' AND column_name = 'details') = 'text' THEN
+    CREATE FUNCTION pg_temp.event_details_to_jsonb(value TEXT) RETURNS JSONB AS $fn$
+    BEGIN
+      RETURN value::jsonb;
+    EXCEPTION WHEN others THEN
+      RETURN to_jsonb(value);
+    END;
+    $fn$ LANGUAGE plpgsql;
+    ALTER TABLE event_log ALTER COLUMN details TYPE JSONB USING pg_temp.event_details_to_jsonb(details);
+  END IF;
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'event_log' AND column_name = 'timestamp') = 'timestamp without time zone' THEN
+    ALTER TABLE event_log ALTER COLUMN timestamp TYPE TIMESTAMPTZ;
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS event_log_event_type_idx ON event_log (event_type);
+CREATE INDEX IF NOT EXISTS event_log_timestamp_idx ON event_log (timestamp DESC);
+CREATE INDEX IF NOT EXISTS event_log_details_idx ON event_log USING GIN (details jsonb_path_ops);
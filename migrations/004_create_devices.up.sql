@@ -0,0 +1,17 @@
+-- Device registry: hashed secrets for socket registration and TURN credentials,
+-- plus the family user whose calling windows a device follows
+CREATE TABLE IF NOT EXISTS devices (
+    device_id TEXT PRIMARY KEY,
+    label TEXT,
+    secret_hash TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_registered_at TIMESTAMP,
+    last_seen_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    family_user_id UUID REFERENCES family_users(id) ON DELETE SET NULL,
+    can_override_availability BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS family_user_id UUID REFERENCES family_users(id) ON DELETE SET NULL;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS can_override_availability BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,17 @@
+-- Call history, one row per call session, updated as the call changes state
+CREATE TABLE IF NOT EXISTS calls (
+    call_id UUID PRIMARY KEY,
+    caller TEXT NOT NULL,
+    callee TEXT NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    answered_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    duration_seconds INTEGER,
+    outcome TEXT,
+    end_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS calls_started_at_idx ON calls (started_at DESC);
+CREATE INDEX IF NOT EXISTS calls_caller_idx ON calls (caller);
+CREATE INDEX IF NOT EXISTS calls_callee_idx ON calls (callee);
+CREATE INDEX IF NOT EXISTS calls_outcome_idx ON calls (outcome);
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS socket_io_attachments;
+DROP TABLE IF EXISTS presence_call_sessions;
+DROP TABLE IF EXISTS presence_connection_attempts;
+DROP TABLE IF EXISTS presence_devices;
+DROP TABLE IF EXISTS presence_connections;
+DROP TABLE IF EXISTS presence_instances;
@@ -0,0 +1,36 @@
+-- Shared presence for PRESENCE_STORE=postgres (see presenceStore.js), and the
+-- Socket.IO Postgres adapter's table for payloads too large for NOTIFY
+CREATE TABLE IF NOT EXISTS presence_instances (
+    instance_id TEXT PRIMARY KEY,
+    last_heartbeat TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS presence_connections (
+    socket_id TEXT PRIMARY KEY,
+    instance_id TEXT NOT NULL REFERENCES presence_instances(instance_id) ON DELETE CASCADE,
+    data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS presence_devices (
+    device_id TEXT PRIMARY KEY,
+    socket_id TEXT NOT NULL REFERENCES presence_connections(socket_id) ON DELETE CASCADE,
+    claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS presence_connection_attempts (
+    client_key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS presence_call_sessions (
+    call_id TEXT PRIMARY KEY,
+    state TEXT NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
@@ -0,0 +1,9 @@
+-- Outgoing call limits per device; an empty contact_id covers calls to anyone
+CREATE TABLE IF NOT EXISTS call_quotas (
+    device_id TEXT NOT NULL,
+    contact_id TEXT NOT NULL DEFAULT '',
+    per_hour INTEGER CHECK (per_hour >= 0),
+    per_day INTEGER CHECK (per_day >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (device_id, contact_id)
+);
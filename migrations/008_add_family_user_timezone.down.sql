@@ -0,0 +1 @@
+ALTER TABLE family_users DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,2 @@
+-- IANA zone the user's availability hours are in; NULL means the household zone (HOUSEHOLD_TIMEZONE)
+ALTER TABLE family_users ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,21 @@
+-- Back to { "Mon": [17, 18], ... } hour arrays; an hour is kept if any range covers part of it
+WITH days (day) AS (
+    VALUES ('Sun'), ('Mon'), ('Tue'), ('Wed'), ('Thu'), ('Fri'), ('Sat')
+)
+UPDATE family_users fu
+SET availability = (
+    SELECT jsonb_object_agg(days.day, COALESCE((
+        SELECT jsonb_agg(DISTINCT hour ORDER BY hour)
+        FROM jsonb_array_elements(fu.availability) AS range (value)
+        CROSS JOIN LATERAL (
+            SELECT split_part(range.value->>'start', ':', 1)::int * 60 + split_part(range.value->>'start', ':', 2)::int AS start_minute,
+                   split_part(range.value->>'end', ':', 1)::int * 60 + split_part(range.value->>'end', ':', 2)::int AS end_minute
+        ) bounds
+        CROSS JOIN LATERAL generate_series(0, 23) AS hour
+        WHERE range.value->>'day' = days.day
+          AND bounds.start_minute < (hour + 1) * 60
+          AND bounds.end_minute > hour * 60
+    ), '[]'::jsonb))
+    FROM days
+)
+WHERE jsonb_typeof(fu.availability) = 'array';
@@ -0,0 +1,38 @@
+-- Availability moves from { "Mon": [17, 18], ... } hour arrays to a list of ranges,
+-- [{ "day": "Mon", "start": "17:00", "end": "19:00" }]; consecutive hours become one range.
+-- Entries that are not whole hours from 0 to 23 are dropped.
+WITH days (day, ord) AS (
+    VALUES ('Sun', 0), ('Mon', 1), ('Tue', 2), ('Wed', 3), ('Thu', 4), ('Fri', 5), ('Sat', 6)
+),
+hours AS (
+    SELECT DISTINCT fu.id, days.day, days.ord, hour.value::int AS hour
+    FROM family_users fu
+    CROSS JOIN LATERAL jsonb_each(fu.availability) AS entry (day, hours)
+    JOIN days ON days.day = entry.day
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(entry.hours) = 'array' THEN entry.hours ELSE '[]'::jsonb END
+    ) AS hour (value)
+    WHERE jsonb_typeof(fu.availability) = 'object'
+      AND hour.value ~ '^\d{1,2}$'
+      AND hour.value::int BETWEEN 0 AND 23
+),
+runs AS (
+    -- Consecutive hours share the same hour - row_number
+    SELECT id, day, ord, MIN(hour) AS first_hour, MAX(hour) + 1 AS end_hour
+    FROM (
+        SELECT id, day, ord, hour, hour - ROW_NUMBER() OVER (PARTITION BY id, day ORDER BY hour) AS run
+        FROM hours
+    ) numbered
+    GROUP BY id, day, ord, run
+)
+UPDATE family_users fu
+SET availability = COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+        'day', runs.day,
+        'start', lpad(runs.first_hour::text, 2, '0') || ':00',
+        'end', lpad(runs.end_hour::text, 2, '0') || ':00'
+    ) ORDER BY runs.ord, runs.first_hour)
+    FROM runs
+    WHERE runs.id = fu.id
+), '[]'::jsonb)
+WHERE jsonb_typeof(fu.availability) = 'object';
@@ -0,0 +1,18 @@
+-- Date-specific changes to a family user's weekly availability, in the user's zone.
+-- 'unavailable' blocks time out, 'available' adds time; NULL times cover whole days.
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_user_id UUID NOT NULL REFERENCES family_users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('available', 'unavailable')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TEXT,
+    end_time TEXT,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    CHECK ((start_time IS NULL) = (end_time IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS availability_exceptions_user_end_date_idx ON availability_exceptions (family_user_id, end_date);
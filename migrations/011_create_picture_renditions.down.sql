@@ -0,0 +1 @@
+DROP TABLE IF EXISTS picture_renditions;
@@ -0,0 +1,11 @@
+-- Resized copies of each profile picture, made when it is uploaded and served by
+-- GET /family-users/:id/picture?size=. family_users.picture_data keeps the source image.
+CREATE TABLE IF NOT EXISTS picture_renditions (
+    family_user_id UUID NOT NULL REFERENCES family_users(id) ON DELETE CASCADE,
+    size TEXT NOT NULL CHECK (size IN ('thumb', 'medium', 'large')),
+    format TEXT NOT NULL CHECK (format IN ('jpeg', 'webp')),
+    data BYTEA NOT NULL,
+    etag TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (family_user_id, size, format)
+);
@@ -0,0 +1,17 @@
+-- Logins for the REST API. Admins manage every profile; a family account manages only the
+-- family user it belongs to. Tokens carry the session_version they were issued under, which
+-- goes up when the password changes or the account is disabled, signing out old sessions.
+CREATE TABLE IF NOT EXISTS accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('admin', 'family')),
+    family_user_id UUID REFERENCES family_users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ,
+    disabled_at TIMESTAMPTZ,
+    session_version INTEGER NOT NULL DEFAULT 0,
+    CHECK ((role = 'family') = (family_user_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS accounts_family_user_id_idx ON accounts (family_user_id);
@@ -0,0 +1,19 @@
+-- Messages left by callers whose call wasn't answered, one per call. The recording is kept
+-- as uploaded (audio or video) in data, like family_users.picture_data; heard_at is set when
+-- the recipient plays it.
+CREATE TABLE IF NOT EXISTS voicemails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_id UUID NOT NULL UNIQUE REFERENCES calls(call_id) ON DELETE CASCADE,
+    caller TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    family_user_id UUID REFERENCES family_users(id) ON DELETE SET NULL,
+    media_kind TEXT NOT NULL CHECK (media_kind IN ('audio', 'video')),
+    content_type TEXT NOT NULL,
+    data BYTEA NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    duration_seconds INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    heard_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS voicemails_recipient_created_at_idx ON voicemails (recipient, created_at DESC);
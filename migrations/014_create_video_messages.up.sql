@@ -0,0 +1,19 @@
+-- Video clips family members leave for Bill outside calling hours. Like voicemails, the clip
+-- is kept as uploaded in data. Each message is deleted once expires_at passes;
+-- first_watched_at is set the first time Bill's kiosk plays it, so the sender knows he saw it.
+CREATE TABLE IF NOT EXISTS video_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_user_id UUID NOT NULL REFERENCES family_users(id) ON DELETE CASCADE,
+    sent_by_device TEXT,
+    sent_by_account UUID REFERENCES accounts(id) ON DELETE SET NULL,
+    content_type TEXT NOT NULL,
+    data BYTEA NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    duration_seconds INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    first_watched_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS video_messages_family_user_created_at_idx ON video_messages (family_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS video_messages_expires_at_idx ON video_messages (expires_at);
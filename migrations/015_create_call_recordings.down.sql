@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS call_recording_chunks;
+DROP TABLE IF EXISTS call_recordings;
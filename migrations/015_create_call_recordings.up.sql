@@ -0,0 +1,29 @@
+-- Call recordings made with both participants' consent, uploaded in chunks while the call is on.
+-- Each chunk is its own row (call_recording_chunks), so appending never rewrites what was
+-- already stored and an interrupted upload resumes from size_bytes. Recordings are deleted
+-- at expires_at (the retention period).
+CREATE TABLE IF NOT EXISTS call_recordings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_id UUID NOT NULL REFERENCES calls(call_id) ON DELETE CASCADE,
+    recorded_by TEXT NOT NULL,
+    consented_by TEXT NOT NULL,
+    consented_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'complete', 'partial')),
+    content_type TEXT,
+    size_bytes INTEGER NOT NULL DEFAULT 0,
+    duration_seconds INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS call_recordings_call_id_idx ON call_recordings (call_id);
+CREATE INDEX IF NOT EXISTS call_recordings_expires_at_idx ON call_recordings (expires_at);
+
+CREATE TABLE IF NOT EXISTS call_recording_chunks (
+    recording_id UUID NOT NULL REFERENCES call_recordings(id) ON DELETE CASCADE,
+    byte_offset INTEGER NOT NULL,
+    data BYTEA NOT NULL,
+    PRIMARY KEY (recording_id, byte_offset)
+);
@@ -0,0 +1,7 @@
+-- Group call rooms for PRESENCE_STORE=postgres (see presenceStore.js). version is bumped on
+-- every change, so concurrent joins and leaves on different instances can't overwrite each other.
+CREATE TABLE IF NOT EXISTS presence_call_rooms (
+    call_id TEXT PRIMARY KEY,
+    version INTEGER NOT NULL,
+    data JSONB NOT NULL
+);
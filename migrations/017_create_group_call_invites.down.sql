@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS group_call_invitees;
+DROP TABLE IF EXISTS group_call_invites;
@@ -0,0 +1,28 @@
+-- Group call invitations sent when two or more family members and Bill are free at once
+-- (see the invitation job in server.js). At most one invitation is pending at a time, across
+-- all instances; it becomes 'started' (with the room's call_id) once enough invitees accept,
+-- or 'cancelled' / 'expired' if they don't.
+CREATE TABLE IF NOT EXISTS group_call_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    state TEXT NOT NULL DEFAULT 'pending' CHECK (state IN ('pending', 'started', 'cancelled', 'expired')),
+    min_attendance INTEGER NOT NULL,
+    call_id UUID,
+    reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    closed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS group_call_invites_one_pending_idx ON group_call_invites ((TRUE)) WHERE state = 'pending';
+CREATE INDEX IF NOT EXISTS group_call_invites_created_at_idx ON group_call_invites (created_at);
+
+-- One row per invited device; accepted stays NULL until it answers
+CREATE TABLE IF NOT EXISTS group_call_invitees (
+    invite_id UUID NOT NULL REFERENCES group_call_invites(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    family_user_id UUID REFERENCES family_users(id) ON DELETE SET NULL,
+    notified_via TEXT NOT NULL,
+    accepted BOOLEAN,
+    responded_at TIMESTAMPTZ,
+    PRIMARY KEY (invite_id, device_id)
+);
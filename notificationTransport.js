@@ -0,0 +1,62 @@
+/**
+ * Notification transports for the signaling server
+ * Reach family devices that aren't connected to a socket, e.g. to tell them a group call
+ * with Bill is possible right now.
+ *
+ * Every transport has the same async interface, notify(deviceId, notification), which
+ * resolves to true once the notification is handed off and false if it couldn't be:
+ * - log: only writes the notification to the server log (nothing leaves the server)
+ * - webhook: POSTs { deviceId, notification, sentAt } as JSON to a URL, such as a push
+ *   gateway that knows each device's push token. With a secret, the body is signed with
+ *   HMAC-SHA256 in an X-Signature header ("sha256=<hex>").
+ *
+ * A notification is { type, title, body, data }, where data is what the app needs to
+ * respond (for a group call invitation, its inviteId).
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+function createLogNotificationTransport({ logger }) {
+  return {
+    type: 'log',
+
+    async notify(deviceId, notification) {
+      logger.info(`🔔 Notification for ${deviceId} (log only): ${notification.title} - ${notification.body}`);
+      return true;
+    }
+  };
+}
+
+function createWebhookNotificationTransport({ url, secret, logger }) {
+  return {
+    type: 'webhook',
+
+    async notify(deviceId, notification) {
+      const body = JSON.stringify({ deviceId, notification, sentAt: new Date().toISOString() });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+      }
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          logger.warn(`🔔 Notification webhook answered ${response.status} for ${deviceId}`);
+          return false;
+        }
+        return true;
+      } catch (err) {
+        logger.error(`🔔 Notification webhook failed for ${deviceId}: ${err.message}`);
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = { createLogNotificationTransport, createWebhookNotificationTransport };
@@ -0,0 +1,420 @@
+/**
+ * Presence store for the signaling server
+ * Tracks connected sockets, which device ID each socket holds, connection-attempt
+ * counters for rate limiting, live call sessions and group call rooms.
+ *
+ * Two implementations share the same async interface:
+ * - memory: in-process Maps, for a single signaling instance
+ * - postgres: shared tables plus the Socket.IO Postgres adapter (LISTEN/NOTIFY),
+ *   so several instances behind nginx can route to each other's sockets
+ *
+ * Records are plain JSON objects. Callers must write changes back through the store;
+ * mutating a returned object has no effect.
+ */
+
+const { createAdapter } = require('@socket.io/postgres-adapter');
+
+// How often a postgres-backed instance reports that it is alive, and how long
+// before the others treat it as gone and drop its connections
+const INSTANCE_HEARTBEAT_MS = 30 * 1000;
+const INSTANCE_EXPIRY_MS = 2 * 60 * 1000;
+
+const copy = (record) => (record ? { ...record } : null);
+// Rooms hold a participant list, so a shallow copy would share it with the stored room
+const copyRoom = (room) => (room ? JSON.parse(JSON.stringify(room)) : null);
+
+function createMemoryPresenceStore() {
+  const connections = new Map(); // socketId -> connection
+  const devices = new Map(); // deviceId -> socketId
+  const connectionAttempts = new Map(); // client key -> { count, resetTime }
+  const callSessions = new Map(); // callId -> session
+  const callRooms = new Map(); // callId -> room
+
+  return {
+    type: 'memory',
+
+    async init() {},
+    async close() {},
+
+    // Single instance: Socket.IO's default in-memory adapter is enough
+    createSocketAdapter() {
+      return null;
+    },
+
+    async addConnection(connection) {
+      connections.set(connection.socketId, copy(connection));
+    },
+
+    async getConnection(socketId) {
+      return copy(connections.get(socketId));
+    },
+
+    async updateConnection(socketId, changes) {
+      const connection = connections.get(socketId);
+      if (connection) {
+        Object.assign(connection, changes);
+      }
+    },
+
+    // Removes the connection and releases its device ID if it still holds it
+    async removeConnection(socketId) {
+      const connection = connections.get(socketId);
+      if (!connection) return null;
+      if (connection.customId && devices.get(connection.customId) === socketId) {
+        devices.delete(connection.customId);
+      }
+      connections.delete(socketId);
+      return copy(connection);
+    },
+
+    async listConnections() {
+      return Array.from(connections.values(), copy);
+    },
+
+    async countConnections() {
+      return connections.size;
+    },
+
+    // Points the device ID at this socket, releasing any other ID the socket held.
+    // Returns the socket that held the device ID before, if any.
+    async claimDevice(deviceId, socketId) {
+      const connection = connections.get(socketId);
+      if (!connection) return null;
+      if (connection.customId && connection.customId !== deviceId && devices.get(connection.customId) === socketId) {
+        devices.delete(connection.customId);
+      }
+      const previousSocketId = devices.get(deviceId) || null;
+      devices.set(deviceId, socketId);
+      connection.customId = deviceId;
+      connection.registeredAt = new Date().toISOString();
+      return previousSocketId === socketId ? null : previousSocketId;
+    },
+
+    async getDeviceSocketId(deviceId) {
+      return devices.get(deviceId) || null;
+    },
+
+    // Counts an attempt in the client's current window and returns the running count
+    async recordConnectionAttempt(clientKey, windowMs) {
+      const now = Date.now();
+      const clientData = connectionAttempts.get(clientKey) || { count: 0, resetTime: now + windowMs };
+      if (now > clientData.resetTime) {
+        clientData.count = 1;
+        clientData.resetTime = now + windowMs;
+      } else {
+        clientData.count += 1;
+      }
+      connectionAttempts.set(clientKey, clientData);
+      return clientData.count;
+    },
+
+    async saveCallSession(session) {
+      callSessions.set(session.callId, copy(session));
+    },
+
+    async getCallSession(callId) {
+      return copy(callSessions.get(callId));
+    },
+
+    // Compare-and-set on the session state so two handlers can't both move a call on
+    async updateCallSession(session, expectedState) {
+      const current = callSessions.get(session.callId);
+      if (!current || current.state !== expectedState) return false;
+      callSessions.set(session.callId, copy(session));
+      return true;
+    },
+
+    // As updateCallSession, but also only if the session's recording is still the one the
+    // caller read (matched on requestedAt; null when there was none)
+    async updateCallSessionRecording(session, expectedState, expectedRequestedAt) {
+      const current = callSessions.get(session.callId);
+      const requestedAt = current && current.recording ? current.recording.requestedAt : null;
+      if (!current || current.state !== expectedState || requestedAt !== expectedRequestedAt) return false;
+      callSessions.set(session.callId, copy(session));
+      return true;
+    },
+
+    async deleteCallSession(callId, expectedState) {
+      const current = callSessions.get(callId);
+      if (!current || current.state !== expectedState) return false;
+      callSessions.delete(callId);
+      return true;
+    },
+
+    async listCallSessions() {
+      return Array.from(callSessions.values(), copy);
+    },
+
+    async countCallSessions() {
+      return callSessions.size;
+    },
+
+    async saveCallRoom(room) {
+      callRooms.set(room.callId, copyRoom(room));
+    },
+
+    async getCallRoom(callId) {
+      return copyRoom(callRooms.get(callId));
+    },
+
+    // Compare-and-set on the room version, like call sessions on their state
+    async updateCallRoom(room, expectedVersion) {
+      const current = callRooms.get(room.callId);
+      if (!current || current.version !== expectedVersion) return false;
+      callRooms.set(room.callId, copyRoom(room));
+      return true;
+    },
+
+    async deleteCallRoom(callId, expectedVersion) {
+      const current = callRooms.get(callId);
+      if (!current || current.version !== expectedVersion) return false;
+      callRooms.delete(callId);
+      return true;
+    },
+
+    async listCallRooms() {
+      return Array.from(callRooms.values(), copyRoom);
+    }
+  };
+}
+
+function createPostgresPresenceStore(pool, { instanceId, logger = console } = {}) {
+  let heartbeatTimer = null;
+
+  const rowToConnection = (row) => (row ? row.data : null);
+
+  // Record this instance as alive and drop everything owned by instances that stopped reporting
+  async function heartbeat() {
+    await pool.query(
+      `INSERT INTO presence_instances (instance_id, last_heartbeat) VALUES ($1, NOW())
+       ON CONFLICT (instance_id) DO UPDATE SET last_heartbeat = NOW();`,
+      [instanceId]
+    );
+    const { rowCount } = await pool.query(
+      `DELETE FROM presence_instances WHERE last_heartbeat < NOW() - ($1 || ' milliseconds')::interval;`,
+      [INSTANCE_EXPIRY_MS]
+    );
+    if (rowCount > 0) {
+      logger.warn(`Presence: removed ${rowCount} expired signaling instance(s)`);
+      await pruneCallSessions();
+      await pruneCallRooms();
+    }
+  }
+
+  // Calls whose participants are no longer connected anywhere can't continue
+  async function pruneCallSessions() {
+    await pool.query(
+      `DELETE FROM presence_call_sessions s
+       WHERE NOT EXISTS (SELECT 1 FROM presence_connections c WHERE c.socket_id = s.data->>'callerSocketId')
+          OR (s.data->>'calleeSocketId' IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM presence_connections c WHERE c.socket_id = s.data->>'calleeSocketId'));`
+    );
+  }
+
+  // Rooms nobody is connected to any more
+  async function pruneCallRooms() {
+    await pool.query(
+      `DELETE FROM presence_call_rooms r
+       WHERE NOT EXISTS (
+         SELECT 1 FROM jsonb_array_elements(r.data->'participants') p
+         JOIN presence_connections c ON c.socket_id = p->>'socketId'
+       );`
+    );
+  }
+
+  return {
+    type: 'postgres',
+
+    // The tables come from migrations/006_create_presence_store.up.sql (and 016 for rooms)
+    async init() {
+      // Anything recorded under this instance ID belongs to a previous run
+      await pool.query('DELETE FROM presence_instances WHERE instance_id = $1;', [instanceId]);
+      await pool.query(`DELETE FROM presence_connection_attempts WHERE reset_at < NOW();`);
+      await heartbeat();
+      await pruneCallSessions();
+      await pruneCallRooms();
+
+      heartbeatTimer = setInterval(() => {
+        heartbeat().catch(err => logger.error('Presence heartbeat failed: ' + err.message));
+      }, INSTANCE_HEARTBEAT_MS);
+      heartbeatTimer.unref();
+    },
+
+    async close() {
+      clearInterval(heartbeatTimer);
+      await pool.query('DELETE FROM presence_instances WHERE instance_id = $1;', [instanceId]);
+    },
+
+    // Relays emits to sockets on other instances over LISTEN/NOTIFY
+    createSocketAdapter() {
+      return createAdapter(pool, {
+        errorHandler: err => logger.error('Socket.IO Postgres adapter: ' + err.message)
+      });
+    },
+
+    async addConnection(connection) {
+      await pool.query(
+        'INSERT INTO presence_connections (socket_id, instance_id, data) VALUES ($1, $2, $3);',
+        [connection.socketId, instanceId, connection]
+      );
+    },
+
+    async getConnection(socketId) {
+      const { rows } = await pool.query('SELECT data FROM presence_connections WHERE socket_id = $1;', [socketId]);
+      return rowToConnection(rows[0]);
+    },
+
+    async updateConnection(socketId, changes) {
+      await pool.query(
+        'UPDATE presence_connections SET data = data || $2::jsonb WHERE socket_id = $1;',
+        [socketId, changes]
+      );
+    },
+
+    // Removing the row also releases its device ID (ON DELETE CASCADE)
+    async removeConnection(socketId) {
+      const { rows } = await pool.query('DELETE FROM presence_connections WHERE socket_id = $1 RETURNING data;', [socketId]);
+      return rowToConnection(rows[0]);
+    },
+
+    async listConnections() {
+      const { rows } = await pool.query('SELECT data FROM presence_connections ORDER BY data->>\'connectedAt\';');
+      return rows.map(rowToConnection);
+    },
+
+    async countConnections() {
+      const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM presence_connections;');
+      return rows[0].count;
+    },
+
+    async claimDevice(deviceId, socketId) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        // Release any other device ID this socket held
+        await client.query('DELETE FROM presence_devices WHERE socket_id = $1 AND device_id <> $2;', [socketId, deviceId]);
+        const { rows } = await client.query(
+          'SELECT socket_id FROM presence_devices WHERE device_id = $1 FOR UPDATE;',
+          [deviceId]
+        );
+        await client.query(
+          `INSERT INTO presence_devices (device_id, socket_id, claimed_at) VALUES ($1, $2, NOW())
+           ON CONFLICT (device_id) DO UPDATE SET socket_id = EXCLUDED.socket_id, claimed_at = NOW();`,
+          [deviceId, socketId]
+        );
+        await client.query(
+          'UPDATE presence_connections SET data = data || $2::jsonb WHERE socket_id = $1;',
+          [socketId, { customId: deviceId, registeredAt: new Date().toISOString() }]
+        );
+        await client.query('COMMIT');
+        const previousSocketId = rows[0] ? rows[0].socket_id : null;
+        return previousSocketId === socketId ? null : previousSocketId;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    async getDeviceSocketId(deviceId) {
+      const { rows } = await pool.query('SELECT socket_id FROM presence_devices WHERE device_id = $1;', [deviceId]);
+      return rows[0] ? rows[0].socket_id : null;
+    },
+
+    async recordConnectionAttempt(clientKey, windowMs) {
+      const { rows } = await pool.query(
+        `INSERT INTO presence_connection_attempts AS a (client_key, count, reset_at)
+         VALUES ($1, 1, NOW() + ($2 || ' milliseconds')::interval)
+         ON CONFLICT (client_key) DO UPDATE SET
+           count = CASE WHEN a.reset_at < NOW() THEN 1 ELSE a.count + 1 END,
+           reset_at = CASE WHEN a.reset_at < NOW() THEN EXCLUDED.reset_at ELSE a.reset_at END
+         RETURNING count;`,
+        [clientKey, windowMs]
+      );
+      return rows[0].count;
+    },
+
+    async saveCallSession(session) {
+      await pool.query(
+        'INSERT INTO presence_call_sessions (call_id, state, data) VALUES ($1, $2, $3);',
+        [session.callId, session.state, session]
+      );
+    },
+
+    async getCallSession(callId) {
+      const { rows } = await pool.query('SELECT data FROM presence_call_sessions WHERE call_id = $1;', [callId]);
+      return rows[0] ? rows[0].data : null;
+    },
+
+    async updateCallSession(session, expectedState) {
+      const { rowCount } = await pool.query(
+        'UPDATE presence_call_sessions SET state = $2, data = $3 WHERE call_id = $1 AND state = $4;',
+        [session.callId, session.state, session, expectedState]
+      );
+      return rowCount > 0;
+    },
+
+    async updateCallSessionRecording(session, expectedState, expectedRequestedAt) {
+      const { rowCount } = await pool.query(
+        `UPDATE presence_call_sessions SET state = $2, data = $3
+         WHERE call_id = $1 AND state = $4 AND data->'recording'->>'requestedAt' IS NOT DISTINCT FROM $5;`,
+        [session.callId, session.state, session, expectedState, expectedRequestedAt]
+      );
+      return rowCount > 0;
+    },
+
+    async deleteCallSession(callId, expectedState) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM presence_call_sessions WHERE call_id = $1 AND state = $2;',
+        [callId, expectedState]
+      );
+      return rowCount > 0;
+    },
+
+    async listCallSessions() {
+      const { rows } = await pool.query('SELECT data FROM presence_call_sessions;');
+      return rows.map(row => row.data);
+    },
+
+    async countCallSessions() {
+      const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM presence_call_sessions;');
+      return rows[0].count;
+    },
+
+    async saveCallRoom(room) {
+      await pool.query(
+        'INSERT INTO presence_call_rooms (call_id, version, data) VALUES ($1, $2, $3);',
+        [room.callId, room.version, room]
+      );
+    },
+
+    async getCallRoom(callId) {
+      const { rows } = await pool.query('SELECT data FROM presence_call_rooms WHERE call_id = $1;', [callId]);
+      return rows[0] ? rows[0].data : null;
+    },
+
+    async updateCallRoom(room, expectedVersion) {
+      const { rowCount } = await pool.query(
+        'UPDATE presence_call_rooms SET version = $2, data = $3 WHERE call_id = $1 AND version = $4;',
+        [room.callId, room.version, room, expectedVersion]
+      );
+      return rowCount > 0;
+    },
+
+    async deleteCallRoom(callId, expectedVersion) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM presence_call_rooms WHERE call_id = $1 AND version = $2;',
+        [callId, expectedVersion]
+      );
+      return rowCount > 0;
+    },
+
+    async listCallRooms() {
+      const { rows } = await pool.query('SELECT data FROM presence_call_rooms;');
+      return rows.map(row => row.data);
+    }
+  };
+}
+
+module.exports = { createMemoryPresenceStore, createPostgresPresenceStore };
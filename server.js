@@ -4,14 +4,34 @@
  * Enhanced with environment variable validation
  */
 
-// TODO: Future: Add support for multi-person calls with Bill (group calls)
-// TODO: Future: Implement push notification logic for available users
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const { createLogger, format, transports } = require('winston');
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { Pool } = require('pg');
+const busboy = require('busboy');
+const { createMemoryPresenceStore, createPostgresPresenceStore } = require('./presenceStore');
+const { createLogNotificationTransport, createWebhookNotificationTransport } = require('./notificationTransport');
+const { migrateUp } = require('./migrate');
+const {
+  isValidDate,
+  isValidTimeZone,
+  createErrorEnvelope,
+  assignRequestId,
+  sendError,
+  validateRequest,
+  compilePayloadSchema,
+  getPayloadRequestId
+} = require('./validation');
 
 // Environment variables with validation and fallbacks
 const PORT = process.env.PORT || 3000;
@@ -36,11 +56,18 @@ const envConfig = {
   
   // TURN Server Configuration (CRITICAL for iOS)
   TURN_URLS: { value: process.env.TURN_URLS, source: process.env.TURN_URLS ? 'env' : 'missing', required: true },
-  TURN_USERNAME: { value: process.env.TURN_USERNAME, source: process.env.TURN_USERNAME ? 'env' : 'missing', required: true },
-  TURN_PASSWORD: { value: process.env.TURN_PASSWORD, source: process.env.TURN_PASSWORD ? 'env' : 'missing', required: true },
+  // Shared with coturn's static-auth-secret; when set, clients get short-lived credentials instead of the static pair
+  TURN_SECRET: { value: process.env.TURN_SECRET, source: process.env.TURN_SECRET ? 'env' : 'missing', required: false },
+  TURN_CREDENTIAL_TTL: { value: process.env.TURN_CREDENTIAL_TTL || 86400, source: process.env.TURN_CREDENTIAL_TTL ? 'env' : 'default', required: false },
+  TURN_USERNAME: { value: process.env.TURN_USERNAME, source: process.env.TURN_USERNAME ? 'env' : 'missing', required: !process.env.TURN_SECRET },
+  TURN_PASSWORD: { value: process.env.TURN_PASSWORD, source: process.env.TURN_PASSWORD ? 'env' : 'missing', required: !process.env.TURN_SECRET },
   
   // Security Configuration
   SESSION_SECRET: { value: process.env.SESSION_SECRET, source: process.env.SESSION_SECRET ? 'env' : 'missing', required: true },
+  // How long a REST API login lasts
+  SESSION_TTL_HOURS: { value: process.env.SESSION_TTL_HOURS || 12, source: process.env.SESSION_TTL_HOURS ? 'env' : 'default', required: false },
+  // Admin logins created or updated at startup ("alice:password,bob:password")
+  ADMIN_ACCOUNTS: { value: process.env.ADMIN_ACCOUNTS, source: process.env.ADMIN_ACCOUNTS ? 'env' : 'missing', required: false },
   
   // iOS Enhancement Configuration
   MAX_CONNECTIONS_PER_MINUTE: { value: process.env.MAX_CONNECTIONS_PER_MINUTE || 20, source: process.env.MAX_CONNECTIONS_PER_MINUTE ? 'env' : 'default', required: false },
@@ -48,6 +75,61 @@ const envConfig = {
   WS_PING_TIMEOUT: { value: process.env.WS_PING_TIMEOUT || 30000, source: process.env.WS_PING_TIMEOUT ? 'env' : 'default', required: false },
   WS_PING_INTERVAL: { value: process.env.WS_PING_INTERVAL || 25000, source: process.env.WS_PING_INTERVAL ? 'env' : 'default', required: false },
   IOS_CONNECTION_TIMEOUT: { value: process.env.IOS_CONNECTION_TIMEOUT || 60000, source: process.env.IOS_CONNECTION_TIMEOUT ? 'env' : 'default', required: false },
+  
+  // Call Session Configuration
+  CALL_RING_TIMEOUT_MS: { value: process.env.CALL_RING_TIMEOUT_MS || 60000, source: process.env.CALL_RING_TIMEOUT_MS ? 'env' : 'default', required: false },
+  
+  // Device Authentication Configuration
+  DEVICE_AUTH_MODE: { value: process.env.DEVICE_AUTH_MODE || 'enforce', source: process.env.DEVICE_AUTH_MODE ? 'env' : 'default', required: false },
+  DUPLICATE_DEVICE_POLICY: { value: process.env.DUPLICATE_DEVICE_POLICY || 'replace', source: process.env.DUPLICATE_DEVICE_POLICY ? 'env' : 'default', required: false },
+  DEVICE_SECRETS: { value: process.env.DEVICE_SECRETS, source: process.env.DEVICE_SECRETS ? 'env' : 'missing', required: false },
+  
+  // Presence Store Configuration ('memory' for one instance, 'postgres' to share presence across instances)
+  PRESENCE_STORE: { value: process.env.PRESENCE_STORE || 'memory', source: process.env.PRESENCE_STORE ? 'env' : 'default', required: false },
+  INSTANCE_ID: { value: process.env.INSTANCE_ID || os.hostname(), source: process.env.INSTANCE_ID ? 'env' : 'default', required: false },
+  
+  // Presence Configuration
+  HUB_DEVICE_ID: { value: process.env.HUB_DEVICE_ID || 'bills-iphone', source: process.env.HUB_DEVICE_ID ? 'env' : 'default', required: false },
+  PRESENCE_IDLE_MS: { value: process.env.PRESENCE_IDLE_MS || 90000, source: process.env.PRESENCE_IDLE_MS ? 'env' : 'default', required: false },
+  
+  // Calling Windows Configuration
+  // IANA zone of Bill's household, used for his hours and for family users without a zone (AVAILABILITY_TIMEZONE is the older name)
+  HOUSEHOLD_TIMEZONE: { value: process.env.HOUSEHOLD_TIMEZONE || process.env.AVAILABILITY_TIMEZONE || 'America/New_York', source: (process.env.HOUSEHOLD_TIMEZONE || process.env.AVAILABILITY_TIMEZONE) ? 'env' : 'default', required: false },
+  // Bill's own hours, as [{ day, start, end }] ranges like family_users.availability (defaults to 5-11PM daily)
+  HUB_AVAILABILITY: { value: process.env.HUB_AVAILABILITY, source: process.env.HUB_AVAILABILITY ? 'env' : 'default', required: false },
+  
+  // Call Quota Configuration (Bill's default outgoing limit; rows in call_quotas override it)
+  HUB_CALL_QUOTA_PER_HOUR: { value: process.env.HUB_CALL_QUOTA_PER_HOUR || 1, source: process.env.HUB_CALL_QUOTA_PER_HOUR ? 'env' : 'default', required: false },
+  HUB_CALL_QUOTA_PER_DAY: { value: process.env.HUB_CALL_QUOTA_PER_DAY, source: process.env.HUB_CALL_QUOTA_PER_DAY ? 'env' : 'default', required: false },
+  
+  // Profile Picture Configuration (largest upload accepted, in bytes; 10 MB by default)
+  PICTURE_UPLOAD_MAX_BYTES: { value: process.env.PICTURE_UPLOAD_MAX_BYTES || 10 * 1024 * 1024, source: process.env.PICTURE_UPLOAD_MAX_BYTES ? 'env' : 'default', required: false },
+  
+  // Recorded Media Configuration (voicemail and video message uploads buffered at once, per instance)
+  MEDIA_UPLOAD_CONCURRENCY: { value: process.env.MEDIA_UPLOAD_CONCURRENCY || 2, source: process.env.MEDIA_UPLOAD_CONCURRENCY ? 'env' : 'default', required: false },
+  
+  // Voicemail Configuration (longest message callers are offered, and the largest upload accepted, 25 MB by default)
+  VOICEMAIL_MAX_SECONDS: { value: process.env.VOICEMAIL_MAX_SECONDS || 120, source: process.env.VOICEMAIL_MAX_SECONDS ? 'env' : 'default', required: false },
+  VOICEMAIL_MAX_BYTES: { value: process.env.VOICEMAIL_MAX_BYTES || 25 * 1024 * 1024, source: process.env.VOICEMAIL_MAX_BYTES ? 'env' : 'default', required: false },
+
+  // Video Message Configuration (longest clip family members can record, and the largest upload accepted, 50 MB by default)
+  MESSAGE_MAX_SECONDS: { value: process.env.MESSAGE_MAX_SECONDS || 60, source: process.env.MESSAGE_MAX_SECONDS ? 'env' : 'default', required: false },
+  MESSAGE_MAX_BYTES: { value: process.env.MESSAGE_MAX_BYTES || 50 * 1024 * 1024, source: process.env.MESSAGE_MAX_BYTES ? 'env' : 'default', required: false },
+  
+  // Call Recording Configuration (how long recordings are kept, and the largest recording accepted, 500 MB by default)
+  RECORDING_RETENTION_DAYS: { value: process.env.RECORDING_RETENTION_DAYS || 30, source: process.env.RECORDING_RETENTION_DAYS ? 'env' : 'default', required: false },
+  RECORDING_MAX_BYTES: { value: process.env.RECORDING_MAX_BYTES || 500 * 1024 * 1024, source: process.env.RECORDING_MAX_BYTES ? 'env' : 'default', required: false },
+  
+  // Group Call Invitation Configuration (family members who must accept before the call starts, how long they
+  // have to answer, and the least time between invitations)
+  GROUP_CALL_MIN_ATTENDANCE: { value: process.env.GROUP_CALL_MIN_ATTENDANCE || 2, source: process.env.GROUP_CALL_MIN_ATTENDANCE ? 'env' : 'default', required: false },
+  GROUP_INVITE_TTL_MINUTES: { value: process.env.GROUP_INVITE_TTL_MINUTES || 15, source: process.env.GROUP_INVITE_TTL_MINUTES ? 'env' : 'default', required: false },
+  GROUP_INVITE_COOLDOWN_MINUTES: { value: process.env.GROUP_INVITE_COOLDOWN_MINUTES || 240, source: process.env.GROUP_INVITE_COOLDOWN_MINUTES ? 'env' : 'default', required: false },
+  
+  // Notification Transport Configuration ('log', or 'webhook' to POST notifications for offline devices to a push gateway)
+  NOTIFICATION_TRANSPORT: { value: process.env.NOTIFICATION_TRANSPORT || 'log', source: process.env.NOTIFICATION_TRANSPORT ? 'env' : 'default', required: false },
+  NOTIFICATION_WEBHOOK_URL: { value: process.env.NOTIFICATION_WEBHOOK_URL, source: process.env.NOTIFICATION_WEBHOOK_URL ? 'env' : 'missing', required: false },
+  NOTIFICATION_WEBHOOK_SECRET: { value: process.env.NOTIFICATION_WEBHOOK_SECRET, source: process.env.NOTIFICATION_WEBHOOK_SECRET ? 'env' : 'missing', required: false },
 };
 
 // Configure logger (before validation so we can log config issues)
@@ -109,6 +191,7 @@ function validateEnvironmentConfig() {
   logger.info(`🚀 Server starting in ${NODE_ENV} mode`);
   logger.info(`🌐 Server will listen on port ${PORT}`);
   logger.info(`🔄 TURN server configured: ${envConfig.TURN_URLS.value ? '✅' : '❌'}`);
+  logger.info(`🔐 TURN credentials: ${envConfig.TURN_SECRET.value ? `ephemeral (TTL ${envConfig.TURN_CREDENTIAL_TTL.value}s)` : 'static (set TURN_SECRET for ephemeral credentials)'}`);
   logger.info(`🗄️  Database configured: ${envConfig.POSTGRES_HOST.value ? '✅' : '❌'}`);
   
   // iOS-specific configuration summary
@@ -128,10 +211,45 @@ validateEnvironmentConfig();
 // Use validated environment variables
 const MAX_CONNECTIONS_PER_MINUTE = envConfig.MAX_CONNECTIONS_PER_MINUTE.value;
 const CONNECTION_WINDOW_MS = envConfig.CONNECTION_WINDOW_MS.value;
+const CALL_RING_TIMEOUT_MS = Number(envConfig.CALL_RING_TIMEOUT_MS.value);
+const DEVICE_AUTH_MODE = envConfig.DEVICE_AUTH_MODE.value;
+const DUPLICATE_DEVICE_POLICY = envConfig.DUPLICATE_DEVICE_POLICY.value;
+const PRESENCE_STORE = envConfig.PRESENCE_STORE.value;
+const INSTANCE_ID = envConfig.INSTANCE_ID.value;
+const HUB_DEVICE_ID = envConfig.HUB_DEVICE_ID.value;
+const PRESENCE_IDLE_MS = Number(envConfig.PRESENCE_IDLE_MS.value);
+const PICTURE_UPLOAD_MAX_BYTES = Number(envConfig.PICTURE_UPLOAD_MAX_BYTES.value);
+const MEDIA_UPLOAD_CONCURRENCY = Number(envConfig.MEDIA_UPLOAD_CONCURRENCY.value);
+const VOICEMAIL_MAX_SECONDS = Number(envConfig.VOICEMAIL_MAX_SECONDS.value);
+const VOICEMAIL_MAX_BYTES = Number(envConfig.VOICEMAIL_MAX_BYTES.value);
+const MESSAGE_MAX_SECONDS = Number(envConfig.MESSAGE_MAX_SECONDS.value);
+const MESSAGE_MAX_BYTES = Number(envConfig.MESSAGE_MAX_BYTES.value);
+const RECORDING_RETENTION_DAYS = Number(envConfig.RECORDING_RETENTION_DAYS.value);
+const RECORDING_MAX_BYTES = Number(envConfig.RECORDING_MAX_BYTES.value);
+const GROUP_INVITE_TTL_MINUTES = Number(envConfig.GROUP_INVITE_TTL_MINUTES.value);
+const GROUP_INVITE_COOLDOWN_MINUTES = Number(envConfig.GROUP_INVITE_COOLDOWN_MINUTES.value);
+const NOTIFICATION_TRANSPORT = envConfig.NOTIFICATION_TRANSPORT.value;
+const SESSION_TTL_SECONDS = Math.round(Number(envConfig.SESSION_TTL_HOURS.value) * 3600);
+const HOUSEHOLD_TIMEZONE = (() => {
+  if (isValidTimeZone(envConfig.HOUSEHOLD_TIMEZONE.value)) return envConfig.HOUSEHOLD_TIMEZONE.value;
+  logger.error(`Invalid HOUSEHOLD_TIMEZONE "${envConfig.HOUSEHOLD_TIMEZONE.value}", using America/New_York`);
+  return 'America/New_York';
+})();
 
 // Initialize Express app with security middleware
 const app = express();
 app.use(helmet());
+app.use(assignRequestId);
+
+// Failed requests are logged with their ID, so a requestId reported from a client can be found here
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      logger[res.statusCode >= 500 ? 'error' : 'warn'](`${req.method} ${req.path} -> ${res.statusCode} (request ${req.id})`);
+    }
+  });
+  next();
+});
 
 // Enhanced CORS configuration for iOS compatibility
 const corsOptions = {
@@ -167,7 +285,7 @@ const corsOptions = {
       }
     }
   },
-  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Origin',
     'X-Requested-With', 
@@ -177,8 +295,12 @@ const corsOptions = {
     'Cache-Control',
     'Pragma',
     'User-Agent',
-    'X-Platform'
+    'X-Platform',
+    'X-Device-Id',
+    'X-Device-Secret',
+    'X-Request-Id'
   ],
+  exposedHeaders: ['X-Request-Id', 'Upload-Offset'],
   credentials: true,
   maxAge: 86400, // 24 hours
   preflightContinue: false,
@@ -186,8 +308,11 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '30mb' }));
-app.use(express.urlencoded({ extended: true, limit: '30mb' }));
+// Large enough for a base64 picture_data of the largest picture upload (PUT /family-users/:id/picture
+// takes pictures as multipart instead)
+const JSON_BODY_LIMIT = Math.ceil(PICTURE_UPLOAD_MAX_BYTES * 4 / 3) + 1024 * 1024;
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -228,32 +353,480 @@ const io = new Server(server, {
   }
 });
 
-// Store active connections with additional metadata
-const connectedUsers = new Map();
+// --- PostgreSQL Integration ---
+const dbPool = new Pool({
+  host: envConfig.POSTGRES_HOST.value,
+  port: envConfig.POSTGRES_PORT.value,
+  database: envConfig.POSTGRES_DB.value,
+  user: envConfig.POSTGRES_USER.value,
+  password: envConfig.POSTGRES_PASSWORD.value,
+  max: 5,
+});
 
-// Rate limiting for connection attempts (using environment configuration)
-const connectionAttempts = new Map();
+// --- Presence Store ---
+// Connected sockets, device IDs, rate-limit counters and call sessions live behind
+// the store so several signaling instances can share them (see presenceStore.js)
+const presenceStore = PRESENCE_STORE === 'postgres'
+  ? createPostgresPresenceStore(dbPool, { instanceId: INSTANCE_ID, logger })
+  : createMemoryPresenceStore();
 
-// Helper function to get target socket
-const getTargetSocket = (targetId) => {
-  if (connectedUsers.has(targetId)) {
-    return connectedUsers.get(targetId).socket;
-  }
-  return null;
+// With a shared store, emits have to reach sockets held by other instances
+const socketAdapter = presenceStore.createSocketAdapter();
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+
+// Helper function to get target socket. Accepts a device ID or a socket ID and returns
+// a handle that can emit to the socket whichever instance it is connected to.
+const getTargetSocket = async (targetId) => {
+  if (!targetId) return null;
+  const socketId = (await presenceStore.getDeviceSocketId(targetId)) ||
+    ((await presenceStore.getConnection(targetId)) ? targetId : null);
+  if (!socketId) return null;
+  return {
+    id: socketId,
+    emit: (event, payload) => io.to(socketId).emit(event, payload)
+  };
 };
 
 // Helper function to log all connected users (for debugging)
-const logConnectedUsers = () => {
+const logConnectedUsers = async () => {
   logger.debug('Connected users:');
-  for (const [id, userData] of connectedUsers.entries()) {
-    if (typeof id === 'string' && (id.length < 20 || id === userData.socketId)) {
-      logger.debug(`  ${id} -> ${userData.customId || 'No custom ID'} (${userData.platform || 'unknown'})`);
+  for (const userData of await presenceStore.listConnections()) {
+    logger.debug(`  ${userData.socketId} -> ${userData.customId || 'No custom ID'} (${userData.platform || 'unknown'})`);
+  }
+};
+
+// --- Call Sessions ---
+// Every call gets an ID and moves through ringing -> connected -> ended,
+// or finishes early as missed, rejected or failed
+const CALL_STATES = {
+  RINGING: 'ringing',
+  CONNECTED: 'connected',
+  ENDED: 'ended',
+  MISSED: 'missed',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+// Allowed transitions; states without an entry are terminal
+const CALL_TRANSITIONS = {
+  [CALL_STATES.RINGING]: [CALL_STATES.CONNECTED, CALL_STATES.MISSED, CALL_STATES.REJECTED, CALL_STATES.FAILED],
+  [CALL_STATES.CONNECTED]: [CALL_STATES.ENDED, CALL_STATES.FAILED]
+};
+
+// Ring timers for sessions created on this instance, keyed by callId
+// (active sessions themselves live in the presence store)
+const ringTimers = new Map();
+
+// Reason codes for turning a call down, with the message shown to the caller
+const CALL_REJECT_REASONS = {
+  DECLINED: 'The call was declined',
+  RECIPIENT_BUSY: 'Recipient is already in a call',
+  OUTSIDE_HOURS: 'Recipient is outside their calling hours',
+  DO_NOT_DISTURB: 'Recipient does not want to be disturbed right now'
+};
+
+// Helper function to get the ID a socket is known by (device ID once registered)
+const getParticipantId = async (socketId) => {
+  const userData = await presenceStore.getConnection(socketId);
+  return (userData && userData.customId) || socketId;
+};
+
+// Public view of a session for events and logs
+const describeCallSession = (session) => ({
+  callId: session.callId,
+  caller: session.caller,
+  callee: session.callee,
+  state: session.state,
+  createdAt: session.createdAt,
+  answeredAt: session.answeredAt,
+  endedAt: session.endedAt,
+  endReason: session.endReason
+});
+
+async function createCallSession({ caller, callerSocketId, callee, calleeSocketId }) {
+  const session = {
+    callId: uuidv4(),
+    caller,
+    callerSocketId,
+    callee,
+    calleeSocketId,
+    state: CALL_STATES.RINGING,
+    createdAt: new Date().toISOString(),
+    answeredAt: null,
+    endedAt: null,
+    endReason: null
+  };
+  await presenceStore.saveCallSession(session);
+  logger.info(`📞 Call session ${session.callId} created: ${caller} -> ${callee}`);
+  logEvent('CALL_STATE', describeCallSession(session));
+  await recordCall(session);
+  publishCallPresence(session);
+
+  // Give up on calls nobody answers (a no-op if the call moved on, even on another instance)
+  ringTimers.set(session.callId, setTimeout(async () => {
+    ringTimers.delete(session.callId);
+    try {
+      const missed = await transitionCallSession(session.callId, CALL_STATES.MISSED, 'NO_ANSWER');
+      if (!missed) return;
+      const voicemail = await getVoicemailOffer(missed);
+      for (const id of [missed.callerSocketId, missed.calleeSocketId]) {
+        const participantSocket = await getTargetSocket(id);
+        if (participantSocket) {
+          participantSocket.emit('callEnded', {
+            callId: missed.callId,
+            from: null,
+            reason: 'NO_ANSWER',
+            state: missed.state,
+            // Only the caller can leave a message
+            voicemail: id === missed.callerSocketId ? voicemail : null
+          });
+        }
+      }
+    } catch (err) {
+      logger.error(`Ring timeout for call ${session.callId} failed: ` + err.message);
+    }
+  }, CALL_RING_TIMEOUT_MS));
+
+  return session;
+}
+
+// Move a session to its next state; returns null if the transition is not allowed
+async function transitionCallSession(callId, nextState, reason = null) {
+  const session = await presenceStore.getCallSession(callId);
+  if (!session) return null;
+
+  const previousState = session.state;
+  const allowed = CALL_TRANSITIONS[previousState] || [];
+  if (!allowed.includes(nextState)) {
+    logger.warn(`Ignoring invalid call transition ${previousState} -> ${nextState} for ${callId}`);
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  session.state = nextState;
+  if (nextState === CALL_STATES.CONNECTED) {
+    session.answeredAt = now;
+  }
+  const terminal = !CALL_TRANSITIONS[nextState];
+  if (terminal) {
+    session.endedAt = now;
+    session.endReason = reason;
+  }
+  
+  // Another handler (possibly on another instance) may have moved the call on first
+  const applied = terminal
+    ? await presenceStore.deleteCallSession(callId, previousState)
+    : await presenceStore.updateCallSession(session, previousState);
+  if (!applied) {
+    logger.warn(`Call session ${callId} changed concurrently, ignoring ${previousState} -> ${nextState}`);
+    return null;
+  }
+  clearTimeout(ringTimers.get(callId));
+  ringTimers.delete(callId);
+
+  logger.info(`📞 Call session ${callId}: ${nextState}${reason ? ` (${reason})` : ''}`);
+  logEvent('CALL_STATE', describeCallSession(session));
+  await recordCall(session);
+  if (terminal) {
+    publishCallPresence(session);
+  }
+  return session;
+}
+
+const isCallParticipant = (session, socketId) =>
+  session.callerSocketId === socketId || session.calleeSocketId === socketId;
+
+// Find the session a signaling message belongs to. Clients that predate call IDs
+// are matched on the pair of participants instead.
+async function resolveCallSession(callId, socketId, otherPartyId) {
+  if (callId) {
+    const session = await presenceStore.getCallSession(callId);
+    return session && isCallParticipant(session, socketId) ? session : null;
+  }
+  const otherSocket = await getTargetSocket(otherPartyId);
+  const otherSocketId = otherSocket ? otherSocket.id : otherPartyId;
+  for (const session of await presenceStore.listCallSessions()) {
+    if (isCallParticipant(session, socketId) && isCallParticipant(session, otherSocketId)) {
+      return session;
+    }
+  }
+  return null;
+}
+
+// Send an event to both ends of a call
+async function emitToCallParticipants(session, event, payload) {
+  for (const id of [session.callerSocketId, session.calleeSocketId]) {
+    const participantSocket = await getTargetSocket(id);
+    if (participantSocket) {
+      participantSocket.emit(event, payload);
+    }
+  }
+}
+
+// Sessions a socket is taking part in (used when it disconnects)
+const findCallSessionsForSocket = async (socketId) =>
+  (await presenceStore.listCallSessions()).filter(session => isCallParticipant(session, socketId));
+
+// --- Group Calls ---
+// A group call is a room with Bill's phone (the hub) at its centre and up to
+// GROUP_CALL_MAX_FAMILY family devices. Each family device connects to the hub only: the hub
+// keeps one peer connection per family member and sends every offer, and offers, answers and
+// ICE candidates are routed by callId and peer ID between the hub and one family device.
+// Family devices never signal each other, in a room or with makeCall, and as with presence
+// they only hear about the hub: peerJoined, peerLeft and declined invitations go to the hub.
+//
+// The hub creates a room inviting family devices, who answer with joinRoom or leaveRoom
+// (declining). The room closes when the hub leaves, or once every family member has left or
+// declined.
+const GROUP_CALL_MAX_FAMILY = 4;
+
+// Codes a room operation can fail with, and the message shown for each
+const ROOM_ERRORS = {
+  ROOM_NOT_FOUND: 'Group call not found or already over',
+  NOT_INVITED: 'You are not invited to this group call',
+  NOT_IN_ROOM: 'You are not in this group call',
+  PEER_NOT_IN_ROOM: 'That device is not in this group call',
+  ROOM_FULL: `A group call has room for ${GROUP_CALL_MAX_FAMILY} family members`,
+  ROOM_BUSY: 'The group call changed at the same time, please try again'
+};
+
+// Public view of a room for events and logs. Like presence, a family device (viewerId) only
+// sees the hub and itself, never the rest of the family.
+const describeCallRoom = (room, viewerId = room.hub) => {
+  const visible = (deviceId) => canWatchPresence(viewerId, deviceId);
+  return {
+    callId: room.callId,
+    hub: room.hub,
+    createdBy: room.createdBy,
+    createdAt: room.createdAt,
+    participants: room.participants.map(participant => participant.deviceId).filter(visible),
+    invited: room.invited.filter(visible),
+    maxFamilyMembers: GROUP_CALL_MAX_FAMILY
+  };
+};
+
+const isRoomParticipant = (room, socketId) =>
+  room.participants.some(participant => participant.socketId === socketId);
+
+// Rooms a socket is taking part in (used for presence and when it disconnects)
+const findCallRoomsForSocket = async (socketId) =>
+  (await presenceStore.listCallRooms()).filter(room => isRoomParticipant(room, socketId));
+
+async function createCallRoom({ createdBy, socketId, invited }) {
+  const now = new Date().toISOString();
+  const room = {
+    callId: uuidv4(),
+    hub: HUB_DEVICE_ID,
+    createdBy,
+    createdAt: now,
+    version: 1,
+    participants: [{ deviceId: createdBy, socketId, joinedAt: now }],
+    invited
+  };
+  await presenceStore.saveCallRoom(room);
+  logger.info(`👥 Group call ${room.callId} created by ${createdBy}, inviting ${invited.join(', ')}`);
+  logEvent('ROOM_CREATED', describeCallRoom(room));
+  return room;
+}
+
+// Apply change(room) to the stored room and save it if its version hasn't moved on meanwhile
+// (another handler, possibly on another instance, got there first), trying again if it has.
+// change edits the room and returns details for the caller, { error: code } to leave the room
+// as it is, or { close: true, ... } to delete it. Resolves to those details plus the room.
+async function changeCallRoom(callId, change) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const room = await presenceStore.getCallRoom(callId);
+    if (!room) return { error: 'ROOM_NOT_FOUND' };
+    const expectedVersion = room.version;
+    const outcome = change(room);
+    if (outcome.error) return outcome;
+    room.version = expectedVersion + 1;
+    const applied = outcome.close
+      ? await presenceStore.deleteCallRoom(callId, expectedVersion)
+      : await presenceStore.updateCallRoom(room, expectedVersion);
+    if (applied) return { ...outcome, room };
+  }
+  logger.warn(`Group call ${callId} kept changing concurrently, giving up`);
+  return { error: 'ROOM_BUSY' };
+}
+
+// Joining and leaving a room moves devices between online and in-call
+async function publishRoomPresence(deviceIds) {
+  try {
+    for (const deviceId of deviceIds) {
+      if (await presenceStore.getDeviceSocketId(deviceId)) {
+        await publishPresence(deviceId);
+      }
+    }
+  } catch (err) {
+    logger.error('Failed to publish group call presence: ' + err.message);
+  }
+}
+
+// Send an event to the hub's socket in a room, if it is there
+async function emitToRoomHub(room, event, payload) {
+  const hub = room.participants.find(participant => participant.deviceId === room.hub);
+  const hubSocket = hub ? await getTargetSocket(hub.socketId) : null;
+  if (hubSocket) {
+    hubSocket.emit(event, payload);
+  }
+}
+
+// Send roomInvite to each connected invitee, with any details to add (e.g. the inviteId of a
+// group call invitation they accepted). Resolves to the invitees that aren't connected.
+async function sendRoomInvites(room, deviceIds, details = {}) {
+  const offline = [];
+  for (const deviceId of deviceIds) {
+    const inviteeSocket = await getTargetSocket(deviceId);
+    if (inviteeSocket) {
+      inviteeSocket.emit('roomInvite', { ...describeCallRoom(room, deviceId), from: room.createdBy, ...details });
+    } else {
+      offline.push(deviceId);
+    }
+  }
+  return offline;
+}
+
+// Take a device out of a room, as a participant leaving or an invitee declining, and tell
+// whoever is left (reason is LEFT, DECLINED or PEER_DISCONNECTED).
+// Resolves to { error } if the device was neither.
+async function leaveCallRoom(callId, deviceId, socketId, reason) {
+  const result = await changeCallRoom(callId, (room) => {
+    const wasParticipant = isRoomParticipant(room, socketId);
+    if (!wasParticipant && !room.invited.includes(deviceId)) return { error: 'NOT_IN_ROOM' };
+    room.participants = room.participants.filter(participant => participant.socketId !== socketId);
+    room.invited = room.invited.filter(id => id !== deviceId);
+    // The hub is the centre of the call, and it's over once the hub would be on its own
+    const onlyHubLeft = room.participants.every(participant => participant.deviceId === room.hub) && room.invited.length === 0;
+    return { wasParticipant, close: deviceId === room.hub || room.participants.length === 0 || onlyHubLeft };
+  });
+  if (result.error) return result;
+
+  const { room, wasParticipant, close } = result;
+  const leaveReason = wasParticipant ? reason : 'DECLINED';
+  logger.info(`👥 ${deviceId} ${wasParticipant ? 'left' : 'declined'} group call ${callId} (${leaveReason})`);
+  logEvent(wasParticipant ? 'ROOM_LEFT' : 'ROOM_INVITE_DECLINED', { callId, deviceId, reason: leaveReason });
+  if (close) {
+    const closeReason = deviceId === room.hub ? 'HUB_LEFT' : 'EVERYONE_LEFT';
+    logger.info(`👥 Group call ${callId} closed (${closeReason})`);
+    logEvent('ROOM_CLOSED', { ...describeCallRoom(room), reason: closeReason });
+    // Invitees hear about it too, so an unanswered invitation goes away
+    for (const id of [...room.participants.map(participant => participant.socketId), ...room.invited]) {
+      const targetSocket = await getTargetSocket(id);
+      if (targetSocket) {
+        targetSocket.emit('roomClosed', { callId, reason: closeReason });
+      }
     }
+  } else {
+    await emitToRoomHub(room, wasParticipant ? 'peerLeft' : 'roomInviteDeclined', { callId, peerId: deviceId, reason: leaveReason });
   }
+  await publishRoomPresence(close ? [deviceId, ...room.participants.map(participant => participant.deviceId)] : [deviceId]);
+  return result;
+}
+
+// --- Presence ---
+// Registered devices are online, idle (connected but no heartbeat for PRESENCE_IDLE_MS),
+// in-call or offline. Bill's phone (the hub) may see every device and every device may
+// see the hub; family devices never see each other.
+const PRESENCE_STATES = {
+  ONLINE: 'online',
+  IDLE: 'idle',
+  IN_CALL: 'in-call',
+  OFFLINE: 'offline'
 };
 
+// Rooms whose members receive presenceChanged for the hub or for family devices
+const PRESENCE_ROOMS = {
+  HUB_WATCHERS: 'presence:hub-watchers',
+  FAMILY_WATCHERS: 'presence:family-watchers'
+};
+
+const canWatchPresence = (watcherId, deviceId) =>
+  watcherId === deviceId || watcherId === HUB_DEVICE_ID || deviceId === HUB_DEVICE_ID;
+
+// Room a device joins to hear about the devices it may watch
+const getPresenceRoomToJoin = (deviceId) =>
+  deviceId === HUB_DEVICE_ID ? PRESENCE_ROOMS.FAMILY_WATCHERS : PRESENCE_ROOMS.HUB_WATCHERS;
+
+// Room that hears about a device's presence
+const getPresenceRoomFor = (deviceId) =>
+  deviceId === HUB_DEVICE_ID ? PRESENCE_ROOMS.HUB_WATCHERS : PRESENCE_ROOMS.FAMILY_WATCHERS;
+
+// Presence of one device; lastSeen is used as-is when the device is offline
+async function getDevicePresence(deviceId, lastSeen = null) {
+  const socketId = await presenceStore.getDeviceSocketId(deviceId);
+  const connection = socketId ? await presenceStore.getConnection(socketId) : null;
+  if (!connection) {
+    return { deviceId, state: PRESENCE_STATES.OFFLINE, lastSeen };
+  }
+  
+  let state = PRESENCE_STATES.ONLINE;
+  if ((await findCallSessionsForSocket(socketId)).length > 0 || (await findCallRoomsForSocket(socketId)).length > 0) {
+    state = PRESENCE_STATES.IN_CALL;
+  } else if (Date.now() - connection.lastPing > PRESENCE_IDLE_MS) {
+    state = PRESENCE_STATES.IDLE;
+  }
+  return { deviceId, state, lastSeen: new Date(connection.lastPing).toISOString(), presenceState: connection.presenceState };
+}
+
+// Presence of every active registered device the watcher is allowed to see
+async function listVisiblePresence(watcherId) {
+  const result = await dbPool.query(
+    'SELECT device_id, label, last_seen_at FROM devices WHERE revoked_at IS NULL ORDER BY device_id;'
+  );
+  const visible = result.rows.filter(row => canWatchPresence(watcherId, row.device_id));
+  return Promise.all(visible.map(async (row) => {
+    const { presenceState, ...presence } = await getDevicePresence(row.device_id, row.last_seen_at);
+    return { ...presence, label: row.label };
+  }));
+}
+
+// Tell the device's watchers about its presence if it changed since the last announcement
+async function publishPresence(deviceId) {
+  const { presenceState, ...presence } = await getDevicePresence(deviceId, new Date().toISOString());
+  if (presence.state !== PRESENCE_STATES.OFFLINE) {
+    // The last announced state is kept with the connection so every instance agrees on it
+    if (presenceState === presence.state) return;
+    const socketId = await presenceStore.getDeviceSocketId(deviceId);
+    await presenceStore.updateConnection(socketId, { presenceState: presence.state });
+  }
+  
+  logger.debug(`👀 Presence: ${deviceId} is ${presence.state}`);
+  io.to(getPresenceRoomFor(deviceId)).emit('presenceChanged', presence);
+}
+
+// Call participants that are registered devices change between online and in-call
+async function publishCallPresence(session) {
+  try {
+    for (const socketId of [session.callerSocketId, session.calleeSocketId]) {
+      const connection = socketId ? await presenceStore.getConnection(socketId) : null;
+      if (connection && connection.customId && await presenceStore.getDeviceSocketId(connection.customId) === socketId) {
+        await publishPresence(connection.customId);
+      }
+    }
+  } catch (err) {
+    logger.error('Failed to publish call presence: ' + err.message);
+  }
+}
+
+// Devices become idle without any event, so check this instance's sockets periodically
+setInterval(async () => {
+  try {
+    const connections = await presenceStore.listConnections();
+    for (const connection of connections) {
+      if (connection.instanceId === INSTANCE_ID && connection.customId) {
+        await publishPresence(connection.customId);
+      }
+    }
+  } catch (err) {
+    logger.error('Presence sweep failed: ' + err.message);
+  }
+}, Math.min(PRESENCE_IDLE_MS, 30000)).unref();
+
 // Enhanced connection middleware with iOS detection
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const userAgent = socket.handshake.headers['user-agent'] || '';
   const platform = socket.handshake.query.platform || '';
   const clientIp = socket.handshake.address;
@@ -261,23 +834,20 @@ io.use((socket, next) => {
   // Log connection attempt details
   logger.info(`Connection attempt from ${clientIp}, Platform: ${platform}, UA: ${userAgent.substring(0, 100)}`);
   
-  // Enhanced rate limiting with iOS considerations
-  const now = Date.now();
-  const clientData = connectionAttempts.get(clientIp) || { count: 0, resetTime: now + CONNECTION_WINDOW_MS };
-  
-  if (now > clientData.resetTime) {
-    clientData.count = 1;
-    clientData.resetTime = now + CONNECTION_WINDOW_MS;
-  } else {
-    clientData.count += 1;
+  // Enhanced rate limiting with iOS considerations (counted across all instances)
+  let attempts;
+  try {
+    attempts = await presenceStore.recordConnectionAttempt(clientIp, Number(CONNECTION_WINDOW_MS));
+  } catch (err) {
+    // Don't lock everyone out because the store is unavailable
+    logger.error('Rate limit check failed: ' + err.message);
+    return next();
   }
   
-  connectionAttempts.set(clientIp, clientData);
-  
   // More lenient rate limiting for iOS apps
   const maxConnections = platform === 'ios' ? MAX_CONNECTIONS_PER_MINUTE * 2 : MAX_CONNECTIONS_PER_MINUTE;
   
-  if (clientData.count > maxConnections) {
+  if (attempts > maxConnections) {
     logger.warn(`Rate limit exceeded for ${clientIp} (Platform: ${platform})`);
     return next(new Error('Rate limit exceeded'));
   }
@@ -285,6 +855,99 @@ io.use((socket, next) => {
   next();
 });
 
+// --- Socket Event Payloads ---
+// What each client event must carry, and the event a rejected payload is reported on (with the
+// error envelope, see validation.js). Clients may put a requestId in any payload; errors for
+// that event carry it back.
+const socketPayload = (properties, required = []) => ({
+  type: 'object',
+  properties: { requestId: { type: 'string' }, ...properties },
+  required
+});
+const PEER_ID_SCHEMA = { type: 'string', minLength: 1, maxLength: 128 };
+const CALL_ID_SCHEMA = { type: ['string', 'null'], maxLength: 64 };
+const SESSION_DESCRIPTION_SCHEMA = {
+  type: 'object',
+  properties: { type: { type: 'string' }, sdp: { type: 'string', minLength: 1 } },
+  required: ['sdp']
+};
+// Clients that predate call IDs name the other party instead
+const CALL_REFERENCE = { anyOf: [{ required: ['callId'] }, { required: ['to'] }] };
+
+const SOCKET_EVENTS = {
+  ping: {
+    errorEvent: 'requestError',
+    schema: socketPayload({ timestamp: { type: ['number', 'string'] } })
+  },
+  register: {
+    errorEvent: 'registrationFailed',
+    schema: socketPayload({ deviceId: PEER_ID_SCHEMA, deviceSecret: { type: ['string', 'null'], maxLength: 256 } }, ['deviceId'])
+  },
+  makeCall: {
+    errorEvent: 'callError',
+    schema: socketPayload({ to: PEER_ID_SCHEMA, offer: SESSION_DESCRIPTION_SCHEMA, emergency: { type: 'boolean' } }, ['to', 'offer'])
+  },
+  answerCall: {
+    errorEvent: 'callError',
+    schema: { ...socketPayload({ to: PEER_ID_SCHEMA, answer: SESSION_DESCRIPTION_SCHEMA, callId: CALL_ID_SCHEMA }, ['answer']), ...CALL_REFERENCE }
+  },
+  callRejected: {
+    errorEvent: 'callError',
+    schema: { ...socketPayload({ to: PEER_ID_SCHEMA, callId: CALL_ID_SCHEMA, reason: { type: 'string', maxLength: 64 } }), ...CALL_REFERENCE }
+  },
+  iceCandidate: {
+    errorEvent: 'callError',
+    schema: socketPayload({ to: PEER_ID_SCHEMA, candidate: { type: 'object' }, callId: CALL_ID_SCHEMA }, ['to', 'candidate'])
+  },
+  endCall: {
+    errorEvent: 'callError',
+    schema: { ...socketPayload({ to: PEER_ID_SCHEMA, callId: CALL_ID_SCHEMA }), ...CALL_REFERENCE }
+  },
+  requestRecording: {
+    errorEvent: 'recordingError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA }, ['callId'])
+  },
+  recordingConsent: {
+    errorEvent: 'recordingError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA, accepted: { type: 'boolean' } }, ['callId', 'accepted'])
+  },
+  stopRecording: {
+    errorEvent: 'recordingError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA }, ['callId'])
+  },
+  createRoom: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ invite: { type: 'array', items: PEER_ID_SCHEMA, maxItems: GROUP_CALL_MAX_FAMILY } })
+  },
+  joinRoom: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA }, ['callId'])
+  },
+  leaveRoom: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA }, ['callId'])
+  },
+  roomOffer: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA, to: PEER_ID_SCHEMA, offer: SESSION_DESCRIPTION_SCHEMA }, ['callId', 'to', 'offer'])
+  },
+  roomAnswer: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA, to: PEER_ID_SCHEMA, answer: SESSION_DESCRIPTION_SCHEMA }, ['callId', 'to', 'answer'])
+  },
+  roomIceCandidate: {
+    errorEvent: 'roomError',
+    schema: socketPayload({ callId: CALL_ID_SCHEMA, to: PEER_ID_SCHEMA, candidate: { type: 'object' } }, ['callId', 'to', 'candidate'])
+  },
+  groupCallInviteResponse: {
+    errorEvent: 'groupCallInviteError',
+    schema: socketPayload({ inviteId: { type: 'string', format: 'uuid' }, accepted: { type: 'boolean' } }, ['inviteId', 'accepted'])
+  }
+};
+for (const definition of Object.values(SOCKET_EVENTS)) {
+  definition.validate = compilePayloadSchema(definition.schema);
+}
+
 // Enhanced Socket.io connection handler
 io.on('connection', (socket) => {
   const socketId = socket.id;
@@ -296,10 +959,10 @@ io.on('connection', (socket) => {
   logger.info(`✅ User connected: ${socketId}, Platform: ${platform}, Version: ${version}, Build: ${buildNumber}`);
   logEvent('USER_CONNECTED', { socketId, ip: socket.handshake.address, userAgent: userAgent.substring(0, 200), platform, version, buildNumber });
   
-  // Enhanced user metadata for iOS
-  connectedUsers.set(socketId, { 
-    socket,
+  // Enhanced user metadata for iOS. Handlers that need the record wait for it to be stored.
+  const connectionReady = presenceStore.addConnection({
     socketId, 
+    instanceId: INSTANCE_ID,
     customId: null,
     platform,
     version,
@@ -308,7 +971,41 @@ io.on('connection', (socket) => {
     ip: socket.handshake.address,
     userAgent: userAgent.substring(0, 200), // Truncate long user agents
     lastPing: Date.now()
-  });
+  }).catch(err => logger.error(`Failed to store connection ${socketId}: ${err.message}`));
+  
+  // Errors go out as the error envelope plus whatever the client needs to match them up
+  const emitError = (event, { code, message, fields, requestId }, details = {}) => {
+    socket.emit(event, { ...createErrorEnvelope({ code, message, fields, requestId }), ...details });
+  };
+  
+  // Handlers only see payloads that match the event's schema, and get the event's request ID
+  const onEvent = (event, handler) => {
+    const { errorEvent, validate } = SOCKET_EVENTS[event];
+    socket.on(event, async (payload) => {
+      const requestId = getPayloadRequestId(payload);
+      const fields = validate(payload);
+      if (fields) {
+        logger.warn(`🚫 Invalid ${event} payload from ${socketId} (request ${requestId}): ${fields.map(field => `${field.field} ${field.message}`).join('; ')}`);
+        emitError(errorEvent, { code: 'VALIDATION_FAILED', message: `Invalid ${event} payload`, fields, requestId }, { event });
+        return;
+      }
+      // A failing store or database call still gets the client an answer
+      try {
+        await handler(payload, requestId);
+      } catch (err) {
+        logger.error(`❌ ${event} handler failed for ${socketId} (request ${requestId}): ${err.message}`);
+        emitError(errorEvent, { code: 'INTERNAL_ERROR', message: `Could not handle ${event}, please try again`, requestId }, { event });
+      }
+    });
+  };
+  
+  // In enforce mode a socket only takes part in calls once it has registered as a known device
+  const isUnregisteredInEnforceMode = async () => {
+    if (DEVICE_AUTH_MODE !== 'enforce') return false;
+    await connectionReady;
+    const userData = await presenceStore.getConnection(socketId);
+    return !(userData && userData.customId);
+  };
   
   // Send enhanced connection confirmation
   socket.emit('connectionEstablished', { 
@@ -319,571 +1016,4354 @@ io.on('connection', (socket) => {
   });
   
   // iOS-specific heartbeat handling
-  socket.on('ping', (data) => {
-    const userData = connectedUsers.get(socketId);
-    if (userData) {
-      userData.lastPing = Date.now();
-      connectedUsers.set(socketId, userData);
-    }
+  onEvent('ping', async (data) => {
     socket.emit('pong', { timestamp: data.timestamp });
+    await connectionReady;
+    await presenceStore.updateConnection(socketId, { lastPing: Date.now() });
+    
+    // A heartbeat brings an idle device back online
+    const userData = await presenceStore.getConnection(socketId);
+    if (userData && userData.customId) {
+      await publishPresence(userData.customId);
+    }
   });
   
-  // Enhanced register handler with iOS metadata
-  socket.on('register', (data) => {
+  // Register handler: the device must authenticate before it can claim a device ID
+  onEvent('register', async (data, requestId) => {
     const customId = data.deviceId;
+    await connectionReady;
+    const userData = await presenceStore.getConnection(socketId);
+    if (!userData) return;
+    
+    // Clients re-send register for stability; nothing to do if this socket already holds the ID
+    if (userData.customId === customId && await presenceStore.getDeviceSocketId(customId) === socketId) {
+      socket.emit('registered', { deviceId: customId, timestamp: new Date().toISOString() });
+      return;
+    }
+    
+    const auth = await authenticateDevice(customId, data.deviceSecret);
+    if (!auth.ok) {
+      logger.warn(`🚫 Registration rejected: ${socketId} -> ${customId} (${auth.code})`);
+      logEvent(auth.code === 'DEVICE_AUTH_FAILED' ? 'IMPERSONATION_ATTEMPT' : 'REGISTER_REJECTED', {
+        socketId,
+        customId,
+        code: auth.code,
+        ip: socket.handshake.address,
+        platform,
+        userAgent: userAgent.substring(0, 200)
+      });
+      emitError('registrationFailed', { code: auth.code, message: auth.message, requestId }, { deviceId: customId });
+      return;
+    }
+    
+    // The socket may have disconnected while we were checking credentials
+    if (!socket.connected) return;
+    
+    // Decide what happens when the device ID is already live on another socket
+    const existingSocketId = await presenceStore.getDeviceSocketId(customId);
+    if (existingSocketId && existingSocketId !== socketId && DUPLICATE_DEVICE_POLICY === 'reject') {
+      logger.warn(`🚫 ${customId} is already connected on ${existingSocketId}, rejecting ${socketId}`);
+      logEvent('DUPLICATE_REGISTRATION', { customId, socketId, existingSocketId, action: 'rejected' });
+      emitError('registrationFailed', {
+        code: 'DEVICE_ALREADY_CONNECTED',
+        message: 'This device is already connected from another session',
+        requestId
+      }, { deviceId: customId });
+      return;
+    }
+    
+    // Claiming the ID also releases one this socket registered earlier under a different name
+    const replacedSocketId = await presenceStore.claimDevice(customId, socketId);
+    if (replacedSocketId) {
+      logger.warn(`🔁 ${customId} re-registered on ${socketId}, replacing ${replacedSocketId}`);
+      logEvent('DUPLICATE_REGISTRATION', { customId, socketId, existingSocketId: replacedSocketId, action: 'replaced' });
+      io.to(replacedSocketId).emit('registrationReplaced', {
+        deviceId: customId,
+        timestamp: new Date().toISOString()
+      });
+      // Works across instances through the adapter
+      io.in(replacedSocketId).disconnectSockets(true);
+    }
+    
     logger.info(`📱 Device registered: ${socketId} -> ${customId} (${platform} v${version})`);
     logEvent('REGISTER', { socketId, customId, platform, version });
     
-    const userData = connectedUsers.get(socketId);
-    if (userData) {
-      userData.customId = customId;
-      userData.registeredAt = new Date().toISOString();
-      connectedUsers.set(socketId, userData);
-      connectedUsers.set(customId, userData);
+    // Subscribe to the presence of the devices this one may see, and announce it
+    if (userData.customId) {
+      socket.leave(getPresenceRoomToJoin(userData.customId));
     }
+    socket.join(getPresenceRoomToJoin(customId));
+    touchDeviceLastSeen(customId);
+    await publishPresence(customId);
     
-    // Send registration confirmation
+    // Send registration confirmation with the current presence of visible devices
     socket.emit('registered', {
       deviceId: customId,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      presence: await listVisiblePresence(customId)
     });
   });
   
   // Enhanced makeCall event with iOS support
-  socket.on('makeCall', ({ to, offer }) => {
-    logger.info(`📞 Call request: ${socketId} -> ${to} (Platform: ${platform})`);
-    logEvent('CALL_REQUEST', { from: socketId, to, platform });
+  onEvent('makeCall', async ({ to, offer, emergency = false }, requestId) => {
+    if (await isUnregisteredInEnforceMode()) {
+      logger.warn(`🚫 Call request from unregistered socket ${socketId} to ${to} refused`);
+      logEvent('CALL_BLOCKED', { from: socketId, to, code: 'REGISTRATION_REQUIRED' });
+      emitError('callError', { code: 'REGISTRATION_REQUIRED', message: 'Register this device before placing calls', requestId }, { callId: null, target: to });
+      return;
+    }
+    const from = await getParticipantId(socketId);
+    logger.info(`📞 Call request: ${from} -> ${to} (Platform: ${platform})`);
+    logEvent('CALL_REQUEST', { from, to, platform });
     
-    const targetSocket = getTargetSocket(to);
-    if (targetSocket) {
+    // Bill's phone is at one end of every call; family devices can't call each other
+    if (from !== HUB_DEVICE_ID && to !== HUB_DEVICE_ID) {
+      logger.warn(`🚫 Call ${from} -> ${to} blocked, neither side is the hub`);
+      logEvent('CALL_BLOCKED', { from, to, code: 'CALL_NOT_ALLOWED' });
+      emitError('callError', { code: 'CALL_NOT_ALLOWED', message: 'Family devices can only call Bill\'s phone', requestId }, { callId: null, target: to });
+      return;
+    }
+    
+    // Calls are only placed inside both parties' calling windows, unless an authorized device declares an emergency
+    let callingWindow;
+    try {
+      callingWindow = await checkCallingWindow(from, to, { emergency });
+    } catch (err) {
+      logger.error('Calling window check failed: ' + err.message);
+      emitError('callError', { code: 'AVAILABILITY_CHECK_FAILED', message: 'Could not check calling hours, please try again', requestId }, { callId: null, target: to });
+      return;
+    }
+    if (!callingWindow.ok) {
+      const { nextWindow } = callingWindow;
+      const nextWindowText = nextWindow
+        ? new Date(nextWindow.start).toLocaleString('en-US', { timeZone: callingWindow.timeZone, weekday: 'long', hour: 'numeric', minute: '2-digit' })
+        : null;
+      logger.info(`⏰ Call ${from} -> ${to} blocked, outside availability of ${callingWindow.unavailable.join(', ')}`);
+      logEvent('CALL_BLOCKED', { from, to, code: 'OUTSIDE_AVAILABILITY', unavailable: callingWindow.unavailable, nextWindow });
+      emitError('callError', {
+        code: 'OUTSIDE_AVAILABILITY',
+        message: `Outside calling hours${nextWindowText ? `. Next open window: ${nextWindowText}` : ''}`,
+        requestId
+      }, {
+        callId: null,
+        target: to,
+        unavailable: callingWindow.unavailable,
+        nextWindow
+      });
+      return;
+    }
+    if (callingWindow.override) {
+      logger.warn(`🚨 Emergency call ${from} -> ${to} overrides calling windows`);
+      logEvent('AVAILABILITY_OVERRIDE', { from, to });
+    }
+    
+    // Outgoing calls are also rationed per device/contact; an authorized emergency skips the quota too
+    if (!callingWindow.override) {
+      let quota;
+      try {
+        quota = await getCallQuota(from, to);
+      } catch (err) {
+        logger.error('Call quota check failed: ' + err.message);
+        emitError('callError', { code: 'QUOTA_CHECK_FAILED', message: 'Could not check the call limit, please try again', requestId }, { callId: null, target: to });
+        return;
+      }
+      if (!quota.allowed) {
+        const nextAllowedText = quota.nextAllowedAt
+          ? new Date(quota.nextAllowedAt).toLocaleString('en-US', { timeZone: callingWindow.timeZone, weekday: 'long', hour: 'numeric', minute: '2-digit' })
+          : null;
+        logger.info(`🔢 Call ${from} -> ${to} blocked, call quota used up`);
+        logEvent('CALL_BLOCKED', { from, to, code: 'CALL_QUOTA_EXCEEDED', nextAllowedAt: quota.nextAllowedAt });
+        emitError('callError', {
+          code: 'CALL_QUOTA_EXCEEDED',
+          message: `Call limit reached${nextAllowedText ? `. You can call again ${nextAllowedText}` : ''}`,
+          requestId
+        }, {
+          callId: null,
+          target: to,
+          quota
+        });
+        return;
+      }
+    }
+    
+    const targetSocket = await getTargetSocket(to);
+    const session = await createCallSession({
+      caller: from,
+      callerSocketId: socketId,
+      callee: to,
+      calleeSocketId: targetSocket ? targetSocket.id : null
+    });
+    
+    // A device that is already ringing, talking or in a group call is busy; answer for it
+    const recipientBusy = targetSocket && ((await findCallSessionsForSocket(targetSocket.id))
+      .some(other => other.callId !== session.callId) || (await findCallRoomsForSocket(targetSocket.id)).length > 0);
+    
+    if (recipientBusy) {
+      await transitionCallSession(session.callId, CALL_STATES.REJECTED, 'RECIPIENT_BUSY');
+      socket.emit('callRejected', {
+        callId: session.callId,
+        from: to,
+        reason: 'RECIPIENT_BUSY',
+        message: CALL_REJECT_REASONS.RECIPIENT_BUSY
+      });
+      logger.debug(`Recipient ${to} is busy, rejected call ${session.callId}`);
+    } else if (targetSocket) {
       targetSocket.emit('incomingCall', {
-        from: socketId,
+        callId: session.callId,
+        from,
         offer,
         callerPlatform: platform,
-        timestamp: new Date().toISOString()
+        timestamp: session.createdAt
       });
       
-      // Send call progress to caller
+      // Send call progress to caller, with what is left of its quota now this attempt counts
       socket.emit('callProgress', {
+        callId: session.callId,
         status: 'ringing',
-        target: to
+        target: to,
+        quota: await getCallQuota(from, to).catch(() => null)
       });
       
       logger.debug(`Forwarded call offer to ${to}`);
     } else {
-      socket.emit('callError', {
-        message: 'Recipient not found or offline',
+      const failed = await transitionCallSession(session.callId, CALL_STATES.FAILED, 'RECIPIENT_UNAVAILABLE');
+      emitError('callError', {
         code: 'RECIPIENT_UNAVAILABLE',
-        target: to
+        message: 'Recipient not found or offline',
+        requestId
+      }, {
+        callId: session.callId,
+        target: to,
+        voicemail: failed ? await getVoicemailOffer(failed) : null
       });
       logger.debug(`Recipient ${to} not found or offline`);
     }
   });
   
   // Handle answerCall event
-  socket.on('answerCall', ({ to, answer }) => {
-    logger.info(`Call answered from ${socketId} to ${to}`);
-    logEvent('CALL_ANSWERED', { from: socketId, to });
+  onEvent('answerCall', async ({ to, answer, callId }, requestId) => {
+    if (await isUnregisteredInEnforceMode()) {
+      logger.warn(`🚫 Call answer from unregistered socket ${socketId} refused`);
+      emitError('callError', { code: 'REGISTRATION_REQUIRED', message: 'Register this device before answering calls', requestId }, { callId: callId || null });
+      return;
+    }
+    const from = await getParticipantId(socketId);
+    logger.info(`Call answered from ${from} to ${to}`);
     
-    const targetSocket = getTargetSocket(to);
-    if (targetSocket) {
+    const session = await resolveCallSession(callId, socketId, to);
+    if (!session || session.calleeSocketId !== socketId) {
+      emitError('callError', {
+        code: 'CALL_NOT_FOUND',
+        message: 'Call not found or no longer ringing',
+        requestId
+      }, { callId: callId || null });
+      return;
+    }
+    logEvent('CALL_ANSWERED', { callId: session.callId, from, to });
+    
+    const targetSocket = await getTargetSocket(session.callerSocketId);
+    if (targetSocket && await transitionCallSession(session.callId, CALL_STATES.CONNECTED)) {
       targetSocket.emit('callAccepted', {
-        from: socketId,
+        callId: session.callId,
+        from,
         answer
       });
       logger.debug(`Forwarded call answer to ${to}`);
     } else {
-      socket.emit('callError', {
+      await transitionCallSession(session.callId, CALL_STATES.FAILED, 'CALLER_DISCONNECTED');
+      emitError('callError', {
+        code: 'CALLER_DISCONNECTED',
         message: 'Caller not found or disconnected',
-        code: 'CALLER_DISCONNECTED'
-      });
+        requestId
+      }, { callId: session.callId });
     }
   });
   
-  // Handle ICE candidates
-  socket.on('iceCandidate', ({ to, candidate }) => {
-    logger.debug(`ICE candidate from ${socketId} to ${to}`);
+  // Handle a callee turning down a ringing call
+  onEvent('callRejected', async ({ to, callId, reason }) => {
+    const from = await getParticipantId(socketId);
+    const rejectReason = CALL_REJECT_REASONS[reason] ? reason : 'DECLINED';
+    logger.info(`Call rejected by ${from} to ${to}: ${rejectReason}`);
     
-    const targetSocket = getTargetSocket(to);
+    const session = await resolveCallSession(callId, socketId, to);
+    if (!session || session.calleeSocketId !== socketId || session.state !== CALL_STATES.RINGING) {
+      logger.debug(`No ringing call from ${to} to ${from}, nothing to reject`);
+      return;
+    }
+    logEvent('CALL_REJECTED', { callId: session.callId, from, to, reason: rejectReason });
+    if (!await transitionCallSession(session.callId, CALL_STATES.REJECTED, rejectReason)) return;
+    
+    const targetSocket = await getTargetSocket(session.callerSocketId);
     if (targetSocket) {
-      targetSocket.emit('iceCandidate', {
-        from: socketId,
-        candidate
+      targetSocket.emit('callRejected', {
+        callId: session.callId,
+        from,
+        reason: rejectReason,
+        message: CALL_REJECT_REASONS[rejectReason]
       });
     }
   });
   
-  // Handle end call
-  socket.on('endCall', ({ to }) => {
-    logger.info(`Call ended by ${socketId}`);
-    logEvent('CALL_ENDED', { from: socketId, to });
+  // Handle ICE candidates. They are only relayed to the other end of a call the sender is in, so
+  // devices can't signal each other outside a call (group calls use roomIceCandidate).
+  onEvent('iceCandidate', async ({ to, candidate, callId }) => {
+    logger.debug(`ICE candidate from ${socketId} to ${to}`);
     
-    const targetSocket = getTargetSocket(to);
-    if (targetSocket) {
-      targetSocket.emit('callEnded', {
-        from: socketId
-      });
+    const session = await resolveCallSession(callId, socketId, to);
+    const targetSocket = await getTargetSocket(to);
+    if (!session || !targetSocket || targetSocket.id === socketId || !isCallParticipant(session, targetSocket.id)) {
+      logger.debug(`Dropped ICE candidate from ${socketId} to ${to}: no call between them`);
+      return;
     }
+    targetSocket.emit('iceCandidate', {
+      callId: session.callId,
+      from: await getParticipantId(socketId),
+      candidate
+    });
   });
   
-  // Enhanced disconnect handling
-  socket.on('disconnect', (reason) => {
-    logger.info(`❌ User disconnected: ${socketId}, reason: ${reason}, platform: ${platform}`);
-    logEvent('USER_DISCONNECTED', { socketId, reason, platform });
+  // Handle end call
+  onEvent('endCall', async ({ to, callId }) => {
+    const from = await getParticipantId(socketId);
+    logger.info(`Call ended by ${from}`);
     
-    // Log extended disconnect info for debugging iOS issues
-    const userData = connectedUsers.get(socketId);
-    if (userData) {
-      const connectionDuration = Date.now() - new Date(userData.connectedAt).getTime();
-      logger.info(`Connection duration: ${Math.round(connectionDuration / 1000)}s, Last ping: ${Date.now() - userData.lastPing}ms ago`);
+    // Only active calls are relayed, so the other side's own endCall echo stops here
+    const session = await resolveCallSession(callId, socketId, to);
+    if (!session) {
+      logger.debug(`No active call between ${from} and ${to}, nothing to end`);
+      return;
     }
+    logEvent('CALL_ENDED', { callId: session.callId, from, to });
     
-    // Clean up heartbeat interval if exists
-    if (socket.heartbeatInterval) {
-      clearInterval(socket.heartbeatInterval);
+    // Hanging up before an answer counts as missed (caller) or rejected (callee)
+    let nextState = CALL_STATES.ENDED;
+    let reason = 'HANGUP';
+    if (session.state === CALL_STATES.RINGING) {
+      const isCaller = session.callerSocketId === socketId;
+      nextState = isCaller ? CALL_STATES.MISSED : CALL_STATES.REJECTED;
+      reason = isCaller ? 'CALLER_CANCELLED' : 'DECLINED';
     }
+    const ended = await transitionCallSession(session.callId, nextState, reason);
+    if (!ended) return;
     
-    // Notify interested parties about the disconnection
-    for (const [id, user] of connectedUsers.entries()) {
-      if (id !== socketId && user.socket && typeof id === 'string') {
-        user.socket.emit('userDisconnected', {
-          socketId: socketId,
-          reason: reason,
-          platform: platform
-        });
-      }
+    const otherSocketId = ended.callerSocketId === socketId ? ended.calleeSocketId : ended.callerSocketId;
+    const targetSocket = await getTargetSocket(otherSocketId);
+    if (targetSocket) {
+      targetSocket.emit('callEnded', {
+        callId: ended.callId,
+        from,
+        reason,
+        state: ended.state
+      });
     }
-    
-    // Remove from active connections
-    if (userData && userData.customId) {
-      connectedUsers.delete(userData.customId);
+  });
+  
+  // Recording a call: one side asks, the other must agree, and either can stop it.
+  // session.recording is { state: 'requested' | 'active', requestedBy, consentedBy, ... }
+  // while a request or recording is under way (see Call Recordings for the upload).
+  // Each change is only written if the recording is still the one read (its requestedAt),
+  // so a consent can't revive a request withdrawn meanwhile.
+  const emitRecordingChanged = (requestId, callId) => emitError('recordingError', {
+    code: 'RECORDING_CHANGED',
+    message: 'The recording was changed at the same time, please try again',
+    requestId
+  }, { callId });
+
+  onEvent('requestRecording', async ({ callId }, requestId) => {
+    const from = await getParticipantId(socketId);
+    const session = await resolveCallSession(callId, socketId);
+    if (!session || session.state !== CALL_STATES.CONNECTED) {
+      emitError('recordingError', { code: 'CALL_NOT_FOUND', message: 'Only connected calls can be recorded', requestId }, { callId });
+      return;
+    }
+    if (session.recording) {
+      emitError('recordingError', {
+        code: 'RECORDING_IN_PROGRESS',
+        message: session.recording.state === 'active' ? 'This call is already being recorded' : 'Still waiting for an answer to the last request',
+        requestId
+      }, { callId });
+      return;
+    }
+
+    session.recording = { state: 'requested', requestedBy: from, requestedAt: new Date().toISOString() };
+    if (!await presenceStore.updateCallSessionRecording(session, CALL_STATES.CONNECTED, null)) {
+      emitRecordingChanged(requestId, callId);
+      return;
+    }
+    logger.info(`⏺️ ${from} asked to record call ${callId}`);
+    logEvent('RECORDING_REQUESTED', { callId, from });
+    const otherSocket = await getTargetSocket(session.callerSocketId === socketId ? session.calleeSocketId : session.callerSocketId);
+    if (otherSocket) {
+      otherSocket.emit('recordingRequested', { callId, from });
     }
-    connectedUsers.delete(socketId);
   });
-});
 
-// --- PostgreSQL Integration ---
-const { Pool } = require('pg');
-const { v4: uuidv4 } = require('uuid');
+  onEvent('recordingConsent', async ({ callId, accepted }, requestId) => {
+    const from = await getParticipantId(socketId);
+    const session = await resolveCallSession(callId, socketId);
+    if (!session || !session.recording || session.recording.state !== 'requested' || session.recording.requestedBy === from) {
+      emitError('recordingError', { code: 'NO_RECORDING_REQUEST', message: 'There is no recording request to answer', requestId }, { callId });
+      return;
+    }
 
-const dbPool = new Pool({
-  host: envConfig.POSTGRES_HOST.value,
-  port: envConfig.POSTGRES_PORT.value,
-  database: envConfig.POSTGRES_DB.value,
-  user: envConfig.POSTGRES_USER.value,
-  password: envConfig.POSTGRES_PASSWORD.value,
-  max: 5,
+    const { requestedBy, requestedAt } = session.recording;
+    session.recording = accepted
+      ? { ...session.recording, state: 'active', consentedBy: from, consentedAt: new Date().toISOString(), recordingId: null }
+      : null;
+    if (!await presenceStore.updateCallSessionRecording(session, CALL_STATES.CONNECTED, requestedAt)) {
+      emitRecordingChanged(requestId, callId);
+      return;
+    }
+    logger.info(`⏺️ ${from} ${accepted ? 'agreed to' : 'declined'} recording call ${callId}`);
+    logEvent('RECORDING_CONSENT', { callId, from, requestedBy, accepted });
+    if (accepted) {
+      await emitToCallParticipants(session, 'recordingStarted', {
+        callId,
+        recordedBy: requestedBy,
+        consentedBy: from,
+        startedAt: session.recording.consentedAt
+      });
+    } else {
+      const requesterSocket = await getTargetSocket(requestedBy);
+      if (requesterSocket) {
+        requesterSocket.emit('recordingDeclined', { callId, from });
+      }
+    }
+  });
+
+  onEvent('stopRecording', async ({ callId }, requestId) => {
+    const from = await getParticipantId(socketId);
+    const session = await resolveCallSession(callId, socketId);
+    if (!session || !session.recording) {
+      emitError('recordingError', { code: 'NOT_RECORDING', message: 'This call is not being recorded', requestId }, { callId });
+      return;
+    }
+    const { requestedAt } = session.recording;
+    const wasActive = session.recording.state === 'active';
+    session.recording = null;
+    if (!await presenceStore.updateCallSessionRecording(session, CALL_STATES.CONNECTED, requestedAt)) {
+      emitRecordingChanged(requestId, callId);
+      return;
+    }
+    logger.info(`⏹️ ${from} stopped recording call ${callId}`);
+    logEvent('RECORDING_STOPPED', { callId, from });
+    // Withdrawing a request that wasn't answered yet also clears the other side's prompt
+    await emitToCallParticipants(session, 'recordingStopped', { callId, by: from, wasActive });
+  });
+  
+  // Group calls (see Group Calls above). Only registered devices take part, and a device
+  // in a one-to-one call or another room is busy.
+  const emitRoomError = (code, requestId, details = {}, message = ROOM_ERRORS[code]) =>
+    emitError('roomError', { code, message, requestId }, { callId: null, ...details });
+  
+  const getRegisteredDeviceId = async () => {
+    await connectionReady;
+    const userData = await presenceStore.getConnection(socketId);
+    const deviceId = userData && userData.customId;
+    return deviceId && await presenceStore.getDeviceSocketId(deviceId) === socketId ? deviceId : null;
+  };
+  
+  const isInAnotherCall = async (callId = null) =>
+    (await findCallSessionsForSocket(socketId)).length > 0 ||
+    (await findCallRoomsForSocket(socketId)).some(room => room.callId !== callId);
+  
+  // Bill's phone starts a group call by inviting family devices; it joins the room at once
+  onEvent('createRoom', async ({ invite = [] }, requestId) => {
+    const from = await getRegisteredDeviceId();
+    if (!from) {
+      emitRoomError('NOT_REGISTERED', requestId, {}, 'Register this device before starting a group call');
+      return;
+    }
+    if (from !== HUB_DEVICE_ID) {
+      logEvent('ROOM_BLOCKED', { from, code: 'CALL_NOT_ALLOWED' });
+      emitRoomError('CALL_NOT_ALLOWED', requestId, {}, 'Only Bill\'s phone can start a group call');
+      return;
+    }
+    if (await isInAnotherCall()) {
+      emitRoomError('BUSY', requestId, {}, 'Already in a call');
+      return;
+    }
+    
+    const invited = [...new Set(invite)].filter(id => id !== HUB_DEVICE_ID);
+    if (invited.length === 0) {
+      emitRoomError('NO_INVITEES', requestId, {}, 'Invite at least one family device');
+      return;
+    }
+    let unknown;
+    try {
+      const known = await dbPool.query(
+        'SELECT device_id FROM devices WHERE device_id = ANY($1) AND revoked_at IS NULL;',
+        [invited]
+      );
+      unknown = invited.filter(id => !known.rows.some(row => row.device_id === id));
+    } catch (err) {
+      logger.error('Group call invitee check failed: ' + err.message);
+      emitRoomError('DATABASE_ERROR', requestId, {}, 'Could not start the group call, please try again');
+      return;
+    }
+    if (unknown.length > 0) {
+      emitRoomError('UNKNOWN_DEVICE', requestId, { unknown }, `Unknown device(s): ${unknown.join(', ')}`);
+      return;
+    }
+    
+    const room = await createCallRoom({ createdBy: from, socketId, invited });
+    const offline = await sendRoomInvites(room, invited);
+    socket.emit('roomCreated', { ...describeCallRoom(room), offline });
+    await publishRoomPresence([from]);
+  });
+  
+  // Accept an invitation. The hub then sends this device an offer (roomOffer); when the hub
+  // itself joins it gets the family members already there and offers to each of them.
+  onEvent('joinRoom', async ({ callId }, requestId) => {
+    const from = await getRegisteredDeviceId();
+    if (!from) {
+      emitRoomError('NOT_REGISTERED', requestId, { callId }, 'Register this device before joining a group call');
+      return;
+    }
+    if (await isInAnotherCall(callId)) {
+      emitRoomError('BUSY', requestId, { callId }, 'Already in a call');
+      return;
+    }
+    
+    // Family members join inside their and Bill's calling windows, as for one-to-one calls
+    if (from !== HUB_DEVICE_ID) {
+      let callingWindow;
+      try {
+        callingWindow = await checkCallingWindow(from, HUB_DEVICE_ID);
+      } catch (err) {
+        logger.error('Calling window check failed: ' + err.message);
+        emitRoomError('AVAILABILITY_CHECK_FAILED', requestId, { callId }, 'Could not check calling hours, please try again');
+        return;
+      }
+      if (!callingWindow.ok) {
+        logEvent('ROOM_BLOCKED', { callId, from, code: 'OUTSIDE_AVAILABILITY', unavailable: callingWindow.unavailable });
+        emitRoomError('OUTSIDE_AVAILABILITY', requestId, {
+          callId,
+          unavailable: callingWindow.unavailable,
+          nextWindow: callingWindow.nextWindow
+        }, 'Outside calling hours');
+        return;
+      }
+    }
+    
+    const result = await changeCallRoom(callId, (room) => {
+      if (isRoomParticipant(room, socketId)) return { alreadyJoined: true };
+      const isHub = from === room.hub;
+      if (!isHub && !room.invited.includes(from)) return { error: 'NOT_INVITED' };
+      const familyCount = room.participants.filter(participant => participant.deviceId !== room.hub).length;
+      if (!isHub && familyCount >= GROUP_CALL_MAX_FAMILY) return { error: 'ROOM_FULL' };
+      room.participants.push({ deviceId: from, socketId, joinedAt: new Date().toISOString() });
+      room.invited = room.invited.filter(id => id !== from);
+      return {};
+    });
+    if (result.error) {
+      emitRoomError(result.error, requestId, { callId });
+      return;
+    }
+    
+    const { room } = result;
+    socket.emit('roomJoined', describeCallRoom(room, from));
+    if (result.alreadyJoined) return;
+    logger.info(`👥 ${from} joined group call ${callId}`);
+    logEvent('ROOM_JOINED', { callId, deviceId: from });
+    if (from !== room.hub) {
+      await emitToRoomHub(room, 'peerJoined', { callId, peerId: from });
+    }
+    await publishRoomPresence([from]);
+  });
+  
+  // Leave a room, or decline an invitation to one
+  onEvent('leaveRoom', async ({ callId }, requestId) => {
+    const from = await getParticipantId(socketId);
+    const result = await leaveCallRoom(callId, from, socketId, 'LEFT');
+    if (result.error) {
+      emitRoomError(result.error, requestId, { callId });
+    }
+  });
+  
+  // Offers, answers and ICE candidates go between the hub and one family device in the same room
+  const relayRoomSignal = (event, field) => onEvent(event, async (payload, requestId) => {
+    const { callId, to } = payload;
+    const from = await getParticipantId(socketId);
+    const room = await presenceStore.getCallRoom(callId);
+    if (!room || !isRoomParticipant(room, socketId)) {
+      emitRoomError('NOT_IN_ROOM', requestId, { callId, event });
+      return;
+    }
+    if (from !== room.hub && to !== room.hub) {
+      logger.warn(`🚫 ${from} tried to signal ${to} directly in group call ${callId}`);
+      emitRoomError('CALL_NOT_ALLOWED', requestId, { callId, event }, 'Family members in a group call connect to Bill\'s phone only');
+      return;
+    }
+    const target = room.participants.find(participant => participant.deviceId === to);
+    const targetSocket = target ? await getTargetSocket(target.socketId) : null;
+    if (!targetSocket) {
+      emitRoomError('PEER_NOT_IN_ROOM', requestId, { callId, event, peerId: to });
+      return;
+    }
+    targetSocket.emit(event, { callId, from, [field]: payload[field] });
+  });
+  relayRoomSignal('roomOffer', 'offer');
+  relayRoomSignal('roomAnswer', 'answer');
+  relayRoomSignal('roomIceCandidate', 'candidate');
+  
+  // Accept or decline a group call invitation (see Group Call Invitations above). The answer is
+  // confirmed with groupCallInviteAnswered; once enough have accepted, the room invite follows.
+  onEvent('groupCallInviteResponse', async ({ inviteId, accepted }, requestId) => {
+    const emitInviteError = (code, message = GROUP_INVITE_ERRORS[code]) =>
+      emitError('groupCallInviteError', { code, message, requestId }, { inviteId });
+    const from = await getRegisteredDeviceId();
+    if (!from) {
+      emitInviteError('NOT_REGISTERED', 'Register this device before answering an invitation');
+      return;
+    }
+    let invite;
+    try {
+      invite = await answerGroupCallInvite(inviteId, from, accepted);
+    } catch (err) {
+      logger.error('Group call invitation answer failed: ' + err.message);
+      emitInviteError('DATABASE_ERROR', 'Could not save your answer, please try again');
+      return;
+    }
+    if (invite.error) {
+      emitInviteError(invite.error);
+      return;
+    }
+    socket.emit('groupCallInviteAnswered', { inviteId, accepted, state: invite.state });
+  });
+  
+  // Enhanced disconnect handling
+  socket.on('disconnect', async (reason) => {
+    logger.info(`❌ User disconnected: ${socketId}, reason: ${reason}, platform: ${platform}`);
+    logEvent('USER_DISCONNECTED', { socketId, reason, platform });
+    
+    // Log extended disconnect info for debugging iOS issues
+    await connectionReady;
+    const userData = await presenceStore.getConnection(socketId);
+    if (userData) {
+      const connectionDuration = Date.now() - new Date(userData.connectedAt).getTime();
+      logger.info(`Connection duration: ${Math.round(connectionDuration / 1000)}s, Last ping: ${Date.now() - userData.lastPing}ms ago`);
+    }
+    
+    // Clean up heartbeat interval if exists
+    if (socket.heartbeatInterval) {
+      clearInterval(socket.heartbeatInterval);
+    }
+    
+    // Close any call this socket was part of and tell the other side, and leave its group calls
+    // Remove from active connections first so presence and call updates treat it as gone;
+    // the store keeps a device ID a newer socket has taken over
+    await presenceStore.removeConnection(socketId);
+    
+    const from = (userData && userData.customId) || socketId;
+    for (const session of await findCallSessionsForSocket(socketId)) {
+      const nextState = session.state === CALL_STATES.CONNECTED ? CALL_STATES.ENDED : CALL_STATES.FAILED;
+      const closed = await transitionCallSession(session.callId, nextState, 'PEER_DISCONNECTED');
+      if (!closed) continue;
+      
+      const otherSocketId = closed.callerSocketId === socketId ? closed.calleeSocketId : closed.callerSocketId;
+      const otherSocket = await getTargetSocket(otherSocketId);
+      if (otherSocket) {
+        otherSocket.emit('callEnded', {
+          callId: closed.callId,
+          from,
+          reason: 'PEER_DISCONNECTED',
+          state: closed.state
+        });
+      }
+    }
+    for (const room of await findCallRoomsForSocket(socketId)) {
+      await leaveCallRoom(room.callId, from, socketId, 'PEER_DISCONNECTED');
+    }
+    
+    // Only the device's watchers hear that it went offline
+    if (userData && userData.customId) {
+      touchDeviceLastSeen(userData.customId);
+      await publishPresence(userData.customId);
+    }
+  });
 });
 
 // --- Event Logging Helper ---
+// details is stored as JSONB so events can be filtered on their fields (see GET /events)
 async function logEvent(event_type, details) {
   try {
     await dbPool.query(
       'INSERT INTO event_log (event_type, details) VALUES ($1, $2);',
-      [event_type, typeof details === 'object' ? JSON.stringify(details) : String(details)]
+      [event_type, JSON.stringify(details === undefined ? null : details)]
     );
   } catch (err) {
     logger.error('Failed to log event: ' + err.message);
   }
 }
 
-async function ensureFamilyUsersTableExists() {
-  try {
-    // Create the table if it doesn't exist
-    const result = await dbPool.query(`
-      CREATE TABLE IF NOT EXISTS family_users (
-        id UUID PRIMARY KEY,
-        name TEXT NOT NULL,
-        picture_data BYTEA,
-        email TEXT,
-        availability JSONB,
-        created_at TIMESTAMP NOT NULL,
-        updated_at TIMESTAMP NOT NULL
-      );
-    `);
+// --- Device Registry ---
+// Devices must prove who they are before they can register a device ID.
+// Device secrets (and account passwords) are stored as salted scrypt hashes: scrypt$<salt hex>$<key hex>
+const scryptAsync = promisify(crypto.scrypt);
 
-    // Ensure 'email' is nullable and not unique (drop NOT NULL and UNIQUE constraints if present)
-    await dbPool.query(`
-      DO $$
-      BEGIN
-        -- Drop NOT NULL constraint if present
-        IF EXISTS (
-          SELECT 1 FROM information_schema.columns 
-          WHERE table_name='family_users' AND column_name='email' AND is_nullable='NO'
-        ) THEN
-          EXECUTE 'ALTER TABLE family_users ALTER COLUMN email DROP NOT NULL';
-        END IF;
-        -- Drop UNIQUE constraint if present
-        IF EXISTS (
-          SELECT 1 FROM pg_constraint WHERE conname = 'family_users_email_key'
-        ) THEN
-          EXECUTE 'ALTER TABLE family_users DROP CONSTRAINT family_users_email_key';
-        END IF;
-      END
-      $$;
-    `);
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(secret), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifySecret(secret, storedHash) {
+  const [scheme, saltHex, keyHex] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex || !secret) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scryptAsync(String(secret), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Provision devices listed in DEVICE_SECRETS ("bills-iphone:secret,family-caller:secret").
+// A changed secret rotates the stored hash.
+async function provisionDevicesFromEnv() {
+  const entries = (envConfig.DEVICE_SECRETS.value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
 
-    // Ensure the unique constraint exists
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const deviceId = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (separator <= 0 || !secret) {
+      logger.warn(`Skipping malformed DEVICE_SECRETS entry for "${deviceId || entry.slice(0, 20)}"`);
+      continue;
+    }
+
+    const existing = await dbPool.query('SELECT secret_hash FROM devices WHERE device_id = $1', [deviceId]);
+    if (existing.rows.length && await verifySecret(secret, existing.rows[0].secret_hash)) {
+      continue;
+    }
     await dbPool.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_constraint WHERE conname = 'unique_name'
-        ) THEN
-          ALTER TABLE family_users ADD CONSTRAINT unique_name UNIQUE (name);
-          RAISE NOTICE 'Added unique_name constraint';
-        ELSE
-          RAISE NOTICE 'unique_name constraint already exists';
-        END IF;
-      END
-      $$;
-    `);
+      INSERT INTO devices (device_id, secret_hash, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (device_id) DO UPDATE SET secret_hash = EXCLUDED.secret_hash;
+    `, [deviceId, await hashSecret(secret)]);
+    logger.info(`🔑 Provisioned credentials for device ${deviceId}`);
+  }
+}
+
+// Remember when a device was last connected, for presence while it is offline
+async function touchDeviceLastSeen(deviceId) {
+  try {
+    await dbPool.query('UPDATE devices SET last_seen_at = NOW() WHERE device_id = $1;', [deviceId]);
+  } catch (err) {
+    logger.error('Failed to update device last seen: ' + err.message);
+  }
+}
+
+// Check a device's credentials against the registry.
+// Returns { ok: true } or { ok: false, code, message }.
+async function authenticateDevice(deviceId, deviceSecret) {
+  if (!deviceId || typeof deviceId !== 'string') {
+    return { ok: false, code: 'INVALID_DEVICE_ID', message: 'A device ID is required' };
+  }
+
+  try {
+    const result = await dbPool.query('SELECT secret_hash, revoked_at FROM devices WHERE device_id = $1', [deviceId]);
+    const device = result.rows[0];
+    if (!device) {
+      if (DEVICE_AUTH_MODE === 'permissive') {
+        logger.warn(`⚠️ Unregistered device ${deviceId} allowed (DEVICE_AUTH_MODE=permissive)`);
+        return { ok: true };
+      }
+      return { ok: false, code: 'DEVICE_NOT_REGISTERED', message: 'This device is not registered' };
+    }
+    if (device.revoked_at) {
+      return { ok: false, code: 'DEVICE_REVOKED', message: 'This device has been revoked' };
+    }
+    if (!await verifySecret(deviceSecret, device.secret_hash)) {
+      return { ok: false, code: 'DEVICE_AUTH_FAILED', message: 'Invalid device credentials' };
+    }
+
+    await dbPool.query('UPDATE devices SET last_registered_at = NOW() WHERE device_id = $1', [deviceId]);
+    return { ok: true };
+  } catch (err) {
+    logger.error(`Device authentication error for ${deviceId}: ${err.message}`);
+    return { ok: false, code: 'DEVICE_AUTH_UNAVAILABLE', message: 'Device authentication is temporarily unavailable' };
+  }
+}
+
+// Express middleware for routes devices call with their X-Device-Id / X-Device-Secret
+// headers; sets req.deviceId
+async function requireDevice(req, res, next) {
+  const deviceId = req.get('X-Device-Id');
+  const auth = await authenticateDevice(deviceId, req.get('X-Device-Secret'));
+  if (!auth.ok) {
+    return sendError(res, 401, auth.message, { code: auth.code });
+  }
+  req.deviceId = deviceId;
+  next();
+}
+
+// --- Call History ---
+// Every call session is mirrored into the calls table as it moves through its states
 
-    // Add a default user if none exists
+// Final states a finished call can have; calls still in progress have no outcome yet
+const CALL_OUTCOMES = [CALL_STATES.ENDED, CALL_STATES.MISSED, CALL_STATES.REJECTED, CALL_STATES.FAILED];
+
+// Insert or update the history row for a session (never throws, like logEvent)
+async function recordCall(session) {
+  const finished = CALL_OUTCOMES.includes(session.state);
+  // Duration counts talk time, so unanswered calls last 0 seconds
+  const durationSeconds = finished
+    ? (session.answeredAt ? Math.round((new Date(session.endedAt) - new Date(session.answeredAt)) / 1000) : 0)
+    : null;
+  try {
     await dbPool.query(`
-      INSERT INTO family_users (id, name, picture_url, email, availability, created_at, updated_at)
-      SELECT gen_random_uuid(), 'Justin', NULL, NULL, 
-        '{"Sun": [17,18,19,20,21], "Mon": [17,18,19,20,21], "Tue": [17,18,19,20,21], "Wed": [17,18,19,20,21], "Thu": [17,18,19,20,21], "Fri": [17,18,19,20,21], "Sat": [17,18,19,20,21]}',
-        NOW(), NOW()
-      WHERE NOT EXISTS (SELECT 1 FROM family_users WHERE name = 'Justin');
-    `);
-    
-    logger.info('Ensured family_users table exists with unique constraint and default user');
-    return result;
-  } catch (error) {
-    logger.error('Error ensuring family_users table exists:', error);
-    throw error;
+      INSERT INTO calls (call_id, caller, callee, started_at, answered_at, ended_at, duration_seconds, outcome, end_reason)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (call_id) DO UPDATE SET
+        answered_at = EXCLUDED.answered_at,
+        ended_at = EXCLUDED.ended_at,
+        duration_seconds = EXCLUDED.duration_seconds,
+        outcome = EXCLUDED.outcome,
+        end_reason = EXCLUDED.end_reason;
+    `, [
+      session.callId,
+      session.caller,
+      session.callee,
+      session.createdAt,
+      session.answeredAt,
+      session.endedAt,
+      durationSeconds,
+      finished ? session.state : null,
+      session.endReason
+    ]);
+  } catch (err) {
+    logger.error('Failed to record call: ' + err.message);
   }
 }
 
-ensureFamilyUsersTableExists();
+// --- Calling Windows ---
+// Availability is stored per family user as a list of ranges, e.g.
+// [{ day: 'Mon', start: '17:30', end: '19:15' }]: open from start up to (not including) end,
+// in that user's own time zone (family_users.timezone, or HOUSEHOLD_TIMEZONE when unset).
+// A device linked to a family user (devices.family_user_id) takes that user's ranges; Bill's
+// phone uses HUB_AVAILABILITY in HOUSEHOLD_TIMEZONE. Devices with no availability on record are
+// not restricted. Ranges are turned into absolute intervals before they are compared, so
+// members in different zones (and across DST changes) line up to the minute.
+const AVAILABILITY_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const CLOCK_PATTERN = /^(\d{2}):(\d{2})$/;
 
-// --- Family User API Endpoints ---
-// Create or update a family user profile
-const sharp = require('sharp');
-// Helper: decode base64 image to Buffer
-function decodeBase64Image(dataString) {
-  if (!dataString) return null;
-  const matches = dataString.match(/^data:(.+);base64,(.+)$/);
-  if (!matches || matches.length !== 3) return null;
-  return Buffer.from(matches[2], 'base64');
+const formatClock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// "HH:MM" to minutes since midnight; "24:00" is accepted as the end of the day
+function parseClock(value) {
+  const match = CLOCK_PATTERN.exec(value);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
 }
 
-// Debug: log all incoming POST/PATCH payloads for /family-users
-function logUserPayload(route, body) {
+// The older { Mon: [17, 18], ... } hour arrays, as ranges (consecutive hours are merged)
+function hoursToRanges(hoursByDay) {
+  const ranges = [];
+  for (const day of AVAILABILITY_DAYS) {
+    const hours = [...new Set((hoursByDay[day] || []).map(Number))].sort((a, b) => a - b);
+    for (let i = 0; i < hours.length; i++) {
+      const first = hours[i];
+      while (hours[i + 1] === hours[i] + 1) i++;
+      ranges.push({ day, start: formatClock(first * 60), end: formatClock((hours[i] + 1) * 60) });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Validates availability from a request or config and puts it in stored form: ranges sorted
+ * by day and start time. Hour arrays in the older shape are converted rather than rejected.
+ * @returns {{ availability: Array|null, errors: Array }} errors are [{ field, message }]
+ */
+function parseAvailability(value, field = 'availability') {
+  if (value === undefined || value === null) return { availability: null, errors: [] };
+  if (!Array.isArray(value) && typeof value === 'object') {
+    const errors = [];
+    for (const [day, hours] of Object.entries(value)) {
+      if (!AVAILABILITY_DAYS.includes(day)) {
+        errors.push({ field: `${field}.${day}`, message: `Unknown day, expected one of ${AVAILABILITY_DAYS.join(', ')}` });
+      } else if (!Array.isArray(hours) || hours.some(hour => !Number.isInteger(Number(hour)) || hour < 0 || hour > 23)) {
+        errors.push({ field: `${field}.${day}`, message: 'Expected a list of whole hours from 0 to 23' });
+      }
+    }
+    return errors.length ? { availability: null, errors } : { availability: hoursToRanges(value), errors };
+  }
+  if (!Array.isArray(value)) {
+    return { availability: null, errors: [{ field, message: 'Expected a list of { day, start, end } ranges' }] };
+  }
+
+  const errors = [];
+  const ranges = [];
+  value.forEach((range, index) => {
+    const at = `${field}[${index}]`;
+    if (!range || typeof range !== 'object') {
+      errors.push({ field: at, message: 'Expected { day, start, end }' });
+      return;
+    }
+    const rangeErrors = [];
+    if (!AVAILABILITY_DAYS.includes(range.day)) {
+      rangeErrors.push({ field: `${at}.day`, message: `Expected one of ${AVAILABILITY_DAYS.join(', ')}` });
+    }
+    const start = parseClock(range.start);
+    const end = parseClock(range.end);
+    if (start === null || start === DAY_MINUTES) {
+      rangeErrors.push({ field: `${at}.start`, message: 'Expected a time from "00:00" to "23:59"' });
+    }
+    if (end === null) {
+      rangeErrors.push({ field: `${at}.end`, message: 'Expected a time from "00:00" to "24:00"' });
+    } else if (start !== null && end <= start) {
+      rangeErrors.push({ field: `${at}.end`, message: 'Must be after start (split ranges that cross midnight)' });
+    }
+    errors.push(...rangeErrors);
+    if (rangeErrors.length === 0) ranges.push({ index, day: range.day, start, end });
+  });
+
+  ranges.sort((a, b) => AVAILABILITY_DAYS.indexOf(a.day) - AVAILABILITY_DAYS.indexOf(b.day) || a.start - b.start);
+  for (let i = 1; i < ranges.length; i++) {
+    const previous = ranges[i - 1];
+    if (ranges[i].day === previous.day && ranges[i].start < previous.end) {
+      errors.push({ field: `${field}[${ranges[i].index}]`, message: `Overlaps ${field}[${previous.index}]` });
+    }
+  }
+  if (errors.length) return { availability: null, errors };
+  return {
+    availability: ranges.map(({ day, start, end }) => ({ day, start: formatClock(start), end: formatClock(end) })),
+    errors
+  };
+}
+
+// Shape of availability in requests; parseAvailability then checks the times and overlaps
+const AVAILABILITY_SCHEMA = {
+  type: ['array', 'object', 'null'],
+  items: {
+    type: 'object',
+    properties: {
+      day: { enum: AVAILABILITY_DAYS },
+      start: { type: 'string' },
+      end: { type: 'string' }
+    },
+    required: ['day', 'start', 'end']
+  },
+  // The older { Mon: [17, 18], ... } hour arrays
+  propertyNames: { enum: AVAILABILITY_DAYS },
+  additionalProperties: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 23 } }
+};
+
+// Date exceptions (availability_exceptions) override the weekly pattern on specific dates of the
+// user's zone: "unavailable" blocks time out (e.g. a trip), "available" adds time (e.g. a
+// holiday). Without start/end times they cover whole days.
+const AVAILABILITY_EXCEPTION_KINDS = ['available', 'unavailable'];
+const AVAILABILITY_EXCEPTION_COLUMNS = 'id, family_user_id, kind, start_date::text AS start_date, end_date::text AS end_date, start_time, end_time, note, created_at, updated_at';
+
+/**
+ * Validates a date exception from a request: { kind, startDate, endDate, start, end, note }.
+ * endDate defaults to startDate; start and end are an optional "HH:MM" range applied on each
+ * date, and leaving both out covers the whole day.
+ * @returns {{ exception: Object|null, errors: Array }} errors are [{ field, message }]
+ */
+function parseAvailabilityException(body) {
+  const errors = [];
+  const kind = body.kind;
+  const startDate = body.startDate;
+  const endDate = body.endDate || body.startDate;
+  const start = body.start || null;
+  const end = body.end || null;
+  const note = body.note ? String(body.note) : null;
+
+  if (!AVAILABILITY_EXCEPTION_KINDS.includes(kind)) {
+    errors.push({ field: 'kind', message: `Expected one of ${AVAILABILITY_EXCEPTION_KINDS.join(', ')}` });
+  }
+  if (!isValidDate(startDate)) {
+    errors.push({ field: 'startDate', message: 'Expected a date as YYYY-MM-DD' });
+  }
+  if (!isValidDate(endDate)) {
+    errors.push({ field: 'endDate', message: 'Expected a date as YYYY-MM-DD' });
+  } else if (isValidDate(startDate)) {
+    const days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * HOUR_MS);
+    if (days < 0) {
+      errors.push({ field: 'endDate', message: 'Must not be before startDate' });
+    } else if (days > 366) {
+      errors.push({ field: 'endDate', message: 'Exceptions can span at most a year' });
+    }
+  }
+  if (Boolean(start) !== Boolean(end)) {
+    errors.push({ field: start ? 'end' : 'start', message: 'Give both start and end, or neither for whole days' });
+  } else if (start) {
+    const startMinutes = parseClock(start);
+    const endMinutes = parseClock(end);
+    if (startMinutes === null || startMinutes === DAY_MINUTES) {
+      errors.push({ field: 'start', message: 'Expected a time from "00:00" to "23:59"' });
+    }
+    if (endMinutes === null) {
+      errors.push({ field: 'end', message: 'Expected a time from "00:00" to "24:00"' });
+    } else if (startMinutes !== null && endMinutes <= startMinutes) {
+      errors.push({ field: 'end', message: 'Must be after start' });
+    }
+  }
+  if (note && note.length > 500) {
+    errors.push({ field: 'note', message: 'At most 500 characters' });
+  }
+
+  if (errors.length) return { exception: null, errors };
+  return { exception: { kind, startDate, endDate, start, end, note }, errors };
+}
+
+// Shape of a date exception in requests; parseAvailabilityException checks how the fields fit together
+const AVAILABILITY_EXCEPTION_FIELDS = {
+  kind: { enum: AVAILABILITY_EXCEPTION_KINDS },
+  startDate: { type: 'string', format: 'date' },
+  endDate: { type: ['string', 'null'], format: 'date' },
+  start: { type: ['string', 'null'], maxLength: 5 },
+  end: { type: ['string', 'null'], maxLength: 5 },
+  note: { type: ['string', 'null'], maxLength: 500 }
+};
+const AVAILABILITY_EXCEPTION_SCHEMA = {
+  type: 'object',
+  properties: AVAILABILITY_EXCEPTION_FIELDS,
+  required: ['kind', 'startDate']
+};
+// Changes keep the current value of any field left out
+const AVAILABILITY_EXCEPTION_CHANGES_SCHEMA = { type: 'object', properties: AVAILABILITY_EXCEPTION_FIELDS };
+
+function describeAvailabilityException(row) {
+  return {
+    id: row.id,
+    familyUserId: row.family_user_id,
+    kind: row.kind,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    start: row.start_time,
+    end: row.end_time,
+    note: row.note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const HUB_AVAILABILITY = (() => {
+  const fallback = AVAILABILITY_DAYS.map(day => ({ day, start: '17:00', end: '23:00' }));
+  if (!envConfig.HUB_AVAILABILITY.value) return fallback;
   try {
-    const preview = { ...body };
-    if (preview.picture_data && typeof preview.picture_data === 'string') {
-      preview.picture_data = `base64 string, length: ${preview.picture_data.length}`;
+    const { availability, errors } = parseAvailability(JSON.parse(envConfig.HUB_AVAILABILITY.value), 'HUB_AVAILABILITY');
+    if (errors.length) {
+      throw new Error(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+    }
+    return availability;
+  } catch (err) {
+    logger.error(`Invalid HUB_AVAILABILITY (${err.message}), using 5-11PM daily`);
+    return fallback;
+  }
+})();
+
+// A request's timezone field: an IANA zone name, or empty to clear it (the household zone applies)
+const TIME_ZONE_SCHEMA = { type: ['string', 'null'], format: 'time-zone' };
+
+// Stored form of a timezone field that matched TIME_ZONE_SCHEMA
+const parseTimeZoneField = timezone => timezone || null;
+
+// One formatter per zone; building them is the expensive part of a lookup
+const zonedFormats = new Map();
+
+// Wall-clock reading of a moment in the given zone: { year, month, date, day, minutes, time }
+function getZonedTime(date, timeZone) {
+  let zonedFormat = zonedFormats.get(timeZone);
+  if (!zonedFormat) {
+    zonedFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+    zonedFormats.set(timeZone, zonedFormat);
+  }
+  const parts = Object.fromEntries(zonedFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    date: Number(parts.day),
+    day: parts.weekday,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+// The moment a zone's clocks show the given wall-clock time (passed as Date.UTC of its fields).
+// Times skipped by a DST change land just after the jump.
+function zonedTimeToUtc(wallClockMs, timeZone) {
+  const offsetAt = (utcMs) => {
+    const zoned = getZonedTime(new Date(utcMs), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.date) + zoned.minutes * MINUTE_MS - Math.floor(utcMs / MINUTE_MS) * MINUTE_MS;
+  };
+  const guess = wallClockMs - offsetAt(wallClockMs);
+  return wallClockMs - offsetAt(guess);
+}
+
+// Sort intervals and join the ones that overlap or touch (e.g. 23:00-24:00 then 00:00-01:00)
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}
+
+// Parts of the merged intervals `open` not covered by the merged intervals `removed`
+function subtractIntervals(open, removed) {
+  const result = [];
+  for (const [openStart, openEnd] of open) {
+    let start = openStart;
+    for (const [removedStart, removedEnd] of removed) {
+      if (removedEnd <= start || removedStart >= openEnd) continue;
+      if (removedStart > start) result.push([start, removedStart]);
+      start = Math.max(start, removedEnd);
+    }
+    if (start < openEnd) result.push([start, openEnd]);
+  }
+  return result;
+}
+
+// Absolute intervals [[startMs, endMs], ...] when a schedule is open between from and until.
+// A schedule is { availability, timeZone, exceptions }: the weekly ranges (null means open all
+// week), then date exceptions on top, where "available" adds time and "unavailable" removes it.
+// A null schedule is unrestricted.
+function getOpenIntervals(schedule, from, until) {
+  const exceptions = (schedule && schedule.exceptions) || [];
+  if (!schedule || (!schedule.availability && exceptions.length === 0)) {
+    return [[from.getTime(), until.getTime()]];
+  }
+  const weekly = [];
+  const added = [];
+  const blocked = [];
+  // Walk the zone's calendar days from the one before `from` (offsets reach back up to a day)
+  const first = getZonedTime(from, schedule.timeZone);
+  const days = Math.ceil((until.getTime() - from.getTime()) / (24 * HOUR_MS)) + 2;
+  for (let offset = -1; offset < days; offset++) {
+    const midnight = Date.UTC(first.year, first.month - 1, first.date + offset);
+    const date = new Date(midnight).toISOString().slice(0, 10);
+    const day = AVAILABILITY_DAYS[new Date(midnight).getUTCDay()];
+    const toInterval = (start, end) => [
+      zonedTimeToUtc(midnight + parseClock(start) * MINUTE_MS, schedule.timeZone),
+      zonedTimeToUtc(midnight + parseClock(end) * MINUTE_MS, schedule.timeZone)
+    ];
+
+    if (!schedule.availability) {
+      weekly.push(toInterval('00:00', '24:00'));
+    } else {
+      for (const range of schedule.availability) {
+        if (range.day === day) weekly.push(toInterval(range.start, range.end));
+      }
+    }
+    for (const exception of exceptions) {
+      if (date < exception.startDate || date > exception.endDate) continue;
+      const interval = toInterval(exception.start || '00:00', exception.end || '24:00');
+      (exception.kind === 'available' ? added : blocked).push(interval);
+    }
+  }
+
+  return subtractIntervals(mergeIntervals([...weekly, ...added]), mergeIntervals(blocked))
+    .map(([start, end]) => [Math.max(start, from.getTime()), Math.min(end, until.getTime())])
+    .filter(([start, end]) => start < end);
+}
+
+function isAvailableAt(schedule, date) {
+  return getOpenIntervals(schedule, date, new Date(date.getTime() + MINUTE_MS))
+    .some(([start]) => start === date.getTime());
+}
+
+const HUB_SCHEDULE = { availability: HUB_AVAILABILITY, timeZone: HOUSEHOLD_TIMEZONE, exceptions: [] };
+
+// Schedule for a family_users row, with its date exceptions
+function toSchedule(user, exceptions = []) {
+  return { availability: user.availability, timeZone: user.timezone || HOUSEHOLD_TIMEZONE, exceptions };
+}
+
+// Date exceptions of the given family users that have not ended before `from`, by user id
+async function getAvailabilityExceptions(userIds, from = new Date()) {
+  const result = await dbPool.query(`
+    SELECT ${AVAILABILITY_EXCEPTION_COLUMNS}
+    FROM availability_exceptions
+    WHERE family_user_id = ANY($1::uuid[])
+      AND end_date >= ($2::timestamptz - INTERVAL '2 days')::date
+    ORDER BY start_date, start_time;
+  `, [userIds, from]);
+  const byUser = new Map(userIds.map(id => [id, []]));
+  for (const row of result.rows) {
+    byUser.get(row.family_user_id).push(describeAvailabilityException(row));
+  }
+  return byUser;
+}
+
+// Stored ranges, zone and exceptions for a device, or null if it is unrestricted
+async function getDeviceSchedule(deviceId) {
+  if (deviceId === HUB_DEVICE_ID) return HUB_SCHEDULE;
+  const result = await dbPool.query(`
+    SELECT fu.id, fu.availability, fu.timezone
+    FROM devices d
+    JOIN family_users fu ON fu.id = d.family_user_id
+    WHERE d.device_id = $1;
+  `, [deviceId]);
+  const user = result.rows[0];
+  if (!user) return null;
+  const exceptions = await getAvailabilityExceptions([user.id]);
+  return toSchedule(user, exceptions.get(user.id));
+}
+
+function intersectIntervals(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (start < end) result.push([start, end]);
+    if (a[i][1] < b[j][1]) i++; else j++;
+  }
+  return result;
+}
+
+// Stretches between from and until when every schedule is open, as [{ start, end }] Dates.
+// A stretch still open at until is cut off there.
+function findOpenWindows(schedules, from, until) {
+  return schedules
+    .map(schedule => getOpenIntervals(schedule, from, until))
+    .reduce(intersectIntervals)
+    .map(([start, end]) => ({ start: new Date(start), end: new Date(end) }));
+}
+
+// Stretches between from and until split by who is free, as [{ start, end, attendees }] in time
+// order, where attendees lists the ids of the participants ({ id, schedule }) open throughout.
+// Stretches when nobody is free are left out.
+function findAttendanceWindows(participants, from, until) {
+  const openings = participants.map(participant => ({
+    id: participant.id,
+    intervals: getOpenIntervals(participant.schedule, from, until)
+  }));
+  const boundaries = [...new Set(openings.flatMap(opening => opening.intervals.flat()))].sort((a, b) => a - b);
+
+  const windows = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const [start, end] = [boundaries[i], boundaries[i + 1]];
+    const attendees = openings
+      .filter(opening => opening.intervals.some(([openStart, openEnd]) => openStart <= start && end <= openEnd))
+      .map(opening => opening.id);
+    if (attendees.length === 0) continue;
+    const last = windows[windows.length - 1];
+    if (last && last.end === start && last.attendees.join() === attendees.join()) {
+      last.end = end;
+    } else {
+      windows.push({ start, end, attendees });
+    }
+  }
+  return windows.map(window => ({ ...window, start: new Date(window.start), end: new Date(window.end) }));
+}
+
+// A window as ISO instants plus how it reads on the clock in the given zone
+function describeWindow(start, end, timeZone) {
+  const localStart = getZonedTime(start, timeZone);
+  const localEnd = getZonedTime(end, timeZone);
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    day: localStart.day,
+    startTime: localStart.time,
+    endDay: localEnd.day,
+    endTime: localEnd.time
+  };
+}
+
+// Next stretch (starting within a week) when every schedule is open, as { start, end } ISO
+// strings plus the zone the caller should read them in
+function findNextOpenWindow(schedules, from = new Date(), timeZone = HOUSEHOLD_TIMEZONE) {
+  const weekLater = from.getTime() + 7 * 24 * HOUR_MS;
+  const [next] = findOpenWindows(schedules, from, new Date(weekLater + 7 * 24 * HOUR_MS))
+    .filter(window => window.start.getTime() < weekLater);
+  return next ? { start: next.start.toISOString(), end: next.end.toISOString(), timeZone } : null;
+}
+
+async function canOverrideAvailability(deviceId) {
+  const result = await dbPool.query('SELECT can_override_availability FROM devices WHERE device_id = $1;', [deviceId]);
+  return Boolean(result.rows[0] && result.rows[0].can_override_availability);
+}
+
+// Decide whether a call may be placed right now.
+// Returns { ok: true, override, timeZone } or { ok: false, unavailable, nextWindow, timeZone },
+// where timeZone is the caller's, for telling them about the next window.
+async function checkCallingWindow(callerId, calleeId, { emergency = false } = {}) {
+  if (emergency && await canOverrideAvailability(callerId)) {
+    return { ok: true, override: true, timeZone: HOUSEHOLD_TIMEZONE };
+  }
+
+  const now = new Date();
+  const callerSchedule = await getDeviceSchedule(callerId);
+  const calleeSchedule = await getDeviceSchedule(calleeId);
+  const timeZone = callerSchedule ? callerSchedule.timeZone : HOUSEHOLD_TIMEZONE;
+  const unavailable = [];
+  if (!isAvailableAt(callerSchedule, now)) unavailable.push(callerId);
+  if (!isAvailableAt(calleeSchedule, now)) unavailable.push(calleeId);
+  if (unavailable.length === 0) {
+    return { ok: true, override: false, timeZone };
+  }
+  return {
+    ok: false,
+    unavailable,
+    nextWindow: findNextOpenWindow([callerSchedule, calleeSchedule], now, timeZone),
+    timeZone
+  };
+}
+
+// --- Call Quotas ---
+// Limits on how often a device may place calls, counted from the calls table so they survive
+// restarts and apply across instances. A call_quotas row with an empty contact_id covers all of
+// a device's outgoing calls; a row naming a contact covers only calls to it, and both apply.
+// Bill's phone falls back to HUB_CALL_QUOTA_PER_HOUR/PER_DAY when it has no device-wide row.
+// A NULL limit means unlimited.
+const DAY_MS = 24 * HOUR_MS;
+const QUOTA_WINDOWS = [
+  { name: 'hour', field: 'perHour', ms: HOUR_MS },
+  { name: 'day', field: 'perDay', ms: DAY_MS }
+];
+
+// End reasons of calls that never reached the recipient, so don't use up the caller's quota
+const UNRUNG_CALL_END_REASONS = ['RECIPIENT_UNAVAILABLE', 'RECIPIENT_BUSY'];
+
+const parseQuotaLimit = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const HUB_CALL_QUOTA = {
+  contact: null,
+  perHour: parseQuotaLimit(envConfig.HUB_CALL_QUOTA_PER_HOUR.value),
+  perDay: parseQuotaLimit(envConfig.HUB_CALL_QUOTA_PER_DAY.value)
+};
+
+const describeCallQuotaRow = (row) => ({
+  deviceId: row.device_id,
+  contact: row.contact_id || null,
+  perHour: row.per_hour,
+  perDay: row.per_day,
+  updatedAt: row.updated_at
+});
+
+// Quotas that apply to calls from a device (to one contact, or to anyone when contactId is null)
+async function getApplicableQuotas(deviceId, contactId = null) {
+  const result = await dbPool.query(`
+    SELECT * FROM call_quotas
+    WHERE device_id = $1 AND (contact_id = '' OR contact_id = $2);
+  `, [deviceId, contactId || '']);
+  const quotas = result.rows.map(describeCallQuotaRow);
+  if (deviceId === HUB_DEVICE_ID && !quotas.some(quota => quota.contact === null)) {
+    quotas.push(HUB_CALL_QUOTA);
+  }
+  return quotas;
+}
+
+// Remaining attempts and when the next call is allowed.
+// Returns { allowed, remaining: { hour, day }, nextAllowedAt }; remaining counts are null when unlimited.
+async function getCallQuota(deviceId, contactId = null, now = new Date()) {
+  const quotas = await getApplicableQuotas(deviceId, contactId);
+  const remaining = { hour: null, day: null };
+  let nextAllowedAt = null;
+  let blocked = false;
+  if (quotas.length === 0) {
+    return { allowed: true, remaining, nextAllowedAt };
+  }
+
+  // Every call that rang counts, answered or not. Calls blocked before a session was created never
+  // reach the table, and sessions that failed because the recipient was offline or busy never rang.
+  const result = await dbPool.query(`
+    SELECT callee, started_at FROM calls
+    WHERE caller = $1 AND started_at > $2
+      AND (end_reason IS NULL OR end_reason <> ALL($3))
+    ORDER BY started_at ASC;
+  `, [deviceId, new Date(now.getTime() - DAY_MS).toISOString(), UNRUNG_CALL_END_REASONS]);
+
+  for (const quota of quotas) {
+    const attempts = result.rows
+      .filter(row => quota.contact === null || row.callee === quota.contact)
+      .map(row => new Date(row.started_at).getTime());
+    for (const window of QUOTA_WINDOWS) {
+      const limit = quota[window.field];
+      if (limit === null || limit === undefined) continue;
+      const inWindow = attempts.filter(time => time > now.getTime() - window.ms);
+      const left = Math.max(limit - inWindow.length, 0);
+      remaining[window.name] = remaining[window.name] === null ? left : Math.min(remaining[window.name], left);
+      if (left > 0) continue;
+      blocked = true;
+      // Calling reopens once enough of the attempts in the window have aged out of it
+      // (a limit of 0 never reopens, so there is no next time to report)
+      const reopensAt = limit > 0 ? inWindow[inWindow.length - limit] + window.ms : Infinity;
+      if (!nextAllowedAt || reopensAt > nextAllowedAt) {
+        nextAllowedAt = reopensAt;
+      }
+    }
+  }
+  return {
+    allowed: !blocked,
+    remaining,
+    nextAllowedAt: blocked && Number.isFinite(nextAllowedAt) ? new Date(nextAllowedAt).toISOString() : null
+  };
+}
+
+// --- Accounts ---
+// Admin and family-member logins for the REST API. POST /auth/login returns an HS256 JWT
+// signed with SESSION_SECRET, sent back as "Authorization: Bearer <token>".
+// Admins can manage every profile; a family account only its own (accounts.family_user_id).
+// Passwords are hashed like device secrets.
+const ACCOUNT_ROLES = ['admin', 'family'];
+const MIN_PASSWORD_LENGTH = 8;
+const ACCOUNT_COLUMNS = 'id, username, role, family_user_id, created_at, last_login_at, disabled_at';
+
+const describeAccount = (row) => ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+  familyUserId: row.family_user_id,
+  createdAt: row.created_at,
+  lastLoginAt: row.last_login_at,
+  disabled: Boolean(row.disabled_at)
+});
+
+const encodeTokenPart = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const signTokenBody = body => crypto.createHmac('sha256', envConfig.SESSION_SECRET.value).update(body).digest();
+
+function createSessionToken(account) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const body = `${encodeTokenPart({ alg: 'HS256', typ: 'JWT' })}.${encodeTokenPart({
+    sub: account.id,
+    role: account.role,
+    ver: account.session_version,
+    iat: issuedAt,
+    exp: issuedAt + SESSION_TTL_SECONDS
+  })}`;
+  return { token: `${body}.${signTokenBody(body).toString('base64url')}`, expiresAt: new Date((issuedAt + SESSION_TTL_SECONDS) * 1000).toISOString() };
+}
+
+// The claims of a correctly signed, unexpired token, or null
+function verifySessionToken(token) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+  const expected = signTokenBody(`${header}.${payload}`);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    return Number.isFinite(claims.exp) && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Sets req.account from a bearer token (null without one). A token that is invalid, expired
+// or belongs to a disabled account gets a 401 rather than being treated as anonymous.
+async function authenticateAccount(req, res, next) {
+  req.account = null;
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) return next();
+
+  const claims = verifySessionToken(match[1]);
+  if (!claims) {
+    return sendError(res, 401, 'Session expired, please sign in again', { code: 'INVALID_SESSION' });
+  }
+  try {
+    const result = await dbPool.query(`SELECT ${ACCOUNT_COLUMNS}, session_version FROM accounts WHERE id = $1;`, [claims.sub]);
+    const account = result.rows[0];
+    if (!account || account.disabled_at || account.session_version !== claims.ver) {
+      return sendError(res, 401, 'Session expired, please sign in again', { code: 'INVALID_SESSION' });
+    }
+    req.account = describeAccount(account);
+    next();
+  } catch (err) {
+    logger.error('Account authentication error: ' + err.message);
+    sendError(res, 503, 'Sign-in is temporarily unavailable', { code: 'AUTH_UNAVAILABLE' });
+  }
+}
+
+app.use(authenticateAccount);
+
+// Route guards, run after authenticateAccount
+function requireAccount(req, res, next) {
+  if (!req.account) {
+    return sendError(res, 401, 'Sign in required', { code: 'AUTH_REQUIRED' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  requireAccount(req, res, () => {
+    if (req.account.role !== 'admin') {
+      return sendError(res, 403, 'Only admins can do this');
+    }
+    next();
+  });
+}
+
+// Admins, or the family member whose profile is /family-users/:id
+function requireProfileAccess(req, res, next) {
+  requireAccount(req, res, () => {
+    if (req.account.role !== 'admin' && req.account.familyUserId !== req.params.id) {
+      return sendError(res, 403, 'You can only manage your own profile');
+    }
+    next();
+  });
+}
+
+// Create or update the admins listed in ADMIN_ACCOUNTS ("alice:password,bob:password").
+// A changed password rotates the stored hash and signs out existing sessions.
+async function provisionAdminsFromEnv() {
+  const entries = (envConfig.ADMIN_ACCOUNTS.value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const username = entry.slice(0, separator).trim();
+    const password = entry.slice(separator + 1);
+    if (separator <= 0 || password.length < MIN_PASSWORD_LENGTH) {
+      logger.warn(`Skipping ADMIN_ACCOUNTS entry for "${username || entry.slice(0, 20)}": passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+      continue;
+    }
+
+    const existing = await dbPool.query('SELECT password_hash FROM accounts WHERE username = $1;', [username]);
+    if (existing.rows.length && await verifySecret(password, existing.rows[0].password_hash)) {
+      continue;
+    }
+    await dbPool.query(`
+      INSERT INTO accounts (username, password_hash, role)
+      VALUES ($1, $2, 'admin')
+      ON CONFLICT (username) DO UPDATE SET
+        password_hash = EXCLUDED.password_hash,
+        role = 'admin',
+        family_user_id = NULL,
+        session_version = accounts.session_version + 1;
+    `, [username, await hashSecret(password)]);
+    logger.info(`🔑 Provisioned admin account ${username}`);
+  }
+
+  const admins = await dbPool.query("SELECT COUNT(*)::int AS count FROM accounts WHERE role = 'admin' AND disabled_at IS NULL;");
+  if (admins.rows[0].count === 0) {
+    logger.warn('⚠️ No admin accounts: profiles cannot be created or deleted until ADMIN_ACCOUNTS is set');
+  }
+}
+
+// Compared against when the username is unknown, so failed logins take the same time either way
+const unknownAccountHash = hashSecret(crypto.randomBytes(16).toString('hex'));
+
+// Accounts are addressed by their UUID
+const ACCOUNT_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' } }
+};
+
+const LOGIN_SCHEMA = {
+  type: 'object',
+  properties: {
+    username: { type: 'string', minLength: 1, maxLength: 100 },
+    password: { type: 'string', minLength: 1, maxLength: 200 }
+  },
+  required: ['username', 'password']
+};
+
+app.post('/auth/login', validateRequest({ body: LOGIN_SCHEMA }, { message: 'username and password are required' }), async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    const result = await dbPool.query(`SELECT ${ACCOUNT_COLUMNS}, password_hash, session_version FROM accounts WHERE username = $1;`, [username]);
+    const account = result.rows[0];
+    const passwordMatches = await verifySecret(password, account ? account.password_hash : await unknownAccountHash);
+    if (!account || !passwordMatches || account.disabled_at) {
+      logEvent('LOGIN_FAILED', { username, ip: req.ip });
+      return sendError(res, 401, 'Wrong username or password', { code: 'LOGIN_FAILED' });
+    }
+
+    await dbPool.query('UPDATE accounts SET last_login_at = NOW() WHERE id = $1;', [account.id]);
+    logEvent('LOGIN', { accountId: account.id, username, role: account.role });
+    res.json({ ...createSessionToken(account), account: describeAccount(account) });
+  } catch (err) {
+    logger.error('POST /auth/login: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// The signed-in account
+app.get('/auth/me', requireAccount, (req, res) => {
+  res.json({ account: req.account });
+});
+
+app.get('/accounts', requireAdmin, async (req, res) => {
+  try {
+    const result = await dbPool.query(`SELECT ${ACCOUNT_COLUMNS} FROM accounts ORDER BY role, username;`);
+    res.json(result.rows.map(describeAccount));
+  } catch (err) {
+    logger.error('GET /accounts: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+const PASSWORD_SCHEMA = {
+  type: 'string',
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 200,
+  description: `Must be at least ${MIN_PASSWORD_LENGTH} characters`
+};
+
+const CREATE_ACCOUNT_SCHEMA = {
+  type: 'object',
+  properties: {
+    username: { type: 'string', pattern: '\\S', maxLength: 100, description: 'Required' },
+    password: PASSWORD_SCHEMA,
+    role: { enum: ACCOUNT_ROLES },
+    familyUserId: { type: ['string', 'null'], format: 'uuid' }
+  },
+  required: ['username', 'password', 'role'],
+  allOf: [
+    {
+      if: { properties: { role: { const: 'family' } }, required: ['role'] },
+      then: { properties: { familyUserId: { type: 'string', description: 'Required for family accounts' } }, required: ['familyUserId'] }
+    },
+    {
+      if: { properties: { role: { const: 'admin' } }, required: ['role'] },
+      then: { properties: { familyUserId: { type: 'null', description: 'Admin accounts do not belong to a family user' } } }
+    }
+  ]
+};
+
+// Create an account: { username, password, role, familyUserId } (familyUserId for family accounts only)
+app.post('/accounts', requireAdmin, validateRequest({ body: CREATE_ACCOUNT_SCHEMA }, { message: 'Invalid account' }), async (req, res) => {
+  const { username, password, role, familyUserId = null } = req.body;
+  try {
+    if (familyUserId) {
+      const user = await dbPool.query('SELECT id FROM family_users WHERE id = $1;', [familyUserId]);
+      if (user.rows.length === 0) {
+        return sendError(res, 400, 'Invalid account', {
+          code: 'VALIDATION_FAILED',
+          fields: [{ field: 'familyUserId', message: 'No such family user' }]
+        });
+      }
+    }
+    const result = await dbPool.query(`
+      INSERT INTO accounts (username, password_hash, role, family_user_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (username) DO NOTHING
+      RETURNING ${ACCOUNT_COLUMNS};
+    `, [username.trim(), await hashSecret(password), role, familyUserId]);
+    if (result.rows.length === 0) {
+      return sendError(res, 409, `Username ${username.trim()} is taken`, { code: 'USERNAME_TAKEN' });
+    }
+    logEvent('ACCOUNT_CREATED', { accountId: result.rows[0].id, username: result.rows[0].username, role, by: req.account.username });
+    res.status(201).json(describeAccount(result.rows[0]));
+  } catch (err) {
+    logger.error('POST /accounts: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Change a password ({ password }, allowed on your own account) or enable/disable an account
+// ({ disabled }, admins only). Either one signs out the account's existing sessions.
+const UPDATE_ACCOUNT_SCHEMA = {
+  type: 'object',
+  properties: {
+    password: PASSWORD_SCHEMA,
+    disabled: { type: 'boolean' }
+  }
+};
+
+app.patch('/accounts/:id', requireAccount, validateRequest({ params: ACCOUNT_ID_PARAMS, body: UPDATE_ACCOUNT_SCHEMA }, { message: 'Invalid account' }), async (req, res) => {
+  const { password, disabled } = req.body;
+  const isAdmin = req.account.role === 'admin';
+  if (!isAdmin && req.account.id !== req.params.id) {
+    return sendError(res, 403, 'You can only change your own account');
+  }
+  if (disabled !== undefined && !isAdmin) {
+    return sendError(res, 403, 'Only admins can disable accounts');
+  }
+  if (password === undefined && disabled === undefined) {
+    return sendError(res, 400, 'Nothing to change: send password or disabled');
+  }
+
+  try {
+    const result = await dbPool.query(`
+      UPDATE accounts
+      SET password_hash = COALESCE($2, password_hash),
+          disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at WHEN $3 THEN COALESCE(disabled_at, NOW()) ELSE NULL END,
+          session_version = session_version + 1
+      WHERE id = $1
+      RETURNING ${ACCOUNT_COLUMNS};
+    `, [req.params.id, password === undefined ? null : await hashSecret(password), disabled === undefined ? null : disabled]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Account not found');
+    }
+    logEvent('ACCOUNT_UPDATED', { accountId: req.params.id, passwordChanged: password !== undefined, disabled, by: req.account.username });
+    res.json(describeAccount(result.rows[0]));
+  } catch (err) {
+    logger.error('PATCH /accounts/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+app.delete('/accounts/:id', requireAdmin, validateRequest({ params: ACCOUNT_ID_PARAMS }), async (req, res) => {
+  if (req.params.id === req.account.id) {
+    return sendError(res, 400, 'You cannot delete your own account');
+  }
+  try {
+    const result = await dbPool.query('DELETE FROM accounts WHERE id = $1 RETURNING id, username;', [req.params.id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Account not found');
+    }
+    logEvent('ACCOUNT_DELETED', { accountId: req.params.id, username: result.rows[0].username, by: req.account.username });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /accounts/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// --- Family User API Endpoints ---
+// Create or update a family user profile
+const sharp = require('sharp');
+// Helper: decode base64 image to Buffer
+function decodeBase64Image(dataString) {
+  if (!dataString) return null;
+  const matches = dataString.match(/^data:(.+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) return null;
+  return Buffer.from(matches[2], 'base64');
+}
+
+// Debug: log all incoming POST/PATCH payloads for /family-users
+function logUserPayload(route, body) {
+  try {
+    const preview = { ...body };
+    if (preview.picture_data && typeof preview.picture_data === 'string') {
+      preview.picture_data = `base64 string, length: ${preview.picture_data.length}`;
+    }
+    logger.info(`[${route}] Incoming payload: ` + JSON.stringify(preview));
+  } catch (err) {
+    logger.warn(`[${route}] Could not stringify payload: ` + err.message);
+  }
+}
+
+// Upload problems the client can fix, with the HTTP status to answer them with
+function uploadError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Formats accepted for upload, recognised by their first bytes; the declared type isn't trusted
+const PICTURE_SIGNATURES = [
+  { type: 'image/jpeg', matches: head => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+  { type: 'image/png', matches: head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/webp', matches: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP' },
+  { type: 'image/gif', matches: head => ['GIF87a', 'GIF89a'].includes(head.toString('latin1', 0, 6)) }
+];
+const PICTURE_SNIFF_BYTES = 12;
+
+const sniffPictureType = (head) => {
+  const signature = PICTURE_SIGNATURES.find(candidate => candidate.matches(head));
+  return signature ? signature.type : null;
+};
+
+// Passes an upload through unchanged, failing it when its first bytes aren't a known image
+// format or it grows past PICTURE_UPLOAD_MAX_BYTES
+function createPictureGuard() {
+  let head = Buffer.alloc(0);
+  let total = 0;
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > PICTURE_UPLOAD_MAX_BYTES) {
+        return callback(uploadError(413, `Picture is larger than ${Math.floor(PICTURE_UPLOAD_MAX_BYTES / 1024 / 1024 * 10) / 10} MB`));
+      }
+      if (head === null) {
+        return callback(null, chunk);
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length < PICTURE_SNIFF_BYTES) {
+        return callback();
+      }
+      if (!sniffPictureType(head)) {
+        return callback(uploadError(415, 'Unsupported picture format; use JPEG, PNG, WebP or GIF'));
+      }
+      const sniffed = head;
+      head = null;
+      callback(null, sniffed);
+    },
+    flush(callback) {
+      if (head === null) return callback();
+      callback(head.length === 0 ? uploadError(400, 'Picture is empty') : uploadError(415, 'Unsupported picture format; use JPEG, PNG, WebP or GIF'));
+    }
+  });
+}
+
+// Shared image processing for JSON uploads (a base64 data URL) and multipart uploads (a
+// stream). The result is the source picture kept in family_users.picture_data, which the
+// renditions below are made from: turned upright from its EXIF orientation, without any
+// EXIF/GPS metadata (sharp writes none unless asked), and cropped to at most
+// PICTURE_SOURCE_PIXELS square.
+const PICTURE_SOURCE_PIXELS = 1024;
+
+async function processProfileImage(input, logPrefix = '') {
+  if (!input) return null;
+  const loggerPrefix = logPrefix ? `[${logPrefix}] ` : '';
+  let source = input;
+  if (typeof input === 'string') {
+    const buffer = decodeBase64Image(input);
+    if (!buffer) {
+      logger.error(`${loggerPrefix}Failed to decode base64 image.`);
+      throw uploadError(400, 'Invalid image data');
+    }
+    logger.info(`${loggerPrefix}Decoded base64 image, buffer length: ${buffer.length}`);
+    source = stream.Readable.from([buffer]);
+  }
+
+  const transformer = sharp()
+    .rotate()
+    .resize(PICTURE_SOURCE_PIXELS, PICTURE_SOURCE_PIXELS, { fit: 'cover', withoutEnlargement: true })
+    .jpeg({ quality: 95 });
+  try {
+    const processed = await new Promise((resolve, reject) => {
+      stream.pipeline(source, createPictureGuard(), transformer, (err) => {
+        if (err) reject(err);
+      });
+      transformer.toBuffer().then(resolve, reject);
+    });
+    logger.info(`${loggerPrefix}Converted image to JPEG, buffer length: ${processed.length}`);
+    return processed;
+  } catch (err) {
+    if (err.status) {
+      logger.warn(`${loggerPrefix}Picture rejected: ${err.message}`);
+      throw err;
+    }
+    logger.error(`${loggerPrefix}Sharp conversion failed: ${err.message}`);
+    throw uploadError(400, 'Image conversion failed');
+  }
+}
+
+// Feed the "picture" file of a multipart request to processProfileImage
+function receivePictureUpload(req, logPrefix) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10 } });
+    } catch (err) {
+      return reject(uploadError(400, `Invalid multipart upload: ${err.message}`));
+    }
+
+    let upload = null;
+    parser.on('file', (field, file) => {
+      if (field !== 'picture' || upload) {
+        file.resume();
+        return;
+      }
+      upload = processProfileImage(file, logPrefix);
+      // Fail straight away; the parser may never finish once the file stream is abandoned
+      upload.catch(reject);
+    });
+    parser.on('error', err => reject(uploadError(400, `Invalid multipart upload: ${err.message}`)));
+    parser.on('close', () => {
+      if (!upload) {
+        reject(uploadError(400, 'Missing "picture" file'));
+      } else {
+        upload.then(resolve, reject);
+      }
+    });
+    req.pipe(parser);
+  });
+}
+
+// Renditions of each picture, made when it is saved and picked with ?size= (default medium).
+// Every size is stored as JPEG and WebP; WebP goes to clients that say they accept it.
+const PICTURE_SIZES = { thumb: 128, medium: 400, large: 1024 };
+const DEFAULT_PICTURE_SIZE = 'medium';
+const PICTURE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', encode: image => image.jpeg({ quality: 85, mozjpeg: true }) },
+  webp: { contentType: 'image/webp', encode: image => image.webp({ quality: 80 }) }
+};
+
+// [{ size, format, data, etag }] for every size and format; the ETag is a hash of the bytes
+async function createPictureRenditions(source) {
+  const renditions = [];
+  for (const [size, pixels] of Object.entries(PICTURE_SIZES)) {
+    for (const [format, { encode }] of Object.entries(PICTURE_FORMATS)) {
+      const resized = sharp(source).resize(pixels, pixels, { fit: 'cover', withoutEnlargement: true });
+      const data = await encode(resized).toBuffer();
+      const etag = `"${crypto.createHash('sha256').update(data).digest('base64url').slice(0, 32)}"`;
+      renditions.push({ size, format, data, etag });
+    }
+  }
+  return renditions;
+}
+
+// Replace a user's renditions with ones made from their current picture
+async function savePictureRenditions(userId, source) {
+  const renditions = await createPictureRenditions(source);
+  const client = await dbPool.connect();
+  try {
+    await client.query('BEGIN;');
+    for (const { size, format, data, etag } of renditions) {
+      await client.query(`
+        INSERT INTO picture_renditions (family_user_id, size, format, data, etag)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (family_user_id, size, format) DO UPDATE SET
+          data = EXCLUDED.data,
+          etag = EXCLUDED.etag,
+          created_at = NOW();
+      `, [userId, size, format, data, etag]);
+    }
+    await client.query('COMMIT;');
+  } catch (err) {
+    await client.query('ROLLBACK;').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  logger.info(`Saved ${renditions.length} picture renditions for family user ${userId}`);
+  return renditions.map(rendition => ({ ...rendition, created_at: new Date() }));
+}
+
+// After a profile save. A failure isn't fatal: the old renditions are dropped instead, and
+// the picture route makes new ones on the next request.
+async function refreshPictureRenditions(userId, source, logPrefix) {
+  try {
+    await savePictureRenditions(userId, source);
+  } catch (err) {
+    logger.error(`${logPrefix}: failed to save picture renditions: ${err.message}`);
+    await dbPool.query('DELETE FROM picture_renditions WHERE family_user_id = $1;', [userId]).catch(() => {});
+  }
+}
+
+// default_user's picture is served for everyone without one. Load it from the bundled asset
+// the first time the server starts against a database that has none.
+const DEFAULT_PROFILE_IMAGE_PATH = path.join(__dirname, 'assets', 'default-profile.jpg');
+
+async function seedDefaultProfilePicture() {
+  if (!fs.existsSync(DEFAULT_PROFILE_IMAGE_PATH)) {
+    logger.warn(`Default profile image not found at ${DEFAULT_PROFILE_IMAGE_PATH}`);
+    return;
+  }
+  const result = await dbPool.query(
+    "UPDATE family_users SET picture_data = $1 WHERE name = 'default_user' AND picture_data IS NULL RETURNING id;",
+    [await fs.promises.readFile(DEFAULT_PROFILE_IMAGE_PATH)]
+  );
+  if (result.rowCount > 0) {
+    logger.info('Seeded default profile image for default_user');
+  }
+}
+
+// Family users are addressed by their UUID
+const FAMILY_USER_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' } }
+};
+
+// Profile fields accepted when creating or updating a family user
+const FAMILY_USER_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  email: { type: ['string', 'null'], maxLength: 320 },
+  picture_data: { type: ['string', 'null'] },
+  picture_url: { type: ['string', 'null'], maxLength: 2048 },
+  availability: AVAILABILITY_SCHEMA,
+  timezone: TIME_ZONE_SCHEMA
+};
+const CREATE_FAMILY_USER_SCHEMA = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' }, ...FAMILY_USER_FIELDS },
+  required: ['name']
+};
+const UPDATE_FAMILY_USER_SCHEMA = {
+  type: 'object',
+  properties: FAMILY_USER_FIELDS,
+  required: ['name']
+};
+
+// Semantic problems with availability (bad times, overlaps), in the validation error format
+const sendAvailabilityErrors = (res, fields) => sendError(res, 400, 'Invalid availability', { code: 'VALIDATION_FAILED', fields });
+
+app.post('/family-users', requireAdmin, validateRequest({ body: CREATE_FAMILY_USER_SCHEMA }, { message: 'Invalid profile' }), async (req, res) => {
+  logUserPayload('POST /family-users', req.body);
+  const { id, name, picture_data, email } = req.body;
+  const timezone = parseTimeZoneField(req.body.timezone);
+  const { availability, errors: availabilityErrors } = parseAvailability(req.body.availability);
+  if (availabilityErrors.length) {
+    return sendAvailabilityErrors(res, availabilityErrors);
+  }
+  let imageBuffer = null;
+  if (picture_data) {
+    try {
+      imageBuffer = await processProfileImage(picture_data, 'POST /family-users');
+    } catch (err) {
+      return sendError(res, err.status || 400, err.message);
+    }
+  }
+
+  try {
+    let result;
+    logger.info(`[POST /family-users] Inserting/updating user: ${name}, id: ${id}, email: ${email || 'N/A'}, image buffer: ${imageBuffer ? imageBuffer.length : 0} bytes`);
+    if (email) {
+      result = await dbPool.query(`
+        INSERT INTO family_users (id, name, picture_data, email, availability, timezone, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+        ON CONFLICT (email) DO UPDATE SET
+          name = EXCLUDED.name,
+          picture_data = COALESCE(EXCLUDED.picture_data, family_users.picture_data),
+          availability = EXCLUDED.availability,
+          timezone = EXCLUDED.timezone,
+          updated_at = NOW()
+        RETURNING *;
+      `, [id || uuidv4(), name, imageBuffer, email, availability && JSON.stringify(availability), timezone]);
+    } else {
+      if (imageBuffer) {
+        // If new image provided, update it
+        result = await dbPool.query(`
+          INSERT INTO family_users (id, name, picture_data, availability, timezone, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+          ON CONFLICT (name) DO UPDATE SET
+            picture_data = EXCLUDED.picture_data,
+            availability = EXCLUDED.availability,
+            timezone = EXCLUDED.timezone,
+            updated_at = NOW()
+          RETURNING *;
+        `, [id || uuidv4(), name, imageBuffer, availability && JSON.stringify(availability), timezone]);
+      } else {
+        // If no new image, do not overwrite picture_data
+        result = await dbPool.query(`
+          INSERT INTO family_users (id, name, picture_data, availability, timezone, created_at, updated_at)
+          VALUES ($1, $2, NULL, $3, $4, NOW(), NOW())
+          ON CONFLICT (name) DO UPDATE SET
+            availability = EXCLUDED.availability,
+            timezone = EXCLUDED.timezone,
+            updated_at = NOW()
+          RETURNING *;
+        `, [id || uuidv4(), name, availability && JSON.stringify(availability), timezone]);
+      }
+    }
+    if (imageBuffer) {
+      await refreshPictureRenditions(result.rows[0].id, imageBuffer, 'POST /family-users');
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    logger.error('POST /family-users: ' + err.message);
+    logger.error('POST /family-users: ' + (err.stack || 'No stack'));
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Serve profile image as binary
+dbPool.on('error', (err) => logger.error('PG Pool error', err));
+
+// Only for clients that name WebP; image/* or */* alone doesn't say the decoder supports it
+const acceptsWebp = req => /\bimage\/webp\b/.test(req.get('Accept') || '') && Boolean(req.accepts('image/webp'));
+
+// Serve one rendition of a user's picture (or default_user's if they have none).
+// Conditional requests get a 304 without reading the image. Versioned URLs (?v=, as in
+// /kiosk/contacts) never change and are cached for a year; others are revalidated each time.
+const PICTURE_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    size: { enum: Object.keys(PICTURE_SIZES), default: DEFAULT_PICTURE_SIZE },
+    v: { type: 'string' }
+  }
+};
+
+app.get('/family-users/:id/picture', validateRequest({ params: FAMILY_USER_ID_PARAMS, query: PICTURE_QUERY_SCHEMA }), async (req, res) => {
+  const { size } = req.query;
+  const format = acceptsWebp(req) ? 'webp' : 'jpeg';
+
+  try {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Vary', 'Accept');
+    const owner = await dbPool.query(`
+      SELECT id FROM family_users
+      WHERE (id = $1 OR name = 'default_user') AND picture_data IS NOT NULL
+      ORDER BY (id = $1) DESC
+      LIMIT 1;
+    `, [req.params.id]);
+    if (owner.rows.length === 0) {
+      logger.warn(`[GET /family-users/${req.params.id}/picture] No image for user and no default image`);
+      return sendError(res, 404, 'No image', { code: 'NO_PICTURE' });
+    }
+    const ownerId = owner.rows[0].id;
+
+    let rendition = (await dbPool.query(
+      'SELECT etag, created_at FROM picture_renditions WHERE family_user_id = $1 AND size = $2 AND format = $3;',
+      [ownerId, size, format]
+    )).rows[0];
+    if (!rendition) {
+      // Pictures saved before renditions existed (and the seeded default) get them on first request
+      const source = await dbPool.query('SELECT picture_data FROM family_users WHERE id = $1;', [ownerId]);
+      const renditions = await savePictureRenditions(ownerId, source.rows[0].picture_data);
+      rendition = renditions.find(candidate => candidate.size === size && candidate.format === format);
+    }
+
+    res.set('ETag', rendition.etag);
+    res.set('Last-Modified', rendition.created_at.toUTCString());
+    res.set('Cache-Control', req.query.v ? 'public, max-age=31536000, immutable' : 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const data = rendition.data || (await dbPool.query(
+      'SELECT data FROM picture_renditions WHERE family_user_id = $1 AND size = $2 AND format = $3;',
+      [ownerId, size, format]
+    )).rows[0].data;
+    res.type(PICTURE_FORMATS[format].contentType);
+    res.send(data);
+  } catch (err) {
+    logger.error('GET /family-users/:id/picture: ' + err.message);
+    logger.error('GET /family-users/:id/picture: ' + (err.stack || 'No stack'));
+    sendError(res, 500, 'Error retrieving image');
+  }
+});
+
+// Replace a family user's picture with a multipart upload (a file field named "picture"),
+// streamed through processProfileImage instead of sent as base64 JSON
+app.put('/family-users/:id/picture', requireProfileAccess, validateRequest({ params: FAMILY_USER_ID_PARAMS }), async (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return sendError(res, 415, 'Expected multipart/form-data with a "picture" file');
+  }
+  try {
+    const user = await dbPool.query('SELECT id FROM family_users WHERE id = $1;', [req.params.id]);
+    if (user.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+  } catch (err) {
+    logger.error('PUT /family-users/:id/picture: ' + err.message);
+    return sendError(res, 500, 'Database error');
+  }
+
+  let imageBuffer;
+  try {
+    imageBuffer = await receivePictureUpload(req, 'PUT /family-users/:id/picture');
+  } catch (err) {
+    // The rest of the body may not have been read; don't keep the connection for it
+    res.set('Connection', 'close');
+    return sendError(res, err.status || 400, err.message);
+  }
+
+  try {
+    const result = await dbPool.query(
+      'UPDATE family_users SET picture_data = $1, updated_at = NOW() WHERE id = $2 RETURNING id, updated_at;',
+      [imageBuffer, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    await refreshPictureRenditions(req.params.id, imageBuffer, 'PUT /family-users/:id/picture');
+    const { id, updated_at } = result.rows[0];
+    res.json({ id, updated_at, pictureUrl: `/family-users/${id}/picture?v=${updated_at.getTime()}` });
+  } catch (err) {
+    logger.error('PUT /family-users/:id/picture: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Registered devices linked to a family user (devices.family_user_id), as a device_ids column
+const FAMILY_USER_DEVICE_IDS = 'ARRAY(SELECT device_id FROM devices WHERE family_user_id = fu.id ORDER BY device_id) AS device_ids';
+
+// List all family users
+app.get('/family-users', requireAccountOrDevice, async (req, res) => {
+  try {
+    const result = await dbPool.query(`SELECT *, ${FAMILY_USER_DEVICE_IDS} FROM family_users fu ORDER BY name ASC;`);
+    res.json(result.rows);
+  } catch (err) {
+    logger.error('GET /family-users: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Get a single family user by id
+app.get('/family-users/:id', requireAccountOrDevice, validateRequest({ params: FAMILY_USER_ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await dbPool.query(`SELECT *, ${FAMILY_USER_DEVICE_IDS} FROM family_users fu WHERE id = $1;`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    logger.error('GET /family-users/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Update a family user profile (name, picture_url, email, availability, timezone)
+app.patch('/family-users/:id', requireProfileAccess, validateRequest({ params: FAMILY_USER_ID_PARAMS, body: UPDATE_FAMILY_USER_SCHEMA }, { message: 'Invalid profile' }), async (req, res) => {
+  const { name, picture_data, picture_url, email } = req.body;
+  const timezone = parseTimeZoneField(req.body.timezone);
+  const { availability, errors: availabilityErrors } = parseAvailability(req.body.availability);
+  if (availabilityErrors.length) {
+    return sendAvailabilityErrors(res, availabilityErrors);
+  }
+
+  let imageBuffer = null;
+  if (picture_data) {
+    try {
+      imageBuffer = await processProfileImage(picture_data, 'PATCH /family-users/:id');
+    } catch (err) {
+      return sendError(res, err.status || 400, err.message);
+    }
+  }
+
+  try {
+    let result;
+    if (imageBuffer) {
+      result = await dbPool.query(
+        `UPDATE family_users
+         SET name = $1,
+             picture_data = $2,
+             picture_url = $3,
+             email = $4,
+             availability = $5,
+             timezone = $6,
+             updated_at = NOW()
+         WHERE id = $7
+         RETURNING *;`,
+        [name, imageBuffer, picture_url, email, availability && JSON.stringify(availability), timezone, req.params.id]
+      );
+    } else {
+      result = await dbPool.query(
+        `UPDATE family_users
+         SET name = $1,
+             picture_url = $2,
+             email = $3,
+             availability = $4,
+             timezone = $5,
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING *;`,
+        [name, picture_url, email, availability && JSON.stringify(availability), timezone, req.params.id]
+      );
+    }
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    if (imageBuffer) {
+      await refreshPictureRenditions(req.params.id, imageBuffer, 'PATCH /family-users/:id');
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    logger.error('PATCH /family-users/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Delete a family user by ID
+app.delete('/family-users/:id', requireAdmin, validateRequest({ params: FAMILY_USER_ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await dbPool.query('DELETE FROM family_users WHERE id = $1 RETURNING *;', [req.params.id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json({ success: true, deleted: result.rows[0] });
+    logEvent('PROFILE_DELETED', { id: result.rows[0].id, name: result.rows[0].name, email: result.rows[0].email });
+  } catch (err) {
+    logger.error('DELETE /family-users/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Link a family user to their registered devices: { deviceIds: [...] } replaces the current
+// links. Calls to and from those devices follow the user's availability, and Bill's kiosk
+// shows the user as a contact.
+const FAMILY_USER_DEVICES_SCHEMA = {
+  type: 'object',
+  properties: {
+    deviceIds: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 128 } }
+  },
+  required: ['deviceIds']
+};
+
+app.put('/family-users/:id/devices', requireAdmin, validateRequest({ params: FAMILY_USER_ID_PARAMS, body: FAMILY_USER_DEVICES_SCHEMA }), async (req, res) => {
+  const { deviceIds } = req.body;
+  // Problems are reported against each device's place in the list
+  const deviceErrors = (test, message) => deviceIds
+    .flatMap((deviceId, index) => (test(deviceId) ? [{ field: `deviceIds[${index}]`, message }] : []));
+  const hubErrors = deviceErrors(deviceId => deviceId === HUB_DEVICE_ID, `${HUB_DEVICE_ID} is Bill's phone and cannot belong to a family user`);
+  if (hubErrors.length) {
+    return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_FAILED', fields: hubErrors });
+  }
+
+  const client = await dbPool.connect();
+  try {
+    const user = await client.query('SELECT id FROM family_users WHERE id = $1;', [req.params.id]);
+    if (user.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    const known = await client.query('SELECT device_id FROM devices WHERE device_id = ANY($1);', [deviceIds]);
+    const unknownErrors = deviceErrors(deviceId => !known.rows.some(row => row.device_id === deviceId), 'Unknown device');
+    if (unknownErrors.length) {
+      return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_FAILED', fields: unknownErrors });
+    }
+
+    await client.query('BEGIN;');
+    await client.query(
+      'UPDATE devices SET family_user_id = NULL WHERE family_user_id = $1 AND NOT (device_id = ANY($2));',
+      [req.params.id, deviceIds]
+    );
+    await client.query('UPDATE devices SET family_user_id = $1 WHERE device_id = ANY($2);', [req.params.id, deviceIds]);
+    await client.query('COMMIT;');
+    logEvent('FAMILY_USER_DEVICES_LINKED', { id: req.params.id, deviceIds });
+    res.json({ id: req.params.id, deviceIds: [...deviceIds].sort() });
+  } catch (err) {
+    await client.query('ROLLBACK;').catch(() => {});
+    logger.error('PUT /family-users/:id/devices: ' + err.message);
+    sendError(res, 500, 'Database error');
+  } finally {
+    client.release();
+  }
+});
+
+// Update availability for a family user (and, if given, the zone its hours are in)
+const UPDATE_AVAILABILITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    availability: { ...AVAILABILITY_SCHEMA, type: ['array', 'object'] },
+    timezone: TIME_ZONE_SCHEMA
+  },
+  required: ['availability']
+};
+
+app.patch('/family-users/:id/availability', requireProfileAccess, validateRequest({ params: FAMILY_USER_ID_PARAMS, body: UPDATE_AVAILABILITY_SCHEMA }, { message: 'Invalid availability' }), async (req, res) => {
+  const { availability, errors: availabilityErrors } = parseAvailability(req.body.availability);
+  if (availabilityErrors.length) {
+    return sendAvailabilityErrors(res, availabilityErrors);
+  }
+  const timezone = parseTimeZoneField(req.body.timezone);
+  try {
+    const result = await dbPool.query(
+      `UPDATE family_users
+       SET availability = $1,
+           timezone = CASE WHEN $3 THEN $4 ELSE timezone END,
+           updated_at = NOW()
+       WHERE id = $2
+       RETURNING *;`,
+      [JSON.stringify(availability), req.params.id, req.body.timezone !== undefined, timezone]
+    );
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    logger.error('PATCH /family-users/:id/availability: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Upcoming open windows for a family user, read in the requester's zone.
+// ?tz= (IANA zone, default the user's own) and ?days= (1-14, default 7).
+const UPCOMING_AVAILABILITY_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: 14, default: 7 },
+    tz: { type: 'string', minLength: 1, format: 'time-zone' }
+  }
+};
+
+app.get('/family-users/:id/availability', requireAccountOrDevice, validateRequest({ params: FAMILY_USER_ID_PARAMS, query: UPCOMING_AVAILABILITY_QUERY_SCHEMA }), async (req, res) => {
+  const { days } = req.query;
+  try {
+    const result = await dbPool.query('SELECT id, name, availability, timezone FROM family_users WHERE id = $1;', [req.params.id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    const user = result.rows[0];
+    const timeZone = user.timezone || HOUSEHOLD_TIMEZONE;
+    const requestedTimeZone = req.query.tz || timeZone;
+    const from = new Date();
+    const until = new Date(from.getTime() + days * 24 * HOUR_MS);
+    // A user without hours on record is open the whole time, apart from any exceptions
+    const exceptions = await getAvailabilityExceptions([user.id], from);
+    const schedule = toSchedule(user, exceptions.get(user.id));
+
+    const windows = findOpenWindows([schedule], from, until)
+      .map(({ start, end }) => describeWindow(start, end, requestedTimeZone));
+    res.json({
+      id: user.id,
+      name: user.name,
+      timeZone,
+      requestedTimeZone,
+      from: from.toISOString(),
+      until: until.toISOString(),
+      windows
+    });
+  } catch (err) {
+    logger.error('GET /family-users/:id/availability: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Date exceptions for a family user, by start date. ?from=YYYY-MM-DD leaves out ones that end before it.
+const EXCEPTIONS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { from: { type: 'string', format: 'date' } }
+};
+
+app.get('/family-users/:id/exceptions', requireProfileAccess, validateRequest({ params: FAMILY_USER_ID_PARAMS, query: EXCEPTIONS_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const user = await dbPool.query('SELECT id FROM family_users WHERE id = $1;', [req.params.id]);
+    if (user.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    const result = await dbPool.query(`
+      SELECT ${AVAILABILITY_EXCEPTION_COLUMNS}
+      FROM availability_exceptions
+      WHERE family_user_id = $1 AND ($2::date IS NULL OR end_date >= $2::date)
+      ORDER BY start_date, start_time;
+    `, [req.params.id, req.query.from || null]);
+    res.json(result.rows.map(describeAvailabilityException));
+  } catch (err) {
+    logger.error('GET /family-users/:id/exceptions: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Add a date exception: { kind: 'available' | 'unavailable', startDate, endDate?, start?, end?, note? }
+app.post('/family-users/:id/exceptions', requireProfileAccess, validateRequest({ params: FAMILY_USER_ID_PARAMS, body: AVAILABILITY_EXCEPTION_SCHEMA }, { message: 'Invalid exception' }), async (req, res) => {
+  const { exception, errors } = parseAvailabilityException(req.body);
+  if (errors.length) {
+    return sendError(res, 400, 'Invalid exception', { code: 'VALIDATION_FAILED', fields: errors });
+  }
+  try {
+    const user = await dbPool.query('SELECT id FROM family_users WHERE id = $1;', [req.params.id]);
+    if (user.rows.length === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    const result = await dbPool.query(`
+      INSERT INTO availability_exceptions (family_user_id, kind, start_date, end_date, start_time, end_time, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${AVAILABILITY_EXCEPTION_COLUMNS};
+    `, [req.params.id, exception.kind, exception.startDate, exception.endDate, exception.start, exception.end, exception.note]);
+    const saved = describeAvailabilityException(result.rows[0]);
+    logEvent('AVAILABILITY_EXCEPTION_SAVED', saved);
+    res.status(201).json(saved);
+  } catch (err) {
+    logger.error('POST /family-users/:id/exceptions: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+const EXCEPTION_ID_PARAMS = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    exceptionId: { type: 'string', format: 'uuid' }
+  }
+};
+
+// Change a date exception; fields left out keep their current values
+app.patch('/family-users/:id/exceptions/:exceptionId', requireProfileAccess, validateRequest({ params: EXCEPTION_ID_PARAMS, body: AVAILABILITY_EXCEPTION_CHANGES_SCHEMA }, { message: 'Invalid exception' }), async (req, res) => {
+  try {
+    const current = await dbPool.query(
+      `SELECT ${AVAILABILITY_EXCEPTION_COLUMNS} FROM availability_exceptions WHERE id::text = $1 AND family_user_id::text = $2;`,
+      [req.params.exceptionId, req.params.id]
+    );
+    if (current.rows.length === 0) {
+      return sendError(res, 404, 'Exception not found');
+    }
+    const { exception, errors } = parseAvailabilityException({ ...describeAvailabilityException(current.rows[0]), ...req.body });
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid exception', { code: 'VALIDATION_FAILED', fields: errors });
+    }
+    const result = await dbPool.query(`
+      UPDATE availability_exceptions
+      SET kind = $1, start_date = $2, end_date = $3, start_time = $4, end_time = $5, note = $6, updated_at = NOW()
+      WHERE id = $7
+      RETURNING ${AVAILABILITY_EXCEPTION_COLUMNS};
+    `, [exception.kind, exception.startDate, exception.endDate, exception.start, exception.end, exception.note, current.rows[0].id]);
+    const saved = describeAvailabilityException(result.rows[0]);
+    logEvent('AVAILABILITY_EXCEPTION_SAVED', saved);
+    res.json(saved);
+  } catch (err) {
+    logger.error('PATCH /family-users/:id/exceptions/:exceptionId: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+app.delete('/family-users/:id/exceptions/:exceptionId', requireProfileAccess, validateRequest({ params: EXCEPTION_ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await dbPool.query(
+      `DELETE FROM availability_exceptions WHERE id::text = $1 AND family_user_id::text = $2 RETURNING ${AVAILABILITY_EXCEPTION_COLUMNS};`,
+      [req.params.exceptionId, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Exception not found');
+    }
+    const deleted = describeAvailabilityException(result.rows[0]);
+    logEvent('AVAILABILITY_EXCEPTION_DELETED', deleted);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    logger.error('DELETE /family-users/:id/exceptions/:exceptionId: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// When the given family members and Bill can meet, for planning group calls.
+// ?users=id,id,... (required), ?from= / ?to= (ISO 8601, default now and a week later, at most
+// 14 days apart), ?tz= (zone for the clock times, default the household's) and ?minMinutes=
+// (shortest window worth listing, default 15).
+// Returns overlap: windows where everyone is free, in time order; and partial: windows where Bill
+// and at least one of them are free, most attendees first.
+const OVERLAP_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    users: { type: 'string', pattern: '[^,\\s]', description: 'List at least one family user id' },
+    from: { type: 'string', format: 'timestamp' },
+    to: { type: 'string', format: 'timestamp' },
+    tz: { type: 'string', minLength: 1, format: 'time-zone' },
+    minMinutes: { type: 'integer', minimum: 1, maximum: 24 * 60, default: 15 }
+  },
+  required: ['users']
+};
+
+app.get('/availability/overlap', requireAccountOrDevice, validateRequest({ query: OVERLAP_QUERY_SCHEMA }), async (req, res) => {
+  const ids = [...new Set(req.query.users.split(',').map(id => id.trim()).filter(Boolean))];
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const until = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * HOUR_MS);
+  const timeZone = req.query.tz || HOUSEHOLD_TIMEZONE;
+  const { minMinutes } = req.query;
+  if (until <= from || until.getTime() - from.getTime() > 14 * 24 * HOUR_MS) {
+    return sendError(res, 400, 'Invalid request', {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'to', message: 'Must be after from, and at most 14 days later' }]
+    });
+  }
+
+  try {
+    const result = await dbPool.query(
+      'SELECT id, name, availability, timezone FROM family_users WHERE id::text = ANY($1);',
+      [ids]
+    );
+    const missing = ids.filter(id => !result.rows.some(row => row.id === id));
+    if (missing.length) {
+      return sendError(res, 404, `Family user not found: ${missing.join(', ')}`);
+    }
+
+    const exceptions = await getAvailabilityExceptions(ids, from);
+    const members = ids.map(id => result.rows.find(row => row.id === id)).map(row => ({
+      id: row.id,
+      name: row.name,
+      timeZone: row.timezone || HOUSEHOLD_TIMEZONE,
+      schedule: toSchedule(row, exceptions.get(row.id))
+    }));
+    const participants = [{ id: HUB_DEVICE_ID, name: 'Bill', timeZone: HOUSEHOLD_TIMEZONE, schedule: HUB_SCHEDULE }, ...members];
+
+    const windows = findAttendanceWindows(participants, from, until)
+      .filter(window => window.attendees.includes(HUB_DEVICE_ID) && window.attendees.length > 1)
+      .filter(window => window.end - window.start >= minMinutes * 60 * 1000)
+      .map(window => ({
+        ...describeWindow(window.start, window.end, timeZone),
+        attendees: window.attendees,
+        missing: participants.map(participant => participant.id).filter(id => !window.attendees.includes(id)),
+        count: window.attendees.length
+      }));
+
+    res.json({
+      from: from.toISOString(),
+      until: until.toISOString(),
+      timeZone,
+      participants: participants.map(({ id, name, timeZone: participantZone }) => ({ id, name, timeZone: participantZone })),
+      overlap: windows.filter(window => window.missing.length === 0),
+      partial: windows
+        .filter(window => window.missing.length > 0)
+        .sort((a, b) => b.count - a.count || new Date(a.start) - new Date(b.start))
+    });
+  } catch (err) {
+    logger.error('GET /availability/overlap: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// API routes
+app.get('/', async (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'Bill\'s Phone WebRTC Signaling Server',
+    connections: await presenceStore.countConnections(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Enhanced health check endpoint with iOS-specific info
+app.get('/health', async (req, res) => {
+  const connections = await presenceStore.listConnections();
+  const iosConnections = connections.filter(user => user.platform === 'ios').length;
+  
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    totalConnections: connections.length,
+    iosConnections: iosConnections,
+    activeCalls: await presenceStore.countCallSessions(),
+    presenceStore: presenceStore.type,
+    instanceId: INSTANCE_ID,
+    serverUptime: process.uptime()
+  });
+});
+
+// Presence of the devices the requesting device may see
+app.get('/presence', requireDevice, async (req, res) => {
+  try {
+    res.json({
+      devices: await listVisiblePresence(req.deviceId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('GET /presence: ' + err.message);
+    sendError(res, 500, 'Failed to fetch presence');
+  }
+});
+
+// --- Kiosk Contacts ---
+// Bill's contact list: every family user with a linked, active device, and whether Bill can
+// call them right now. The kiosk renders it and keeps a copy for offline starts.
+const PRESENCE_PREFERENCE = [PRESENCE_STATES.ONLINE, PRESENCE_STATES.IDLE, PRESENCE_STATES.IN_CALL, PRESENCE_STATES.OFFLINE];
+
+async function describeKioskContact(callerId, user) {
+  // Ring the device most likely to be answered
+  const presence = await Promise.all(user.device_ids.map(deviceId => getDevicePresence(deviceId)));
+  presence.sort((a, b) => PRESENCE_PREFERENCE.indexOf(a.state) - PRESENCE_PREFERENCE.indexOf(b.state));
+  const { deviceId, state } = presence[0];
+
+  const callingWindow = await checkCallingWindow(callerId, deviceId);
+  const quota = await getCallQuota(callerId, deviceId);
+  let reason = null;
+  if (!callingWindow.ok) {
+    reason = 'OUTSIDE_AVAILABILITY';
+  } else if (!quota.allowed) {
+    reason = 'CALL_QUOTA_EXCEEDED';
+  } else if (state === PRESENCE_STATES.IN_CALL) {
+    reason = 'BUSY';
+  } else if (state === PRESENCE_STATES.OFFLINE) {
+    reason = 'OFFLINE';
+  }
+
+  return {
+    id: user.id,
+    name: user.name,
+    timeZone: user.timezone || HOUSEHOLD_TIMEZONE,
+    deviceIds: user.device_ids,
+    deviceId,
+    // Relative to this server; the version changes whenever the profile (and so the photo) does
+    pictureUrl: `/family-users/${user.id}/picture?size=medium&v=${new Date(user.updated_at).getTime()}`,
+    presence: state,
+    callable: reason === null,
+    reason,
+    nextWindow: callingWindow.ok ? null : callingWindow.nextWindow,
+    nextAllowedAt: quota.allowed ? null : quota.nextAllowedAt
+  };
+}
+
+// Contacts for Bill's kiosk (only the hub has a contact list)
+app.get('/kiosk/contacts', requireDevice, async (req, res) => {
+  if (req.deviceId !== HUB_DEVICE_ID) {
+    return sendError(res, 403, 'Only Bill\'s phone has a contact list', { code: 'NOT_KIOSK' });
+  }
+
+  try {
+    const result = await dbPool.query(`
+      SELECT fu.id, fu.name, fu.timezone, fu.updated_at, array_agg(d.device_id ORDER BY d.device_id) AS device_ids
+      FROM family_users fu
+      JOIN devices d ON d.family_user_id = fu.id AND d.revoked_at IS NULL
+      GROUP BY fu.id
+      ORDER BY fu.name;
+    `);
+    res.json({
+      contacts: await Promise.all(result.rows.map(user => describeKioskContact(req.deviceId, user))),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('GET /kiosk/contacts: ' + err.message);
+    sendError(res, 500, 'Failed to fetch contacts');
+  }
+});
+
+// Call history, newest first. Filters: participant (caller or callee), from/to (ISO dates
+// on the start time), outcome (comma-separated). Paged with limit (max 200) and offset.
+const CALLS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    participant: { type: 'string', maxLength: 128 },
+    from: { type: 'string', format: 'timestamp' },
+    to: { type: 'string', format: 'timestamp' },
+    outcome: {
+      type: 'string',
+      pattern: `^\\s*(${CALL_OUTCOMES.join('|')})\\s*(,\\s*(${CALL_OUTCOMES.join('|')})\\s*)*$`,
+      description: `Expected a comma-separated list of: ${CALL_OUTCOMES.join(', ')}`
+    },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+    offset: { type: 'integer', minimum: 0, default: 0 }
+  }
+};
+
+app.get('/calls', requireAdmin, validateRequest({ query: CALLS_QUERY_SCHEMA }), async (req, res) => {
+  const { participant, from, to, outcome, limit, offset } = req.query;
+  
+  const conditions = [];
+  const params = [];
+  if (participant) {
+    params.push(participant);
+    conditions.push(`(caller = $${params.length} OR callee = $${params.length})`);
+  }
+  for (const [value, operator] of [[from, '>='], [to, '<=']]) {
+    if (value === undefined) continue;
+    params.push(new Date(value).toISOString());
+    conditions.push(`started_at ${operator} $${params.length}`);
+  }
+  if (outcome) {
+    params.push(outcome.split(',').map(value => value.trim()));
+    conditions.push(`outcome = ANY($${params.length})`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  try {
+    const total = await dbPool.query(`SELECT COUNT(*)::int AS count FROM calls ${where};`, params);
+    const result = await dbPool.query(
+      `SELECT * FROM calls ${where} ORDER BY started_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+      [...params, limit, offset]
+    );
+    res.json({
+      calls: result.rows,
+      total: total.rows[0].count,
+      limit,
+      offset
+    });
+  } catch (err) {
+    logger.error('GET /calls: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Remaining call quota for the requesting device, optionally for calls to one contact
+const CALL_QUOTA_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { contact: { type: 'string', maxLength: 128 } }
+};
+
+app.get('/call-quota', requireDevice, validateRequest({ query: CALL_QUOTA_QUERY_SCHEMA }), async (req, res) => {
+  const { deviceId } = req;
+  const contact = req.query.contact || null;
+  try {
+    res.json({
+      deviceId,
+      contact,
+      ...await getCallQuota(deviceId, contact),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('GET /call-quota: ' + err.message);
+    sendError(res, 500, 'Failed to fetch call quota');
+  }
+});
+
+// Configured quotas, optionally for one device
+const CALL_QUOTAS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { deviceId: { type: 'string', maxLength: 128 } }
+};
+
+app.get('/call-quotas', requireAdmin, validateRequest({ query: CALL_QUOTAS_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const result = req.query.deviceId
+      ? await dbPool.query('SELECT * FROM call_quotas WHERE device_id = $1 ORDER BY contact_id;', [req.query.deviceId])
+      : await dbPool.query('SELECT * FROM call_quotas ORDER BY device_id, contact_id;');
+    res.json({
+      quotas: result.rows.map(describeCallQuotaRow),
+      hubDefault: { deviceId: HUB_DEVICE_ID, ...HUB_CALL_QUOTA }
+    });
+  } catch (err) {
+    logger.error('GET /call-quotas: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+const QUOTA_DEVICE_PARAMS = {
+  type: 'object',
+  properties: { deviceId: { type: 'string', minLength: 1, maxLength: 128 } }
+};
+const QUOTA_LIMIT_SCHEMA = { type: ['integer', 'null'], minimum: 0, description: 'Must be a non-negative integer or null' };
+const CALL_QUOTA_SCHEMA = {
+  type: 'object',
+  properties: {
+    contact: { type: ['string', 'null'], maxLength: 128 },
+    perHour: QUOTA_LIMIT_SCHEMA,
+    perDay: QUOTA_LIMIT_SCHEMA
+  }
+};
+
+// Set a device's quota: { contact (omit for all contacts), perHour, perDay } (null = unlimited)
+app.put('/call-quotas/:deviceId', requireAdmin, validateRequest({ params: QUOTA_DEVICE_PARAMS, body: CALL_QUOTA_SCHEMA }), async (req, res) => {
+  const { deviceId } = req.params;
+  const contact = req.body.contact || null;
+  const perHour = parseQuotaLimit(req.body.perHour);
+  const perDay = parseQuotaLimit(req.body.perDay);
+  
+  try {
+    const result = await dbPool.query(`
+      INSERT INTO call_quotas (device_id, contact_id, per_hour, per_day, updated_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (device_id, contact_id) DO UPDATE SET
+        per_hour = EXCLUDED.per_hour,
+        per_day = EXCLUDED.per_day,
+        updated_at = NOW()
+      RETURNING *;
+    `, [deviceId, contact || '', perHour, perDay]);
+    logEvent('CALL_QUOTA_UPDATED', { deviceId, contact, perHour, perDay });
+    res.json(describeCallQuotaRow(result.rows[0]));
+  } catch (err) {
+    logger.error('PUT /call-quotas/:deviceId: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Remove a device's quota (?contact= for a per-contact one); the hub falls back to its default
+app.delete('/call-quotas/:deviceId', requireAdmin, validateRequest({ params: QUOTA_DEVICE_PARAMS, query: CALL_QUOTA_QUERY_SCHEMA }), async (req, res) => {
+  const { deviceId } = req.params;
+  const contact = req.query.contact || null;
+  try {
+    const result = await dbPool.query(
+      'DELETE FROM call_quotas WHERE device_id = $1 AND contact_id = $2 RETURNING device_id;',
+      [deviceId, contact || '']
+    );
+    if (result.rowCount === 0) {
+      return sendError(res, 404, 'Quota not found');
+    }
+    logEvent('CALL_QUOTA_DELETED', { deviceId, contact });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /call-quotas/:deviceId: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// --- Recorded Media ---
+// Audio and video uploaded by clients (voicemails, video messages) is stored as uploaded in
+// BYTEA columns and streamed back with Range support. An upload is held in memory until it is
+// inserted, so only MEDIA_UPLOAD_CONCURRENCY of them are accepted at once.
+
+// Containers accepted for upload, recognised by their first bytes. types maps each kind the
+// container can hold to the Content-Type it is served with; the first is assumed when the
+// uploaded part's own type doesn't say audio or video.
+const RECORDING_FORMATS = [
+  { types: { video: 'video/quicktime' }, matches: head => head.toString('latin1', 4, 8) === 'ftyp' && head.toString('latin1', 8, 12) === 'qt  ' },
+  { types: { audio: 'audio/mp4' }, matches: head => head.toString('latin1', 4, 8) === 'ftyp' && head.toString('latin1', 8, 12) === 'M4A ' },
+  { types: { video: 'video/mp4', audio: 'audio/mp4' }, matches: head => head.toString('latin1', 4, 8) === 'ftyp' },
+  { types: { video: 'video/webm', audio: 'audio/webm' }, matches: head => head.readUInt32BE(0) === 0x1a45dfa3 },
+  { types: { audio: 'audio/ogg', video: 'video/ogg' }, matches: head => head.toString('latin1', 0, 4) === 'OggS' },
+  { types: { audio: 'audio/wav' }, matches: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE' },
+  { types: { audio: 'audio/mpeg' }, matches: head => head.toString('latin1', 0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0 && (head[1] & 0x06) !== 0) },
+  { types: { audio: 'audio/aac' }, matches: head => head[0] === 0xff && (head[1] & 0xf6) === 0xf0 }
+];
+const RECORDING_SNIFF_BYTES = 12;
+// Room for the multipart boundaries and small fields around the file, when checking Content-Length
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+let mediaUploadsInProgress = 0;
+
+// { kind, contentType } of an uploaded recording, from its bytes and the part's declared type.
+// kinds limits what is accepted (e.g. ['video'] for video messages).
+function identifyRecording(data, declaredType, { label, kinds = ['audio', 'video'] }) {
+  if (data.length === 0) {
+    throw uploadError(400, `${label} is empty`);
+  }
+  const format = data.length >= RECORDING_SNIFF_BYTES && RECORDING_FORMATS.find(candidate => candidate.matches(data));
+  const accepted = format ? Object.keys(format.types).filter(kind => kinds.includes(kind)) : [];
+  if (accepted.length === 0) {
+    throw uploadError(415, kinds.includes('audio')
+      ? 'Unsupported recording format; use MP4, M4A, MOV, WebM, Ogg, WAV, MP3 or AAC'
+      : 'Unsupported video format; use MP4, MOV, WebM or Ogg');
+  }
+  const declaredKind = (declaredType || '').split('/')[0];
+  const kind = accepted.includes(declaredKind) ? declaredKind : accepted[0];
+  return { kind, contentType: format.types[kind] };
+}
+
+// Read one file of a multipart request into memory, cut off at maxBytes. A body that says it is
+// too large is refused before any of it is read, and so is an upload while MEDIA_UPLOAD_CONCURRENCY
+// others are still being received or stored (the slot is freed when the response is finished).
+// @returns {Promise<{ data, kind, contentType }>}
+function receiveRecordingUpload(req, { field, maxBytes, label, kinds }) {
+  return new Promise((resolve, reject) => {
+    const maxSizeText = `${Math.floor(maxBytes / 1024 / 1024 * 10) / 10} MB`;
+    if (Number(req.get('Content-Length')) > maxBytes + MULTIPART_OVERHEAD_BYTES) {
+      return reject(uploadError(413, `${label} is larger than ${maxSizeText}`));
+    }
+    if (mediaUploadsInProgress >= MEDIA_UPLOAD_CONCURRENCY) {
+      return reject(uploadError(503, 'The server is busy with other uploads, please try again in a moment'));
+    }
+    mediaUploadsInProgress += 1;
+    req.res.once('close', () => {
+      mediaUploadsInProgress -= 1;
+    });
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10, fileSize: maxBytes } });
+    } catch (err) {
+      return reject(uploadError(400, `Invalid multipart upload: ${err.message}`));
+    }
+
+    let upload = null;
+    parser.on('file', (name, file, info) => {
+      if (name !== field || upload) {
+        file.resume();
+        return;
+      }
+      upload = new Promise((resolveFile, rejectFile) => {
+        const chunks = [];
+        file.on('data', chunk => chunks.push(chunk));
+        file.on('limit', () => {
+          rejectFile(uploadError(413, `${label} is larger than ${maxSizeText}`));
+          file.resume();
+        });
+        file.on('error', rejectFile);
+        file.on('end', () => {
+          try {
+            const data = Buffer.concat(chunks);
+            resolveFile({ data, ...identifyRecording(data, info.mimeType, { label, kinds }) });
+          } catch (err) {
+            rejectFile(err);
+          }
+        });
+      });
+      // Fail straight away; the parser may never finish once the file stream is abandoned
+      upload.catch(reject);
+    });
+    parser.on('error', err => reject(uploadError(400, `Invalid multipart upload: ${err.message}`)));
+    parser.on('close', () => {
+      if (!upload) {
+        reject(uploadError(400, `Missing "${field}" file`));
+      } else {
+        upload.then(resolve, reject);
+      }
+    });
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Answers a GET or HEAD for a stored recording. Range requests get a 206 with just those
+ * bytes, which readBytes fetches from the database (e.g. with substring()) rather than
+ * loading the whole file. A recording never changes once uploaded, so etag (derived from its
+ * ID) is a strong validator.
+ * @param {Object} media - { etag, contentType, size, readBytes(start, length) => Promise<Buffer> }
+ */
+async function sendStoredMedia(req, res, { etag, contentType, size, readBytes }) {
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Cache-Control': 'private, max-age=31536000, immutable'
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Ranges are ignored when If-Range names another version, or when several are asked for
+  const ifRange = req.get('If-Range');
+  const ranges = !ifRange || ifRange === etag ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return sendError(res, 416, 'Requested range is outside the recording', { code: 'RANGE_NOT_SATISFIABLE' });
+  }
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+  const { start, end } = range || { start: 0, end: size - 1 };
+
+  res.status(range ? 206 : 200);
+  res.type(contentType);
+  res.set('Content-Length', String(end - start + 1));
+  if (range) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  res.end(await readBytes(start, end - start + 1));
+}
+
+// --- Voicemail ---
+// A caller whose call wasn't answered (NO_ANSWER) or whose callee was offline
+// (RECIPIENT_UNAVAILABLE) is offered a voicemail: the callEnded or callError event carries
+// voicemail: { callId, maxSeconds, maxBytes }. The caller uploads the recording to
+// POST /voicemails within VOICEMAIL_UPLOAD_WINDOW_MS, one message per call. It is kept as
+// uploaded in voicemails.data; the recipient lists messages with GET /voicemails and plays them
+// from GET /voicemails/:id/media, which answers Range requests so players can stream and seek.
+const VOICEMAIL_END_REASONS = ['NO_ANSWER', 'RECIPIENT_UNAVAILABLE'];
+const VOICEMAIL_UPLOAD_WINDOW_MS = 60 * 60 * 1000;
+
+// What a caller may leave for a call that just ended, or null. Both ends must be registered,
+// active devices, so a message always has someone to go to.
+async function getVoicemailOffer(session) {
+  if (!VOICEMAIL_END_REASONS.includes(session.endReason) || session.caller === session.callee) {
+    return null;
+  }
+  try {
+    const result = await dbPool.query(
+      'SELECT COUNT(*)::int AS count FROM devices WHERE device_id = ANY($1) AND revoked_at IS NULL;',
+      [[session.caller, session.callee]]
+    );
+    if (result.rows[0].count < 2) return null;
+  } catch (err) {
+    logger.error('Voicemail offer check failed: ' + err.message);
+    return null;
+  }
+  return { callId: session.callId, maxSeconds: VOICEMAIL_MAX_SECONDS, maxBytes: VOICEMAIL_MAX_BYTES };
+}
+
+const VOICEMAIL_SELECT = `
+  SELECT v.id, v.call_id, v.caller, v.recipient, v.media_kind, v.content_type, v.size_bytes,
+         v.duration_seconds, v.created_at, v.heard_at,
+         fu.id AS family_user_id, fu.name AS family_user_name, fu.updated_at AS family_user_updated_at
+  FROM voicemails v
+  LEFT JOIN family_users fu ON fu.id = v.family_user_id
+`;
+
+// Public view of a voicemails row; URLs are relative to this server
+const describeVoicemail = (row) => ({
+  id: row.id,
+  callId: row.call_id,
+  from: row.caller,
+  to: row.recipient,
+  familyUser: row.family_user_id
+    ? {
+        id: row.family_user_id,
+        name: row.family_user_name,
+        pictureUrl: `/family-users/${row.family_user_id}/picture?size=large&v=${new Date(row.family_user_updated_at).getTime()}`
+      }
+    : null,
+  mediaKind: row.media_kind,
+  contentType: row.content_type,
+  sizeBytes: row.size_bytes,
+  durationSeconds: row.duration_seconds,
+  createdAt: row.created_at,
+  heardAt: row.heard_at,
+  mediaUrl: `/voicemails/${row.id}/media`
+});
+
+const VOICEMAIL_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' } },
+  required: ['id']
+};
+const VOICEMAIL_UPLOAD_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    callId: { type: 'string', format: 'uuid' },
+    // As measured by the recording client; shown to the recipient
+    durationSeconds: { type: 'integer', minimum: 0, maximum: VOICEMAIL_MAX_SECONDS }
+  },
+  required: ['callId']
+};
+
+// Leave a message for an unanswered call: a multipart upload with a "message" file, from the
+// device that placed the call (?callId=...&durationSeconds=...)
+app.post('/voicemails', requireDevice, validateRequest({ query: VOICEMAIL_UPLOAD_QUERY_SCHEMA }), async (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return sendError(res, 415, 'Expected multipart/form-data with a "message" file');
+  }
+  const { callId, durationSeconds = null } = req.query;
+
+  let call;
+  try {
+    call = (await dbPool.query(`
+      SELECT c.caller, c.callee, c.ended_at, c.end_reason, d.family_user_id,
+             EXISTS (SELECT 1 FROM voicemails v WHERE v.call_id = c.call_id) AS has_voicemail
+      FROM calls c
+      LEFT JOIN devices d ON d.device_id = c.caller
+      WHERE c.call_id = $1;
+    `, [callId])).rows[0];
+  } catch (err) {
+    logger.error('POST /voicemails: ' + err.message);
+    return sendError(res, 500, 'Database error');
+  }
+  if (!call || call.caller !== req.deviceId) {
+    return sendError(res, 404, 'Call not found', { code: 'CALL_NOT_FOUND' });
+  }
+  if (!VOICEMAIL_END_REASONS.includes(call.end_reason)) {
+    return sendError(res, 409, 'Messages can only be left for calls that weren\'t answered', { code: 'VOICEMAIL_NOT_ALLOWED' });
+  }
+  if (Date.now() - call.ended_at.getTime() > VOICEMAIL_UPLOAD_WINDOW_MS) {
+    return sendError(res, 409, 'It is too late to leave a message for this call', { code: 'VOICEMAIL_EXPIRED' });
+  }
+  if (call.has_voicemail) {
+    return sendError(res, 409, 'A message was already left for this call', { code: 'VOICEMAIL_EXISTS' });
+  }
+
+  let upload;
+  try {
+    upload = await receiveRecordingUpload(req, { field: 'message', maxBytes: VOICEMAIL_MAX_BYTES, label: 'Message' });
+  } catch (err) {
+    // The rest of the body may not have been read; don't keep the connection for it
+    res.set('Connection', 'close');
+    logger.warn(`[POST /voicemails] Message for call ${callId} rejected: ${err.message}`);
+    return sendError(res, err.status || 400, err.message);
+  }
+
+  try {
+    const inserted = await dbPool.query(`
+      INSERT INTO voicemails (call_id, caller, recipient, family_user_id, media_kind, content_type, data, size_bytes, duration_seconds)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (call_id) DO NOTHING
+      RETURNING id;
+    `, [callId, call.caller, call.callee, call.family_user_id, upload.kind, upload.contentType, upload.data, upload.data.length, durationSeconds]);
+    if (inserted.rows.length === 0) {
+      return sendError(res, 409, 'A message was already left for this call', { code: 'VOICEMAIL_EXISTS' });
+    }
+    const voicemail = describeVoicemail((await dbPool.query(`${VOICEMAIL_SELECT} WHERE v.id = $1;`, [inserted.rows[0].id])).rows[0]);
+
+    logger.info(`📼 Voicemail ${voicemail.id} left by ${voicemail.from} for ${voicemail.to} (${voicemail.mediaKind}, ${voicemail.sizeBytes} bytes)`);
+    logEvent('VOICEMAIL_RECEIVED', { id: voicemail.id, callId, from: voicemail.from, to: voicemail.to, mediaKind: voicemail.mediaKind, sizeBytes: voicemail.sizeBytes });
+    const recipientSocket = await getTargetSocket(voicemail.to);
+    if (recipientSocket) {
+      recipientSocket.emit('voicemailReceived', { voicemail });
+    }
+    res.status(201).json(voicemail);
+  } catch (err) {
+    logger.error('POST /voicemails: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Messages left for the requesting device, newest first, with how many are unheard
+const VOICEMAILS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    unheard: { type: 'boolean', default: false },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+  }
+};
+
+app.get('/voicemails', requireDevice, validateRequest({ query: VOICEMAILS_QUERY_SCHEMA }), async (req, res) => {
+  const { unheard, limit } = req.query;
+  try {
+    const [voicemails, counts] = await Promise.all([
+      dbPool.query(
+        `${VOICEMAIL_SELECT} WHERE v.recipient = $1 ${unheard ? 'AND v.heard_at IS NULL' : ''} ORDER BY v.created_at DESC LIMIT $2;`,
+        [req.deviceId, limit]
+      ),
+      dbPool.query('SELECT COUNT(*)::int AS unheard FROM voicemails WHERE recipient = $1 AND heard_at IS NULL;', [req.deviceId])
+    ]);
+    res.json({
+      voicemails: voicemails.rows.map(describeVoicemail),
+      unheardCount: counts.rows[0].unheard
+    });
+  } catch (err) {
+    logger.error('GET /voicemails: ' + err.message);
+    sendError(res, 500, 'Failed to fetch voicemails');
+  }
+});
+
+// Stream a message to its recipient (or the caller who left it), with Range support
+app.get('/voicemails/:id/media', requireDevice, validateRequest({ params: VOICEMAIL_ID_PARAMS }), async (req, res) => {
+  try {
+    const voicemail = (await dbPool.query(
+      'SELECT id, caller, recipient, content_type, size_bytes FROM voicemails WHERE id = $1;',
+      [req.params.id]
+    )).rows[0];
+    if (!voicemail || ![voicemail.caller, voicemail.recipient].includes(req.deviceId)) {
+      return sendError(res, 404, 'Message not found', { code: 'VOICEMAIL_NOT_FOUND' });
+    }
+
+    await sendStoredMedia(req, res, {
+      etag: `"${voicemail.id}"`,
+      contentType: voicemail.content_type,
+      size: voicemail.size_bytes,
+      readBytes: async (start, length) => (await dbPool.query(
+        'SELECT substring(data FROM $2 FOR $3) AS data FROM voicemails WHERE id = $1;',
+        [voicemail.id, start + 1, length]
+      )).rows[0].data
+    });
+  } catch (err) {
+    logger.error('GET /voicemails/:id/media: ' + err.message);
+    sendError(res, 500, 'Error retrieving message');
+  }
+});
+
+// Mark a message as heard by its recipient (the kiosk does this once it has played it)
+app.post('/voicemails/:id/heard', requireDevice, validateRequest({ params: VOICEMAIL_ID_PARAMS }), async (req, res) => {
+  try {
+    const updated = await dbPool.query(
+      'UPDATE voicemails SET heard_at = NOW() WHERE id = $1 AND recipient = $2 AND heard_at IS NULL RETURNING id;',
+      [req.params.id, req.deviceId]
+    );
+    const row = (await dbPool.query(`${VOICEMAIL_SELECT} WHERE v.id = $1 AND v.recipient = $2;`, [req.params.id, req.deviceId])).rows[0];
+    if (!row) {
+      return sendError(res, 404, 'Message not found', { code: 'VOICEMAIL_NOT_FOUND' });
+    }
+    if (updated.rows.length) {
+      logEvent('VOICEMAIL_HEARD', { id: row.id, callId: row.call_id, from: row.caller, to: row.recipient });
+    }
+    res.json(describeVoicemail(row));
+  } catch (err) {
+    logger.error('POST /voicemails/:id/heard: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// --- Video Messages ---
+// Family members who can't line up with Bill's calling hours leave him short video clips
+// instead. A clip is posted to POST /messages with how long it should wait for him (72 hours
+// unless the sender says otherwise, at most a week) and is deleted once that passes, watched or
+// not. Bill's kiosk lists what is waiting with GET /messages and reports the first time it
+// plays each one (first_watched_at), which the sender sees in their own list.
+// Senders sign in as a family account (the web tester) or use a device linked to their family
+// user (the Family Caller app); admins may post for any family user.
+const MESSAGE_DEFAULT_EXPIRY_HOURS = 72;
+const MESSAGE_MAX_EXPIRY_HOURS = 7 * 24;
+const MESSAGE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// For routes both accounts and devices use: a signed-in account, or else X-Device-Id /
+// X-Device-Secret headers (setting req.deviceId)
+function requireAccountOrDevice(req, res, next) {
+  if (req.account) return next();
+  if (req.get('X-Device-Id')) return requireDevice(req, res, next);
+  sendError(res, 401, 'Sign in required', { code: 'AUTH_REQUIRED' });
+}
+
+// Who is asking, for /messages: { isAdmin, isHub, familyUserId } (familyUserId is the family
+// user the account or device belongs to, or null)
+async function getMessageViewer(req) {
+  if (req.account) {
+    return { isAdmin: req.account.role === 'admin', isHub: false, familyUserId: req.account.familyUserId };
+  }
+  if (req.deviceId === HUB_DEVICE_ID) {
+    return { isAdmin: false, isHub: true, familyUserId: null };
+  }
+  const result = await dbPool.query('SELECT family_user_id FROM devices WHERE device_id = $1;', [req.deviceId]);
+  return { isAdmin: false, isHub: false, familyUserId: result.rows[0] ? result.rows[0].family_user_id : null };
+}
+
+// Whether the viewer may see (and play) a message: Bill's kiosk, admins and its sender
+const canViewMessage = (viewer, row) => viewer.isHub || viewer.isAdmin || viewer.familyUserId === row.family_user_id;
+
+const MESSAGE_SELECT = `
+  SELECT m.id, m.family_user_id, m.sent_by_device, m.content_type, m.size_bytes, m.duration_seconds,
+         m.created_at, m.expires_at, m.first_watched_at,
+         fu.name AS family_user_name, fu.updated_at AS family_user_updated_at
+  FROM video_messages m
+  JOIN family_users fu ON fu.id = m.family_user_id
+`;
+
+// Public view of a video_messages row; URLs are relative to this server
+const describeMessage = (row) => ({
+  id: row.id,
+  familyUser: {
+    id: row.family_user_id,
+    name: row.family_user_name,
+    pictureUrl: `/family-users/${row.family_user_id}/picture?size=large&v=${new Date(row.family_user_updated_at).getTime()}`
+  },
+  sentByDevice: row.sent_by_device,
+  contentType: row.content_type,
+  sizeBytes: row.size_bytes,
+  durationSeconds: row.duration_seconds,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  firstWatchedAt: row.first_watched_at,
+  mediaUrl: `/messages/${row.id}/media`
+});
+
+// An unexpired message by ID, or null
+async function findMessage(id) {
+  const result = await dbPool.query(`${MESSAGE_SELECT} WHERE m.id = $1 AND m.expires_at > NOW();`, [id]);
+  return result.rows[0] || null;
+}
+
+// Tell a family user's connected devices about one of their messages
+async function notifyFamilyUserDevices(familyUserId, event, payload) {
+  const devices = await dbPool.query('SELECT device_id FROM devices WHERE family_user_id = $1 AND revoked_at IS NULL;', [familyUserId]);
+  for (const { device_id: deviceId } of devices.rows) {
+    const socket = await getTargetSocket(deviceId);
+    if (socket) socket.emit(event, payload);
+  }
+}
+
+const MESSAGE_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' } },
+  required: ['id']
+};
+const MESSAGE_UPLOAD_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    expiresInHours: { type: 'integer', minimum: 1, maximum: MESSAGE_MAX_EXPIRY_HOURS, default: MESSAGE_DEFAULT_EXPIRY_HOURS },
+    // As measured by the recording client; shown to Bill
+    durationSeconds: { type: 'integer', minimum: 0, maximum: MESSAGE_MAX_SECONDS },
+    // Who the message is from, for admins (family accounts and devices send as themselves)
+    familyUserId: { type: 'string', format: 'uuid' }
+  }
+};
+
+// Leave Bill a message: a multipart upload with a "video" file
+// (?expiresInHours=...&durationSeconds=...)
+app.post('/messages', requireAccountOrDevice, validateRequest({ query: MESSAGE_UPLOAD_QUERY_SCHEMA }), async (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return sendError(res, 415, 'Expected multipart/form-data with a "video" file');
+  }
+  const { expiresInHours, durationSeconds = null } = req.query;
+
+  let familyUserId;
+  try {
+    const viewer = await getMessageViewer(req);
+    if (viewer.isHub) {
+      return sendError(res, 403, 'Bill\'s phone can\'t send messages');
+    }
+    if (viewer.isAdmin) {
+      if (!req.query.familyUserId) {
+        return sendError(res, 400, 'Choose who the message is from', {
+          code: 'VALIDATION_FAILED',
+          fields: [{ field: 'familyUserId', message: 'Required for admins' }]
+        });
+      }
+      familyUserId = req.query.familyUserId;
+      const exists = await dbPool.query('SELECT 1 FROM family_users WHERE id = $1;', [familyUserId]);
+      if (exists.rows.length === 0) {
+        return sendError(res, 404, 'User not found');
+      }
+    } else if (!viewer.familyUserId) {
+      return sendError(res, 403, req.account
+        ? 'Your account isn\'t linked to a family member'
+        : 'This device isn\'t linked to a family member', { code: 'NOT_LINKED' });
+    } else {
+      familyUserId = viewer.familyUserId;
+    }
+  } catch (err) {
+    logger.error('POST /messages: ' + err.message);
+    return sendError(res, 500, 'Database error');
+  }
+
+  let upload;
+  try {
+    upload = await receiveRecordingUpload(req, { field: 'video', maxBytes: MESSAGE_MAX_BYTES, label: 'Video', kinds: ['video'] });
+  } catch (err) {
+    // The rest of the body may not have been read; don't keep the connection for it
+    res.set('Connection', 'close');
+    logger.warn(`[POST /messages] Message from ${familyUserId} rejected: ${err.message}`);
+    return sendError(res, err.status || 400, err.message);
+  }
+
+  try {
+    const inserted = await dbPool.query(`
+      INSERT INTO video_messages (family_user_id, sent_by_device, sent_by_account, content_type, data, size_bytes, duration_seconds, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8))
+      RETURNING id;
+    `, [familyUserId, req.account ? null : req.deviceId, req.account ? req.account.id : null, upload.contentType, upload.data, upload.data.length, durationSeconds, expiresInHours]);
+    const message = describeMessage(await findMessage(inserted.rows[0].id));
+
+    logger.info(`🎞️ Video message ${message.id} from ${message.familyUser.name} (${message.sizeBytes} bytes, expires ${new Date(message.expiresAt).toISOString()})`);
+    logEvent('MESSAGE_SENT', { id: message.id, familyUserId, sentByDevice: message.sentByDevice, sentByAccount: req.account ? req.account.id : null, sizeBytes: message.sizeBytes, expiresAt: message.expiresAt });
+    const hubSocket = await getTargetSocket(HUB_DEVICE_ID);
+    if (hubSocket) {
+      hubSocket.emit('messageReceived', { message });
+    }
+    res.status(201).json(message);
+  } catch (err) {
+    logger.error('POST /messages: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Unexpired messages, newest first: everything waiting for Bill on his kiosk, a family member's
+// own messages, or every message for admins (?familyUserId= narrows it down).
+// ?unwatched=true leaves out messages Bill has already seen.
+const MESSAGES_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    unwatched: { type: 'boolean', default: false },
+    familyUserId: { type: 'string', format: 'uuid' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 }
+  }
+};
+
+app.get('/messages', requireAccountOrDevice, validateRequest({ query: MESSAGES_QUERY_SCHEMA }), async (req, res) => {
+  const { unwatched, limit } = req.query;
+  try {
+    const viewer = await getMessageViewer(req);
+    let familyUserId = req.query.familyUserId || null;
+    if (!viewer.isHub && !viewer.isAdmin) {
+      if (!viewer.familyUserId) {
+        return res.json({ messages: [], unwatchedCount: 0 });
+      }
+      familyUserId = viewer.familyUserId;
+    }
+
+    const filter = `m.expires_at > NOW() AND ($1::uuid IS NULL OR m.family_user_id = $1)`;
+    const [messages, counts] = await Promise.all([
+      dbPool.query(
+        `${MESSAGE_SELECT} WHERE ${filter} ${unwatched ? 'AND m.first_watched_at IS NULL' : ''} ORDER BY m.created_at DESC LIMIT $2;`,
+        [familyUserId, limit]
+      ),
+      dbPool.query(`SELECT COUNT(*)::int AS unwatched FROM video_messages m WHERE ${filter} AND m.first_watched_at IS NULL;`, [familyUserId])
+    ]);
+    res.json({
+      messages: messages.rows.map(describeMessage),
+      unwatchedCount: counts.rows[0].unwatched
+    });
+  } catch (err) {
+    logger.error('GET /messages: ' + err.message);
+    sendError(res, 500, 'Failed to fetch messages');
+  }
+});
+
+// Stream a message to Bill's kiosk, its sender or an admin, with Range support
+app.get('/messages/:id/media', requireAccountOrDevice, validateRequest({ params: MESSAGE_ID_PARAMS }), async (req, res) => {
+  try {
+    const [viewer, message] = await Promise.all([getMessageViewer(req), findMessage(req.params.id)]);
+    if (!message || !canViewMessage(viewer, message)) {
+      return sendError(res, 404, 'Message not found', { code: 'MESSAGE_NOT_FOUND' });
+    }
+
+    await sendStoredMedia(req, res, {
+      etag: `"${message.id}"`,
+      contentType: message.content_type,
+      size: message.size_bytes,
+      readBytes: async (start, length) => (await dbPool.query(
+        'SELECT substring(data FROM $2 FOR $3) AS data FROM video_messages WHERE id = $1;',
+        [message.id, start + 1, length]
+      )).rows[0].data
+    });
+  } catch (err) {
+    logger.error('GET /messages/:id/media: ' + err.message);
+    sendError(res, 500, 'Error retrieving message');
+  }
+});
+
+// Bill's kiosk reports that it played a message. Only the first time is kept; the sender's
+// devices get messageWatched then.
+app.post('/messages/:id/watched', requireDevice, validateRequest({ params: MESSAGE_ID_PARAMS }), async (req, res) => {
+  if (req.deviceId !== HUB_DEVICE_ID) {
+    return sendError(res, 403, 'Only Bill\'s phone can mark messages watched');
+  }
+  try {
+    const updated = await dbPool.query(
+      'UPDATE video_messages SET first_watched_at = NOW() WHERE id = $1 AND first_watched_at IS NULL AND expires_at > NOW() RETURNING id;',
+      [req.params.id]
+    );
+    const row = await findMessage(req.params.id);
+    if (!row) {
+      return sendError(res, 404, 'Message not found', { code: 'MESSAGE_NOT_FOUND' });
+    }
+    const message = describeMessage(row);
+    if (updated.rows.length) {
+      logEvent('MESSAGE_WATCHED', { id: message.id, familyUserId: message.familyUser.id, watchedAt: message.firstWatchedAt });
+      notifyFamilyUserDevices(message.familyUser.id, 'messageWatched', { message }).catch(err => {
+        logger.error('Failed to notify message sender: ' + err.message);
+      });
+    }
+    res.json(message);
+  } catch (err) {
+    logger.error('POST /messages/:id/watched: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Take a message back before it expires (its sender or an admin)
+app.delete('/messages/:id', requireAccountOrDevice, validateRequest({ params: MESSAGE_ID_PARAMS }), async (req, res) => {
+  try {
+    const [viewer, row] = await Promise.all([getMessageViewer(req), findMessage(req.params.id)]);
+    if (!row || viewer.isHub || !canViewMessage(viewer, row)) {
+      return sendError(res, 404, 'Message not found', { code: 'MESSAGE_NOT_FOUND' });
+    }
+    await dbPool.query('DELETE FROM video_messages WHERE id = $1;', [row.id]);
+    const deleted = describeMessage(row);
+    logEvent('MESSAGE_DELETED', { id: deleted.id, familyUserId: deleted.familyUser.id, watched: Boolean(deleted.firstWatchedAt) });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    logger.error('DELETE /messages/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Expired messages are hidden by every query above, and deleted here to free their storage
+setInterval(async () => {
+  try {
+    const result = await dbPool.query('DELETE FROM video_messages WHERE expires_at <= NOW();');
+    if (result.rowCount) {
+      logger.info(`🧹 Deleted ${result.rowCount} expired video message(s)`);
+    }
+  } catch (err) {
+    logger.error('Video message purge failed: ' + err.message);
+  }
+}, MESSAGE_PURGE_INTERVAL_MS).unref();
+
+// --- Call Recordings ---
+// Calls are recorded only with both participants' consent, given over the socket
+// (requestRecording / recordingConsent, see the connection handler). Once the call is being
+// recorded, the device that asked (the web tester, with MediaRecorder) uploads the file while
+// it is recorded, a chunk at a time:
+//   POST /recordings { callId }           starts the upload
+//   PUT /recordings/:id/chunks?offset=N   adds the next chunk (application/octet-stream)
+//   GET /recordings/:id/upload            how much arrived, to resume after a dropped connection
+//   POST /recordings/:id/complete         closes it
+// Chunk and upload responses carry the bytes received so far in an Upload-Offset header.
+// Recordings are kept for RECORDING_RETENTION_DAYS, and only admins can list, play or delete
+// them. Uploads nobody closes are kept as "partial" once idle for RECORDING_UPLOAD_IDLE_MS.
+const RECORDING_CHUNK_MAX_BYTES = 8 * 1024 * 1024;
+const RECORDING_UPLOAD_IDLE_MS = 24 * 60 * 60 * 1000;
+const RECORDING_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const RECORDING_SELECT = `
+  SELECT r.id, r.call_id, r.recorded_by, r.consented_by, r.consented_at, r.status, r.content_type,
+         r.size_bytes, r.duration_seconds, r.created_at, r.completed_at, r.expires_at,
+         c.caller, c.callee, c.started_at AS call_started_at
+  FROM call_recordings r
+  JOIN calls c ON c.call_id = r.call_id
+`;
+
+// Public view of a call_recordings row; URLs are relative to this server
+const describeRecording = (row) => ({
+  id: row.id,
+  callId: row.call_id,
+  caller: row.caller,
+  callee: row.callee,
+  callStartedAt: row.call_started_at,
+  recordedBy: row.recorded_by,
+  consentedBy: row.consented_by,
+  consentedAt: row.consented_at,
+  status: row.status,
+  contentType: row.content_type,
+  sizeBytes: row.size_bytes,
+  durationSeconds: row.duration_seconds,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  expiresAt: row.expires_at,
+  mediaUrl: `/recordings/${row.id}/media`
+});
+
+// Bytes [start, start + length) of a recording, put together from the chunks that hold them
+async function readRecordingBytes(recordingId, start, length) {
+  const result = await dbPool.query(`
+    SELECT byte_offset, data FROM call_recording_chunks
+    WHERE recording_id = $1 AND byte_offset < $3 AND byte_offset + length(data) > $2
+    ORDER BY byte_offset;
+  `, [recordingId, start, start + length]);
+  if (result.rows.length === 0) return Buffer.alloc(0);
+  const skip = start - result.rows[0].byte_offset;
+  return Buffer.concat(result.rows.map(row => row.data)).subarray(skip, skip + length);
+}
+
+const RECORDING_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid' } },
+  required: ['id']
+};
+
+// Start uploading a call this device is recording. The other participant must have agreed
+// (recordingStarted was sent), and each consent covers one recording.
+const CREATE_RECORDING_SCHEMA = {
+  type: 'object',
+  properties: { callId: { type: 'string', format: 'uuid' } },
+  required: ['callId'],
+  additionalProperties: false
+};
+
+app.post('/recordings', requireDevice, validateRequest({ body: CREATE_RECORDING_SCHEMA }), async (req, res) => {
+  const { callId } = req.body;
+  try {
+    const session = await presenceStore.getCallSession(callId);
+    if (!session || ![session.caller, session.callee].includes(req.deviceId)) {
+      return sendError(res, 404, 'Call not found', { code: 'CALL_NOT_FOUND' });
+    }
+    const consent = session.recording;
+    if (!consent || consent.state !== 'active' || consent.requestedBy !== req.deviceId) {
+      return sendError(res, 409, 'The other participant hasn\'t agreed to this call being recorded', { code: 'RECORDING_NOT_CONSENTED' });
+    }
+    if (consent.recordingId) {
+      return sendError(res, 409, 'This recording was already started; ask again to record another', { code: 'RECORDING_EXISTS' });
+    }
+
+    const inserted = await dbPool.query(`
+      INSERT INTO call_recordings (call_id, recorded_by, consented_by, consented_at, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+      RETURNING id;
+    `, [callId, req.deviceId, consent.consentedBy, consent.consentedAt, RECORDING_RETENTION_DAYS]);
+    const recordingId = inserted.rows[0].id;
+    session.recording = { ...consent, recordingId };
+    // Stopped (or started by a second request) while the row was being added
+    if (!await presenceStore.updateCallSessionRecording(session, session.state, consent.requestedAt)) {
+      await dbPool.query('DELETE FROM call_recordings WHERE id = $1;', [recordingId]);
+      return sendError(res, 409, 'The other participant hasn\'t agreed to this call being recorded', { code: 'RECORDING_NOT_CONSENTED' });
+    }
+
+    const row = (await dbPool.query(`${RECORDING_SELECT} WHERE r.id = $1;`, [recordingId])).rows[0];
+    logger.info(`⏺️ Recording ${recordingId} of call ${callId} started by ${req.deviceId} (consent from ${consent.consentedBy})`);
+    logEvent('RECORDING_STARTED', { id: recordingId, callId, recordedBy: req.deviceId, consentedBy: consent.consentedBy });
+    res.set('Upload-Offset', '0');
+    res.status(201).json({
+      ...describeRecording(row),
+      uploadUrl: `/recordings/${recordingId}/chunks`,
+      chunkMaxBytes: RECORDING_CHUNK_MAX_BYTES,
+      maxBytes: RECORDING_MAX_BYTES
+    });
+  } catch (err) {
+    logger.error('POST /recordings: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// An upload in progress, for the device sending it; null if it isn't theirs
+async function findOwnRecording(client, recordingId, deviceId, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT id, recorded_by, status, size_bytes FROM call_recordings WHERE id = $1${lock ? ' FOR UPDATE' : ''};`,
+    [recordingId]
+  );
+  const row = result.rows[0];
+  return row && row.recorded_by === deviceId ? row : null;
+}
+
+// How many bytes of an upload arrived; a client resumes with the next chunk at that offset
+app.get('/recordings/:id/upload', requireDevice, validateRequest({ params: RECORDING_ID_PARAMS }), async (req, res) => {
+  try {
+    const recording = await findOwnRecording(dbPool, req.params.id, req.deviceId);
+    if (!recording) {
+      return sendError(res, 404, 'Recording not found', { code: 'RECORDING_NOT_FOUND' });
+    }
+    res.set('Upload-Offset', String(recording.size_bytes));
+    res.json({ id: recording.id, status: recording.status, receivedBytes: recording.size_bytes });
+  } catch (err) {
+    logger.error('GET /recordings/:id/upload: ' + err.message);
+    sendError(res, 500, 'Database error');
+  }
+});
+
+// Add the next chunk: the raw bytes, at ?offset= (the bytes received so far). A chunk for any
+// other offset gets 409 OFFSET_MISMATCH with the expected one in Upload-Offset, so a retried
+// chunk is never stored twice.
+const RECORDING_CHUNK_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { offset: { type: 'integer', minimum: 0 } },
+  required: ['offset']
+};
+
+app.put(
+  '/recordings/:id/chunks',
+  requireDevice,
+  validateRequest({ params: RECORDING_ID_PARAMS, query: RECORDING_CHUNK_QUERY_SCHEMA }),
+  express.raw({ type: 'application/octet-stream', limit: RECORDING_CHUNK_MAX_BYTES }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      return sendError(res, 415, 'Send chunks as application/octet-stream');
+    }
+    if (req.body.length === 0) {
+      return sendError(res, 400, 'Chunk is empty');
+    }
+    const { offset } = req.query;
+    const chunk = req.body;
+
+    const client = await dbPool.connect();
+    try {
+      await client.query('BEGIN;');
+      const recording = await findOwnRecording(client, req.params.id, req.deviceId, { lock: true });
+      const refuse = async (status, message, options) => {
+        await client.query('ROLLBACK;');
+        if (recording) res.set('Upload-Offset', String(recording.size_bytes));
+        return sendError(res, status, message, options);
+      };
+      if (!recording) {
+        return refuse(404, 'Recording not found', { code: 'RECORDING_NOT_FOUND' });
+      }
+      if (recording.status !== 'uploading') {
+        return refuse(409, 'This recording is closed', { code: 'RECORDING_CLOSED' });
+      }
+      if (offset !== recording.size_bytes) {
+        return refuse(409, `Expected the chunk at offset ${recording.size_bytes}`, { code: 'OFFSET_MISMATCH' });
+      }
+      if (recording.size_bytes + chunk.length > RECORDING_MAX_BYTES) {
+        return refuse(413, `Recordings can be at most ${Math.floor(RECORDING_MAX_BYTES / 1024 / 1024)} MB`);
+      }
+
+      // The first chunk holds the container header, which says what the recording is
+      let contentType = null;
+      if (offset === 0) {
+        try {
+          contentType = identifyRecording(chunk, null, { label: 'Recording' }).contentType;
+        } catch (err) {
+          return refuse(err.status, err.message);
+        }
+      }
+
+      await client.query(
+        'INSERT INTO call_recording_chunks (recording_id, byte_offset, data) VALUES ($1, $2, $3);',
+        [recording.id, offset, chunk]
+      );
+      const updated = await client.query(`
+        UPDATE call_recordings
+        SET size_bytes = size_bytes + $2, content_type = COALESCE(content_type, $3), updated_at = NOW()
+        WHERE id = $1
+        RETURNING size_bytes;
+      `, [recording.id, chunk.length, contentType]);
+      await client.query('COMMIT;');
+
+      const receivedBytes = updated.rows[0].size_bytes;
+      res.set('Upload-Offset', String(receivedBytes));
+      res.json({ id: recording.id, receivedBytes });
+    } catch (err) {
+      await client.query('ROLLBACK;').catch(() => {});
+      logger.error('PUT /recordings/:id/chunks: ' + err.message);
+      sendError(res, 500, 'Database error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Close an upload once the recording has stopped (?durationSeconds= as measured by the recorder)
+const COMPLETE_RECORDING_SCHEMA = {
+  type: 'object',
+  properties: { durationSeconds: { type: 'integer', minimum: 0 } },
+  additionalProperties: false
+};
+
+app.post('/recordings/:id/complete', requireDevice, validateRequest({ params: RECORDING_ID_PARAMS, body: COMPLETE_RECORDING_SCHEMA }), async (req, res) => {
+  try {
+    const recording = await findOwnRecording(dbPool, req.params.id, req.deviceId);
+    if (!recording) {
+      return sendError(res, 404, 'Recording not found', { code: 'RECORDING_NOT_FOUND' });
+    }
+    if (recording.size_bytes === 0) {
+      return sendError(res, 409, 'Nothing was uploaded for this recording', { code: 'RECORDING_EMPTY' });
+    }
+    const completed = await dbPool.query(`
+      UPDATE call_recordings
+      SET status = 'complete', completed_at = NOW(), duration_seconds = COALESCE($2, duration_seconds), updated_at = NOW()
+      WHERE id = $1 AND status <> 'complete'
+      RETURNING id;
+    `, [recording.id, req.body.durationSeconds === undefined ? null : req.body.durationSeconds]);
+
+    const saved = describeRecording((await dbPool.query(`${RECORDING_SELECT} WHERE r.id = $1;`, [recording.id])).rows[0]);
+    if (completed.rows.length) {
+      logger.info(`💾 Recording ${saved.id} of call ${saved.callId} saved (${saved.sizeBytes} bytes)`);
+      logEvent('RECORDING_SAVED', { id: saved.id, callId: saved.callId, sizeBytes: saved.sizeBytes, durationSeconds: saved.durationSeconds });
     }
-    logger.info(`[${route}] Incoming payload: ` + JSON.stringify(preview));
+    res.set('Upload-Offset', String(saved.sizeBytes));
+    res.json(saved);
   } catch (err) {
-    logger.warn(`[${route}] Could not stringify payload: ` + err.message);
+    logger.error('POST /recordings/:id/complete: ' + err.message);
+    sendError(res, 500, 'Database error');
   }
-}
+});
 
-// Shared image processing helper
-async function processProfileImage(picture_data, logPrefix = '') {
-  if (!picture_data) return null;
-  const loggerPrefix = logPrefix ? `[${logPrefix}] ` : '';
-  const buffer = decodeBase64Image(picture_data);
-  if (!buffer) {
-    logger.error(`${loggerPrefix}Failed to decode base64 image.`);
-    throw new Error('Invalid image data');
+// Recordings for review, newest first (admins only); ?callId= for one call's
+const RECORDINGS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    callId: { type: 'string', format: 'uuid' },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
   }
-  logger.info(`${loggerPrefix}Decoded base64 image, buffer length: ${buffer.length}`);
+};
+
+app.get('/recordings', requireAdmin, validateRequest({ query: RECORDINGS_QUERY_SCHEMA }), async (req, res) => {
+  const { callId = null, limit } = req.query;
   try {
-    const processed = await sharp(buffer)
-      .jpeg({ quality: 100 })
-      .resize(400, 400, { fit: 'cover' })
-      .toBuffer();
-    logger.info(`${loggerPrefix}Converted image to JPEG, buffer length: ${processed.length}`);
-    return processed;
+    const result = await dbPool.query(
+      `${RECORDING_SELECT} WHERE r.expires_at > NOW() AND ($1::uuid IS NULL OR r.call_id = $1) ORDER BY r.created_at DESC LIMIT $2;`,
+      [callId, limit]
+    );
+    res.json({ recordings: result.rows.map(describeRecording), retentionDays: RECORDING_RETENTION_DAYS });
   } catch (err) {
-    logger.error(`${loggerPrefix}Sharp conversion failed: ${err.message}`);
-    throw new Error('Image conversion failed');
+    logger.error('GET /recordings: ' + err.message);
+    sendError(res, 500, 'Failed to fetch recordings');
   }
-}
+});
 
-app.post('/family-users', async (req, res) => {
-  logUserPayload('POST /family-users', req.body);
-  let { id, name, picture_data, email, availability } = req.body;
-  let imageBuffer = null;
-  if (picture_data) {
-    try {
-      imageBuffer = await processProfileImage(picture_data, 'POST /family-users');
-    } catch (err) {
-      return res.status(400).json({ error: err.message });
+// Play or download a finished recording (admins only), with Range support
+app.get('/recordings/:id/media', requireAdmin, validateRequest({ params: RECORDING_ID_PARAMS }), async (req, res) => {
+  try {
+    const recording = (await dbPool.query(
+      'SELECT id, call_id, status, content_type, size_bytes FROM call_recordings WHERE id = $1 AND expires_at > NOW();',
+      [req.params.id]
+    )).rows[0];
+    if (!recording) {
+      return sendError(res, 404, 'Recording not found', { code: 'RECORDING_NOT_FOUND' });
+    }
+    if (recording.status === 'uploading') {
+      return sendError(res, 409, 'This recording is still being uploaded', { code: 'RECORDING_NOT_READY' });
     }
-  }
-
-  if (!name) {
-    return res.status(400).json({ error: 'Missing required field: name' });
-  }
 
-  try {
-    let result;
-    logger.info(`[POST /family-users] Inserting/updating user: ${name}, id: ${id}, email: ${email || 'N/A'}, image buffer: ${imageBuffer ? imageBuffer.length : 0} bytes`);
-    if (email) {
-      result = await dbPool.query(`
-        INSERT INTO family_users (id, name, picture_data, email, availability, created_at, updated_at)
-        VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-        ON CONFLICT (email) DO UPDATE SET
-          name = EXCLUDED.name,
-          picture_data = COALESCE(EXCLUDED.picture_data, family_users.picture_data),
-          availability = EXCLUDED.availability,
-          updated_at = NOW()
-        RETURNING *;
-      `, [id || uuidv4(), name, imageBuffer, email, availability]);
-    } else {
-      if (imageBuffer) {
-        // If new image provided, update it
-        result = await dbPool.query(`
-          INSERT INTO family_users (id, name, picture_data, availability, created_at, updated_at)
-          VALUES ($1, $2, $3, $4, NOW(), NOW())
-          ON CONFLICT (name) DO UPDATE SET
-            picture_data = EXCLUDED.picture_data,
-            availability = EXCLUDED.availability,
-            updated_at = NOW()
-          RETURNING *;
-        `, [id || uuidv4(), name, imageBuffer, availability]);
-      } else {
-        // If no new image, do not overwrite picture_data
-        result = await dbPool.query(`
-          INSERT INTO family_users (id, name, picture_data, availability, created_at, updated_at)
-          VALUES ($1, $2, NULL, $3, NOW(), NOW())
-          ON CONFLICT (name) DO UPDATE SET
-            availability = EXCLUDED.availability,
-            updated_at = NOW()
-          RETURNING *;
-        `, [id || uuidv4(), name, availability]);
-      }
+    if (req.query.download !== undefined) {
+      res.attachment(`call-${recording.call_id}.${recording.content_type.split('/')[1]}`);
+    }
+    await sendStoredMedia(req, res, {
+      etag: `"${recording.id}"`,
+      contentType: recording.content_type,
+      size: recording.size_bytes,
+      readBytes: (start, length) => readRecordingBytes(recording.id, start, length)
+    });
+    if (req.method === 'GET' && res.statusCode === 200) {
+      logEvent('RECORDING_DOWNLOADED', { id: recording.id, callId: recording.call_id, accountId: req.account.id });
     }
-    res.json(result.rows[0]);
   } catch (err) {
-    logger.error('POST /family-users: ' + err.message);
-    logger.error('POST /family-users: ' + (err.stack || 'No stack'));
-    res.status(500).json({ error: 'Database error' });
+    logger.error('GET /recordings/:id/media: ' + err.message);
+    sendError(res, 500, 'Error retrieving recording');
   }
 });
 
-// Serve profile image as binary
-dbPool.on('error', (err) => logger.error('PG Pool error', err));
-
-app.get('/family-users/:id/picture', async (req, res) => {
-  logger.info(`[GET /family-users/${req.params.id}/picture] Requested`);
+app.delete('/recordings/:id', requireAdmin, validateRequest({ params: RECORDING_ID_PARAMS }), async (req, res) => {
   try {
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    logger.debug(`[GET /family-users/${req.params.id}/picture] Fetching image from DB...`);
-    logger.info(`[GET /family-users/${req.params.id}/picture] Querying DB for user image...`);
-    const result = await dbPool.query('SELECT picture_data FROM family_users WHERE id = $1', [req.params.id]);
-    let imageBuffer = result.rows[0]?.picture_data;
-    logger.info(`[GET /family-users/${req.params.id}/picture] User image buffer: ${imageBuffer ? imageBuffer.length : 0} bytes`);
-    if (!imageBuffer) {
-      logger.warn(`[GET /family-users/${req.params.id}/picture] No image found for user, trying default user...`);
-      // Try to fetch the default user's image by name (e.g., 'Justin')
-      const defaultResult = await dbPool.query("SELECT picture_data FROM family_users WHERE name = $1 LIMIT 1", ['default_user']);
-      imageBuffer = defaultResult.rows[0]?.picture_data;
-      logger.info(`[GET /family-users/${req.params.id}/picture] Default user image buffer: ${imageBuffer ? imageBuffer.length : 0} bytes`);
-      if (!imageBuffer) {
-        logger.warn(`[GET /family-users/${req.params.id}/picture] No default image found in DB.`);
-        return res.status(404).send('No image');
-      }
-      logger.debug(`[GET /family-users/${req.params.id}/picture] Serving default user's image.`);
-      logger.info(`[GET /family-users/${req.params.id}/picture] Serving default user's image, buffer size: ${imageBuffer ? imageBuffer.length : 0} bytes`);
-    } else {
-      logger.debug(`[GET /family-users/${req.params.id}/picture] Serving user's image, buffer size: ${imageBuffer.length} bytes`);
-      logger.info(`[GET /family-users/${req.params.id}/picture] Serving user's image, buffer size: ${imageBuffer.length} bytes`);
+    const row = (await dbPool.query(`${RECORDING_SELECT} WHERE r.id = $1;`, [req.params.id])).rows[0];
+    if (!row) {
+      return sendError(res, 404, 'Recording not found', { code: 'RECORDING_NOT_FOUND' });
     }
-    res.set('Content-Type', 'image/jpeg');
-    res.send(imageBuffer);
+    await dbPool.query('DELETE FROM call_recordings WHERE id = $1;', [row.id]);
+    const deleted = describeRecording(row);
+    logEvent('RECORDING_DELETED', { id: deleted.id, callId: deleted.callId, accountId: req.account.id });
+    res.json({ success: true, deleted });
   } catch (err) {
-    logger.error('GET /family-users/:id/picture: ' + err.message);
-    logger.error('GET /family-users/:id/picture: ' + (err.stack || 'No stack'));
-    res.status(500).send('Error retrieving image');
+    logger.error('DELETE /recordings/:id: ' + err.message);
+    sendError(res, 500, 'Database error');
   }
 });
 
-// List all family users
-app.get('/family-users', async (req, res) => {
+// Apply the retention period, and keep what arrived of uploads that were never closed
+setInterval(async () => {
   try {
-    const result = await dbPool.query('SELECT * FROM family_users ORDER BY name ASC;');
-    res.json(result.rows);
+    const expired = await dbPool.query('DELETE FROM call_recordings WHERE expires_at <= NOW();');
+    const abandoned = await dbPool.query(`
+      UPDATE call_recordings SET status = 'partial', completed_at = NOW()
+      WHERE status = 'uploading' AND size_bytes > 0 AND updated_at < NOW() - make_interval(secs => $1);
+    `, [RECORDING_UPLOAD_IDLE_MS / 1000]);
+    const empty = await dbPool.query(
+      'DELETE FROM call_recordings WHERE status = \'uploading\' AND size_bytes = 0 AND updated_at < NOW() - make_interval(secs => $1);',
+      [RECORDING_UPLOAD_IDLE_MS / 1000]
+    );
+    if (expired.rowCount || abandoned.rowCount || empty.rowCount) {
+      logger.info(`🧹 Recordings: ${expired.rowCount} past retention deleted, ${abandoned.rowCount} unfinished upload(s) kept as partial, ${empty.rowCount} empty upload(s) deleted`);
+    }
   } catch (err) {
-    logger.error('GET /family-users: ' + err.message);
-    res.status(500).json({ error: 'Database error' });
+    logger.error('Recording retention job failed: ' + err.message);
+  }
+}, RECORDING_PURGE_INTERVAL_MS).unref();
+
+// --- Group Call Invitations ---
+// A job looks every minute for family members who share a calling window with Bill right now,
+// while Bill's phone is connected and free. When at least GROUP_CALL_MIN_ATTENDANCE of them
+// are, it invites them all: connected devices get groupCallInvite, and the others are told
+// through the notification transport (see notificationTransport.js). Each family member is
+// invited on their most reachable device, as for the kiosk's contacts.
+//
+// Invitees answer with groupCallInviteResponse. Once GROUP_CALL_MIN_ATTENDANCE have accepted,
+// the server opens a group call room with Bill's phone as the hub and only the accepted devices
+// invited (their roomInvite carries the inviteId); anyone accepting later is added to the room.
+// If too many decline, or GROUP_INVITE_TTL_MINUTES pass first, the invitation is cancelled and
+// everyone who hadn't declined gets groupCallInviteCancelled. At most one invitation is pending
+// at a time, across instances, and a new one waits GROUP_INVITE_COOLDOWN_MINUTES after the last.
+const GROUP_INVITE_INTERVAL_MS = 60 * 1000;
+// A shared window ending sooner than this isn't worth gathering everyone for
+const GROUP_INVITE_MIN_WINDOW_MINUTES = 15;
+
+const GROUP_CALL_MIN_ATTENDANCE = (() => {
+  const value = Number(envConfig.GROUP_CALL_MIN_ATTENDANCE.value);
+  if (Number.isInteger(value) && value >= 2 && value <= GROUP_CALL_MAX_FAMILY) return value;
+  logger.error(`Invalid GROUP_CALL_MIN_ATTENDANCE "${envConfig.GROUP_CALL_MIN_ATTENDANCE.value}" (2 to ${GROUP_CALL_MAX_FAMILY}), using 2`);
+  return 2;
+})();
+
+// Reaches devices that aren't connected; falls back to the log if the webhook isn't set up
+const notificationTransport = (() => {
+  if (NOTIFICATION_TRANSPORT === 'webhook' && envConfig.NOTIFICATION_WEBHOOK_URL.value) {
+    return createWebhookNotificationTransport({
+      url: envConfig.NOTIFICATION_WEBHOOK_URL.value,
+      secret: envConfig.NOTIFICATION_WEBHOOK_SECRET.value,
+      logger
+    });
   }
+  if (NOTIFICATION_TRANSPORT !== 'log') {
+    logger.error(`NOTIFICATION_TRANSPORT "${NOTIFICATION_TRANSPORT}" needs a NOTIFICATION_WEBHOOK_URL and only 'webhook' or 'log' are supported, using 'log'`);
+  }
+  return createLogNotificationTransport({ logger });
+})();
+
+const GROUP_INVITE_ERRORS = {
+  INVITE_NOT_FOUND: 'Group call invitation not found',
+  NOT_INVITED: 'You are not invited to this group call',
+  INVITE_CLOSED: 'This group call invitation is no longer open',
+  ROOM_NOT_FOUND: 'The group call is already over',
+  ROOM_FULL: ROOM_ERRORS.ROOM_FULL
+};
+
+const describeGroupCallInvite = (row) => ({
+  inviteId: row.id,
+  state: row.state,
+  minAttendance: row.min_attendance,
+  callId: row.call_id,
+  reason: row.reason,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at
 });
 
-// Get a single family user by id
-app.get('/family-users/:id', async (req, res) => {
+// Family members free to talk with Bill now, for at least GROUP_INVITE_MIN_WINDOW_MINUTES:
+// [{ familyUserId, deviceId, online }], leaving out anyone already in a call
+async function findGroupCallCandidates(now = new Date()) {
+  const result = await dbPool.query(`
+    SELECT fu.id, fu.availability, fu.timezone, array_agg(d.device_id ORDER BY d.device_id) AS device_ids
+    FROM family_users fu
+    JOIN devices d ON d.family_user_id = fu.id AND d.revoked_at IS NULL
+    GROUP BY fu.id
+    ORDER BY fu.name;
+  `);
+  const exceptions = await getAvailabilityExceptions(result.rows.map(user => user.id), now);
+  const candidates = [];
+  for (const user of result.rows) {
+    const [window] = findOpenWindows([HUB_SCHEDULE, toSchedule(user, exceptions.get(user.id))], now, new Date(now.getTime() + DAY_MS));
+    if (!window || window.start.getTime() > now.getTime()) continue;
+    if (window.end.getTime() - now.getTime() < GROUP_INVITE_MIN_WINDOW_MINUTES * MINUTE_MS) continue;
+
+    const presence = await Promise.all(user.device_ids.map(deviceId => getDevicePresence(deviceId)));
+    presence.sort((a, b) => PRESENCE_PREFERENCE.indexOf(a.state) - PRESENCE_PREFERENCE.indexOf(b.state));
+    const { deviceId, state } = presence[0];
+    if (state === PRESENCE_STATES.IN_CALL) continue;
+    candidates.push({ familyUserId: user.id, deviceId, online: state !== PRESENCE_STATES.OFFLINE });
+  }
+  return candidates;
+}
+
+// Store a new invitation and tell the candidates. Resolves to null if another instance has
+// an invitation pending.
+async function sendGroupCallInvite(candidates) {
+  const client = await dbPool.connect();
+  let invite;
   try {
-    const result = await dbPool.query('SELECT * FROM family_users WHERE id = $1;', [req.params.id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    await client.query('BEGIN;');
+    const inserted = await client.query(`
+      INSERT INTO group_call_invites (min_attendance, expires_at)
+      VALUES ($1, NOW() + make_interval(mins => $2))
+      ON CONFLICT DO NOTHING
+      RETURNING *;
+    `, [GROUP_CALL_MIN_ATTENDANCE, GROUP_INVITE_TTL_MINUTES]);
+    invite = inserted.rows[0];
+    if (!invite) {
+      await client.query('ROLLBACK;');
+      return null;
     }
-    res.json(result.rows[0]);
+    for (const candidate of candidates) {
+      await client.query(
+        'INSERT INTO group_call_invitees (invite_id, device_id, family_user_id, notified_via) VALUES ($1, $2, $3, $4);',
+        [invite.id, candidate.deviceId, candidate.familyUserId, candidate.online ? 'socket' : notificationTransport.type]
+      );
+    }
+    await client.query('COMMIT;');
   } catch (err) {
-    logger.error('GET /family-users/:id: ' + err.message);
-    res.status(500).json({ error: 'Database error' });
+    await client.query('ROLLBACK;');
+    throw err;
+  } finally {
+    client.release();
   }
-});
 
-// Update a family user profile (name, picture_url, email, availability)
-app.patch('/family-users/:id', async (req, res) => {
-  const { name, picture_data, picture_url, email, availability } = req.body;
-  if (!name) {
-    return res.status(400).json({ error: 'Missing required field: name' });
+  // Family members don't learn who else was invited, as with presence
+  const payload = {
+    inviteId: invite.id,
+    from: HUB_DEVICE_ID,
+    minAttendance: invite.min_attendance,
+    expiresAt: invite.expires_at
+  };
+  const notified = [];
+  for (const { deviceId } of candidates) {
+    const inviteeSocket = await getTargetSocket(deviceId);
+    if (inviteeSocket) {
+      inviteeSocket.emit('groupCallInvite', payload);
+      continue;
+    }
+    const sent = await notificationTransport.notify(deviceId, {
+      type: 'groupCallInvite',
+      title: 'Group call with Bill',
+      body: 'Bill and the family are free to talk now. Join the group call?',
+      data: payload
+    });
+    notified.push({ deviceId, via: notificationTransport.type, sent });
   }
+  logger.info(`📨 Group call invitation ${invite.id} sent to ${candidates.map(candidate => candidate.deviceId).join(', ')}`);
+  logEvent('GROUP_CALL_INVITED', {
+    inviteId: invite.id,
+    invited: candidates.map(candidate => candidate.deviceId),
+    notified,
+    minAttendance: invite.min_attendance,
+    expiresAt: invite.expires_at
+  });
+  return describeGroupCallInvite(invite);
+}
 
-  let imageBuffer = null;
-  if (picture_data) {
-    try {
-      imageBuffer = await processProfileImage(picture_data, 'PATCH /family-users/:id');
-    } catch (err) {
-      return res.status(400).json({ error: err.message });
+// Tell everyone who hadn't declined that an invitation closed (its state is already saved)
+async function announceGroupCallInviteClosed(inviteId, state, reason) {
+  const invitees = await dbPool.query(
+    'SELECT device_id FROM group_call_invitees WHERE invite_id = $1 AND accepted IS NOT FALSE;',
+    [inviteId]
+  );
+  for (const { device_id: deviceId } of invitees.rows) {
+    const inviteeSocket = await getTargetSocket(deviceId);
+    if (inviteeSocket) {
+      inviteeSocket.emit('groupCallInviteCancelled', { inviteId, reason });
     }
   }
+  logger.info(`📨 Group call invitation ${inviteId} ${state} (${reason})`);
+  logEvent('GROUP_CALL_INVITE_CLOSED', { inviteId, state, reason });
+}
+
+async function cancelGroupCallInvite(inviteId, reason) {
+  const result = await dbPool.query(`
+    UPDATE group_call_invites SET state = 'cancelled', reason = $2, closed_at = NOW()
+    WHERE id = $1 AND state IN ('pending', 'started')
+    RETURNING id;
+  `, [inviteId, reason]);
+  if (result.rowCount) {
+    await announceGroupCallInviteClosed(inviteId, 'cancelled', reason);
+  }
+}
+
+// Enough invitees accepted: open the room with Bill's phone as the hub, inviting them
+async function startInvitedGroupCall(inviteId) {
+  const hubSocketId = await presenceStore.getDeviceSocketId(HUB_DEVICE_ID);
+  if (!hubSocketId) {
+    await cancelGroupCallInvite(inviteId, 'HUB_OFFLINE');
+    return;
+  }
+  const hubBusy = (await findCallSessionsForSocket(hubSocketId)).length > 0 || (await findCallRoomsForSocket(hubSocketId)).length > 0;
+  if (hubBusy) {
+    await cancelGroupCallInvite(inviteId, 'HUB_BUSY');
+    return;
+  }
+
+  const accepted = await dbPool.query(
+    'SELECT device_id FROM group_call_invitees WHERE invite_id = $1 AND accepted ORDER BY responded_at LIMIT $2;',
+    [inviteId, GROUP_CALL_MAX_FAMILY]
+  );
+  const invited = accepted.rows.map(row => row.device_id);
+  const room = await createCallRoom({ createdBy: HUB_DEVICE_ID, socketId: hubSocketId, invited });
+  await dbPool.query('UPDATE group_call_invites SET call_id = $2 WHERE id = $1;', [inviteId, room.callId]);
+  logEvent('GROUP_CALL_INVITE_STARTED', { inviteId, callId: room.callId, invited });
+
+  const offline = await sendRoomInvites(room, invited, { inviteId });
+  const hubSocket = await getTargetSocket(hubSocketId);
+  if (hubSocket) {
+    hubSocket.emit('roomCreated', { ...describeCallRoom(room), offline, inviteId });
+  }
+  await publishRoomPresence([HUB_DEVICE_ID]);
+}
 
+// Someone accepted after the call started: add them to the room, if there's space
+async function addToInvitedGroupCall(invite, deviceId) {
+  if (!invite.call_id) return { error: 'ROOM_NOT_FOUND' };
+  const result = await changeCallRoom(invite.call_id, (room) => {
+    if (room.invited.includes(deviceId) || room.participants.some(participant => participant.deviceId === deviceId)) {
+      return {};
+    }
+    const family = room.participants.filter(participant => participant.deviceId !== room.hub).length + room.invited.length;
+    if (family >= GROUP_CALL_MAX_FAMILY) return { error: 'ROOM_FULL' };
+    room.invited.push(deviceId);
+    return {};
+  });
+  if (result.error) return result;
+  await sendRoomInvites(result.room, [deviceId], { inviteId: invite.id });
+  return result;
+}
+
+// Record an invitee's answer and act on it. Resolves to the invitation as it now stands, or
+// { error: code } (see GROUP_INVITE_ERRORS).
+async function answerGroupCallInvite(inviteId, deviceId, accepted) {
+  const client = await dbPool.connect();
+  let invite;
+  let decision = null;
   try {
-    let result;
-    if (imageBuffer) {
-      result = await dbPool.query(
-        `UPDATE family_users
-         SET name = $1,
-             picture_data = $2,
-             picture_url = $3,
-             email = $4,
-             availability = $5,
-             updated_at = NOW()
-         WHERE id = $6
-         RETURNING *;`,
-        [name, imageBuffer, picture_url, email, availability, req.params.id]
-      );
-    } else {
-      result = await dbPool.query(
-        `UPDATE family_users
-         SET name = $1,
-             picture_url = $2,
-             email = $3,
-             availability = $4,
-             updated_at = NOW()
-         WHERE id = $5
-         RETURNING *;`,
-        [name, picture_url, email, availability, req.params.id]
-      );
+    await client.query('BEGIN;');
+    // The row lock makes answers to one invitation wait for each other, on any instance
+    const found = await client.query('SELECT * FROM group_call_invites WHERE id::text = $1 FOR UPDATE;', [inviteId]);
+    invite = found.rows[0];
+    const invitee = invite && await client.query(
+      'SELECT accepted FROM group_call_invitees WHERE invite_id = $1 AND device_id = $2;',
+      [invite.id, deviceId]
+    );
+    const error = !invite ? 'INVITE_NOT_FOUND'
+      : invitee.rows.length === 0 ? 'NOT_INVITED'
+      : !['pending', 'started'].includes(invite.state) ? 'INVITE_CLOSED'
+      : null;
+    if (error) {
+      await client.query('ROLLBACK;');
+      return { error };
     }
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+
+    await client.query(
+      'UPDATE group_call_invitees SET accepted = $3, responded_at = NOW() WHERE invite_id = $1 AND device_id = $2;',
+      [invite.id, deviceId, accepted]
+    );
+    const tally = (await client.query(`
+      SELECT COUNT(*) FILTER (WHERE accepted)::int AS accepted, COUNT(*) FILTER (WHERE accepted IS NULL)::int AS unanswered
+      FROM group_call_invitees WHERE invite_id = $1;
+    `, [invite.id])).rows[0];
+
+    if (invite.state === 'pending' && tally.accepted >= invite.min_attendance) {
+      decision = 'start';
+      invite.state = 'started';
+    } else if (invite.state === 'pending' && tally.accepted + tally.unanswered < invite.min_attendance) {
+      decision = 'cancel';
+      invite.state = 'cancelled';
+      invite.reason = 'NOT_ENOUGH_ACCEPTED';
+    } else if (invite.state === 'started' && accepted) {
+      decision = 'add';
     }
-    res.json(result.rows[0]);
+    if (decision === 'start' || decision === 'cancel') {
+      await client.query(
+        `UPDATE group_call_invites SET state = $2, reason = $3, closed_at = CASE WHEN $2 = 'cancelled' THEN NOW() END WHERE id = $1;`,
+        [invite.id, invite.state, invite.reason]
+      );
+    }
+    await client.query('COMMIT;');
   } catch (err) {
-    logger.error('PATCH /family-users/:id: ' + err.message);
-    res.status(500).json({ error: 'Database error' });
+    await client.query('ROLLBACK;');
+    throw err;
+  } finally {
+    client.release();
   }
-});
 
-// Delete a family user by ID
-app.delete('/family-users/:id', async (req, res) => {
+  logger.info(`📨 ${deviceId} ${accepted ? 'accepted' : 'declined'} group call invitation ${invite.id}`);
+  logEvent('GROUP_CALL_INVITE_ANSWERED', { inviteId: invite.id, deviceId, accepted });
+  if (decision === 'start') {
+    await startInvitedGroupCall(invite.id);
+  } else if (decision === 'cancel') {
+    await announceGroupCallInviteClosed(invite.id, 'cancelled', invite.reason);
+  } else if (decision === 'add') {
+    const added = await addToInvitedGroupCall(invite, deviceId);
+    if (added.error) return added;
+  }
+  return describeGroupCallInvite(invite);
+}
+
+// Expire invitations nobody answered in time, then look for a new one to send
+async function runGroupCallInviteJob() {
+  const expired = await dbPool.query(`
+    UPDATE group_call_invites SET state = 'expired', reason = 'NO_RESPONSE', closed_at = NOW()
+    WHERE state = 'pending' AND expires_at <= NOW()
+    RETURNING id;
+  `);
+  for (const { id } of expired.rows) {
+    await announceGroupCallInviteClosed(id, 'expired', 'NO_RESPONSE');
+  }
+
+  const hub = await getDevicePresence(HUB_DEVICE_ID);
+  if (hub.state !== PRESENCE_STATES.ONLINE && hub.state !== PRESENCE_STATES.IDLE) return;
+  const recent = await dbPool.query(
+    'SELECT 1 FROM group_call_invites WHERE state = \'pending\' OR created_at > NOW() - make_interval(mins => $1) LIMIT 1;',
+    [GROUP_INVITE_COOLDOWN_MINUTES]
+  );
+  if (recent.rows.length > 0) return;
+
+  const candidates = await findGroupCallCandidates();
+  if (candidates.length >= GROUP_CALL_MIN_ATTENDANCE) {
+    await sendGroupCallInvite(candidates);
+  }
+}
+
+setInterval(async () => {
   try {
-    const result = await dbPool.query('DELETE FROM family_users WHERE id = $1 RETURNING *;', [req.params.id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    res.json({ success: true, deleted: result.rows[0] });
-    logEvent('PROFILE_DELETED', { id: result.rows[0].id, name: result.rows[0].name, email: result.rows[0].email });
+    await runGroupCallInviteJob();
   } catch (err) {
-    logger.error('DELETE /family-users/:id: ' + err.message);
-    res.status(500).json({ error: 'Database error' });
+    logger.error('Group call invitation job failed: ' + err.message);
   }
-});
+}, GROUP_INVITE_INTERVAL_MS).unref();
 
-// Update availability for a family user
-app.patch('/family-users/:id/availability', async (req, res) => {
-  const { availability } = req.body;
-  if (!availability) {
-    return res.status(400).json({ error: 'Missing availability' });
-  }
+// --- Event Log API ---
+// Fields of event details that name a device, for the device filter
+const EVENT_DEVICE_FIELDS = ['from', 'to', 'deviceId', 'customId', 'caller', 'callee'];
+const EVENT_EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const EVENT_EXPORT_BATCH = 1000;
+
+// Cursors are opaque to clients; they carry the id of the last event on the previous page
+const encodeEventCursor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
+function decodeEventCursor(cursor) {
   try {
-    const result = await dbPool.query(
-      'UPDATE family_users SET availability = $1, updated_at = NOW() WHERE id = $2 RETURNING *;',
-      [availability, req.params.id]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    res.json(result.rows[0]);
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(id) ? id : null;
   } catch (err) {
-    logger.error('PATCH /family-users/:id/availability: ' + err.message);
-    res.status(500).json({ error: 'Database error' });
+    return null;
   }
-});
+}
 
-// Debug/test endpoint for image upload
-app.post('/test-image-upload', async (req, res) => {
-  const { picture_data, name } = req.body;
+// Turn /events query parameters (checked by EVENTS_QUERY_SCHEMA) into a WHERE clause
+function buildEventFilters({ type, device, from, to, q }) {
+  const conditions = [];
+  const params = [];
+  if (type) {
+    params.push(String(type).split(',').map(value => value.trim()).filter(Boolean));
+    conditions.push(`event_type = ANY($${params.length})`);
+  }
+  if (device) {
+    params.push(String(device));
+    conditions.push(`(${EVENT_DEVICE_FIELDS.map(field => `details @> jsonb_build_object('${field}', $${params.length}::text)`).join(' OR ')})`);
+  }
+  for (const [value, operator] of [[from, '>='], [to, '<=']]) {
+    if (value === undefined) continue;
+    params.push(new Date(value).toISOString());
+    conditions.push(`timestamp ${operator} $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${String(q).replace(/[\\%_]/g, char => `\\${char}`)}%`);
+    conditions.push(`(event_type ILIKE $${params.length} OR details::text ILIKE $${params.length})`);
+  }
+  return { conditions, params };
+}
+
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Query event_log, newest first. Filters: type (comma-separated), device (any device field in
+// the details), from/to (ISO dates), q (free text over the type and details).
+// JSON pages hold up to limit events (max 500) and a nextCursor for the following page;
+// format=csv or format=ndjson streams every matching event as a download instead.
+const EVENTS_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', maxLength: 1000 },
+    device: { type: 'string', maxLength: 128 },
+    from: { type: 'string', format: 'timestamp' },
+    to: { type: 'string', format: 'timestamp' },
+    q: { type: 'string', maxLength: 200 },
+    format: { enum: EVENT_EXPORT_FORMATS, default: 'json' },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 },
+    cursor: { type: 'string' }
+  }
+};
+
+app.get('/events', requireAdmin, validateRequest({ query: EVENTS_QUERY_SCHEMA }), async (req, res) => {
+  const { format, limit } = req.query;
+  let cursorId = null;
+  if (req.query.cursor !== undefined) {
+    cursorId = decodeEventCursor(req.query.cursor);
+    if (cursorId === null) {
+      return sendError(res, 400, 'Invalid request', {
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'cursor', message: 'Not a cursor from a previous page' }]
+      });
+    }
+  }
+  const filters = buildEventFilters(req.query);
   
-  console.log('[TEST] Testing image upload for:', name);
-  console.log('[TEST] Has picture_data:', !!picture_data);
+  // One page of matching events with ids below afterId
+  const fetchPage = async (afterId, size) => {
+    const conditions = [...filters.conditions];
+    const params = [...filters.params];
+    if (afterId !== null) {
+      params.push(afterId);
+      conditions.push(`id < $${params.length}`);
+    }
+    params.push(size);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await dbPool.query(
+      `SELECT id, timestamp, event_type, details FROM event_log ${where} ORDER BY id DESC LIMIT $${params.length};`,
+      params
+    );
+    return result.rows;
+  };
   
-  if (picture_data) {
+  if (format === 'json') {
     try {
-      const matches = picture_data.match(/^data:(.+);base64,(.+)$/);
-      if (!matches) {
-        return res.status(400).json({ error: 'Invalid data URL format' });
-      }
-      
-      const buffer = Buffer.from(matches[2], 'base64');
-      const processedBuffer = await require('sharp')(buffer).jpeg({ quality: 100 }).toBuffer();
-      
+      // Fetch one extra row to know whether there is a next page
+      const rows = await fetchPage(cursorId, limit + 1);
+      const events = rows.slice(0, limit);
       res.json({
-        success: true,
-        originalSize: buffer.length,
-        processedSize: processedBuffer.length,
-        message: 'Image processing test successful'
+        events,
+        nextCursor: rows.length > limit ? encodeEventCursor(events[events.length - 1].id) : null,
+        limit
       });
-    } catch (error) {
-      res.status(400).json({ error: 'Processing failed', details: error.message });
+    } catch (err) {
+      logger.error('GET /events: ' + err.message);
+      sendError(res, 500, 'Database error');
     }
-  } else {
-    res.json({ success: true, message: 'No image data - test passed' });
+    return;
+  }
+  
+  // Exports are streamed in batches so a large log never sits in memory
+  let rows;
+  try {
+    rows = await fetchPage(cursorId, EVENT_EXPORT_BATCH);
+  } catch (err) {
+    logger.error('GET /events export: ' + err.message);
+    return sendError(res, 500, 'Database error');
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="events-${stamp}.${format}"`);
+  if (format === 'csv') {
+    res.write('id,timestamp,event_type,details\n');
+  }
+  try {
+    while (rows.length > 0) {
+      for (const row of rows) {
+        res.write(format === 'csv'
+          ? [row.id, row.timestamp.toISOString(), row.event_type, JSON.stringify(row.details)].map(toCsvField).join(',') + '\n'
+          : JSON.stringify(row) + '\n');
+      }
+      if (rows.length < EVENT_EXPORT_BATCH) break;
+      rows = await fetchPage(rows[rows.length - 1].id, EVENT_EXPORT_BATCH);
+    }
+  } catch (err) {
+    // Headers are already sent, so all we can do is cut the download short
+    logger.error('GET /events export: ' + err.message);
   }
+  res.end();
 });
 
-// API routes
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'Bill\'s Phone WebRTC Signaling Server',
-    connections: connectedUsers.size,
-    timestamp: new Date().toISOString()
-  });
-});
+// --- TURN Credentials ---
+// Short-lived TURN REST credentials for coturn's use-auth-secret mode:
+// username is "<expiry unix time>:<deviceId>", password is base64(HMAC-SHA1(secret, username))
+const TURN_CREDENTIAL_TTL = Number(envConfig.TURN_CREDENTIAL_TTL.value);
 
-// Enhanced health check endpoint with iOS-specific info
-app.get('/health', (req, res) => {
-  const iosConnections = Array.from(connectedUsers.values())
-    .filter(user => user.platform === 'ios').length;
-  
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    totalConnections: connectedUsers.size,
-    iosConnections: iosConnections,
-    serverUptime: process.uptime()
-  });
-});
+function generateTurnCredentials(deviceId) {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL;
+  const username = `${expiresAt}:${deviceId}`;
+  const credential = crypto
+    .createHmac('sha1', envConfig.TURN_SECRET.value)
+    .update(username)
+    .digest('base64');
+  return { username, credential, ttl: TURN_CREDENTIAL_TTL, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+const WEBRTC_CONFIG_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { deviceId: { type: 'string', maxLength: 128 } }
+};
 
 // WebRTC configuration endpoint to provide ICE server info
-app.get('/webrtc-config', (req, res) => {
+app.get('/webrtc-config', validateRequest({ query: WEBRTC_CONFIG_QUERY_SCHEMA }), async (req, res) => {
   // Add CORS headers
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET');
   
-  // Get TURN configuration from environment variables
+  // Ensure CORS is properly set for all origins
+  res.set('Access-Control-Allow-Origin', req.header('Origin') || '*');
+  res.set('Access-Control-Allow-Credentials', 'true');
+  // Credentials are per device and short-lived; never let a proxy reuse them
+  res.set('Cache-Control', 'no-store');
+  
   const turnUrls = envConfig.TURN_URLS.value.split(',').map(url => url.trim());
-  const turnUsername = envConfig.TURN_USERNAME.value;
-  const turnPassword = envConfig.TURN_PASSWORD.value;
+  const deviceId = req.get('X-Device-Id') || req.query.deviceId;
+  
+  let turnCredentials;
+  if (envConfig.TURN_SECRET.value) {
+    // Ephemeral credentials are only issued to authenticated devices
+    const auth = await authenticateDevice(deviceId, req.get('X-Device-Secret'));
+    if (!auth.ok) {
+      logger.warn(`[WebRTC Config Request] Refused TURN credentials for ${deviceId || 'anonymous'} (${auth.code})`);
+      logEvent('TURN_CREDENTIALS_REFUSED', { deviceId, code: auth.code, ip: req.ip });
+      return sendError(res, 401, auth.message, { code: auth.code });
+    }
+    turnCredentials = generateTurnCredentials(deviceId);
+  } else {
+    // Legacy static credentials from the environment
+    turnCredentials = {
+      username: envConfig.TURN_USERNAME.value,
+      credential: envConfig.TURN_PASSWORD.value
+    };
+  }
   
   // Create configuration object with TURN and STUN servers
   const rtcConfig = {
@@ -891,8 +5371,8 @@ app.get('/webrtc-config', (req, res) => {
       // Add TURN servers from environment variables
       ...turnUrls.map(url => ({
         urls: url,
-        username: turnUsername,
-        credential: turnPassword
+        username: turnCredentials.username,
+        credential: turnCredentials.credential
       })),
       // Add public STUN servers as fallback
       { urls: 'stun:stun.l.google.com:19302' },
@@ -900,24 +5380,21 @@ app.get('/webrtc-config', (req, res) => {
     ],
     iceCandidatePoolSize: 10
   };
-  
-  // Ensure CORS is properly set for all origins
-  res.set('Access-Control-Allow-Origin', req.header('Origin') || '*');
-  res.set('Access-Control-Allow-Credentials', 'true');
+  if (turnCredentials.expiresAt) {
+    rtcConfig.ttl = turnCredentials.ttl;
+    rtcConfig.expiresAt = turnCredentials.expiresAt;
+  }
 
-  // Debug log the environment variable values
-  console.log('[WebRTC Config Request] Serving ICE config:');
-  console.log('- TURN_URLS:', turnUrls);
-  console.log('- TURN_USERNAME:', turnUsername);
-  console.log('- TURN_PASSWORD:', turnPassword ? '***[redacted]***' : 'MISSING');
-  console.log('- Client IP:', req.ip);
-  console.log('- User-Agent:', req.get('User-Agent'));
+  logger.debug(`[WebRTC Config Request] Serving ICE config to ${deviceId || 'anonymous'}: ` +
+    `TURN_URLS ${turnUrls.join(', ')}, ` +
+    `credentials ${turnCredentials.expiresAt ? `ephemeral, expires ${turnCredentials.expiresAt}` : 'static'}, ` +
+    `IP ${req.ip}, User-Agent ${req.get('User-Agent')}`);
 
   res.json(rtcConfig);
 });
 
 // Debug endpoint for WebRTC config (returns sanitized values for debugging)
-app.get('/debug-webrtc-config', (req, res) => {
+app.get('/debug-webrtc-config', requireAdmin, (req, res) => {
   const turnUrls = envConfig.TURN_URLS.value.split(',').map(url => url.trim());
   const turnUsername = envConfig.TURN_USERNAME.value;
   const turnPassword = envConfig.TURN_PASSWORD.value;
@@ -929,7 +5406,8 @@ app.get('/debug-webrtc-config', (req, res) => {
 WebRTC Configuration Debug:
 -----------------------
 TURN_URLS: ${turnUrls.join(', ')}
-TURN_USERNAME: ${turnUsername}
+TURN_CREDENTIALS: ${envConfig.TURN_SECRET.value ? `ephemeral (TTL ${TURN_CREDENTIAL_TTL}s)` : 'static'}
+TURN_USERNAME: ${turnUsername || '[NOT SET]'}
 TURN_PASSWORD: ${turnPassword ? '[PRESENT]' : '[MISSING]'}
 `;
   
@@ -937,7 +5415,7 @@ TURN_PASSWORD: ${turnPassword ? '[PRESENT]' : '[MISSING]'}
 });
 
 // Add configuration endpoint for debugging
-app.get('/debug/config', (req, res) => {
+app.get('/debug/config', requireAdmin, (req, res) => {
   const configSummary = {
     environment: NODE_ENV,
     port: PORT,
@@ -963,11 +5441,12 @@ app.get('/debug/config', (req, res) => {
 });
 
 // iOS-specific debug endpoint
-app.get('/debug/ios-connections', (req, res) => {
-  const iosUsers = Array.from(connectedUsers.entries())
-    .filter(([key, user]) => user.platform === 'ios' && typeof key === 'string' && key.length > 10)
-    .map(([key, user]) => ({
+app.get('/debug/ios-connections', requireAdmin, async (req, res) => {
+  const iosUsers = (await presenceStore.listConnections())
+    .filter(user => user.platform === 'ios')
+    .map(user => ({
       socketId: user.socketId,
+      instanceId: user.instanceId,
       customId: user.customId,
       version: user.version,
       buildNumber: user.buildNumber,
@@ -981,18 +5460,48 @@ app.get('/debug/ios-connections', (req, res) => {
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error(`Error: ${err.message}`);
-  logEvent('ERROR', { message: err.message, stack: err.stack });
-  res.status(500).json({ error: 'Internal Server Error' });
+// Routes that don't exist answer with the error envelope too
+app.use((req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
 });
 
-// Start server
-server.listen(PORT, () => {
-  logger.info(`Signaling server running on port ${PORT} in ${NODE_ENV} mode`);
+// Error handling middleware. Body parser failures (malformed JSON, bodies over the limit)
+// carry the status to answer with; anything else is a bug.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.expose ? err.message : 'Bad request');
+  }
+  logger.error(`Error: ${err.message} (request ${req.id})`);
+  logEvent('ERROR', { message: err.message, stack: err.stack, requestId: req.id });
+  sendError(res, 500, 'Internal Server Error');
 });
 
+// Start server once the schema is migrated (see migrate.js) and the presence store is ready to take connections
+migrateUp(dbPool, { logger })
+  .then(() => provisionDevicesFromEnv()
+    .catch(err => logger.error('Device registry setup failed: ' + err.message)))
+  .then(() => provisionAdminsFromEnv()
+    .catch(err => logger.error('Admin account setup failed: ' + err.message)))
+  .then(() => seedDefaultProfilePicture()
+    .catch(err => logger.error('Default profile image seeding failed: ' + err.message)))
+  .then(() => presenceStore.init())
+  .then(() => {
+    logger.info(`🛰️  Presence store: ${presenceStore.type} (instance ${INSTANCE_ID})`);
+    server.listen(PORT, () => {
+      logger.info(`Signaling server running on port ${PORT} in ${NODE_ENV} mode`);
+    });
+  })
+  .catch((err) => {
+    logger.error('Server startup failed: ' + err.message);
+    process.exit(1);
+  });
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
   logger.error(`Uncaught Exception: ${err.message}`);
@@ -1010,10 +5519,15 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   io.close(() => {
     logger.info('Socket.io server closed');
-    server.close(() => {
-      logger.info('HTTP server closed');
-      process.exit(0);
-    });
+    // Hand this instance's devices back right away instead of waiting for them to expire
+    presenceStore.close()
+      .catch(err => logger.error('Failed to close presence store: ' + err.message))
+      .finally(() => {
+        server.close(() => {
+          logger.info('HTTP server closed');
+          process.exit(0);
+        });
+      });
   });
   
   // Force shutdown after timeout
@@ -0,0 +1,356 @@
+/**
+ * Contract tests for the presence stores
+ * Runs the same suite against every implementation in presenceStore.js, so the memory
+ * store and the Postgres store can't drift apart.
+ *
+ * The Postgres store is tested when POSTGRES_HOST is set, using the same POSTGRES_*
+ * variables as the server. Each run creates its own schema with the presence tables from
+ * migrations/ and drops it afterwards, so any local Postgres will do. Without POSTGRES_HOST those tests are skipped.
+ *
+ *   node --test test/*.test.js
+ *   POSTGRES_HOST=localhost POSTGRES_DB=postgres POSTGRES_USER=postgres POSTGRES_PASSWORD=... node --test test/*.test.js
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryPresenceStore, createPostgresPresenceStore } = require('../presenceStore');
+
+// The migrations that create the tables the Postgres store uses
+const PRESENCE_MIGRATIONS = ['006_create_presence_store.up.sql', '016_create_call_rooms.up.sql'];
+const PRESENCE_TABLES = [
+  'presence_instances',
+  'presence_connections',
+  'presence_devices',
+  'presence_connection_attempts',
+  'presence_call_sessions',
+  'presence_call_rooms'
+];
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const makeConnection = (socketId, changes = {}) => ({
+  socketId,
+  instanceId: 'test-instance',
+  customId: null,
+  platform: 'test',
+  connectedAt: new Date().toISOString(),
+  lastPing: Date.now(),
+  ...changes
+});
+
+const makeSession = (callId, changes = {}) => ({
+  callId,
+  caller: 'family-caller',
+  callee: 'bills-iphone',
+  callerSocketId: 'socket-a',
+  calleeSocketId: 'socket-b',
+  state: 'ringing',
+  createdAt: new Date().toISOString(),
+  ...changes
+});
+
+const makeRoom = (callId, changes = {}) => ({
+  callId,
+  hub: 'bills-iphone',
+  version: 1,
+  participants: [{ deviceId: 'bills-iphone', socketId: 'socket-a' }],
+  invited: ['family-caller'],
+  ...changes
+});
+
+// The suite every store must pass. getStore returns a fresh, initialised store for each test.
+function presenceStoreContract(getStore) {
+  describe('connections', () => {
+    it('stores and returns a copy of the connection', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+
+      const connection = await store.getConnection('socket-a');
+      assert.equal(connection.socketId, 'socket-a');
+      assert.equal(connection.platform, 'test');
+
+      connection.platform = 'changed';
+      assert.equal((await store.getConnection('socket-a')).platform, 'test');
+    });
+
+    it('returns null for an unknown socket', async () => {
+      const store = getStore();
+      assert.equal(await store.getConnection('nope'), null);
+      assert.equal(await store.removeConnection('nope'), null);
+    });
+
+    it('merges updates into the stored connection', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.updateConnection('socket-a', { lastPing: 42 });
+
+      const connection = await store.getConnection('socket-a');
+      assert.equal(connection.lastPing, 42);
+      assert.equal(connection.platform, 'test');
+    });
+
+    it('lists and counts connections', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.addConnection(makeConnection('socket-b'));
+
+      assert.equal(await store.countConnections(), 2);
+      const socketIds = (await store.listConnections()).map(connection => connection.socketId).sort();
+      assert.deepEqual(socketIds, ['socket-a', 'socket-b']);
+    });
+
+    it('removes the connection and returns it', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+
+      const removed = await store.removeConnection('socket-a');
+      assert.equal(removed.socketId, 'socket-a');
+      assert.equal(await store.getConnection('socket-a'), null);
+      assert.equal(await store.countConnections(), 0);
+    });
+  });
+
+  describe('device claims', () => {
+    it('points the device ID at the socket', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+
+      assert.equal(await store.claimDevice('bills-iphone', 'socket-a'), null);
+      assert.equal(await store.getDeviceSocketId('bills-iphone'), 'socket-a');
+      const connection = await store.getConnection('socket-a');
+      assert.equal(connection.customId, 'bills-iphone');
+      assert.ok(connection.registeredAt);
+    });
+
+    it('returns nothing when the socket claims its own device ID again', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.claimDevice('bills-iphone', 'socket-a');
+
+      assert.equal(await store.claimDevice('bills-iphone', 'socket-a'), null);
+    });
+
+    it('returns the socket that held the device ID before', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.addConnection(makeConnection('socket-b'));
+      await store.claimDevice('bills-iphone', 'socket-a');
+
+      assert.equal(await store.claimDevice('bills-iphone', 'socket-b'), 'socket-a');
+      assert.equal(await store.getDeviceSocketId('bills-iphone'), 'socket-b');
+    });
+
+    it('releases the other device ID the socket held', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.claimDevice('family-caller', 'socket-a');
+      await store.claimDevice('bills-iphone', 'socket-a');
+
+      assert.equal(await store.getDeviceSocketId('family-caller'), null);
+      assert.equal(await store.getDeviceSocketId('bills-iphone'), 'socket-a');
+    });
+
+    it('releases the device ID when the connection is removed', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.claimDevice('bills-iphone', 'socket-a');
+
+      const removed = await store.removeConnection('socket-a');
+      assert.equal(removed.customId, 'bills-iphone');
+      assert.equal(await store.getDeviceSocketId('bills-iphone'), null);
+    });
+
+    it('keeps the device ID when a replaced socket disconnects', async () => {
+      const store = getStore();
+      await store.addConnection(makeConnection('socket-a'));
+      await store.addConnection(makeConnection('socket-b'));
+      await store.claimDevice('bills-iphone', 'socket-a');
+      await store.claimDevice('bills-iphone', 'socket-b');
+
+      await store.removeConnection('socket-a');
+      assert.equal(await store.getDeviceSocketId('bills-iphone'), 'socket-b');
+    });
+  });
+
+  describe('connection attempts', () => {
+    it('counts attempts per client within the window', async () => {
+      const store = getStore();
+      assert.equal(await store.recordConnectionAttempt('1.2.3.4', 60000), 1);
+      assert.equal(await store.recordConnectionAttempt('1.2.3.4', 60000), 2);
+      assert.equal(await store.recordConnectionAttempt('5.6.7.8', 60000), 1);
+    });
+
+    it('starts counting again once the window has passed', async () => {
+      const store = getStore();
+      await store.recordConnectionAttempt('1.2.3.4', 50);
+      await store.recordConnectionAttempt('1.2.3.4', 50);
+      await wait(120);
+      assert.equal(await store.recordConnectionAttempt('1.2.3.4', 50), 1);
+    });
+  });
+
+  describe('call sessions', () => {
+    it('stores and returns a copy of the session', async () => {
+      const store = getStore();
+      await store.saveCallSession(makeSession('call-1'));
+
+      const session = await store.getCallSession('call-1');
+      assert.equal(session.caller, 'family-caller');
+      session.state = 'connected';
+      assert.equal((await store.getCallSession('call-1')).state, 'ringing');
+      assert.equal(await store.getCallSession('call-2'), null);
+    });
+
+    it('only updates a session that is still in the expected state', async () => {
+      const store = getStore();
+      await store.saveCallSession(makeSession('call-1'));
+
+      assert.equal(await store.updateCallSession(makeSession('call-1', { state: 'connected' }), 'ringing'), true);
+      assert.equal(await store.updateCallSession(makeSession('call-1', { state: 'missed' }), 'ringing'), false);
+      assert.equal((await store.getCallSession('call-1')).state, 'connected');
+      assert.equal(await store.updateCallSession(makeSession('call-2', { state: 'connected' }), 'ringing'), false);
+    });
+
+    it('only updates the recording if it is still the one read', async () => {
+      const store = getStore();
+      await store.saveCallSession(makeSession('call-1', { state: 'connected' }));
+      const requested = { state: 'requested', requestedBy: 'family-caller', requestedAt: '2026-10-19T17:00:00.000Z' };
+      const withRecording = (recording) => makeSession('call-1', { state: 'connected', recording });
+
+      assert.equal(await store.updateCallSessionRecording(withRecording(requested), 'connected', null), true);
+      // A second request, made before the first was seen
+      assert.equal(await store.updateCallSessionRecording(withRecording({ ...requested, requestedAt: '2026-10-19T17:00:01.000Z' }), 'connected', null), false);
+      // Withdrawn, then a consent to the withdrawn request
+      assert.equal(await store.updateCallSessionRecording(withRecording(null), 'connected', requested.requestedAt), true);
+      assert.equal(await store.updateCallSessionRecording(withRecording({ ...requested, state: 'active' }), 'connected', requested.requestedAt), false);
+      assert.equal((await store.getCallSession('call-1')).recording, null);
+      assert.equal(await store.updateCallSessionRecording(withRecording(requested), 'ringing', null), false);
+    });
+
+    it('only deletes a session that is still in the expected state', async () => {
+      const store = getStore();
+      await store.saveCallSession(makeSession('call-1'));
+
+      assert.equal(await store.deleteCallSession('call-1', 'connected'), false);
+      assert.ok(await store.getCallSession('call-1'));
+      assert.equal(await store.deleteCallSession('call-1', 'ringing'), true);
+      assert.equal(await store.getCallSession('call-1'), null);
+    });
+
+    it('lists and counts sessions', async () => {
+      const store = getStore();
+      await store.saveCallSession(makeSession('call-1'));
+      await store.saveCallSession(makeSession('call-2'));
+
+      assert.equal(await store.countCallSessions(), 2);
+      const callIds = (await store.listCallSessions()).map(session => session.callId).sort();
+      assert.deepEqual(callIds, ['call-1', 'call-2']);
+    });
+  });
+
+  describe('call rooms', () => {
+    it('stores and returns a deep copy of the room', async () => {
+      const store = getStore();
+      await store.saveCallRoom(makeRoom('room-1'));
+
+      const room = await store.getCallRoom('room-1');
+      assert.equal(room.hub, 'bills-iphone');
+      room.participants.push({ deviceId: 'family-caller', socketId: 'socket-b' });
+      assert.equal((await store.getCallRoom('room-1')).participants.length, 1);
+      assert.equal(await store.getCallRoom('room-2'), null);
+    });
+
+    it('only updates a room that is still at the expected version', async () => {
+      const store = getStore();
+      await store.saveCallRoom(makeRoom('room-1'));
+      const joined = makeRoom('room-1', {
+        version: 2,
+        participants: [{ deviceId: 'bills-iphone', socketId: 'socket-a' }, { deviceId: 'family-caller', socketId: 'socket-b' }]
+      });
+
+      assert.equal(await store.updateCallRoom(joined, 1), true);
+      assert.equal(await store.updateCallRoom(makeRoom('room-1', { version: 2 }), 1), false);
+      const room = await store.getCallRoom('room-1');
+      assert.equal(room.version, 2);
+      assert.equal(room.participants.length, 2);
+    });
+
+    it('only deletes a room that is still at the expected version', async () => {
+      const store = getStore();
+      await store.saveCallRoom(makeRoom('room-1'));
+
+      assert.equal(await store.deleteCallRoom('room-1', 2), false);
+      assert.equal(await store.deleteCallRoom('room-1', 1), true);
+      assert.equal(await store.getCallRoom('room-1'), null);
+    });
+
+    it('lists rooms', async () => {
+      const store = getStore();
+      await store.saveCallRoom(makeRoom('room-1'));
+      await store.saveCallRoom(makeRoom('room-2'));
+
+      const callIds = (await store.listCallRooms()).map(room => room.callId).sort();
+      assert.deepEqual(callIds, ['room-1', 'room-2']);
+    });
+  });
+}
+
+describe('memory presence store', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryPresenceStore();
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  presenceStoreContract(() => store);
+});
+
+describe('postgres presence store', { skip: !process.env.POSTGRES_HOST && 'POSTGRES_HOST is not set' }, () => {
+  const schema = 'presence_test_' + crypto.randomBytes(4).toString('hex');
+  let pool;
+  let store;
+
+  before(async () => {
+    const { Pool } = require('pg');
+    pool = new Pool({
+      host: process.env.POSTGRES_HOST,
+      port: process.env.POSTGRES_PORT || 5432,
+      database: process.env.POSTGRES_DB,
+      user: process.env.POSTGRES_USER,
+      password: process.env.POSTGRES_PASSWORD,
+      // Every connection works inside the test schema
+      options: `-c search_path=${schema}`
+    });
+    await pool.query(`CREATE SCHEMA ${schema};`);
+    for (const file of PRESENCE_MIGRATIONS) {
+      await pool.query(fs.readFileSync(path.join(__dirname, '..', 'migrations', file), 'utf8'));
+    }
+  });
+
+  after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE;`);
+    await pool.end();
+  });
+
+  beforeEach(async () => {
+    await pool.query(`TRUNCATE ${PRESENCE_TABLES.join(', ')} CASCADE;`);
+    store = createPostgresPresenceStore(pool, { instanceId: 'test-instance', logger: silentLogger });
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  presenceStoreContract(() => store);
+});
@@ -0,0 +1,228 @@
+/**
+ * Request validation and error responses for the signaling server
+ * REST routes and socket events declare JSON schemas (checked with ajv) for what they accept,
+ * and every failure, whether a schema mismatch or a handler turning a request down, is
+ * answered with the same error envelope:
+ *
+ *   { code, message, fields: [{ field, message }], requestId }
+ *
+ * - code: stable and machine-readable (VALIDATION_FAILED, NOT_FOUND, DEVICE_REVOKED, ...)
+ * - message: for people, safe to show as-is
+ * - fields: the inputs that were rejected, by path (e.g. "availability[0].end"); empty otherwise
+ * - requestId: also sent as the X-Request-Id header and written to the server log
+ *
+ * Schemas check shape: types, required fields, enums, ranges and formats. Rules that need
+ * several fields at once or the database (overlapping ranges, unknown users) stay in the
+ * handlers, which report them through sendError with the same fields format.
+ */
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+
+// Code sent when a handler doesn't give a more specific one
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'AUTH_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'INTERNAL_ERROR',
+  503: 'UNAVAILABLE'
+};
+
+// Request IDs chosen by clients are kept only if they are safe to echo and log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar date written as YYYY-MM-DD
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Formats schemas can use, with the message shown when a value doesn't match
+const FORMATS = {
+  uuid: {
+    validate: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    message: 'Expected an ID like 123e4567-e89b-12d3-a456-426614174000'
+  },
+  date: { validate: isValidDate, message: 'Expected a date as YYYY-MM-DD' },
+  // Anything Date.parse reads, which covers ISO 8601 dates with or without a time
+  timestamp: { validate: value => !Number.isNaN(Date.parse(value)), message: 'Expected an ISO 8601 date' },
+  // An empty string is allowed so profile fields can clear their zone
+  'time-zone': {
+    validate: value => value === '' || isValidTimeZone(value),
+    message: 'Expected an IANA time zone such as America/New_York'
+  }
+};
+
+// strictRequired is off because "required on its own" is how the schemas say "one of these
+// fields" (anyOf) or "this field too, in that case" (if/then)
+const createAjv = options => {
+  const ajv = new Ajv({ allErrors: true, verbose: true, strict: true, strictRequired: false, allowUnionTypes: true, ...options });
+  for (const [name, { validate }] of Object.entries(FORMATS)) {
+    ajv.addFormat(name, validate);
+  }
+  return ajv;
+};
+
+// JSON bodies and socket payloads are taken as sent. Query strings and route parameters are
+// always text, so numbers and booleans there are converted, and missing values get the
+// schema's default.
+const payloadAjv = createAjv();
+const queryAjv = createAjv({ coerceTypes: true, useDefaults: true });
+
+// "/availability/0/end" -> "availability[0].end"
+function toFieldPath(instancePath, property) {
+  const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((path, segment) => (
+    /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+  ), '');
+}
+
+const describeType = type => [].concat(type).map(name => (
+  { integer: 'a whole number', number: 'a number', string: 'text', boolean: 'true or false', null: 'null', array: 'a list', object: 'an object' }[name] || name
+)).join(' or ');
+
+// A schema's description, when it has one, is the message for any value it rejects
+function describeSchemaError(error) {
+  if (error.keyword === 'required') {
+    const property = error.parentSchema.properties && error.parentSchema.properties[error.params.missingProperty];
+    return (property && property.description) || 'Required';
+  }
+  if (error.parentSchema && error.parentSchema.description) {
+    return error.parentSchema.description;
+  }
+  const { params } = error;
+  switch (error.keyword) {
+    case 'type': return `Expected ${describeType(params.type)}`;
+    case 'enum': return `Expected one of: ${params.allowedValues.join(', ')}`;
+    case 'const': return `Expected ${JSON.stringify(params.allowedValue)}`;
+    case 'format': return FORMATS[params.format] ? FORMATS[params.format].message : `Expected ${params.format}`;
+    case 'minimum': return `Must be at least ${params.limit}`;
+    case 'maximum': return `Must be at most ${params.limit}`;
+    case 'minLength': return params.limit === 1 ? 'Must not be empty' : `Must be at least ${params.limit} characters`;
+    case 'maxLength': return `At most ${params.limit} characters`;
+    case 'minItems': return `Must list at least ${params.limit}`;
+    case 'maxItems': return `Must list at most ${params.limit}`;
+    default: return error.message.charAt(0).toUpperCase() + error.message.slice(1);
+  }
+}
+
+// ajv errors as [{ field, message }], one per field. Errors that only summarize others
+// (a failed "then" or "anyOf") are left out when the underlying ones are reported.
+function describeSchemaErrors(errors, rootField) {
+  const summaries = ['if', 'anyOf', 'oneOf', 'propertyNames'];
+  const specific = errors.filter(error => !summaries.includes(error.keyword));
+  const fields = [];
+  for (const error of specific.length ? specific : errors) {
+    const field = toFieldPath(
+      error.instancePath,
+      error.keyword === 'required' ? error.params.missingProperty : error.propertyName
+    ) || rootField;
+    if (fields.some(existing => existing.field === field)) continue;
+    fields.push({ field, message: describeSchemaError(error) });
+  }
+  return fields;
+}
+
+/**
+ * Builds the error envelope sent for failed requests and socket events
+ * @returns {{ code: string, message: string, fields: Array, requestId: string|null }}
+ */
+function createErrorEnvelope({ code, message, fields = [], requestId = null }) {
+  return { code, message, fields, requestId };
+}
+
+/**
+ * Express middleware: gives every request an ID (the client's X-Request-Id if it sent a
+ * usable one) as req.id, and echoes it in the X-Request-Id response header
+ */
+function assignRequestId(req, res, next) {
+  const requested = req.get('X-Request-Id');
+  req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Sends the error envelope with the given status
+ * @param {Object} options - { code (defaults by status), fields }
+ */
+function sendError(res, status, message, { code, fields } = {}) {
+  return res.status(status).json(createErrorEnvelope({
+    code: code || ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]),
+    message,
+    fields,
+    requestId: res.req.id || null
+  }));
+}
+
+/**
+ * Express middleware that checks req.body, req.query and req.params against JSON schemas
+ * before the handler runs, and answers 400 VALIDATION_FAILED with every problem found
+ * @param {Object} schemas - { body, query, params }, each optional
+ * @param {Object} options - { message } for the envelope (default "Invalid request")
+ */
+function validateRequest(schemas, { message = 'Invalid request' } = {}) {
+  const validators = Object.entries(schemas).map(([location, schema]) => ({
+    location,
+    validate: (location === 'body' ? payloadAjv : queryAjv).compile(schema)
+  }));
+
+  return (req, res, next) => {
+    const fields = [];
+    for (const { location, validate } of validators) {
+      if (!validate(req[location])) {
+        fields.push(...describeSchemaErrors(validate.errors, location));
+      }
+    }
+    if (fields.length) {
+      return sendError(res, 400, message, { code: 'VALIDATION_FAILED', fields });
+    }
+    next();
+  };
+}
+
+/**
+ * Compiles a socket event payload schema
+ * @returns {Function} (payload) => [{ field, message }] for an invalid payload, or null
+ */
+function compilePayloadSchema(schema) {
+  const validate = payloadAjv.compile(schema);
+  return payload => (validate(payload) ? null : describeSchemaErrors(validate.errors, 'payload'));
+}
+
+// ID for a socket event: the client's payload.requestId if usable, otherwise a new one
+const getPayloadRequestId = payload => (
+  payload && typeof payload.requestId === 'string' && REQUEST_ID_PATTERN.test(payload.requestId)
+    ? payload.requestId
+    : crypto.randomUUID()
+);
+
+module.exports = {
+  ERROR_CODES,
+  isValidDate,
+  isValidTimeZone,
+  createErrorEnvelope,
+  assignRequestId,
+  sendError,
+  validateRequest,
+  compilePayloadSchema,
+  getPayloadRequestId
+};
@@ -19633,9 +19633,9 @@
     }
   });
 
-  // node_modules/prop-types/node_modules/react-is/cjs/react-is.development.js
+  // node_modules/react-is/cjs/react-is.development.js
   var require_react_is_development = __commonJS({
-    "node_modules/prop-types/node_modules/react-is/cjs/react-is.development.js"(exports) {
+    "node_modules/react-is/cjs/react-is.development.js"(exports) {
       "use strict";
       if (true) {
         (function() {
@@ -19788,9 +19788,9 @@
     }
   });
 
-  // node_modules/prop-types/node_modules/react-is/index.js
+  // node_modules/react-is/index.js
   var require_react_is = __commonJS({
-    "node_modules/prop-types/node_modules/react-is/index.js"(exports, module) {
+    "node_modules/react-is/index.js"(exports, module) {
       "use strict";
       if (false) {
         module.exports = null;
@@ -32139,7 +32139,7 @@
   var import_findIndex = __toESM(require_findIndex());
   var import_range = __toESM(require_range());
 
-  // node_modules/react-big-calendar/node_modules/memoize-one/dist/memoize-one.esm.js
+  // node_modules/memoize-one/dist/memoize-one.esm.js
   var safeIsNaN = Number.isNaN || function ponyfill(value) {
     return typeof value === "number" && value !== value;
   };
@@ -39028,6 +39028,23 @@
   // web-tester/main.jsx
   var localizer = moment(import_moment.default);
   var API_BASE = "https://api.justinmolds.com";
+  var BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  var TIME_ZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [BROWSER_TIME_ZONE];
+  var SESSION_STORAGE_KEY = "billPhoneSession";
+  function loadSession() {
+    try {
+      const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+      return session && new Date(session.expiresAt) > /* @__PURE__ */ new Date() ? session : null;
+    } catch (err) {
+      return null;
+    }
+  }
+  function describeApiError(err) {
+    const data = err.response?.data;
+    if (!data?.message) return err.message || "Unknown error";
+    const fieldErrors = (data.fields || []).map((f) => `${f.field}: ${f.message}`).join("; ");
+    return `${data.message}${fieldErrors ? ` (${fieldErrors})` : ""}${data.requestId ? ` [request ${data.requestId}]` : ""}`;
+  }
   function getCroppedImg(imageSrc, croppedAreaPixels) {
     return new Promise((resolve, reject) => {
       const image = new window.Image();
@@ -39053,15 +39070,16 @@
       image.onerror = reject;
     });
   }
-  function ProfileImage({ userId, userName, style: style2 = {} }) {
+  function ProfileImage({ userId, userName, version, style: style2 = {} }) {
     const [imageError, setImageError] = (0, import_react14.useState)(false);
     const [imageUrl, setImageUrl] = (0, import_react14.useState)("");
     (0, import_react14.useEffect)(() => {
       if (userId) {
-        setImageUrl(`${API_BASE}/family-users/${userId}/picture?t=${Date.now()}`);
+        const v = version ? `&v=${new Date(version).getTime()}` : "";
+        setImageUrl(`${API_BASE}/family-users/${userId}/picture?size=thumb${v}`);
         setImageError(false);
       }
-    }, [userId]);
+    }, [userId, version]);
     const handleImageError = () => {
       console.warn(`Failed to load image for user ${userName} (${userId})`);
       setImageError(true);
@@ -39099,18 +39117,453 @@
       }
     );
   }
-  function App() {
+  var DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  var SLOT_MINUTES = 15;
+  var SLOTS_PER_DAY = 24 * 60 / SLOT_MINUTES;
+  var toClock = (minutes2) => `${String(Math.floor(minutes2 / 60)).padStart(2, "0")}:${String(minutes2 % 60).padStart(2, "0")}`;
+  var fromClock = (clock) => {
+    const [hours2, minutes2] = clock.split(":").map(Number);
+    return hours2 * 60 + minutes2;
+  };
+  var formatClock12 = (clock) => {
+    const minutes2 = fromClock(clock) % (24 * 60);
+    const hours2 = Math.floor(minutes2 / 60);
+    return `${hours2 % 12 || 12}:${String(minutes2 % 60).padStart(2, "0")}${hours2 < 12 ? "am" : "pm"}`;
+  };
+  var describeRanges = (ranges) => Array.isArray(ranges) && ranges.length ? ranges.map((range2) => `${range2.day} ${formatClock12(range2.start)}\u2013${formatClock12(range2.end)}`).join(" | ") : null;
+  function rangesToSlots(ranges) {
+    const slots = Object.fromEntries(DAYS.map((day2) => [day2, /* @__PURE__ */ new Set()]));
+    (Array.isArray(ranges) ? ranges : []).forEach((range2) => {
+      if (!slots[range2.day]) return;
+      for (let slot = Math.ceil(fromClock(range2.start) / SLOT_MINUTES); (slot + 1) * SLOT_MINUTES <= fromClock(range2.end); slot++) {
+        slots[range2.day].add(slot);
+      }
+    });
+    return slots;
+  }
+  function slotsToRanges(slots) {
+    const ranges = [];
+    DAYS.forEach((day2) => {
+      let start2 = null;
+      for (let slot = 0; slot <= SLOTS_PER_DAY; slot++) {
+        const selected = slot < SLOTS_PER_DAY && slots[day2].has(slot);
+        if (selected && start2 === null) start2 = slot;
+        if (!selected && start2 !== null) {
+          ranges.push({ day: day2, start: toClock(start2 * SLOT_MINUTES), end: toClock(slot * SLOT_MINUTES) });
+          start2 = null;
+        }
+      }
+    });
+    return ranges;
+  }
+  function AvailabilityEditor({ value, onChange }) {
+    const slots = rangesToSlots(value);
+    const [drag, setDrag] = (0, import_react14.useState)(null);
+    const inDrag = (dayIndex, slot) => drag && dayIndex >= Math.min(drag.fromDay, drag.toDay) && dayIndex <= Math.max(drag.fromDay, drag.toDay) && slot >= Math.min(drag.fromSlot, drag.toSlot) && slot <= Math.max(drag.fromSlot, drag.toSlot);
+    (0, import_react14.useEffect)(() => {
+      if (!drag) return void 0;
+      const finish = () => {
+        const next = Object.fromEntries(DAYS.map((day2) => [day2, new Set(slots[day2])]));
+        DAYS.forEach((day2, dayIndex) => {
+          for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+            if (!inDrag(dayIndex, slot)) continue;
+            if (drag.select) next[day2].add(slot);
+            else next[day2].delete(slot);
+          }
+        });
+        setDrag(null);
+        onChange(slotsToRanges(next));
+      };
+      window.addEventListener("mouseup", finish);
+      return () => window.removeEventListener("mouseup", finish);
+    });
+    return /* @__PURE__ */ import_react14.default.createElement("div", { style: { overflow: "auto", maxHeight: 420, marginTop: 8, userSelect: "none", border: "1px solid #ddd", borderRadius: 8 } }, /* @__PURE__ */ import_react14.default.createElement("table", { style: { borderCollapse: "collapse", background: "#f9f9f9", width: "100%", minWidth: 600 } }, /* @__PURE__ */ import_react14.default.createElement("thead", null, /* @__PURE__ */ import_react14.default.createElement("tr", null, /* @__PURE__ */ import_react14.default.createElement("th", { style: { width: 60, position: "sticky", top: 0, background: "#f9f9f9" } }), DAYS.map((day2) => /* @__PURE__ */ import_react14.default.createElement("th", { key: day2, style: { padding: "4px 8px", position: "sticky", top: 0, background: "#f9f9f9" } }, day2)))), /* @__PURE__ */ import_react14.default.createElement("tbody", null, Array.from({ length: SLOTS_PER_DAY }, (_, slot) => /* @__PURE__ */ import_react14.default.createElement("tr", { key: slot }, /* @__PURE__ */ import_react14.default.createElement("td", { style: { padding: "0 6px", fontSize: 11, textAlign: "right", lineHeight: "8px", verticalAlign: "top" } }, slot % 4 === 0 ? formatClock12(toClock(slot * SLOT_MINUTES)) : ""), DAYS.map((day2, dayIndex) => {
+      const selected = inDrag(dayIndex, slot) ? drag.select : slots[day2].has(slot);
+      return /* @__PURE__ */ import_react14.default.createElement(
+        "td",
+        {
+          key: day2,
+          onMouseDown: (e) => {
+            e.preventDefault();
+            setDrag({ select: !slots[day2].has(slot), fromDay: dayIndex, fromSlot: slot, toDay: dayIndex, toSlot: slot });
+          },
+          onMouseEnter: () => drag && setDrag({ ...drag, toDay: dayIndex, toSlot: slot }),
+          title: `${day2} ${formatClock12(toClock(slot * SLOT_MINUTES))}`,
+          style: {
+            height: 8,
+            padding: 0,
+            cursor: "pointer",
+            background: selected ? "#4caf50" : "#fff",
+            borderLeft: "1px solid #ddd",
+            borderTop: slot % 4 === 0 ? "1px solid #ccc" : "1px dotted #eee"
+          }
+        }
+      );
+    }))))));
+  }
+  function AvailabilityExceptions({ userId }) {
+    const emptyForm = { kind: "unavailable", startDate: "", endDate: "", start: "", end: "", note: "" };
+    const [exceptions, setExceptions] = (0, import_react14.useState)([]);
+    const [form, setForm] = (0, import_react14.useState)(emptyForm);
+    const [error, setError] = (0, import_react14.useState)("");
+    const fetchExceptions = (0, import_react14.useCallback)(async () => {
+      try {
+        const res = await axios_default.get(`${API_BASE}/family-users/${userId}/exceptions`);
+        setExceptions(res.data);
+      } catch (err) {
+        console.error("Failed to fetch exceptions:", err);
+        setError(`Failed to fetch exceptions: ${describeApiError(err)}`);
+      }
+    }, [userId]);
+    (0, import_react14.useEffect)(() => {
+      fetchExceptions();
+    }, [fetchExceptions]);
+    async function handleAdd() {
+      setError("");
+      try {
+        await axios_default.post(`${API_BASE}/family-users/${userId}/exceptions`, {
+          ...form,
+          endDate: form.endDate || form.startDate
+        });
+        setForm(emptyForm);
+        fetchExceptions();
+      } catch (err) {
+        console.error("Failed to add exception:", err);
+        setError(`Failed to add exception: ${describeApiError(err)}`);
+      }
+    }
+    async function handleDelete(exception) {
+      setError("");
+      try {
+        await axios_default.delete(`${API_BASE}/family-users/${userId}/exceptions/${exception.id}`);
+        fetchExceptions();
+      } catch (err) {
+        console.error("Failed to delete exception:", err);
+        setError(`Failed to delete exception: ${describeApiError(err)}`);
+      }
+    }
+    const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+    return /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 24, padding: 12, border: "1px solid #ddd", borderRadius: 8, background: "#fafafa" } }, /* @__PURE__ */ import_react14.default.createElement("h4", { style: { marginTop: 0 } }, "Date Exceptions"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", fontSize: 13 } }, /* @__PURE__ */ import_react14.default.createElement("select", { value: form.kind, onChange: update("kind") }, /* @__PURE__ */ import_react14.default.createElement("option", { value: "unavailable" }, "Unavailable"), /* @__PURE__ */ import_react14.default.createElement("option", { value: "available" }, "Extra time")), /* @__PURE__ */ import_react14.default.createElement("label", null, "From ", /* @__PURE__ */ import_react14.default.createElement("input", { type: "date", value: form.startDate, onChange: update("startDate") })), /* @__PURE__ */ import_react14.default.createElement("label", null, "To ", /* @__PURE__ */ import_react14.default.createElement("input", { type: "date", value: form.endDate, min: form.startDate, onChange: update("endDate") })), /* @__PURE__ */ import_react14.default.createElement("label", null, "Between ", /* @__PURE__ */ import_react14.default.createElement("input", { type: "time", step: 900, value: form.start, onChange: update("start") })), /* @__PURE__ */ import_react14.default.createElement("label", null, "and ", /* @__PURE__ */ import_react14.default.createElement("input", { type: "time", step: 900, value: form.end, onChange: update("end") })), /* @__PURE__ */ import_react14.default.createElement("input", { type: "text", placeholder: "Note", value: form.note, onChange: update("note") }), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: handleAdd,
+        disabled: !form.startDate,
+        style: { padding: "4px 12px", background: "#1976d2", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Add"
+    )), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666", marginTop: 4 } }, "Leave the times empty to cover whole days."), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: { color: "red", fontSize: 13, marginTop: 8 } }, error), /* @__PURE__ */ import_react14.default.createElement("ul", { style: { fontSize: 13, paddingLeft: 20 } }, exceptions.map((exception) => /* @__PURE__ */ import_react14.default.createElement("li", { key: exception.id, style: { marginBottom: 4 } }, /* @__PURE__ */ import_react14.default.createElement("strong", null, exception.kind === "available" ? "Extra time" : "Unavailable"), " ", exception.startDate, exception.endDate !== exception.startDate ? ` to ${exception.endDate}` : "", exception.start ? `, ${formatClock12(exception.start)}\u2013${formatClock12(exception.end)}` : ", all day", exception.note ? ` (${exception.note})` : "", /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handleDelete(exception),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#d32f2f", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Delete"
+    ))), exceptions.length === 0 && /* @__PURE__ */ import_react14.default.createElement("li", { style: { color: "#888" } }, "No exceptions")));
+  }
+  var VIDEO_MESSAGE_MAX_SECONDS = 60;
+  var VIDEO_MESSAGE_EXPIRY_CHOICES = [
+    { label: "1 day", hours: 24 },
+    { label: "3 days", hours: 72 },
+    { label: "1 week", hours: 168 }
+  ];
+  var RECORDER_TYPES = ["video/mp4", "video/webm;codecs=vp8,opus", "video/webm"];
+  function VideoMessages({ account, users }) {
+    const isAdmin = account.role === "admin";
+    const [messages2, setMessages] = (0, import_react14.useState)([]);
+    const [senderId, setSenderId] = (0, import_react14.useState)(account.familyUserId || "");
+    const [expiresInHours, setExpiresInHours] = (0, import_react14.useState)(72);
+    const [recording, setRecording] = (0, import_react14.useState)(null);
+    const [isRecording, setIsRecording] = (0, import_react14.useState)(false);
+    const [playing, setPlaying] = (0, import_react14.useState)(null);
+    const [error, setError] = (0, import_react14.useState)("");
+    const [sending, setSending] = (0, import_react14.useState)(false);
+    const recorderRef = (0, import_react14.useRef)(null);
+    const previewRef = (0, import_react14.useRef)(null);
+    const fetchMessages = (0, import_react14.useCallback)(async () => {
+      try {
+        const res = await axios_default.get(`${API_BASE}/messages`);
+        setMessages(res.data.messages);
+      } catch (err) {
+        console.error("Failed to fetch messages:", err);
+        setError(`Failed to fetch messages: ${describeApiError(err)}`);
+      }
+    }, []);
+    (0, import_react14.useEffect)(() => {
+      fetchMessages();
+    }, [fetchMessages]);
+    (0, import_react14.useEffect)(() => () => {
+      if (recorderRef.current) recorderRef.current.stream.getTracks().forEach((track) => track.stop());
+    }, []);
+    async function startRecording() {
+      setError("");
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+        const mimeType = RECORDER_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : void 0);
+        const chunks = [];
+        const startedAt = Date.now();
+        recorder.ondataavailable = (e) => {
+          if (e.data.size) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+          clearTimeout(recorder.limitTimer);
+          stream.getTracks().forEach((track) => track.stop());
+          recorderRef.current = null;
+          setIsRecording(false);
+          const blob = new Blob(chunks, { type: (recorder.mimeType || "video/webm").split(";")[0] });
+          setRecording({ blob, url: URL.createObjectURL(blob), seconds: Math.round((Date.now() - startedAt) / 1e3) });
+        };
+        recorder.limitTimer = setTimeout(() => recorder.stop(), VIDEO_MESSAGE_MAX_SECONDS * 1e3);
+        recorderRef.current = recorder;
+        if (previewRef.current) previewRef.current.srcObject = stream;
+        recorder.start();
+        setIsRecording(true);
+      } catch (err) {
+        console.error("Failed to start recording:", err);
+        setError(`Could not use the camera: ${err.message}`);
+      }
+    }
+    function discardRecording() {
+      if (recording) URL.revokeObjectURL(recording.url);
+      setRecording(null);
+    }
+    async function handleSend() {
+      setError("");
+      setSending(true);
+      try {
+        const form = new FormData();
+        form.append("video", recording.blob, recording.blob.type === "video/mp4" ? "message.mp4" : "message.webm");
+        const params = { expiresInHours, durationSeconds: Math.min(recording.seconds, VIDEO_MESSAGE_MAX_SECONDS) };
+        if (isAdmin) params.familyUserId = senderId;
+        await axios_default.post(`${API_BASE}/messages`, form, { params });
+        discardRecording();
+        fetchMessages();
+      } catch (err) {
+        console.error("Failed to send message:", err);
+        setError(`Failed to send message: ${describeApiError(err)}`);
+      }
+      setSending(false);
+    }
+    async function handlePlay(message) {
+      setError("");
+      try {
+        const res = await axios_default.get(`${API_BASE}${message.mediaUrl}`, { responseType: "blob" });
+        if (playing) URL.revokeObjectURL(playing.url);
+        setPlaying({ id: message.id, url: URL.createObjectURL(res.data) });
+      } catch (err) {
+        console.error("Failed to load message:", err);
+        setError(`Failed to load message: ${describeApiError(err)}`);
+      }
+    }
+    async function handleDelete(message) {
+      if (!window.confirm("Delete this message? Bill will no longer be able to watch it.")) return;
+      setError("");
+      try {
+        await axios_default.delete(`${API_BASE}/messages/${message.id}`);
+        fetchMessages();
+      } catch (err) {
+        console.error("Failed to delete message:", err);
+        setError(`Failed to delete message: ${describeApiError(err)}`);
+      }
+    }
+    const canSend = isAdmin ? Boolean(senderId) : Boolean(account.familyUserId);
+    return /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 24, padding: 12, border: "1px solid #ddd", borderRadius: 8, background: "#fafafa" } }, /* @__PURE__ */ import_react14.default.createElement("h4", { style: { marginTop: 0 } }, "Video Messages for Bill"), !isAdmin && !account.familyUserId && /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 13, color: "#888" } }, "Your account isn't linked to a family member yet, so you can't send messages."), (isAdmin || account.familyUserId) && /* @__PURE__ */ import_react14.default.createElement("div", { style: { display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", fontSize: 13 } }, isAdmin && /* @__PURE__ */ import_react14.default.createElement("label", null, "From", " ", /* @__PURE__ */ import_react14.default.createElement("select", { value: senderId, onChange: (e) => setSenderId(e.target.value) }, /* @__PURE__ */ import_react14.default.createElement("option", { value: "" }, "Choose a family member"), users.map((user) => /* @__PURE__ */ import_react14.default.createElement("option", { key: user.id, value: user.id }, user.name)))), /* @__PURE__ */ import_react14.default.createElement("label", null, "Keep for", " ", /* @__PURE__ */ import_react14.default.createElement("select", { value: expiresInHours, onChange: (e) => setExpiresInHours(Number(e.target.value)) }, VIDEO_MESSAGE_EXPIRY_CHOICES.map((choice) => /* @__PURE__ */ import_react14.default.createElement("option", { key: choice.hours, value: choice.hours }, choice.label)))), isRecording ? /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => recorderRef.current.stop(),
+        style: { padding: "4px 12px", background: "#d32f2f", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Stop"
+    ) : !recording && /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: startRecording,
+        disabled: !canSend,
+        style: { padding: "4px 12px", background: "#1976d2", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Record"
+    ), recording && /* @__PURE__ */ import_react14.default.createElement(import_react14.default.Fragment, null, /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: handleSend,
+        disabled: !canSend || sending,
+        style: { padding: "4px 12px", background: "#388e3c", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      sending ? "Sending..." : "Send to Bill"
+    ), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: discardRecording,
+        disabled: sending,
+        style: { padding: "4px 12px", background: "#757575", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Discard"
+    ))), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666", marginTop: 4 } }, "Up to ", VIDEO_MESSAGE_MAX_SECONDS, " seconds. Bill sees it on your photo on his phone, at any hour."), /* @__PURE__ */ import_react14.default.createElement("video", { ref: previewRef, autoPlay: true, muted: true, playsInline: true, style: { display: isRecording ? "block" : "none", width: 320, marginTop: 8, borderRadius: 4, background: "#000" } }), recording && /* @__PURE__ */ import_react14.default.createElement("video", { src: recording.url, controls: true, playsInline: true, style: { width: 320, marginTop: 8, borderRadius: 4, background: "#000" } }), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: { color: "red", fontSize: 13, marginTop: 8 } }, error), /* @__PURE__ */ import_react14.default.createElement("ul", { style: { fontSize: 13, paddingLeft: 20 } }, messages2.map((message) => /* @__PURE__ */ import_react14.default.createElement("li", { key: message.id, style: { marginBottom: 4 } }, isAdmin && /* @__PURE__ */ import_react14.default.createElement("strong", null, message.familyUser.name, ": "), "Sent ", new Date(message.createdAt).toLocaleString(), message.durationSeconds !== null ? ` (${message.durationSeconds}s)` : "", " \u2013", " ", message.firstWatchedAt ? /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#388e3c" } }, "Seen by Bill ", new Date(message.firstWatchedAt).toLocaleString()) : /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#f57c00" } }, "Waiting for Bill"), /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#888" } }, " \xB7 deleted ", new Date(message.expiresAt).toLocaleString()), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handlePlay(message),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#1976d2", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Play"
+    ), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handleDelete(message),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#d32f2f", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Delete"
+    ), playing && playing.id === message.id && /* @__PURE__ */ import_react14.default.createElement("div", null, /* @__PURE__ */ import_react14.default.createElement("video", { src: playing.url, controls: true, autoPlay: true, playsInline: true, style: { width: 320, marginTop: 4, borderRadius: 4, background: "#000" } })))), messages2.length === 0 && /* @__PURE__ */ import_react14.default.createElement("li", { style: { color: "#888" } }, "No messages waiting")));
+  }
+  function CallRecordings() {
+    const [recordings, setRecordings] = (0, import_react14.useState)([]);
+    const [retentionDays, setRetentionDays] = (0, import_react14.useState)(null);
+    const [playing, setPlaying] = (0, import_react14.useState)(null);
+    const [error, setError] = (0, import_react14.useState)("");
+    const fetchRecordings = (0, import_react14.useCallback)(async () => {
+      try {
+        const res = await axios_default.get(`${API_BASE}/recordings`);
+        setRecordings(res.data.recordings);
+        setRetentionDays(res.data.retentionDays);
+      } catch (err) {
+        console.error("Failed to fetch recordings:", err);
+        setError(`Failed to fetch recordings: ${describeApiError(err)}`);
+      }
+    }, []);
+    (0, import_react14.useEffect)(() => {
+      fetchRecordings();
+    }, [fetchRecordings]);
+    async function loadRecording(recording) {
+      const res = await axios_default.get(`${API_BASE}${recording.mediaUrl}`, { responseType: "blob" });
+      return URL.createObjectURL(res.data);
+    }
+    async function handlePlay(recording) {
+      setError("");
+      try {
+        const url = await loadRecording(recording);
+        if (playing) URL.revokeObjectURL(playing.url);
+        setPlaying({ id: recording.id, url });
+      } catch (err) {
+        console.error("Failed to load recording:", err);
+        setError(`Failed to load recording: ${describeApiError(err)}`);
+      }
+    }
+    async function handleDownload(recording) {
+      setError("");
+      try {
+        const url = await loadRecording(recording);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `call-${recording.callId}.${(recording.contentType || "video/webm").split("/")[1]}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (err) {
+        console.error("Failed to download recording:", err);
+        setError(`Failed to download recording: ${describeApiError(err)}`);
+      }
+    }
+    async function handleDelete(recording) {
+      if (!window.confirm("Delete this recording for good?")) return;
+      setError("");
+      try {
+        await axios_default.delete(`${API_BASE}/recordings/${recording.id}`);
+        fetchRecordings();
+      } catch (err) {
+        console.error("Failed to delete recording:", err);
+        setError(`Failed to delete recording: ${describeApiError(err)}`);
+      }
+    }
+    return /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 24, padding: 12, border: "1px solid #ddd", borderRadius: 8, background: "#fafafa" } }, /* @__PURE__ */ import_react14.default.createElement("h4", { style: { marginTop: 0 } }, "Call Recordings"), retentionDays !== null && /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666" } }, "Recordings are deleted ", retentionDays, " days after the call."), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: { color: "red", fontSize: 13, marginTop: 8 } }, error), /* @__PURE__ */ import_react14.default.createElement("ul", { style: { fontSize: 13, paddingLeft: 20 } }, recordings.map((recording) => /* @__PURE__ */ import_react14.default.createElement("li", { key: recording.id, style: { marginBottom: 4 } }, /* @__PURE__ */ import_react14.default.createElement("strong", null, recording.caller, " \u2192 ", recording.callee), " ", new Date(recording.callStartedAt).toLocaleString(), recording.durationSeconds !== null ? ` (${recording.durationSeconds}s)` : "", " \u2013", " ", recording.status === "complete" ? /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#388e3c" } }, "Complete") : recording.status === "partial" ? /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#f57c00" } }, "Partial (upload never finished)") : /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#888" } }, "Uploading..."), /* @__PURE__ */ import_react14.default.createElement("span", { style: { color: "#888" } }, " \xB7 asked by ", recording.recordedBy, ", agreed by ", recording.consentedBy), recording.status !== "uploading" && /* @__PURE__ */ import_react14.default.createElement(import_react14.default.Fragment, null, /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handlePlay(recording),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#1976d2", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Play"
+    ), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handleDownload(recording),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#388e3c", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Download"
+    )), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "button",
+        onClick: () => handleDelete(recording),
+        style: { marginLeft: 8, padding: "2px 8px", fontSize: 12, background: "#d32f2f", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
+      },
+      "Delete"
+    ), playing && playing.id === recording.id && /* @__PURE__ */ import_react14.default.createElement("div", null, /* @__PURE__ */ import_react14.default.createElement("video", { src: playing.url, controls: true, autoPlay: true, playsInline: true, style: { width: 320, marginTop: 4, borderRadius: 4, background: "#000" } })))), recordings.length === 0 && /* @__PURE__ */ import_react14.default.createElement("li", { style: { color: "#888" } }, "No recordings")));
+  }
+  function LoginScreen({ onLogin }) {
+    const [username, setUsername] = (0, import_react14.useState)("");
+    const [password, setPassword] = (0, import_react14.useState)("");
+    const [error, setError] = (0, import_react14.useState)("");
+    const [loading, setLoading] = (0, import_react14.useState)(false);
+    async function handleLogin(e) {
+      e.preventDefault();
+      setLoading(true);
+      setError("");
+      try {
+        const res = await axios_default.post(`${API_BASE}/auth/login`, { username: username.trim(), password });
+        onLogin(res.data);
+      } catch (err) {
+        setError(describeApiError(err));
+        setLoading(false);
+      }
+    }
+    return /* @__PURE__ */ import_react14.default.createElement("div", { style: { maxWidth: 360, margin: "0 auto", color: "black", background: "white", padding: 20, borderRadius: 10 } }, /* @__PURE__ */ import_react14.default.createElement("h2", { style: { marginTop: 0 } }, "Sign In"), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: { color: "red", background: "#fee", padding: 10, borderRadius: 5, marginBottom: 16, border: "1px solid #fcc" } }, error), /* @__PURE__ */ import_react14.default.createElement("form", { onSubmit: handleLogin }, /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("label", { htmlFor: "login-username" }, "Username:"), /* @__PURE__ */ import_react14.default.createElement("br", null), /* @__PURE__ */ import_react14.default.createElement(
+      "input",
+      {
+        id: "login-username",
+        value: username,
+        onChange: (e) => setUsername(e.target.value),
+        required: true,
+        autoComplete: "username",
+        style: { padding: 8, fontSize: 16, width: "100%" }
+      }
+    )), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("label", { htmlFor: "login-password" }, "Password:"), /* @__PURE__ */ import_react14.default.createElement("br", null), /* @__PURE__ */ import_react14.default.createElement(
+      "input",
+      {
+        id: "login-password",
+        type: "password",
+        value: password,
+        onChange: (e) => setPassword(e.target.value),
+        required: true,
+        autoComplete: "current-password",
+        style: { padding: 8, fontSize: 16, width: "100%" }
+      }
+    )), /* @__PURE__ */ import_react14.default.createElement(
+      "button",
+      {
+        type: "submit",
+        disabled: loading,
+        style: { background: loading ? "#ccc" : "#1976d2", color: "white", border: "none", padding: "12px 24px", fontSize: 16, borderRadius: 4, cursor: loading ? "not-allowed" : "pointer" }
+      },
+      loading ? "Signing in..." : "Sign In"
+    )));
+  }
+  function App({ account }) {
+    const isAdmin = account.role === "admin";
+    const canEdit = (user) => isAdmin || user.id === account.familyUserId;
     const [name, setName] = (0, import_react14.useState)("");
     const [picture, setPicture] = (0, import_react14.useState)(null);
     const [pictureUrl, setPictureUrl] = (0, import_react14.useState)("");
     const [croppedImage, setCroppedImage] = (0, import_react14.useState)("");
-    const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-    const HOURS2 = Array.from({ length: 14 }, (_, i) => i + 9);
-    const [availability, setAvailability] = (0, import_react14.useState)(() => {
-      const obj = {};
-      DAYS.forEach((day2) => obj[day2] = []);
-      return obj;
-    });
+    const [availability, setAvailability] = (0, import_react14.useState)([]);
+    const [timezone, setTimezone] = (0, import_react14.useState)(BROWSER_TIME_ZONE);
+    const [deviceIds, setDeviceIds] = (0, import_react14.useState)("");
     const [crop, setCrop] = (0, import_react14.useState)({ x: 0, y: 0 });
     const [zoom, setZoom] = (0, import_react14.useState)(1);
     const [croppedAreaPixels, setCroppedAreaPixels] = (0, import_react14.useState)(null);
@@ -39129,7 +39582,7 @@
         console.log("Fetched users:", res.data);
       } catch (err) {
         console.error("Failed to fetch users:", err);
-        setError(`Failed to fetch users: ${err.response?.data?.error || err.message}`);
+        setError(`Failed to fetch users: ${describeApiError(err)}`);
       }
       setLoading(false);
     }, []);
@@ -39170,16 +39623,6 @@
       }
       setShowCropper(false);
     }, [pictureUrl, croppedAreaPixels]);
-    function toggleHour(day2, hour) {
-      setAvailability((avail) => {
-        const hours2 = avail[day2] || [];
-        if (hours2.includes(hour)) {
-          return { ...avail, [day2]: hours2.filter((h) => h !== hour) };
-        } else {
-          return { ...avail, [day2]: [...hours2, hour].sort((a, b) => a - b) };
-        }
-      });
-    }
     async function handleSubmit(e) {
       e.preventDefault();
       if (!name.trim()) {
@@ -39191,41 +39634,42 @@
       try {
         const payload = {
           name: name.trim(),
-          availability
+          availability,
+          timezone
         };
-        if (croppedImage) {
-          payload.picture_data = croppedImage;
-          console.log("Submitting with image data, length:", croppedImage.length);
-        }
-        console.log("Submitting payload:", {
-          ...payload,
-          picture_data: payload.picture_data ? `[base64 data, ${payload.picture_data.length} chars]` : "none"
-        });
+        console.log("Submitting payload:", payload);
         let resp;
         if (editUserId) {
           resp = await axios_default.patch(`${API_BASE}/family-users/${editUserId}`, payload);
           console.log("Profile updated:", resp.data);
-          alert(`Profile updated! Name: ${resp.data.name}`);
         } else {
           resp = await axios_default.post(`${API_BASE}/family-users`, payload);
           console.log("Profile created:", resp.data);
-          alert(`Profile saved! Name: ${resp.data.name}`);
         }
+        if (croppedImage) {
+          const form = new FormData();
+          form.append("picture", await (await fetch(croppedImage)).blob(), "profile.jpg");
+          await axios_default.put(`${API_BASE}/family-users/${resp.data.id}/picture`, form);
+          console.log("Picture uploaded");
+        }
+        if (isAdmin) {
+          await axios_default.put(`${API_BASE}/family-users/${resp.data.id}/devices`, {
+            deviceIds: deviceIds.split(",").map((id) => id.trim()).filter(Boolean)
+          });
+        }
+        alert(`Profile ${editUserId ? "updated" : "saved"}! Name: ${resp.data.name}`);
         setName("");
         setPicture(null);
         setPictureUrl("");
         setCroppedImage("");
-        setAvailability(() => {
-          const obj = {};
-          DAYS.forEach((day2) => obj[day2] = []);
-          return obj;
-        });
+        setAvailability([]);
+        setTimezone(BROWSER_TIME_ZONE);
+        setDeviceIds("");
         setEditUserId(null);
         fetchUsers();
       } catch (err) {
         console.error("Failed to save profile:", err);
-        const errorMessage = err.response?.data?.error || err.message || "Unknown error";
-        setError(`Failed to save profile: ${errorMessage}`);
+        setError(`Failed to save profile: ${describeApiError(err)}`);
       }
       setLoading(false);
     }
@@ -39234,11 +39678,9 @@
       setCroppedImage("");
       setPicture(null);
       setPictureUrl("");
-      setAvailability(user.availability || (() => {
-        const obj = {};
-        DAYS.forEach((day2) => obj[day2] = []);
-        return obj;
-      })());
+      setAvailability(Array.isArray(user.availability) ? user.availability : []);
+      setTimezone(user.timezone || "");
+      setDeviceIds((user.device_ids || []).join(", "));
       setEditUserId(user.id);
       setError("");
       window.scrollTo({ top: 0, behavior: "smooth" });
@@ -39253,7 +39695,7 @@
         fetchUsers();
       } catch (err) {
         console.error("Failed to delete user:", err);
-        setError(`Failed to delete user: ${err.response?.data?.error || err.message}`);
+        setError(`Failed to delete user: ${describeApiError(err)}`);
       }
       setLoading(false);
     }
@@ -39269,18 +39711,19 @@
         {
           userId: user.id,
           userName: user.name,
+          version: user.updated_at,
           style: { width: 60, height: 60, marginBottom: 6 }
         }
       ),
       /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontWeight: "bold", fontSize: 15 } }, user.name)
-    ))), /* @__PURE__ */ import_react14.default.createElement("h2", { style: { marginBottom: 12, marginTop: 0 } }, editUserId ? "Edit Family User" : "Add Family User"), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: {
+    ))), /* @__PURE__ */ import_react14.default.createElement("h2", { style: { marginBottom: 12, marginTop: 0 } }, editUserId ? "Edit Family User" : isAdmin ? "Add Family User" : "Your Profile"), !isAdmin && !editUserId && /* @__PURE__ */ import_react14.default.createElement("p", { style: { color: "#555" } }, "Choose Edit on your profile below to change your picture or availability."), error && /* @__PURE__ */ import_react14.default.createElement("div", { style: {
       color: "red",
       background: "#fee",
       padding: 10,
       borderRadius: 5,
       marginBottom: 16,
       border: "1px solid #fcc"
-    } }, error), /* @__PURE__ */ import_react14.default.createElement("form", { onSubmit: handleSubmit }, /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("label", { htmlFor: "profile-name" }, "Name:"), /* @__PURE__ */ import_react14.default.createElement("br", null), /* @__PURE__ */ import_react14.default.createElement(
+    } }, error), /* @__PURE__ */ import_react14.default.createElement("form", { onSubmit: handleSubmit, hidden: !isAdmin && !editUserId }, /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("label", { htmlFor: "profile-name" }, "Name:"), /* @__PURE__ */ import_react14.default.createElement("br", null), /* @__PURE__ */ import_react14.default.createElement(
       "input",
       {
         id: "profile-name",
@@ -39327,28 +39770,16 @@
         }
       },
       "Done Cropping"
-    ))), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("fieldset", { style: { border: "none", margin: 0, padding: 0 } }, /* @__PURE__ */ import_react14.default.createElement("legend", { style: { fontWeight: 600, marginBottom: 8 } }, "Weekly Availability (EST):"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { overflowX: "auto", marginTop: 8 } }, /* @__PURE__ */ import_react14.default.createElement("table", { style: { borderCollapse: "collapse", background: "#f9f9f9", borderRadius: 8, width: "100%", minWidth: 600 } }, /* @__PURE__ */ import_react14.default.createElement("thead", null, /* @__PURE__ */ import_react14.default.createElement("tr", null, /* @__PURE__ */ import_react14.default.createElement("th", { style: { width: 50 } }), DAYS.map((day2) => /* @__PURE__ */ import_react14.default.createElement("th", { key: day2, style: { padding: "4px 8px" } }, day2)))), /* @__PURE__ */ import_react14.default.createElement("tbody", null, HOURS2.map((hour) => /* @__PURE__ */ import_react14.default.createElement("tr", { key: hour }, /* @__PURE__ */ import_react14.default.createElement("td", { style: { padding: "2px 6px", fontSize: 12, textAlign: "right" } }, hour === 12 ? 12 : hour % 12, ":00 ", hour < 12 ? "AM" : "PM"), DAYS.map((day2) => /* @__PURE__ */ import_react14.default.createElement("td", { key: day2 }, /* @__PURE__ */ import_react14.default.createElement(
-      "button",
+    ))), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 } }, /* @__PURE__ */ import_react14.default.createElement("fieldset", { style: { border: "none", margin: 0, padding: 0 } }, /* @__PURE__ */ import_react14.default.createElement("legend", { style: { fontWeight: 600, marginBottom: 8 } }, "Weekly Availability (", timezone || "household time", "):"), /* @__PURE__ */ import_react14.default.createElement("label", { style: { fontSize: 13 } }, "Time zone:", " ", /* @__PURE__ */ import_react14.default.createElement("select", { value: timezone, onChange: (e) => setTimezone(e.target.value) }, /* @__PURE__ */ import_react14.default.createElement("option", { value: "" }, "Household default"), TIME_ZONES.map((zone) => /* @__PURE__ */ import_react14.default.createElement("option", { key: zone, value: zone }, zone)))), /* @__PURE__ */ import_react14.default.createElement(AvailabilityEditor, { value: availability, onChange: setAvailability }), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666", marginTop: 4 } }, "Drag to select 15-minute blocks; drag over selected blocks to clear them.", /* @__PURE__ */ import_react14.default.createElement("br", null), "Selected: ", describeRanges(availability) || "None"))), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginBottom: 16 }, hidden: !isAdmin }, /* @__PURE__ */ import_react14.default.createElement("label", { htmlFor: "profile-devices" }, "Device IDs:"), /* @__PURE__ */ import_react14.default.createElement("br", null), /* @__PURE__ */ import_react14.default.createElement(
+      "input",
       {
-        type: "button",
-        onClick: () => toggleHour(day2, hour),
-        style: {
-          width: 28,
-          height: 28,
-          borderRadius: 4,
-          border: "1px solid #ccc",
-          background: (availability[day2] || []).includes(hour) ? "#4caf50" : "#fff",
-          color: (availability[day2] || []).includes(hour) ? "white" : "#333",
-          cursor: "pointer",
-          fontWeight: "bold",
-          fontSize: 13,
-          outline: "none",
-          margin: 1
-        },
-        "aria-label": `Toggle ${day2} ${hour}:00`
-      },
-      (availability[day2] || []).includes(hour) ? "\u2713" : ""
-    )))))))), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666", marginTop: 4 } }, "Selected: ", DAYS.map((day2) => (availability[day2] || []).length ? `${day2}: ${availability[day2].join(", ")}` : null).filter(Boolean).join(" | ") || "None"))), /* @__PURE__ */ import_react14.default.createElement(
+        id: "profile-devices",
+        value: deviceIds,
+        onChange: (e) => setDeviceIds(e.target.value),
+        placeholder: "family-caller, family-tablet",
+        style: { padding: 8, fontSize: 16, width: "100%", maxWidth: 300 }
+      }
+    ), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#666", marginTop: 4 } }, "Registered devices this person answers on. Bill's phone lists users with at least one.")), /* @__PURE__ */ import_react14.default.createElement(
       "button",
       {
         type: "submit",
@@ -39374,11 +39805,9 @@
           setPicture(null);
           setPictureUrl("");
           setCroppedImage("");
-          setAvailability(() => {
-            const obj = {};
-            DAYS.forEach((day2) => obj[day2] = []);
-            return obj;
-          });
+          setAvailability([]);
+          setTimezone(BROWSER_TIME_ZONE);
+          setDeviceIds("");
           setError("");
         },
         style: {
@@ -39393,9 +39822,7 @@
         }
       },
       "Cancel Edit"
-    )), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 32 } }, /* @__PURE__ */ import_react14.default.createElement("h3", null, "Family Users (", users.length, ")"), loading && /* @__PURE__ */ import_react14.default.createElement("div", null, "Loading..."), /* @__PURE__ */ import_react14.default.createElement("div", { style: { display: "flex", flexWrap: "wrap", gap: 16 } }, users.map((user) => /* @__PURE__ */ import_react14.default.createElement("div", { key: user.id, style: { border: "1px solid #ccc", borderRadius: 8, padding: 8, minWidth: 180, textAlign: "center", background: "#fafafa" } }, /* @__PURE__ */ import_react14.default.createElement(ProfileImage, { userId: user.id, userName: user.name }), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontWeight: "bold" } }, user.name), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#555", marginTop: 4 } }, user.availability && typeof user.availability === "object" && Object.values(user.availability).some((arr) => arr && arr.length) ? Object.entries(user.availability).map(
-      ([day2, hours2]) => hours2 && hours2.length ? `${day2}: ${hours2.map((h) => (h === 12 ? 12 : h % 12) + (h < 12 ? "am" : "pm")).join(", ")}` : null
-    ).filter(Boolean).join(" | ") : "No availability set"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 8, display: "flex", gap: 8, justifyContent: "center" } }, /* @__PURE__ */ import_react14.default.createElement(
+    )), editUserId && /* @__PURE__ */ import_react14.default.createElement(AvailabilityExceptions, { userId: editUserId }), /* @__PURE__ */ import_react14.default.createElement(VideoMessages, { account, users }), isAdmin && /* @__PURE__ */ import_react14.default.createElement(CallRecordings, null), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 32 } }, /* @__PURE__ */ import_react14.default.createElement("h3", null, "Family Users (", users.length, ")"), loading && /* @__PURE__ */ import_react14.default.createElement("div", null, "Loading..."), /* @__PURE__ */ import_react14.default.createElement("div", { style: { display: "flex", flexWrap: "wrap", gap: 16 } }, users.map((user) => /* @__PURE__ */ import_react14.default.createElement("div", { key: user.id, style: { border: "1px solid #ccc", borderRadius: 8, padding: 8, minWidth: 180, textAlign: "center", background: "#fafafa" } }, /* @__PURE__ */ import_react14.default.createElement(ProfileImage, { userId: user.id, userName: user.name, version: user.updated_at }), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontWeight: "bold" } }, user.name), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 11, color: "#888" } }, user.timezone || "Household time zone"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 11, color: "#888" } }, user.device_ids && user.device_ids.length ? user.device_ids.join(", ") : "No devices linked"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { fontSize: 12, color: "#555", marginTop: 4 } }, describeRanges(user.availability) || "No availability set"), /* @__PURE__ */ import_react14.default.createElement("div", { style: { marginTop: 8, display: "flex", gap: 8, justifyContent: "center" } }, canEdit(user) && /* @__PURE__ */ import_react14.default.createElement(
       "button",
       {
         type: "button",
@@ -39403,7 +39830,7 @@
         style: { padding: "4px 12px", fontSize: 13, background: "#1976d2", color: "white", border: "none", borderRadius: 4, cursor: "pointer" }
       },
       "Edit"
-    ), /* @__PURE__ */ import_react14.default.createElement(
+    ), isAdmin && /* @__PURE__ */ import_react14.default.createElement(
       "button",
       {
         type: "button",
@@ -39413,9 +39840,38 @@
       "Delete"
     )))))));
   }
+  function Root() {
+    const [session, setSession] = (0, import_react14.useState)(loadSession);
+    if (session) {
+      axios_default.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+    } else {
+      delete axios_default.defaults.headers.common.Authorization;
+    }
+    const handleLogin = (newSession) => {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+      setSession(newSession);
+    };
+    const handleLogout = (0, import_react14.useCallback)(() => {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      setSession(null);
+    }, []);
+    (0, import_react14.useEffect)(() => {
+      const interceptor = axios_default.interceptors.response.use(void 0, (err) => {
+        if (err.response?.status === 401 && ["INVALID_SESSION", "AUTH_REQUIRED"].includes(err.response.data?.code)) {
+          handleLogout();
+        }
+        return Promise.reject(err);
+      });
+      return () => axios_default.interceptors.response.eject(interceptor);
+    }, [handleLogout]);
+    if (!session) {
+      return /* @__PURE__ */ import_react14.default.createElement(LoginScreen, { onLogin: handleLogin });
+    }
+    return /* @__PURE__ */ import_react14.default.createElement("div", null, /* @__PURE__ */ import_react14.default.createElement("div", { style: { maxWidth: 700, margin: "0 auto 8px", textAlign: "right", fontSize: 14 } }, "Signed in as ", /* @__PURE__ */ import_react14.default.createElement("strong", null, session.account.username), " (", session.account.role, ")", " ", /* @__PURE__ */ import_react14.default.createElement("button", { type: "button", onClick: handleLogout }, "Sign Out")), /* @__PURE__ */ import_react14.default.createElement(App, { key: session.account.id, account: session.account }));
+  }
   var root = import_client.default.createRoot(document.getElementById("react-root"));
   root.render(
-    /* @__PURE__ */ import_react14.default.createElement("div", null, /* @__PURE__ */ import_react14.default.createElement("h2", { style: { color: "red" } }, "Profile UI Below (React)"), /* @__PURE__ */ import_react14.default.createElement(App, null))
+    /* @__PURE__ */ import_react14.default.createElement("div", null, /* @__PURE__ */ import_react14.default.createElement("h2", { style: { color: "red" } }, "Profile UI Below (React)"), /* @__PURE__ */ import_react14.default.createElement(Root, null))
   );
 })();
 /*! Bundled license information:
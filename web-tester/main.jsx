@@ -1,6 +1,4 @@
-// TODO: Future: Support multi-person calls with Bill if availabilities align
-// TODO: Future: Trigger push notifications for available users to join group calls
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import ReactDOM from 'react-dom/client';
 import Cropper from 'react-easy-crop';
 import { Calendar as BigCalendar, momentLocalizer } from 'react-big-calendar';
@@ -11,6 +9,31 @@ import 'react-big-calendar/lib/css/react-big-calendar.css';
 const localizer = momentLocalizer(moment);
 const API_BASE = 'https://api.justinmolds.com';
 
+// Availability hours are stored in each user's own IANA zone; an empty zone means Bill's household zone
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [BROWSER_TIME_ZONE];
+
+// Signed-in session ({ token, expiresAt, account }) from POST /auth/login, kept across reloads
+const SESSION_STORAGE_KEY = 'billPhoneSession';
+
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Server errors arrive as { code, message, fields: [{ field, message }], requestId }; the
+// request ID is shown so a failure can be found in the server log
+function describeApiError(err) {
+  const data = err.response?.data;
+  if (!data?.message) return err.message || 'Unknown error';
+  const fieldErrors = (data.fields || []).map(f => `${f.field}: ${f.message}`).join('; ');
+  return `${data.message}${fieldErrors ? ` (${fieldErrors})` : ''}${data.requestId ? ` [request ${data.requestId}]` : ''}`;
+}
+
 // Helper to crop image to canvas and return data URL
 function getCroppedImg(imageSrc, croppedAreaPixels) {
   return new Promise((resolve, reject) => {
@@ -39,16 +62,19 @@ function getCroppedImg(imageSrc, croppedAreaPixels) {
 }
 
 // Profile Image Component with error handling
-function ProfileImage({ userId, userName, style = {} }) {
+// version (the user's updated_at) changes when the picture does, so the browser can keep
+// the thumbnail cached until then
+function ProfileImage({ userId, userName, version, style = {} }) {
   const [imageError, setImageError] = useState(false);
   const [imageUrl, setImageUrl] = useState('');
 
   useEffect(() => {
     if (userId) {
-      setImageUrl(`${API_BASE}/family-users/${userId}/picture?t=${Date.now()}`);
+      const v = version ? `&v=${new Date(version).getTime()}` : '';
+      setImageUrl(`${API_BASE}/family-users/${userId}/picture?size=thumb${v}`);
       setImageError(false);
     }
-  }, [userId]);
+  }, [userId, version]);
 
   const handleImageError = () => {
     console.warn(`Failed to load image for user ${userName} (${userId})`);
@@ -93,21 +119,585 @@ function ProfileImage({ userId, userName, style = {} }) {
   );
 }
 
-function App() {
+// Availability is a list of ranges, e.g. [{ day: 'Mon', start: '17:30', end: '19:15' }].
+// The editor works in 15-minute slots; drag across the grid to select or clear a block.
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SLOT_MINUTES = 15;
+const SLOTS_PER_DAY = 24 * 60 / SLOT_MINUTES;
+
+const toClock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const fromClock = clock => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const formatClock12 = clock => {
+  const minutes = fromClock(clock) % (24 * 60);
+  const hours = Math.floor(minutes / 60);
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')}${hours < 12 ? 'am' : 'pm'}`;
+};
+const describeRanges = ranges => Array.isArray(ranges) && ranges.length
+  ? ranges.map(range => `${range.day} ${formatClock12(range.start)}–${formatClock12(range.end)}`).join(' | ')
+  : null;
+
+// { [day]: Set of selected slot indexes }; partly covered slots are left out
+function rangesToSlots(ranges) {
+  const slots = Object.fromEntries(DAYS.map(day => [day, new Set()]));
+  (Array.isArray(ranges) ? ranges : []).forEach(range => {
+    if (!slots[range.day]) return;
+    for (let slot = Math.ceil(fromClock(range.start) / SLOT_MINUTES); (slot + 1) * SLOT_MINUTES <= fromClock(range.end); slot++) {
+      slots[range.day].add(slot);
+    }
+  });
+  return slots;
+}
+
+function slotsToRanges(slots) {
+  const ranges = [];
+  DAYS.forEach(day => {
+    let start = null;
+    for (let slot = 0; slot <= SLOTS_PER_DAY; slot++) {
+      const selected = slot < SLOTS_PER_DAY && slots[day].has(slot);
+      if (selected && start === null) start = slot;
+      if (!selected && start !== null) {
+        ranges.push({ day, start: toClock(start * SLOT_MINUTES), end: toClock(slot * SLOT_MINUTES) });
+        start = null;
+      }
+    }
+  });
+  return ranges;
+}
+
+// Weekly grid of 15-minute slots. Dragging from an empty slot selects the rectangle it
+// covers; dragging from a selected slot clears it.
+function AvailabilityEditor({ value, onChange }) {
+  const slots = rangesToSlots(value);
+  const [drag, setDrag] = useState(null);
+
+  const inDrag = (dayIndex, slot) => drag
+    && dayIndex >= Math.min(drag.fromDay, drag.toDay) && dayIndex <= Math.max(drag.fromDay, drag.toDay)
+    && slot >= Math.min(drag.fromSlot, drag.toSlot) && slot <= Math.max(drag.fromSlot, drag.toSlot);
+
+  // Finish the drag wherever the mouse is released, even outside the grid
+  useEffect(() => {
+    if (!drag) return undefined;
+    const finish = () => {
+      const next = Object.fromEntries(DAYS.map(day => [day, new Set(slots[day])]));
+      DAYS.forEach((day, dayIndex) => {
+        for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+          if (!inDrag(dayIndex, slot)) continue;
+          if (drag.select) next[day].add(slot); else next[day].delete(slot);
+        }
+      });
+      setDrag(null);
+      onChange(slotsToRanges(next));
+    };
+    window.addEventListener('mouseup', finish);
+    return () => window.removeEventListener('mouseup', finish);
+  });
+
+  return (
+    <div style={{overflow:'auto', maxHeight:420, marginTop:8, userSelect:'none', border:'1px solid #ddd', borderRadius:8}}>
+      <table style={{borderCollapse:'collapse', background:'#f9f9f9', width:'100%', minWidth:600}}>
+        <thead>
+          <tr>
+            <th style={{width:60, position:'sticky', top:0, background:'#f9f9f9'}}></th>
+            {DAYS.map(day => <th key={day} style={{padding:'4px 8px', position:'sticky', top:0, background:'#f9f9f9'}}>{day}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {Array.from({length: SLOTS_PER_DAY}, (_, slot) => (
+            <tr key={slot}>
+              <td style={{padding:'0 6px', fontSize:11, textAlign:'right', lineHeight:'8px', verticalAlign:'top'}}>
+                {slot % 4 === 0 ? formatClock12(toClock(slot * SLOT_MINUTES)) : ''}
+              </td>
+              {DAYS.map((day, dayIndex) => {
+                const selected = inDrag(dayIndex, slot) ? drag.select : slots[day].has(slot);
+                return (
+                  <td key={day}
+                    onMouseDown={e => {
+                      e.preventDefault();
+                      setDrag({ select: !slots[day].has(slot), fromDay: dayIndex, fromSlot: slot, toDay: dayIndex, toSlot: slot });
+                    }}
+                    onMouseEnter={() => drag && setDrag({ ...drag, toDay: dayIndex, toSlot: slot })}
+                    title={`${day} ${formatClock12(toClock(slot * SLOT_MINUTES))}`}
+                    style={{
+                      height:8,
+                      padding:0,
+                      cursor:'pointer',
+                      background: selected ? '#4caf50' : '#fff',
+                      borderLeft:'1px solid #ddd',
+                      borderTop: slot % 4 === 0 ? '1px solid #ccc' : '1px dotted #eee'
+                    }}
+                  />
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Date exceptions on top of the weekly pattern: block out a trip, or add time on a holiday.
+// Dates and times are in the user's own zone.
+function AvailabilityExceptions({ userId }) {
+  const emptyForm = { kind: 'unavailable', startDate: '', endDate: '', start: '', end: '', note: '' };
+  const [exceptions, setExceptions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState('');
+
+  const fetchExceptions = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/family-users/${userId}/exceptions`);
+      setExceptions(res.data);
+    } catch (err) {
+      console.error('Failed to fetch exceptions:', err);
+      setError(`Failed to fetch exceptions: ${describeApiError(err)}`);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchExceptions();
+  }, [fetchExceptions]);
+
+  async function handleAdd() {
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/family-users/${userId}/exceptions`, {
+        ...form,
+        endDate: form.endDate || form.startDate
+      });
+      setForm(emptyForm);
+      fetchExceptions();
+    } catch (err) {
+      console.error('Failed to add exception:', err);
+      setError(`Failed to add exception: ${describeApiError(err)}`);
+    }
+  }
+
+  async function handleDelete(exception) {
+    setError('');
+    try {
+      await axios.delete(`${API_BASE}/family-users/${userId}/exceptions/${exception.id}`);
+      fetchExceptions();
+    } catch (err) {
+      console.error('Failed to delete exception:', err);
+      setError(`Failed to delete exception: ${describeApiError(err)}`);
+    }
+  }
+
+  const update = field => e => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div style={{marginTop:24, padding:12, border:'1px solid #ddd', borderRadius:8, background:'#fafafa'}}>
+      <h4 style={{marginTop:0}}>Date Exceptions</h4>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', fontSize:13}}>
+        <select value={form.kind} onChange={update('kind')}>
+          <option value="unavailable">Unavailable</option>
+          <option value="available">Extra time</option>
+        </select>
+        <label>From <input type="date" value={form.startDate} onChange={update('startDate')} /></label>
+        <label>To <input type="date" value={form.endDate} min={form.startDate} onChange={update('endDate')} /></label>
+        <label>Between <input type="time" step={900} value={form.start} onChange={update('start')} /></label>
+        <label>and <input type="time" step={900} value={form.end} onChange={update('end')} /></label>
+        <input type="text" placeholder="Note" value={form.note} onChange={update('note')} />
+        <button type="button" onClick={handleAdd} disabled={!form.startDate}
+          style={{padding:'4px 12px', background:'#1976d2', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+          Add
+        </button>
+      </div>
+      <div style={{fontSize:12, color:'#666', marginTop:4}}>Leave the times empty to cover whole days.</div>
+      {error && <div style={{color:'red', fontSize:13, marginTop:8}}>{error}</div>}
+      <ul style={{fontSize:13, paddingLeft:20}}>
+        {exceptions.map(exception => (
+          <li key={exception.id} style={{marginBottom:4}}>
+            <strong>{exception.kind === 'available' ? 'Extra time' : 'Unavailable'}</strong>{' '}
+            {exception.startDate}{exception.endDate !== exception.startDate ? ` to ${exception.endDate}` : ''}
+            {exception.start ? `, ${formatClock12(exception.start)}–${formatClock12(exception.end)}` : ', all day'}
+            {exception.note ? ` (${exception.note})` : ''}
+            <button type="button" onClick={() => handleDelete(exception)}
+              style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#d32f2f', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Delete
+            </button>
+          </li>
+        ))}
+        {exceptions.length === 0 && <li style={{color:'#888'}}>No exceptions</li>}
+      </ul>
+    </div>
+  );
+}
+
+// Longest video message the server accepts (MESSAGE_MAX_SECONDS)
+const VIDEO_MESSAGE_MAX_SECONDS = 60;
+const VIDEO_MESSAGE_EXPIRY_CHOICES = [
+  { label: '1 day', hours: 24 },
+  { label: '3 days', hours: 72 },
+  { label: '1 week', hours: 168 }
+];
+// Containers the browser may record in, best supported by Bill's phone first
+const RECORDER_TYPES = ['video/mp4', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Record a short video for Bill with the webcam and send it to /messages. Lists the messages
+// already sent (all of them for admins) with whether Bill has watched them yet.
+function VideoMessages({ account, users }) {
+  const isAdmin = account.role === 'admin';
+  const [messages, setMessages] = useState([]);
+  const [senderId, setSenderId] = useState(account.familyUserId || '');
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [recording, setRecording] = useState(null); // { blob, url, seconds } once recorded
+  const [isRecording, setIsRecording] = useState(false);
+  const [playing, setPlaying] = useState(null); // { id, url } of a sent message being played
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  const recorderRef = useRef(null);
+  const previewRef = useRef(null);
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/messages`);
+      setMessages(res.data.messages);
+    } catch (err) {
+      console.error('Failed to fetch messages:', err);
+      setError(`Failed to fetch messages: ${describeApiError(err)}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  // Stop the camera if the page is left mid-recording
+  useEffect(() => () => {
+    if (recorderRef.current) recorderRef.current.stream.getTracks().forEach(track => track.stop());
+  }, []);
+
+  async function startRecording() {
+    setError('');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+      const mimeType = RECORDER_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      const startedAt = Date.now();
+      recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+      recorder.onstop = () => {
+        clearTimeout(recorder.limitTimer);
+        stream.getTracks().forEach(track => track.stop());
+        recorderRef.current = null;
+        setIsRecording(false);
+        const blob = new Blob(chunks, { type: (recorder.mimeType || 'video/webm').split(';')[0] });
+        setRecording({ blob, url: URL.createObjectURL(blob), seconds: Math.round((Date.now() - startedAt) / 1000) });
+      };
+      recorder.limitTimer = setTimeout(() => recorder.stop(), VIDEO_MESSAGE_MAX_SECONDS * 1000);
+      recorderRef.current = recorder;
+      if (previewRef.current) previewRef.current.srcObject = stream;
+      recorder.start();
+      setIsRecording(true);
+    } catch (err) {
+      console.error('Failed to start recording:', err);
+      setError(`Could not use the camera: ${err.message}`);
+    }
+  }
+
+  function discardRecording() {
+    if (recording) URL.revokeObjectURL(recording.url);
+    setRecording(null);
+  }
+
+  async function handleSend() {
+    setError('');
+    setSending(true);
+    try {
+      const form = new FormData();
+      form.append('video', recording.blob, recording.blob.type === 'video/mp4' ? 'message.mp4' : 'message.webm');
+      const params = { expiresInHours, durationSeconds: Math.min(recording.seconds, VIDEO_MESSAGE_MAX_SECONDS) };
+      if (isAdmin) params.familyUserId = senderId;
+      await axios.post(`${API_BASE}/messages`, form, { params });
+      discardRecording();
+      fetchMessages();
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      setError(`Failed to send message: ${describeApiError(err)}`);
+    }
+    setSending(false);
+  }
+
+  // The media route needs the session token, so the video is fetched rather than linked
+  async function handlePlay(message) {
+    setError('');
+    try {
+      const res = await axios.get(`${API_BASE}${message.mediaUrl}`, { responseType: 'blob' });
+      if (playing) URL.revokeObjectURL(playing.url);
+      setPlaying({ id: message.id, url: URL.createObjectURL(res.data) });
+    } catch (err) {
+      console.error('Failed to load message:', err);
+      setError(`Failed to load message: ${describeApiError(err)}`);
+    }
+  }
+
+  async function handleDelete(message) {
+    if (!window.confirm('Delete this message? Bill will no longer be able to watch it.')) return;
+    setError('');
+    try {
+      await axios.delete(`${API_BASE}/messages/${message.id}`);
+      fetchMessages();
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      setError(`Failed to delete message: ${describeApiError(err)}`);
+    }
+  }
+
+  const canSend = isAdmin ? Boolean(senderId) : Boolean(account.familyUserId);
+
+  return (
+    <div style={{marginTop:24, padding:12, border:'1px solid #ddd', borderRadius:8, background:'#fafafa'}}>
+      <h4 style={{marginTop:0}}>Video Messages for Bill</h4>
+      {!isAdmin && !account.familyUserId && (
+        <div style={{fontSize:13, color:'#888'}}>Your account isn't linked to a family member yet, so you can't send messages.</div>
+      )}
+      {(isAdmin || account.familyUserId) && (
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', fontSize:13}}>
+          {isAdmin && (
+            <label>From{' '}
+              <select value={senderId} onChange={e => setSenderId(e.target.value)}>
+                <option value="">Choose a family member</option>
+                {users.map(user => <option key={user.id} value={user.id}>{user.name}</option>)}
+              </select>
+            </label>
+          )}
+          <label>Keep for{' '}
+            <select value={expiresInHours} onChange={e => setExpiresInHours(Number(e.target.value))}>
+              {VIDEO_MESSAGE_EXPIRY_CHOICES.map(choice => <option key={choice.hours} value={choice.hours}>{choice.label}</option>)}
+            </select>
+          </label>
+          {isRecording ? (
+            <button type="button" onClick={() => recorderRef.current.stop()}
+              style={{padding:'4px 12px', background:'#d32f2f', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Stop
+            </button>
+          ) : !recording && (
+            <button type="button" onClick={startRecording} disabled={!canSend}
+              style={{padding:'4px 12px', background:'#1976d2', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Record
+            </button>
+          )}
+          {recording && (
+            <>
+              <button type="button" onClick={handleSend} disabled={!canSend || sending}
+                style={{padding:'4px 12px', background:'#388e3c', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+                {sending ? 'Sending...' : 'Send to Bill'}
+              </button>
+              <button type="button" onClick={discardRecording} disabled={sending}
+                style={{padding:'4px 12px', background:'#757575', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+                Discard
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      <div style={{fontSize:12, color:'#666', marginTop:4}}>Up to {VIDEO_MESSAGE_MAX_SECONDS} seconds. Bill sees it on your photo on his phone, at any hour.</div>
+      {/* Live camera while recording; always mounted so the stream can be attached before it shows */}
+      <video ref={previewRef} autoPlay muted playsInline style={{display:isRecording ? 'block' : 'none', width:320, marginTop:8, borderRadius:4, background:'#000'}} />
+      {recording && <video src={recording.url} controls playsInline style={{width:320, marginTop:8, borderRadius:4, background:'#000'}} />}
+      {error && <div style={{color:'red', fontSize:13, marginTop:8}}>{error}</div>}
+      <ul style={{fontSize:13, paddingLeft:20}}>
+        {messages.map(message => (
+          <li key={message.id} style={{marginBottom:4}}>
+            {isAdmin && <strong>{message.familyUser.name}: </strong>}
+            Sent {new Date(message.createdAt).toLocaleString()}
+            {message.durationSeconds !== null ? ` (${message.durationSeconds}s)` : ''} –{' '}
+            {message.firstWatchedAt
+              ? <span style={{color:'#388e3c'}}>Seen by Bill {new Date(message.firstWatchedAt).toLocaleString()}</span>
+              : <span style={{color:'#f57c00'}}>Waiting for Bill</span>}
+            <span style={{color:'#888'}}> · deleted {new Date(message.expiresAt).toLocaleString()}</span>
+            <button type="button" onClick={() => handlePlay(message)}
+              style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#1976d2', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Play
+            </button>
+            <button type="button" onClick={() => handleDelete(message)}
+              style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#d32f2f', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Delete
+            </button>
+            {playing && playing.id === message.id && (
+              <div><video src={playing.url} controls autoPlay playsInline style={{width:320, marginTop:4, borderRadius:4, background:'#000'}} /></div>
+            )}
+          </li>
+        ))}
+        {messages.length === 0 && <li style={{color:'#888'}}>No messages waiting</li>}
+      </ul>
+    </div>
+  );
+}
+
+// Calls recorded with everyone's consent (recorded from the call screen above); admins only
+function CallRecordings() {
+  const [recordings, setRecordings] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [playing, setPlaying] = useState(null); // { id, url } of the recording being played
+  const [error, setError] = useState('');
+
+  const fetchRecordings = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/recordings`);
+      setRecordings(res.data.recordings);
+      setRetentionDays(res.data.retentionDays);
+    } catch (err) {
+      console.error('Failed to fetch recordings:', err);
+      setError(`Failed to fetch recordings: ${describeApiError(err)}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRecordings();
+  }, [fetchRecordings]);
+
+  async function loadRecording(recording) {
+    const res = await axios.get(`${API_BASE}${recording.mediaUrl}`, { responseType: 'blob' });
+    return URL.createObjectURL(res.data);
+  }
+
+  async function handlePlay(recording) {
+    setError('');
+    try {
+      const url = await loadRecording(recording);
+      if (playing) URL.revokeObjectURL(playing.url);
+      setPlaying({ id: recording.id, url });
+    } catch (err) {
+      console.error('Failed to load recording:', err);
+      setError(`Failed to load recording: ${describeApiError(err)}`);
+    }
+  }
+
+  async function handleDownload(recording) {
+    setError('');
+    try {
+      const url = await loadRecording(recording);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `call-${recording.callId}.${(recording.contentType || 'video/webm').split('/')[1]}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download recording:', err);
+      setError(`Failed to download recording: ${describeApiError(err)}`);
+    }
+  }
+
+  async function handleDelete(recording) {
+    if (!window.confirm('Delete this recording for good?')) return;
+    setError('');
+    try {
+      await axios.delete(`${API_BASE}/recordings/${recording.id}`);
+      fetchRecordings();
+    } catch (err) {
+      console.error('Failed to delete recording:', err);
+      setError(`Failed to delete recording: ${describeApiError(err)}`);
+    }
+  }
+
+  return (
+    <div style={{marginTop:24, padding:12, border:'1px solid #ddd', borderRadius:8, background:'#fafafa'}}>
+      <h4 style={{marginTop:0}}>Call Recordings</h4>
+      {retentionDays !== null && (
+        <div style={{fontSize:12, color:'#666'}}>Recordings are deleted {retentionDays} days after the call.</div>
+      )}
+      {error && <div style={{color:'red', fontSize:13, marginTop:8}}>{error}</div>}
+      <ul style={{fontSize:13, paddingLeft:20}}>
+        {recordings.map(recording => (
+          <li key={recording.id} style={{marginBottom:4}}>
+            <strong>{recording.caller} → {recording.callee}</strong>{' '}
+            {new Date(recording.callStartedAt).toLocaleString()}
+            {recording.durationSeconds !== null ? ` (${recording.durationSeconds}s)` : ''} –{' '}
+            {recording.status === 'complete' ? <span style={{color:'#388e3c'}}>Complete</span>
+              : recording.status === 'partial' ? <span style={{color:'#f57c00'}}>Partial (upload never finished)</span>
+              : <span style={{color:'#888'}}>Uploading...</span>}
+            <span style={{color:'#888'}}> · asked by {recording.recordedBy}, agreed by {recording.consentedBy}</span>
+            {recording.status !== 'uploading' && (
+              <>
+                <button type="button" onClick={() => handlePlay(recording)}
+                  style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#1976d2', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+                  Play
+                </button>
+                <button type="button" onClick={() => handleDownload(recording)}
+                  style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#388e3c', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+                  Download
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => handleDelete(recording)}
+              style={{marginLeft:8, padding:'2px 8px', fontSize:12, background:'#d32f2f', color:'white', border:'none', borderRadius:4, cursor:'pointer'}}>
+              Delete
+            </button>
+            {playing && playing.id === recording.id && (
+              <div><video src={playing.url} controls autoPlay playsInline style={{width:320, marginTop:4, borderRadius:4, background:'#000'}} /></div>
+            )}
+          </li>
+        ))}
+        {recordings.length === 0 && <li style={{color:'#888'}}>No recordings</li>}
+      </ul>
+    </div>
+  );
+}
+
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  async function handleLogin(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const res = await axios.post(`${API_BASE}/auth/login`, { username: username.trim(), password });
+      onLogin(res.data);
+    } catch (err) {
+      setError(describeApiError(err));
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div style={{ maxWidth: 360, margin: '0 auto', color: 'black', background: 'white', padding: 20, borderRadius: 10 }}>
+      <h2 style={{marginTop: 0}}>Sign In</h2>
+      {error && <div style={{color:'red', background:'#fee', padding:10, borderRadius:5, marginBottom:16, border:'1px solid #fcc'}}>{error}</div>}
+      <form onSubmit={handleLogin}>
+        <div style={{marginBottom: 16}}>
+          <label htmlFor="login-username">Username:</label><br />
+          <input id="login-username" value={username} onChange={e => setUsername(e.target.value)} required autoComplete="username"
+            style={{padding: 8, fontSize: 16, width: '100%'}} />
+        </div>
+        <div style={{marginBottom: 16}}>
+          <label htmlFor="login-password">Password:</label><br />
+          <input id="login-password" type="password" value={password} onChange={e => setPassword(e.target.value)} required autoComplete="current-password"
+            style={{padding: 8, fontSize: 16, width: '100%'}} />
+        </div>
+        <button type="submit" disabled={loading}
+          style={{background: loading ? '#ccc' : '#1976d2', color:'white', border:'none', padding:'12px 24px', fontSize:16, borderRadius:4, cursor: loading ? 'not-allowed' : 'pointer'}}>
+          {loading ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Admins manage every profile; a family member only edits their own (account.familyUserId)
+function App({ account }) {
+  const isAdmin = account.role === 'admin';
+  const canEdit = user => isAdmin || user.id === account.familyUserId;
+  
   // State for profile
   const [name, setName] = useState('');
   const [picture, setPicture] = useState(null);
   const [pictureUrl, setPictureUrl] = useState('');
   const [croppedImage, setCroppedImage] = useState('');
   
-  // Weekly availability: { [day]: [hours] }
-  const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const HOURS = Array.from({length: 14}, (_, i) => i + 9); // 9am to 10pm
-  const [availability, setAvailability] = useState(() => {
-    const obj = {};
-    DAYS.forEach(day => obj[day] = []);
-    return obj;
-  });
+  // Weekly availability: [{ day, start, end }]
+  const [availability, setAvailability] = useState([]);
+  const [timezone, setTimezone] = useState(BROWSER_TIME_ZONE);
+  const [deviceIds, setDeviceIds] = useState(''); // Comma-separated; shown on Bill's kiosk
   
   const [crop, setCrop] = useState({ x: 0, y: 0 });
   const [zoom, setZoom] = useState(1);
@@ -131,7 +721,7 @@ function App() {
       console.log('Fetched users:', res.data);
     } catch (err) {
       console.error('Failed to fetch users:', err);
-      setError(`Failed to fetch users: ${err.response?.data?.error || err.message}`);
+      setError(`Failed to fetch users: ${describeApiError(err)}`);
     }
     setLoading(false);
   }, []);
@@ -183,18 +773,6 @@ function App() {
     setShowCropper(false);
   }, [pictureUrl, croppedAreaPixels]);
 
-  // Toggle hour block for a given day
-  function toggleHour(day, hour) {
-    setAvailability(avail => {
-      const hours = avail[day] || [];
-      if (hours.includes(hour)) {
-        return { ...avail, [day]: hours.filter(h => h !== hour) };
-      } else {
-        return { ...avail, [day]: [...hours, hour].sort((a,b)=>a-b) };
-      }
-    });
-  }
-
   // Submit profile and save to backend
   async function handleSubmit(e) {
     e.preventDefault();
@@ -210,43 +788,47 @@ function App() {
     try {
       const payload = {
         name: name.trim(),
-        availability
+        availability,
+        timezone
       };
       
-      // Only include image data if we have a cropped image
-      if (croppedImage) {
-        payload.picture_data = croppedImage;
-        console.log('Submitting with image data, length:', croppedImage.length);
-      }
-      
-      console.log('Submitting payload:', {
-        ...payload,
-        picture_data: payload.picture_data ? `[base64 data, ${payload.picture_data.length} chars]` : 'none'
-      });
+      console.log('Submitting payload:', payload);
       
       let resp;
       if (editUserId) {
         // PATCH update
         resp = await axios.patch(`${API_BASE}/family-users/${editUserId}`, payload);
         console.log('Profile updated:', resp.data);
-        alert(`Profile updated! Name: ${resp.data.name}`);
       } else {
         // POST create
         resp = await axios.post(`${API_BASE}/family-users`, payload);
         console.log('Profile created:', resp.data);
-        alert(`Profile saved! Name: ${resp.data.name}`);
       }
       
+      // Upload the cropped picture, if there is a new one, as a file rather than base64 JSON
+      if (croppedImage) {
+        const form = new FormData();
+        form.append('picture', await (await fetch(croppedImage)).blob(), 'profile.jpg');
+        await axios.put(`${API_BASE}/family-users/${resp.data.id}/picture`, form);
+        console.log('Picture uploaded');
+      }
+      
+      // Link the user's phones so Bill's kiosk can call them (admins only)
+      if (isAdmin) {
+        await axios.put(`${API_BASE}/family-users/${resp.data.id}/devices`, {
+          deviceIds: deviceIds.split(',').map(id => id.trim()).filter(Boolean)
+        });
+      }
+      alert(`Profile ${editUserId ? 'updated' : 'saved'}! Name: ${resp.data.name}`);
+      
       // Reset form
       setName('');
       setPicture(null);
       setPictureUrl('');
       setCroppedImage('');
-      setAvailability(() => { 
-        const obj = {}; 
-        DAYS.forEach(day => obj[day] = []); 
-        return obj; 
-      });
+      setAvailability([]);
+      setTimezone(BROWSER_TIME_ZONE);
+      setDeviceIds('');
       setEditUserId(null);
       
       // Refresh user list
@@ -254,8 +836,7 @@ function App() {
       
     } catch (err) {
       console.error('Failed to save profile:', err);
-      const errorMessage = err.response?.data?.error || err.message || 'Unknown error';
-      setError(`Failed to save profile: ${errorMessage}`);
+      setError(`Failed to save profile: ${describeApiError(err)}`);
     }
     setLoading(false);
   }
@@ -266,11 +847,9 @@ function App() {
     setCroppedImage(''); // Don't pre-load existing image for editing
     setPicture(null);
     setPictureUrl('');
-    setAvailability(user.availability || (() => { 
-      const obj = {}; 
-      DAYS.forEach(day => obj[day] = []); 
-      return obj; 
-    })());
+    setAvailability(Array.isArray(user.availability) ? user.availability : []);
+    setTimezone(user.timezone || '');
+    setDeviceIds((user.device_ids || []).join(', '));
     setEditUserId(user.id);
     setError('');
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -288,7 +867,7 @@ function App() {
       fetchUsers();
     } catch (err) {
       console.error('Failed to delete user:', err);
-      setError(`Failed to delete user: ${err.response?.data?.error || err.message}`);
+      setError(`Failed to delete user: ${describeApiError(err)}`);
     }
     setLoading(false);
   }
@@ -305,6 +884,7 @@ function App() {
             <ProfileImage 
               userId={user.id} 
               userName={user.name}
+              version={user.updated_at}
               style={{width:60,height:60,marginBottom:6}} 
             />
             <div style={{fontWeight:'bold',fontSize:15}}>{user.name}</div>
@@ -313,8 +893,11 @@ function App() {
       </div>
 
       <h2 style={{marginBottom: 12, marginTop: 0}}>
-        {editUserId ? 'Edit Family User' : 'Add Family User'}
+        {editUserId ? 'Edit Family User' : (isAdmin ? 'Add Family User' : 'Your Profile')}
       </h2>
+      {!isAdmin && !editUserId && (
+        <p style={{color:'#555'}}>Choose Edit on your profile below to change your picture or availability.</p>
+      )}
       
       {error && (
         <div style={{
@@ -329,7 +912,7 @@ function App() {
         </div>
       )}
       
-      <form onSubmit={handleSubmit}>
+      <form onSubmit={handleSubmit} hidden={!isAdmin && !editUserId}>
         <div style={{marginBottom: 16}}>
           <label htmlFor="profile-name">Name:</label><br />
           <input 
@@ -397,55 +980,37 @@ function App() {
         
         <div style={{marginBottom: 16}}>
           <fieldset style={{border: 'none', margin: 0, padding: 0}}>
-            <legend style={{fontWeight: 600, marginBottom: 8}}>Weekly Availability (EST):</legend>
-            <div style={{overflowX:'auto', marginTop:8}}>
-              <table style={{borderCollapse:'collapse', background:'#f9f9f9', borderRadius:8, width:'100%', minWidth:600}}>
-                <thead>
-                  <tr>
-                    <th style={{width:50}}></th>
-                    {DAYS.map(day => <th key={day} style={{padding:'4px 8px'}}>{day}</th>)}
-                  </tr>
-                </thead>
-                <tbody>
-                  {HOURS.map(hour => (
-                    <tr key={hour}>
-                      <td style={{padding:'2px 6px', fontSize:12, textAlign:'right'}}>
-                        {(hour === 12 ? 12 : hour % 12)}:00 {hour < 12 ? 'AM' : 'PM'}
-                      </td>
-                      {DAYS.map(day => (
-                        <td key={day}>
-                          <button type="button"
-                            onClick={() => toggleHour(day, hour)}
-                            style={{
-                              width:28, 
-                              height:28, 
-                              borderRadius:4, 
-                              border:'1px solid #ccc', 
-                              background: (availability[day] || []).includes(hour) ? '#4caf50' : '#fff', 
-                              color: (availability[day] || []).includes(hour) ? 'white' : '#333', 
-                              cursor:'pointer', 
-                              fontWeight:'bold', 
-                              fontSize:13, 
-                              outline:'none', 
-                              margin:1
-                            }}
-                            aria-label={`Toggle ${day} ${hour}:00`}
-                          >
-                            {(availability[day] || []).includes(hour) ? '✓' : ''}
-                          </button>
-                        </td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <legend style={{fontWeight: 600, marginBottom: 8}}>Weekly Availability ({timezone || 'household time'}):</legend>
+            <label style={{fontSize:13}}>
+              Time zone:{' '}
+              <select value={timezone} onChange={e => setTimezone(e.target.value)}>
+                <option value="">Household default</option>
+                {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+              </select>
+            </label>
+            <AvailabilityEditor value={availability} onChange={setAvailability} />
             <div style={{fontSize:12, color:'#666', marginTop:4}}>
-              Selected: {DAYS.map(day => (availability[day] || []).length ? `${day}: ${availability[day].join(', ')}` : null).filter(Boolean).join(' | ') || 'None'}
+              Drag to select 15-minute blocks; drag over selected blocks to clear them.
+              <br />
+              Selected: {describeRanges(availability) || 'None'}
             </div>
           </fieldset>
         </div> 
         
+        <div style={{marginBottom: 16}} hidden={!isAdmin}>
+          <label htmlFor="profile-devices">Device IDs:</label><br />
+          <input 
+            id="profile-devices" 
+            value={deviceIds} 
+            onChange={e => setDeviceIds(e.target.value)} 
+            placeholder="family-caller, family-tablet"
+            style={{padding: 8, fontSize: 16, width: '100%', maxWidth: 300}}
+          />
+          <div style={{fontSize:12, color:'#666', marginTop:4}}>
+            Registered devices this person answers on. Bill's phone lists users with at least one.
+          </div>
+        </div>
+        
         <button 
           type="submit" 
           disabled={loading}
@@ -471,11 +1036,9 @@ function App() {
               setPicture(null);
               setPictureUrl('');
               setCroppedImage('');
-              setAvailability(() => { 
-                const obj = {}; 
-                DAYS.forEach(day => obj[day] = []); 
-                return obj; 
-              });
+              setAvailability([]);
+              setTimezone(BROWSER_TIME_ZONE);
+              setDeviceIds('');
               setError('');
             }}
             style={{
@@ -493,6 +1056,12 @@ function App() {
           </button>
         )}
       </form>
+
+      {editUserId && <AvailabilityExceptions userId={editUserId} />}
+      
+      <VideoMessages account={account} users={users} />
+
+      {isAdmin && <CallRecordings />}
       
       {/* User list */}
       <div style={{marginTop: 32}}>
@@ -501,30 +1070,34 @@ function App() {
         <div style={{display:'flex',flexWrap:'wrap',gap:16}}>
           {users.map(user => (
             <div key={user.id} style={{border:'1px solid #ccc',borderRadius:8,padding:8,minWidth:180,textAlign:'center',background:'#fafafa'}}>
-              <ProfileImage userId={user.id} userName={user.name} />
+              <ProfileImage userId={user.id} userName={user.name} version={user.updated_at} />
               <div style={{fontWeight:'bold'}}>{user.name}</div>
+              <div style={{fontSize:11, color:'#888'}}>{user.timezone || 'Household time zone'}</div>
+              <div style={{fontSize:11, color:'#888'}}>
+                {user.device_ids && user.device_ids.length ? user.device_ids.join(', ') : 'No devices linked'}
+              </div>
               <div style={{fontSize:12, color:'#555', marginTop:4}}>
-                {user.availability && typeof user.availability === 'object' && Object.values(user.availability).some(arr => arr && arr.length)
-                  ? Object.entries(user.availability).map(([day, hours]) =>
-                      hours && hours.length ? `${day}: ${hours.map(h => (h === 12 ? 12 : h % 12) + (h < 12 ? 'am' : 'pm')).join(', ')}` : null
-                    ).filter(Boolean).join(' | ')
-                  : 'No availability set'}
+                {describeRanges(user.availability) || 'No availability set'}
               </div>
               <div style={{marginTop:8, display:'flex', gap:8, justifyContent:'center'}}>
-                <button 
-                  type="button" 
-                  onClick={() => handleEditUser(user)} 
-                  style={{padding:'4px 12px',fontSize:13,background:'#1976d2',color:'white',border:'none',borderRadius:4,cursor:'pointer'}}
-                >
-                  Edit
-                </button>
-                <button 
-                  type="button" 
-                  onClick={() => handleDeleteUser(user)} 
-                  style={{padding:'4px 12px',fontSize:13, color:'white', background:'#d32f2f', border:'none', borderRadius:4,cursor:'pointer'}}
-                >
-                  Delete
-                </button>
+                {canEdit(user) && (
+                  <button 
+                    type="button" 
+                    onClick={() => handleEditUser(user)} 
+                    style={{padding:'4px 12px',fontSize:13,background:'#1976d2',color:'white',border:'none',borderRadius:4,cursor:'pointer'}}
+                  >
+                    Edit
+                  </button>
+                )}
+                {isAdmin && (
+                  <button 
+                    type="button" 
+                    onClick={() => handleDeleteUser(user)} 
+                    style={{padding:'4px 12px',fontSize:13, color:'white', background:'#d32f2f', border:'none', borderRadius:4,cursor:'pointer'}}
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -534,10 +1107,54 @@ function App() {
   );
 }
 
+// Shows the login screen until there is a session, then sends its token with every request
+function Root() {
+  const [session, setSession] = useState(loadSession);
+
+  if (session) {
+    axios.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+
+  const handleLogin = (newSession) => {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    setSession(newSession);
+  };
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSession(null);
+  }, []);
+
+  // Back to the login screen when the server says the session is over
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (err) => {
+      if (err.response?.status === 401 && ['INVALID_SESSION', 'AUTH_REQUIRED'].includes(err.response.data?.code)) {
+        handleLogout();
+      }
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [handleLogout]);
+
+  if (!session) {
+    return <LoginScreen onLogin={handleLogin} />;
+  }
+  return (
+    <div>
+      <div style={{maxWidth: 700, margin: '0 auto 8px', textAlign: 'right', fontSize: 14}}>
+        Signed in as <strong>{session.account.username}</strong> ({session.account.role}){' '}
+        <button type="button" onClick={handleLogout}>Sign Out</button>
+      </div>
+      <App key={session.account.id} account={session.account} />
+    </div>
+  );
+}
+
 const root = ReactDOM.createRoot(document.getElementById('react-root'));
 root.render(
   <div>
     <h2 style={{color: 'red'}}>Profile UI Below (React)</h2>
-    <App />
+    <Root />
   </div>
 );
\ No newline at end of file